@@ -4,7 +4,11 @@
  * This module handles all audio synthesis and effects processing.
  * It provides:
  * - AudioContext initialization
- * - 9 instruments: Piano, Pluck, Saw, Pad, Bass, Bell + 3 Guitars
+ * - 16 instruments: Piano, Pluck, Saw, Pad, Bass, Bell, FM E-Piano, FM Bass, Wave Lead,
+ *   Wave Pad, 3 plucked-string Guitars (Karplus-Strong) and 3 Synth Guitars
+ * - Instrument engines: oscillators, 4-operator FM, morphing wavetables, plucked strings
+ * - User patches (editable copies of the instruments) and sampler instruments
+ * - Voice allocation: per-instrument polyphony, voice stealing, mono/legato
  * - Drum machine samples (Kick, Snare, Hat, Clap)
  * - Reverb and Delay effects with convolution
  * - Note playback with precise timing
@@ -35,6 +39,9 @@ let reverbBuffer = null;
 // Drum sample buffers (generated programmatically)
 let drumBuffers = {};
 
+// Per-track mixer channels: { trackId: { input: GainNode, panner: StereoPannerNode } }
+let trackChannels = {};
+
 /**
  * Initialize the Web Audio API context and effects chain
  * Must be called after user interaction (e.g., button click) due to browser autoplay policies
@@ -79,30 +86,42 @@ function initAudioEngine() {
  * Creates Kick, Snare, Hi-Hat, and Clap sounds
  */
 function generateDrumSamples() {
-  const sampleRate = audioContext.sampleRate;
-  
-  // Kick drum - low frequency sine with pitch envelope
-  drumBuffers.kick = generateKickSample(sampleRate);
-  
-  // Snare drum - noise + tone
-  drumBuffers.snare = generateSnareSample(sampleRate);
-  
-  // Hi-hat - filtered noise
-  drumBuffers.hihat = generateHiHatSample(sampleRate);
-  
-  // Clap - noise bursts
-  drumBuffers.clap = generateClapSample(sampleRate);
+  drumBuffers = createDrumBuffers(audioContext);
+}
+
+/**
+ * Create the drum sample buffers for a context
+ * Made once for the live context; offline renders play these same buffers,
+ * so an export uses the same (randomly generated) noise as playback.
+ * @param {BaseAudioContext} context - Context that will own the buffers
+ * @returns {Object} Buffers keyed by drum type
+ */
+function createDrumBuffers(context) {
+  return {
+    // Kick drum - low frequency sine with pitch envelope
+    kick: generateKickSample(context),
+    
+    // Snare drum - noise + tone
+    snare: generateSnareSample(context),
+    
+    // Hi-hat - filtered noise
+    hihat: generateHiHatSample(context),
+    
+    // Clap - noise bursts
+    clap: generateClapSample(context)
+  };
 }
 
 /**
  * Generate a kick drum sample
- * @param {number} sampleRate - Audio sample rate
+ * @param {BaseAudioContext} context - Context to create the buffer in
  * @returns {AudioBuffer} Kick sample buffer
  */
-function generateKickSample(sampleRate) {
+function generateKickSample(context) {
+  const sampleRate = context.sampleRate;
   const duration = 0.5;
   const samples = sampleRate * duration;
-  const buffer = audioContext.createBuffer(1, samples, sampleRate);
+  const buffer = context.createBuffer(1, samples, sampleRate);
   const data = buffer.getChannelData(0);
   
   for (let i = 0; i < samples; i++) {
@@ -118,13 +137,14 @@ function generateKickSample(sampleRate) {
 
 /**
  * Generate a snare drum sample
- * @param {number} sampleRate - Audio sample rate
+ * @param {BaseAudioContext} context - Context to create the buffer in
  * @returns {AudioBuffer} Snare sample buffer
  */
-function generateSnareSample(sampleRate) {
+function generateSnareSample(context) {
+  const sampleRate = context.sampleRate;
   const duration = 0.3;
   const samples = sampleRate * duration;
-  const buffer = audioContext.createBuffer(1, samples, sampleRate);
+  const buffer = context.createBuffer(1, samples, sampleRate);
   const data = buffer.getChannelData(0);
   
   for (let i = 0; i < samples; i++) {
@@ -141,13 +161,14 @@ function generateSnareSample(sampleRate) {
 
 /**
  * Generate a hi-hat sample
- * @param {number} sampleRate - Audio sample rate
+ * @param {BaseAudioContext} context - Context to create the buffer in
  * @returns {AudioBuffer} Hi-hat sample buffer
  */
-function generateHiHatSample(sampleRate) {
+function generateHiHatSample(context) {
+  const sampleRate = context.sampleRate;
   const duration = 0.15;
   const samples = sampleRate * duration;
-  const buffer = audioContext.createBuffer(1, samples, sampleRate);
+  const buffer = context.createBuffer(1, samples, sampleRate);
   const data = buffer.getChannelData(0);
   
   for (let i = 0; i < samples; i++) {
@@ -164,13 +185,14 @@ function generateHiHatSample(sampleRate) {
 
 /**
  * Generate a clap sample
- * @param {number} sampleRate - Audio sample rate
+ * @param {BaseAudioContext} context - Context to create the buffer in
  * @returns {AudioBuffer} Clap sample buffer
  */
-function generateClapSample(sampleRate) {
+function generateClapSample(context) {
+  const sampleRate = context.sampleRate;
   const duration = 0.3;
   const samples = sampleRate * duration;
-  const buffer = audioContext.createBuffer(1, samples, sampleRate);
+  const buffer = context.createBuffer(1, samples, sampleRate);
   const data = buffer.getChannelData(0);
   
   for (let i = 0; i < samples; i++) {
@@ -210,44 +232,76 @@ function generateImpulseResponse(duration = 2.0, decay = 2.0) {
 }
 
 /**
- * Initialize reverb effect using ConvolverNode
+ * Create a reverb bus: convolver -> return gain -> destination
+ * Shared by the live engine and offline rendering
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {AudioBuffer} impulse - Impulse response
+ * @param {AudioNode} destination - Where the reverb return connects
+ * @returns {Object} { input, output }
  */
-function initReverb() {
-  reverbNode = audioContext.createConvolver();
-  reverbGain = audioContext.createGain();
-  reverbGain.gain.value = 0;
+function createReverbBus(context, impulse, destination) {
+  const convolver = context.createConvolver();
+  convolver.buffer = impulse;
   
-  // Generate impulse response
-  reverbBuffer = generateImpulseResponse(2.0, 2.5);
-  reverbNode.buffer = reverbBuffer;
+  const returnGain = context.createGain();
+  returnGain.gain.value = effectSettings.reverb.enabled ? effectSettings.reverb.mix : 0;
   
-  // Connect: reverbNode -> reverbGain -> masterGain
-  reverbNode.connect(reverbGain);
-  reverbGain.connect(masterGain);
+  // Connect: convolver -> returnGain -> destination
+  convolver.connect(returnGain);
+  returnGain.connect(destination);
+  
+  return { input: convolver, output: returnGain };
 }
 
 /**
- * Initialize delay effect using DelayNode with feedback
+ * Create a delay bus with feedback
+ * Shared by the live engine and offline rendering
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {AudioNode} destination - Where the delay return connects
+ * @returns {Object} { input, output }
  */
-function initDelay() {
-  delayNode = audioContext.createDelay(2.0);
-  delayNode.delayTime.value = effectSettings.delay.time;
+function createDelayBus(context, destination) {
+  const delay = context.createDelay(2.0);
+  delay.delayTime.value = effectSettings.delay.time;
   
-  const feedbackGain = audioContext.createGain();
+  const feedbackGain = context.createGain();
   feedbackGain.gain.value = effectSettings.delay.feedback;
   
-  delayGain = audioContext.createGain();
-  delayGain.gain.value = 0;
+  const returnGain = context.createGain();
+  returnGain.gain.value = effectSettings.delay.enabled ? effectSettings.delay.mix : 0;
   
-  // Connect: delayNode -> feedbackGain -> delayNode (feedback loop)
-  //          delayNode -> delayGain -> masterGain
-  delayNode.connect(feedbackGain);
-  feedbackGain.connect(delayNode);
-  delayNode.connect(delayGain);
-  delayGain.connect(masterGain);
+  // Connect: delay -> feedbackGain -> delay (feedback loop)
+  //          delay -> returnGain -> destination
+  delay.connect(feedbackGain);
+  feedbackGain.connect(delay);
+  delay.connect(returnGain);
+  returnGain.connect(destination);
   
   // Store feedback gain for later adjustment
-  delayNode._feedbackGain = feedbackGain;
+  delay._feedbackGain = feedbackGain;
+  
+  return { input: delay, output: returnGain };
+}
+
+/**
+ * Initialize reverb effect using ConvolverNode
+ */
+function initReverb() {
+  // Generate impulse response (also used by offline rendering)
+  reverbBuffer = generateImpulseResponse(2.0, 2.5);
+  
+  const bus = createReverbBus(audioContext, reverbBuffer, masterGain);
+  reverbNode = bus.input;
+  reverbGain = bus.output;
+}
+
+/**
+ * Initialize delay effect using DelayNode with feedback
+ */
+function initDelay() {
+  const bus = createDelayBus(audioContext, masterGain);
+  delayNode = bus.input;
+  delayGain = bus.output;
 }
 
 /**
@@ -267,6 +321,87 @@ function updateEffectSettings(effect, settings) {
   }
 }
 
+// ==================== TRACK CHANNELS ====================
+
+/**
+ * Get (or create) the mixer channel for a track
+ * Channel: input gain (volume) -> stereo panner -> dry path + effect sends
+ * @param {string} trackId - Track ID
+ * @returns {Object} Channel with input and panner nodes
+ */
+function getTrackChannel(trackId) {
+  if (!audioContext) {
+    initAudioEngine();
+  }
+  
+  if (!trackChannels[trackId]) {
+    trackChannels[trackId] = createTrackChannel(audioContext, {
+      dry: dryGain,
+      reverb: reverbNode,
+      delay: delayNode
+    }, 0.8, 0);
+  }
+  
+  return trackChannels[trackId];
+}
+
+/**
+ * Create a track channel: input gain (volume) -> stereo panner -> buses
+ * Shared by the live engine and offline rendering
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} buses - { dry, reverb, delay } destination nodes
+ * @param {number} volume - Channel volume (0.0 to 1.0)
+ * @param {number} pan - Channel pan (-1.0 to 1.0)
+ * @returns {Object} Channel with input and panner nodes
+ */
+function createTrackChannel(context, buses, volume, pan) {
+  const input = context.createGain();
+  input.gain.value = volume;
+  const panner = context.createStereoPanner();
+  panner.pan.value = pan;
+  
+  input.connect(panner);
+  panner.connect(buses.dry);
+  // Sends are always connected; the bus return gains decide what is heard
+  panner.connect(buses.reverb);
+  panner.connect(buses.delay);
+  
+  return { input, panner };
+}
+
+/**
+ * Set volume and pan of a track channel
+ * @param {string} trackId - Track ID
+ * @param {Object} mix - { volume, pan }
+ */
+function setTrackMix(trackId, mix) {
+  const channel = getTrackChannel(trackId);
+  if (typeof mix.volume === 'number') {
+    channel.input.gain.value = Math.max(0, Math.min(1, mix.volume));
+  }
+  if (typeof mix.pan === 'number') {
+    channel.panner.pan.value = Math.max(-1, Math.min(1, mix.pan));
+  }
+}
+
+/**
+ * Remove a track channel (when the track is deleted)
+ * @param {string} trackId - Track ID
+ */
+function removeTrackChannel(trackId) {
+  const channel = trackChannels[trackId];
+  if (!channel) return;
+  
+  try {
+    channel.input.disconnect();
+    channel.panner.disconnect();
+  } catch (e) {
+    // Already disconnected
+  }
+  delete trackChannels[trackId];
+  voicePools.delete(trackId);
+}
+
 /**
  * Set master volume
  * @param {number} value - Volume level (0.0 to 1.0)
@@ -282,7 +417,8 @@ function setMasterVolume(value) {
 /**
  * Instrument configurations with oscillator types and ADSR envelopes
  * Each instrument has unique characteristics for its waveform and envelope
- * Includes 6 synths + 3 guitar types = 9 total instruments
+ * Includes 6 synths + 2 FM + 2 wavetable + 3 plucked-string guitars + 3 synth guitars
+ * = 16 total instruments
  */
 const INSTRUMENTS = {
   piano: {
@@ -302,6 +438,7 @@ const INSTRUMENTS = {
     ],
     envelope: { attack: 0.001, decay: 0.15, sustain: 0.1, release: 0.2 },
     filter: { type: 'lowpass', frequency: 3000, Q: 2 },
+    filterEnvelope: { amount: 1.5, attack: 0.001, decay: 0.12, sustain: 0, release: 0.2 },
     color: '#43b581'
   },
   saw: {
@@ -313,6 +450,8 @@ const INSTRUMENTS = {
     ],
     envelope: { attack: 0.05, decay: 0.1, sustain: 0.7, release: 0.2 },
     filter: { type: 'lowpass', frequency: 5000, Q: 1 },
+    mode: 'legato',
+    glide: 0.06,
     color: '#faa61a'
   },
   pad: {
@@ -323,6 +462,7 @@ const INSTRUMENTS = {
       { type: 'sine', detune: -5, gain: 0.3 }
     ],
     envelope: { attack: 0.4, decay: 0.5, sustain: 0.8, release: 1.0 },
+    polyphony: 8,
     color: '#eb459e'
   },
   bass: {
@@ -333,6 +473,9 @@ const INSTRUMENTS = {
     ],
     envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.15 },
     filter: { type: 'lowpass', frequency: 800, Q: 3 },
+    filterEnvelope: { amount: 2, attack: 0.005, decay: 0.25, sustain: 0.2, release: 0.15 },
+    mode: 'mono',
+    glide: 0.03,
     color: '#ed4245'
   },
   bell: {
@@ -345,9 +488,95 @@ const INSTRUMENTS = {
     envelope: { attack: 0.001, decay: 1.0, sustain: 0.1, release: 1.5 },
     color: '#00aff4'
   },
+  // === FM AND WAVETABLE INSTRUMENTS ===
+  fmPiano: {
+    name: 'FM E-Piano',
+    type: 'fm',
+    oscillators: [],
+    fm: {
+      algorithm: 'pairs',
+      operators: [
+        { ratio: 1, level: 0.7, index: 0, envelope: { attack: 0.001, decay: 1.2, sustain: 0.3, release: 0.4 } },
+        { ratio: 14, level: 0, index: 1.2, envelope: { attack: 0.001, decay: 0.25, sustain: 0, release: 0.2 } }, // Tine
+        { ratio: 1, level: 0.5, index: 0, envelope: { attack: 0.001, decay: 1.6, sustain: 0.2, release: 0.5 } },
+        { ratio: 1, level: 0, index: 1.8, envelope: { attack: 0.001, decay: 0.8, sustain: 0.1, release: 0.4 } }
+      ]
+    },
+    envelope: { attack: 0.001, decay: 0.01, sustain: 1, release: 0.4 },
+    color: '#1abc9c'
+  },
+  fmBass: {
+    name: 'FM Bass',
+    type: 'fm',
+    oscillators: [],
+    fm: {
+      algorithm: 'stack',
+      operators: [
+        { ratio: 1, level: 0.8, index: 0, envelope: { attack: 0.001, decay: 0.5, sustain: 0.6, release: 0.1 } },
+        { ratio: 1, level: 0, index: 2.5, envelope: { attack: 0.001, decay: 0.3, sustain: 0.3, release: 0.1 } },
+        { ratio: 2, level: 0, index: 1, envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.1 } },
+        { ratio: 1, level: 0, index: 0, envelope: { attack: 0.001, decay: 0.1, sustain: 0, release: 0.1 } }
+      ]
+    },
+    envelope: { attack: 0.001, decay: 0.01, sustain: 1, release: 0.12 },
+    mode: 'mono',
+    glide: 0.02,
+    color: '#16a085'
+  },
+  waveLead: {
+    name: 'Wave Lead',
+    type: 'wavetable',
+    oscillators: [],
+    wavetable: { table: 'pulse', position: 0.3, envelopeAmount: 0.5, envelopeDecay: 0.4 },
+    envelope: { attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.2 },
+    filter: { type: 'lowpass', frequency: 4500, Q: 1.5 },
+    lfos: [{ target: 'position', waveform: 'triangle', rate: 1, sync: '1/2', depth: 0.3 }],
+    mode: 'legato',
+    glide: 0.05,
+    color: '#e67e22'
+  },
+  wavePad: {
+    name: 'Wave Pad',
+    type: 'wavetable',
+    oscillators: [],
+    wavetable: { table: 'formant', position: 0.2, envelopeAmount: 0.4, envelopeDecay: 2 },
+    envelope: { attack: 0.6, decay: 0.8, sustain: 0.8, release: 1.5 },
+    lfos: [{ target: 'position', waveform: 'sine', rate: 0.2, sync: 'off', depth: 0.35 }],
+    polyphony: 8,
+    color: '#3498db'
+  },
   // === GUITAR INSTRUMENTS ===
+  // Plucked-string models (see PLUCKED STRINGS); the envelope only shapes the note-off
   cleanGuitar: {
     name: 'Clean Guitar',
+    type: 'string',
+    oscillators: [],
+    string: { pluckPosition: 0.18, damping: 0.35, brightness: 0.6, body: 0.25 },
+    envelope: { attack: 0.001, decay: 0.01, sustain: 1, release: 0.25 },
+    filter: { type: 'lowpass', frequency: 6000, Q: 0.7 },
+    color: '#9b59b6'
+  },
+  distortedGuitar: {
+    name: 'Distorted Guitar',
+    type: 'string',
+    oscillators: [],
+    string: { pluckPosition: 0.12, damping: 0.15, brightness: 0.75, body: 0 },
+    envelope: { attack: 0.001, decay: 0.01, sustain: 1, release: 0.2 },
+    filter: { type: 'lowpass', frequency: 3500, Q: 1 },
+    distortion: true, // Flag for waveshaper
+    color: '#e74c3c'
+  },
+  acousticGuitar: {
+    name: 'Acoustic Guitar',
+    type: 'string',
+    oscillators: [],
+    string: { pluckPosition: 0.22, damping: 0.45, brightness: 0.5, body: 0.7 },
+    envelope: { attack: 0.001, decay: 0.01, sustain: 1, release: 0.35 },
+    color: '#f39c12'
+  },
+  // === SYNTH GUITARS (the original oscillator versions) ===
+  synthCleanGuitar: {
+    name: 'Synth Clean Guitar',
     oscillators: [
       { type: 'triangle', detune: 0, gain: 0.5 },
       { type: 'sawtooth', detune: 2, gain: 0.2 },
@@ -355,10 +584,10 @@ const INSTRUMENTS = {
     ],
     envelope: { attack: 0.01, decay: 0.3, sustain: 0.5, release: 0.4 },
     filter: { type: 'lowpass', frequency: 4000, Q: 1.5 },
-    color: '#9b59b6'
+    color: '#8e44ad'
   },
-  distortedGuitar: {
-    name: 'Distorted Guitar',
+  synthDistortedGuitar: {
+    name: 'Synth Distorted Guitar',
     oscillators: [
       { type: 'sawtooth', detune: 0, gain: 0.4 },
       { type: 'square', detune: 5, gain: 0.3 },
@@ -367,10 +596,10 @@ const INSTRUMENTS = {
     envelope: { attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.3 },
     filter: { type: 'lowpass', frequency: 3500, Q: 2 },
     distortion: true, // Flag for waveshaper
-    color: '#e74c3c'
+    color: '#c0392b'
   },
-  acousticGuitar: {
-    name: 'Acoustic Guitar',
+  synthAcousticGuitar: {
+    name: 'Synth Acoustic Guitar',
     oscillators: [
       { type: 'triangle', detune: 0, gain: 0.4 },
       { type: 'sine', detune: 0, gain: 0.3 },
@@ -379,49 +608,1359 @@ const INSTRUMENTS = {
     ],
     envelope: { attack: 0.005, decay: 0.4, sustain: 0.3, release: 0.6 },
     filter: { type: 'lowpass', frequency: 3000, Q: 1 },
-    color: '#f39c12'
+    color: '#d68910'
+  }
+};
+
+// ==================== USER PATCHES ====================
+
+/**
+ * Editable instrument limits used by the instrument editor
+ */
+const PATCH_LIMITS = {
+  oscillatorTypes: ['sine', 'triangle', 'sawtooth', 'square'],
+  filterTypes: ['lowpass', 'highpass', 'bandpass'],
+  maxOscillators: 4,
+  detune: [-2400, 2400],
+  gain: [0, 1],
+  attack: [0.001, 2],
+  decay: [0.01, 2],
+  sustain: [0, 1],
+  release: [0.01, 3],
+  frequency: [50, 12000],
+  Q: [0.1, 20],
+  drive: [0, 100],
+  voiceModes: ['poly', 'mono', 'legato'],
+  polyphony: [1, 32],
+  glide: [0, 1],
+  maxZones: 128,
+  maxSoundFontZones: 4096,  // SoundFont presets (multisampled, velocity-layered, stereo pairs)
+  key: [0, 127],
+  velocity: [1, 127],
+  pan: [-1, 1],
+  filterEnvelopeAmount: [-4, 4],  // Octaves the envelope moves the cutoff at its peak
+  lfoCount: 2,
+  lfoTargets: ['off', 'pitch', 'cutoff', 'amplitude', 'pan', 'position'],  // position: wavetables only
+  lfoRate: [0.05, 20],
+  lfoDepth: [0, 1],
+  pluckPosition: [0.05, 0.5],  // Fraction of the string length from the bridge
+  damping: [0, 1],
+  brightness: [0, 1],
+  body: [0, 1],
+  engines: ['synth', 'fm', 'wavetable', 'string'],  // 'synth' = the oscillators array
+  fmAlgorithms: ['stack', 'pairs', 'branch', 'shared', 'additive'],
+  fmOperators: 4,
+  ratio: [0.25, 16],
+  fmIndex: [0, 10],
+  wavetables: ['analog', 'pulse', 'harmonics', 'formant'],
+  position: [0, 1],
+  positionAmount: [-1, 1],
+  bendRange: [0, 24],  // Semitones at full pitch bend
+  modTargets: ['vibrato', 'cutoff']  // What the mod wheel controls
+};
+
+/**
+ * Tempo-synced LFO rates: beats (quarter notes) per LFO cycle
+ */
+const LFO_SYNC_DIVISIONS = {
+  '1/1': 4,
+  '1/2': 2,
+  '1/4': 1,
+  '1/8': 0.5,
+  '1/16': 0.25,
+  '1/4T': 2 / 3,
+  '1/8T': 1 / 3,
+  '1/8D': 0.75
+};
+
+/**
+ * What full LFO depth means for each target
+ */
+const LFO_DEPTH_SCALE = {
+  pitch: 100,      // Cents (±1 semitone)
+  cutoff: 2400,    // Cents (±2 octaves)
+  amplitude: 1,    // Gain dips to silence
+  pan: 1,          // Hard left to hard right
+  position: 0.5    // Half the wavetable either way
+};
+
+/**
+ * User patches (edited copies of the built-in instruments), keyed by patch ID
+ * Same shape as INSTRUMENTS entries, plus `basedOn` (the built-in they came from)
+ * and `drive` (0 = no distortion).
+ * Sampler patches have `type: 'sampler'` and play `zones` instead of oscillators
+ * (see normalizeZone).
+ */
+let userPatches = {};
+
+/**
+ * Look up an instrument or user patch
+ * @param {string} instrumentId - Built-in instrument ID or user patch ID
+ * @returns {Object} Instrument definition (Piano if the ID is unknown)
+ */
+function getInstrument(instrumentId) {
+  return INSTRUMENTS[instrumentId] || userPatches[instrumentId] || INSTRUMENTS.piano;
+}
+
+/**
+ * Check if an ID is a user patch
+ * @param {string} instrumentId - Instrument ID
+ * @returns {boolean} Whether the ID refers to a user patch
+ */
+function isUserPatch(instrumentId) {
+  return !INSTRUMENTS[instrumentId] && Boolean(userPatches[instrumentId]);
+}
+
+/**
+ * Get a copy of a user patch
+ * @param {string} patchId - Patch ID
+ * @returns {Object|null} Patch, or null if unknown
+ */
+function getUserPatch(patchId) {
+  return userPatches[patchId] ? clonePatch(userPatches[patchId]) : null;
+}
+
+/**
+ * Get the built-in instrument a user patch was made from, without copying the patch
+ * @param {string} patchId - Patch ID
+ * @returns {string|null} Built-in instrument ID, or null if unknown
+ */
+function getPatchBase(patchId) {
+  return userPatches[patchId] ? userPatches[patchId].basedOn : null;
+}
+
+/**
+ * Get copies of all user patches
+ * @returns {Object} Patches keyed by ID
+ */
+function getUserPatches() {
+  const patches = {};
+  Object.keys(userPatches).forEach((id) => {
+    patches[id] = clonePatch(userPatches[id]);
+  });
+  return patches;
+}
+
+/**
+ * Add or replace a user patch
+ * @param {string} patchId - Patch ID
+ * @param {Object} patch - Patch definition (values are clamped to PATCH_LIMITS)
+ */
+function setUserPatch(patchId, patch) {
+  userPatches[patchId] = normalizePatch(patch);
+}
+
+/**
+ * Replace all user patches (e.g. presets from storage plus the song's own copies)
+ * @param {Object} patches - Patches keyed by ID
+ */
+function setUserPatches(patches) {
+  userPatches = {};
+  Object.keys(patches || {}).forEach((id) => setUserPatch(id, patches[id]));
+}
+
+/**
+ * Remove a user patch
+ * @param {string} patchId - Patch ID
+ */
+function removeUserPatch(patchId) {
+  delete userPatches[patchId];
+}
+
+/**
+ * Clamp a sampler zone into range
+ * Zones map one sample onto a key range and velocity range (MIDI 0-127 / 1-127);
+ * the sample plays at its recorded pitch on rootKey, offset by `tune` cents,
+ * scaled by `gain` and placed by `pan` (the halves of a stereo sample are
+ * panned left and right). Loop points are in seconds.
+ * @param {Object} zone - Zone definition
+ * @param {Function} clamp - normalizePatch's clamp helper
+ * @returns {Object} Normalized zone
+ */
+function normalizeZone(zone, clamp) {
+  const key = value => Math.round(clamp(value, PATCH_LIMITS.key, 60));
+  const velocity = value => Math.round(clamp(value, PATCH_LIMITS.velocity, 1));
+  const keys = [key(zone.lowKey), key(zone.highKey)].sort((a, b) => a - b);
+  const velocities = [velocity(zone.lowVelocity), velocity(zone.highVelocity)].sort((a, b) => a - b);
+  const loopStart = Math.max(0, Number(zone.loopStart) || 0);
+  const loopEnd = Number(zone.loopEnd) || 0;
+  
+  return {
+    sampleId: zone.sampleId,
+    name: String(zone.name || 'Sample').slice(0, 60),
+    rootKey: key(zone.rootKey),
+    lowKey: typeof zone.lowKey === 'number' ? keys[0] : PATCH_LIMITS.key[0],
+    highKey: typeof zone.highKey === 'number' ? keys[1] : PATCH_LIMITS.key[1],
+    lowVelocity: typeof zone.lowVelocity === 'number' ? velocities[0] : PATCH_LIMITS.velocity[0],
+    highVelocity: typeof zone.highVelocity === 'number' ? velocities[1] : PATCH_LIMITS.velocity[1],
+    tune: clamp(zone.tune, PATCH_LIMITS.detune, 0),
+    gain: clamp(zone.gain, PATCH_LIMITS.gain, 1),
+    pan: clamp(zone.pan, PATCH_LIMITS.pan, 0),
+    loop: Boolean(zone.loop),
+    loopStart,
+    loopEnd: loopEnd > loopStart ? loopEnd : 0  // 0 = end of the sample
+  };
+}
+
+/**
+ * Create an editable copy of an instrument
+ * @param {string} instrumentId - Built-in instrument or user patch ID
+ * @returns {Object} New patch definition
+ */
+function createPatchFrom(instrumentId) {
+  const source = getInstrument(instrumentId);
+  return normalizePatch({
+    ...clonePatch(source),
+    basedOn: source.basedOn || (INSTRUMENTS[instrumentId] ? instrumentId : 'piano'),
+    drive: getInstrumentDrive(source)
+  });
+}
+
+/**
+ * Deep copy a patch
+ * @param {Object} patch - Patch definition
+ * @returns {Object} Copy
+ */
+function clonePatch(patch) {
+  return JSON.parse(JSON.stringify(patch));
+}
+
+/**
+ * Clamp a patch to PATCH_LIMITS and fill in missing fields
+ * @param {Object} patch - Patch definition
+ * @returns {Object} Normalized copy
+ */
+function normalizePatch(patch) {
+  const clamp = (value, [min, max], fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+  };
+  const base = INSTRUMENTS[patch.basedOn] || INSTRUMENTS.piano;
+  
+  const oscillators = (Array.isArray(patch.oscillators) ? patch.oscillators : [])
+    .slice(0, PATCH_LIMITS.maxOscillators)
+    .map(osc => ({
+      type: PATCH_LIMITS.oscillatorTypes.includes(osc.type) ? osc.type : 'sine',
+      detune: clamp(osc.detune, PATCH_LIMITS.detune, 0),
+      gain: clamp(osc.gain, PATCH_LIMITS.gain, 0.5)
+    }));
+  
+  const envelope = patch.envelope || {};
+  const filter = patch.filter && PATCH_LIMITS.filterTypes.includes(patch.filter.type)
+    ? {
+      type: patch.filter.type,
+      frequency: clamp(patch.filter.frequency, PATCH_LIMITS.frequency, 3000),
+      Q: clamp(patch.filter.Q, PATCH_LIMITS.Q, 1)
+    }
+    : null;
+  
+  const filterEnvelope = patch.filterEnvelope || {};
+  const lfos = Array.isArray(patch.lfos) ? patch.lfos : [];
+  const isSampler = patch.type === 'sampler';
+  const isString = patch.type === 'string';
+  const engine = PATCH_LIMITS.engines.includes(patch.type) ? patch.type : 'synth';
+  
+  const normalized = {
+    name: String(patch.name || base.name).slice(0, 40),
+    basedOn: INSTRUMENTS[patch.basedOn] ? patch.basedOn : 'piano',
+    oscillators: isSampler || engine !== 'synth' ? [] : (oscillators.length > 0 ? oscillators
+      : clonePatch(base.oscillators.length > 0 ? base.oscillators : INSTRUMENTS.piano.oscillators)),
+    envelope: {
+      attack: clamp(envelope.attack, PATCH_LIMITS.attack, base.envelope.attack),
+      decay: clamp(envelope.decay, PATCH_LIMITS.decay, base.envelope.decay),
+      sustain: clamp(envelope.sustain, PATCH_LIMITS.sustain, base.envelope.sustain),
+      release: clamp(envelope.release, PATCH_LIMITS.release, base.envelope.release)
+    },
+    drive: clamp(patch.drive, PATCH_LIMITS.drive, 0),
+    mode: PATCH_LIMITS.voiceModes.includes(patch.mode) ? patch.mode : (base.mode || 'poly'),
+    polyphony: Math.round(clamp(patch.polyphony, PATCH_LIMITS.polyphony,
+      base.polyphony || VOICE_CONFIG.defaultPolyphony)),
+    glide: clamp(patch.glide, PATCH_LIMITS.glide, base.glide || 0),
+    bendRange: Math.round(clamp(patch.bendRange, PATCH_LIMITS.bendRange, getBendRange(base))),
+    modTarget: PATCH_LIMITS.modTargets.includes(patch.modTarget) ? patch.modTarget : (base.modTarget || 'vibrato'),
+    lfos: Array.from({ length: PATCH_LIMITS.lfoCount }, (_, index) => {
+      const lfo = lfos[index] || {};
+      return {
+        target: PATCH_LIMITS.lfoTargets.includes(lfo.target) && (lfo.target !== 'position' || engine === 'wavetable')
+          ? lfo.target
+          : 'off',
+        waveform: PATCH_LIMITS.oscillatorTypes.includes(lfo.waveform) ? lfo.waveform : 'sine',
+        rate: clamp(lfo.rate, PATCH_LIMITS.lfoRate, 5),
+        sync: LFO_SYNC_DIVISIONS[lfo.sync] ? lfo.sync : 'off',
+        depth: clamp(lfo.depth, PATCH_LIMITS.lfoDepth, 0.3)
+      };
+    }),
+    color: patch.color || base.color
+  };
+  if (isSampler) {
+    const isSoundFont = Boolean(patch.soundFont && typeof patch.soundFont.bankId === 'string');
+    normalized.type = 'sampler';
+    normalized.zones = (Array.isArray(patch.zones) ? patch.zones : [])
+      .filter(zone => zone && typeof zone.sampleId === 'string')
+      .slice(0, isSoundFont ? PATCH_LIMITS.maxSoundFontZones : PATCH_LIMITS.maxZones)
+      .map(zone => normalizeZone(zone, clamp));
+    if (isSoundFont) {
+      normalized.soundFont = {
+        bankId: patch.soundFont.bankId,
+        fileName: String(patch.soundFont.fileName || ''),
+        bank: Math.round(clamp(patch.soundFont.bank, [0, 16383], 0)),
+        program: Math.round(clamp(patch.soundFont.program, [0, 127], 0))
+      };
+    }
+  }
+  if (engine === 'fm') {
+    const fm = patch.fm || {};
+    const baseFm = base.fm || INSTRUMENTS.fmPiano.fm;
+    const operators = Array.isArray(fm.operators) ? fm.operators : [];
+    normalized.type = 'fm';
+    normalized.fm = {
+      algorithm: FM_ALGORITHMS[fm.algorithm] ? fm.algorithm : baseFm.algorithm,
+      operators: baseFm.operators.map((baseOperator, index) => {
+        const operator = operators[index] || {};
+        const operatorEnvelope = operator.envelope || {};
+        return {
+          ratio: clamp(operator.ratio, PATCH_LIMITS.ratio, baseOperator.ratio),
+          level: clamp(operator.level, PATCH_LIMITS.gain, baseOperator.level),
+          index: clamp(operator.index, PATCH_LIMITS.fmIndex, baseOperator.index),
+          envelope: {
+            attack: clamp(operatorEnvelope.attack, PATCH_LIMITS.attack, baseOperator.envelope.attack),
+            decay: clamp(operatorEnvelope.decay, PATCH_LIMITS.decay, baseOperator.envelope.decay),
+            sustain: clamp(operatorEnvelope.sustain, PATCH_LIMITS.sustain, baseOperator.envelope.sustain),
+            release: clamp(operatorEnvelope.release, PATCH_LIMITS.release, baseOperator.envelope.release)
+          }
+        };
+      })
+    };
+  }
+  if (engine === 'wavetable') {
+    const wavetable = patch.wavetable || {};
+    const baseWavetable = base.wavetable || INSTRUMENTS.wavePad.wavetable;
+    normalized.type = 'wavetable';
+    normalized.wavetable = {
+      table: PATCH_LIMITS.wavetables.includes(wavetable.table) ? wavetable.table : baseWavetable.table,
+      position: clamp(wavetable.position, PATCH_LIMITS.position, baseWavetable.position),
+      envelopeAmount: clamp(wavetable.envelopeAmount, PATCH_LIMITS.positionAmount, baseWavetable.envelopeAmount),
+      envelopeDecay: clamp(wavetable.envelopeDecay, PATCH_LIMITS.decay, baseWavetable.envelopeDecay)
+    };
+  }
+  if (isString) {
+    const string = patch.string || {};
+    const baseString = base.string || INSTRUMENTS.cleanGuitar.string;
+    normalized.type = 'string';
+    normalized.string = {
+      pluckPosition: clamp(string.pluckPosition, PATCH_LIMITS.pluckPosition, baseString.pluckPosition),
+      damping: clamp(string.damping, PATCH_LIMITS.damping, baseString.damping),
+      brightness: clamp(string.brightness, PATCH_LIMITS.brightness, baseString.brightness),
+      body: clamp(string.body, PATCH_LIMITS.body, baseString.body)
+    };
+  }
+  if (filter) {
+    normalized.filter = filter;
+    normalized.filterEnvelope = {
+      amount: clamp(filterEnvelope.amount, PATCH_LIMITS.filterEnvelopeAmount, 0),
+      attack: clamp(filterEnvelope.attack, PATCH_LIMITS.attack, 0.01),
+      decay: clamp(filterEnvelope.decay, PATCH_LIMITS.decay, 0.3),
+      sustain: clamp(filterEnvelope.sustain, PATCH_LIMITS.sustain, 0),
+      release: clamp(filterEnvelope.release, PATCH_LIMITS.release, 0.3)
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Get the pitch bend range of an instrument
+ * @param {Object} instrument - Instrument definition
+ * @returns {number} Semitones at full bend
+ */
+function getBendRange(instrument) {
+  return typeof instrument.bendRange === 'number' ? instrument.bendRange : CONTROLLER_CONFIG.bendRange;
+}
+
+/**
+ * Get the distortion amount of an instrument
+ * Built-ins only have a `distortion` flag, which means the classic amount of 50.
+ * @param {Object} instrument - Instrument definition
+ * @returns {number} Drive (0-100, 0 = off)
+ */
+function getInstrumentDrive(instrument) {
+  if (typeof instrument.drive === 'number') return instrument.drive;
+  return instrument.distortion ? 50 : 0;
+}
+
+/**
+ * Get an LFO's rate, following the tempo when it is synced
+ * @param {Object} lfo - LFO definition { rate, sync }
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number} Rate in Hz
+ */
+function getLfoRate(lfo, bpm) {
+  const beats = LFO_SYNC_DIVISIONS[lfo.sync];
+  return beats ? bpm / 60 / beats : lfo.rate;
+}
+
+/**
+ * Get the song's tempo map for live voices
+ * @returns {Object|number} Tempo map from the transport, or 120 BPM without one
+ */
+function getLiveTempo() {
+  return window.Transport ? window.Transport.getTempoMap() : 120;
+}
+
+/**
+ * Get the tempo live voices sync their LFOs to
+ * @param {number} position - Position of the note in 16th notes (default: song start)
+ * @returns {number} Beats per minute
+ */
+function getLiveBPM(position = 0) {
+  return window.TempoMap.getTempoAt(getLiveTempo(), position);
+}
+
+/**
+ * Convert MIDI note number to frequency in Hz
+ * @param {number} midiNote - MIDI note number (0-127)
+ * @returns {number} Frequency in Hz
+ */
+function midiToFrequency(midiNote) {
+  // A4 = MIDI 69 = 440 Hz
+  return 440 * Math.pow(2, (midiNote - 69) / 12);
+}
+
+/**
+ * Convert note name to MIDI note number
+ * @param {string} noteName - Note name (e.g., 'C4', 'F#3')
+ * @returns {number} MIDI note number
+ */
+function noteNameToMidi(noteName) {
+  const noteMap = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+  const match = noteName.match(/^([A-G])(#|b)?(\d+)$/);
+  if (!match) return 60; // Default to C4
+  
+  let [, note, accidental, octave] = match;
+  let midiNote = noteMap[note] + (parseInt(octave) + 1) * 12;
+  
+  if (accidental === '#') midiNote += 1;
+  if (accidental === 'b') midiNote -= 1;
+  
+  return midiNote;
+}
+
+/**
+ * Convert MIDI note number to note name
+ * @param {number} midiNote - MIDI note number
+ * @returns {string} Note name (e.g., 'C4')
+ */
+function midiToNoteName(midiNote) {
+  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  const octave = Math.floor(midiNote / 12) - 1;
+  const noteName = noteNames[midiNote % 12];
+  return `${noteName}${octave}`;
+}
+
+// ==================== SAMPLER ====================
+
+// Decoded sample data, keyed by sample ID (the files themselves live in SampleStore)
+const sampleBuffers = new Map();
+
+/**
+ * Decode an audio file (WAV, OGG, or anything the browser can decode) for sampler zones
+ * @param {string} sampleId - Sample ID
+ * @param {ArrayBuffer} data - File contents (not modified)
+ * @returns {Promise<AudioBuffer>} The decoded sample
+ */
+async function decodeSample(sampleId, data) {
+  if (!audioContext) {
+    initAudioEngine();
+  }
+  
+  // decodeAudioData detaches the buffer it is given, so keep the caller's copy intact
+  const buffer = await audioContext.decodeAudioData(data.slice(0));
+  sampleBuffers.set(sampleId, buffer);
+  return buffer;
+}
+
+/**
+ * Use raw sample data (e.g. a SoundFont region) for sampler zones
+ * @param {string} sampleId - Sample ID
+ * @param {Float32Array} channelData - Mono samples (-1.0 to 1.0)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {AudioBuffer} The sample buffer
+ */
+function setSampleData(sampleId, channelData, sampleRate) {
+  if (!audioContext) {
+    initAudioEngine();
+  }
+  
+  const buffer = audioContext.createBuffer(1, Math.max(1, channelData.length), sampleRate);
+  buffer.getChannelData(0).set(channelData);
+  sampleBuffers.set(sampleId, buffer);
+  return buffer;
+}
+
+/**
+ * Check if a sample is decoded and ready to play
+ * @param {string} sampleId - Sample ID
+ * @returns {boolean} Whether the sample is loaded
+ */
+function hasSample(sampleId) {
+  return sampleBuffers.has(sampleId);
+}
+
+/**
+ * Get a loaded sample's length
+ * @param {string} sampleId - Sample ID
+ * @returns {number} Duration in seconds (0 if not loaded)
+ */
+function getSampleDuration(sampleId) {
+  const buffer = sampleBuffers.get(sampleId);
+  return buffer ? buffer.duration : 0;
+}
+
+/**
+ * Find the zones a note plays (overlapping zones are layered)
+ * @param {Object} instrument - Sampler instrument
+ * @param {number} midiNote - MIDI note number
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ * @returns {Array<Object>} Matching zones with a loaded sample
+ */
+function findSamplerZones(instrument, midiNote, velocity) {
+  const midiVelocity = Math.max(1, Math.round(velocity * 127));
+  return (instrument.zones || []).filter(zone =>
+    midiNote >= zone.lowKey && midiNote <= zone.highKey &&
+    midiVelocity >= zone.lowVelocity && midiVelocity <= zone.highVelocity &&
+    sampleBuffers.has(zone.sampleId));
+}
+
+/**
+ * Create the buffer sources for a sampler note, repitched with playbackRate
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} instrument - Sampler instrument
+ * @param {number} midiNote - MIDI note number
+ * @param {number} startTime - Context time to start the note
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ * @param {Object} options - startVoice options (glideFrom, glideTime)
+ * @returns {Array<Object>} { osc (AudioBufferSourceNode), gain, output (gain, or its panner) } per zone
+ */
+function createSampleSources(context, instrument, midiNote, startTime, velocity, options) {
+  return findSamplerZones(instrument, midiNote, velocity).map((zone) => {
+    const source = context.createBufferSource();
+    source.buffer = sampleBuffers.get(zone.sampleId);
+    
+    const rateFor = note => Math.pow(2, (note - zone.rootKey) / 12 + zone.tune / 1200);
+    const rate = rateFor(midiNote);
+    if (typeof options.glideFrom === 'number' && options.glideTime > 0) {
+      source.playbackRate.setValueAtTime(rateFor(options.glideFrom), startTime);
+      source.playbackRate.exponentialRampToValueAtTime(rate, startTime + options.glideTime);
+    } else {
+      source.playbackRate.value = rate;
+    }
+    
+    if (zone.loop) {
+      source.loop = true;
+      source.loopStart = zone.loopStart;
+      source.loopEnd = zone.loopEnd || source.buffer.duration;
+    }
+    
+    const gain = context.createGain();
+    gain.gain.value = velocity * zone.gain;
+    source.connect(gain);
+    if (!zone.pan) {
+      return { osc: source, gain, output: gain };
+    }
+    
+    const panner = context.createStereoPanner();
+    panner.pan.value = zone.pan;
+    gain.connect(panner);
+    return { osc: source, gain, output: panner };
+  });
+}
+
+// ==================== PLUCKED STRINGS ====================
+
+/**
+ * Plucked-string model settings
+ * The guitars use an extended Karplus-Strong string: a burst of filtered noise
+ * (shaped by pick brightness and pluck position) circulates in a tuned delay
+ * loop whose loss sets the decay, followed by guitar body resonances. A note's
+ * output depends only on its pitch and the string settings, so it is computed
+ * once into a buffer and cached rather than run in an AudioWorklet: playback
+ * and offline render play the same samples, and nothing has to be loaded
+ * into each new context. The transport renders a song's notes before they are
+ * scheduled (see prepareStringNotes), so the scheduler only picks up buffers.
+ */
+const STRING_CONFIG = {
+  decayTimes: [12, 0.4],  // Seconds for the fundamental to fall 60 dB at damping 0 and 1
+  maxDuration: 8,
+  level: 0.3,             // RMS of the first 100 ms
+  fadeOut: 0.01,
+  
+  // Body modes (Hz, Q, peak gain in dB at body 1)
+  bodyModes: [
+    { frequency: 100, Q: 2.5, gain: 12 },
+    { frequency: 205, Q: 3.5, gain: 9 },
+    { frequency: 420, Q: 3, gain: 5 }
+  ],
+  
+  // Rendered notes kept besides the prepared song notes (the least recently used is dropped first)
+  cacheSize: 64
+};
+
+// Rendered string notes, keyed by sample rate, note and settings (least recently used first)
+const stringBuffers = new Map();
+
+// Most notes kept: cacheSize plus the notes prepared for the song
+let stringCacheLimit = STRING_CONFIG.cacheSize;
+
+/**
+ * Render one plucked-string note
+ * @param {BaseAudioContext} context - Context to create the buffer with
+ * @param {number} midiNote - MIDI note number
+ * @param {Object} string - { pluckPosition, damping, brightness, body }
+ * @returns {AudioBuffer} The note, from the pluck until it has died away
+ */
+function renderStringBuffer(context, midiNote, string) {
+  const sampleRate = context.sampleRate;
+  const key = [sampleRate, midiNote, string.pluckPosition, string.damping, string.brightness, string.body].join(':');
+  const cached = stringBuffers.get(key);
+  if (cached) {
+    stringBuffers.delete(key);
+    stringBuffers.set(key, cached);
+    return cached;
+  }
+  
+  const frequency = midiToFrequency(midiNote);
+  const [slowest, fastest] = STRING_CONFIG.decayTimes;
+  const decayTime = slowest * Math.pow(fastest / slowest, string.damping);
+  const length = Math.ceil(Math.min(decayTime, STRING_CONFIG.maxDuration) * sampleRate);
+  const output = new Float32Array(length);
+  
+  // Loop filter: weighted two-point average, darker as brightness goes down
+  const weight = 0.5 - 0.45 * string.brightness;
+  const loopGain = Math.pow(10, -3 / (decayTime * frequency));
+  
+  // Tune the loop: integer delay plus an allpass for the fraction
+  const loopDelay = sampleRate / frequency - weight;
+  let delay = Math.floor(loopDelay);
+  let fraction = loopDelay - delay;
+  if (fraction < 0.1 && delay > 1) {
+    delay--;
+    fraction++;
+  }
+  const allpass = (1 - fraction) / (1 + fraction);
+  
+  // Excitation: one period of noise (seeded by the note, so renders repeat),
+  // softened by the pick and combed by the pluck position
+  let seed = 12345 + midiNote * 7919;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 1073741824 - 1;
+  };
+  const excitation = new Float32Array(delay);
+  const smoothing = 0.1 + 0.9 * string.brightness;
+  let smoothed = 0;
+  for (let i = 0; i < delay; i++) {
+    smoothed += smoothing * (random() - smoothed);
+    excitation[i] = smoothed;
+  }
+  const pluckOffset = Math.max(1, Math.round(string.pluckPosition * delay));
+  let mean = 0;
+  for (let i = delay - 1; i >= 0; i--) {
+    excitation[i] -= i >= pluckOffset ? excitation[i - pluckOffset] : 0;
+    mean += excitation[i] / delay;
+  }
+  
+  // String loop
+  let allpassIn = 0;
+  let allpassOut = 0;
+  for (let i = 0; i < length; i++) {
+    const previous = i >= delay ? output[i - delay] : 0;
+    const older = i > delay ? output[i - delay - 1] : 0;
+    const filtered = loopGain * ((1 - weight) * previous + weight * older);
+    allpassOut = allpass * filtered + allpassIn - allpass * allpassOut;
+    allpassIn = filtered;
+    output[i] = allpassOut + (i < delay ? excitation[i] - mean : 0);
+  }
+  
+  // Body resonances (peaking biquads)
+  if (string.body > 0) {
+    STRING_CONFIG.bodyModes.forEach((mode) => {
+      const amplitude = Math.pow(10, mode.gain * string.body / 40);
+      const omega = 2 * Math.PI * mode.frequency / sampleRate;
+      const alpha = Math.sin(omega) / (2 * mode.Q);
+      const a0 = 1 + alpha / amplitude;
+      const b0 = (1 + alpha * amplitude) / a0;
+      const b1 = -2 * Math.cos(omega) / a0;
+      const b2 = (1 - alpha * amplitude) / a0;
+      const a2 = (1 - alpha / amplitude) / a0;
+      let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+      for (let i = 0; i < length; i++) {
+        const x = output[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - b1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+      }
+    });
+  }
+  
+  // Even out the level across notes and settings (without clipping) and fade the last of the tail
+  const attackLength = Math.min(length, Math.round(0.1 * sampleRate));
+  let power = 0;
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    power += i < attackLength ? output[i] * output[i] / attackLength : 0;
+    peak = Math.max(peak, Math.abs(output[i]));
+  }
+  const scale = peak > 0 ? Math.min(STRING_CONFIG.level / Math.sqrt(power), 1 / peak) : 0;
+  const fadeLength = Math.min(length, Math.round(STRING_CONFIG.fadeOut * sampleRate));
+  for (let i = 0; i < length; i++) {
+    const fade = i >= length - fadeLength ? (length - i) / fadeLength : 1;
+    output[i] *= scale * fade;
+  }
+  
+  const buffer = context.createBuffer(1, length, sampleRate);
+  buffer.getChannelData(0).set(output);
+  
+  stringBuffers.set(key, buffer);
+  while (stringBuffers.size > stringCacheLimit) {
+    stringBuffers.delete(stringBuffers.keys().next().value);
+  }
+  return buffer;
+}
+
+/**
+ * Render the plucked-string notes of a song ahead of playback
+ * A note takes milliseconds to render, far too long for a scheduler tick with
+ * a dense string part, so the notes are rendered (or marked as recently used)
+ * before they are scheduled. The cache grows to hold all of them.
+ * @param {Array} tracks - Tracks with instrument and notes
+ */
+function prepareStringNotes(tracks) {
+  if (!audioContext) {
+    initAudioEngine();
+  }
+  
+  const notes = new Map();
+  tracks.forEach((track) => {
+    const instrument = getInstrument(track.instrument);
+    if (instrument.type !== 'string') return;
+    
+    track.notes.forEach((note) => {
+      notes.set(`${track.instrument}:${note.pitch}`, { pitch: note.pitch, string: instrument.string });
+    });
+  });
+  
+  stringCacheLimit = STRING_CONFIG.cacheSize + notes.size;
+  notes.forEach(({ pitch, string }) => renderStringBuffer(audioContext, pitch, string));
+}
+
+/**
+ * Create the buffer source for a plucked-string note
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} instrument - String instrument
+ * @param {number} midiNote - MIDI note number
+ * @param {number} startTime - Context time to start the note
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ * @param {Object} options - startVoice options (glideFrom, glideTime)
+ * @returns {Object} { osc (AudioBufferSourceNode), gain }
+ */
+function createStringSource(context, instrument, midiNote, startTime, velocity, options) {
+  const source = context.createBufferSource();
+  source.buffer = renderStringBuffer(context, midiNote, instrument.string);
+  
+  // Glides bend the rendered note, like a slide up or down the string
+  if (typeof options.glideFrom === 'number' && options.glideTime > 0) {
+    source.playbackRate.setValueAtTime(Math.pow(2, (options.glideFrom - midiNote) / 12), startTime);
+    source.playbackRate.exponentialRampToValueAtTime(1, startTime + options.glideTime);
+  }
+  
+  const gain = context.createGain();
+  gain.gain.value = velocity;
+  source.connect(gain);
+  return { osc: source, gain };
+}
+
+// ==================== FM SYNTHESIS ====================
+
+/**
+ * FM algorithms: which operators are heard (carriers) and which operators
+ * modulate each operator's frequency. Operators are numbered 1-4 in the editor.
+ */
+const FM_ALGORITHMS = {
+  stack: { name: '4 → 3 → 2 → 1', carriers: [0], modulators: [[1], [2], [3], []] },
+  pairs: { name: '2 → 1, 4 → 3', carriers: [0, 2], modulators: [[1], [], [3], []] },
+  branch: { name: '2 + 3 + 4 → 1', carriers: [0], modulators: [[1, 2, 3], [], [], []] },
+  shared: { name: '4 → 1 + 2 + 3', carriers: [0, 1, 2], modulators: [[3], [3], [3], []] },
+  additive: { name: '1 + 2 + 3 + 4', carriers: [0, 1, 2, 3], modulators: [[], [], [], []] }
+};
+
+/**
+ * Schedule an ADSR envelope on a parameter
+ * @param {AudioParam} param - Parameter to drive
+ * @param {Object} envelope - { attack, decay, sustain, release }
+ * @param {number} peak - Value at the end of the attack
+ * @param {number} startTime - Note start
+ * @param {number} endTime - Note end (the release starts here)
+ * @param {boolean} legato - Start at the sustain level (no attack)
+ * @returns {Object} { param, release } for releasing the note early
+ */
+function scheduleEnvelope(param, envelope, peak, startTime, endTime, legato) {
+  const decayEnd = startTime + envelope.attack + envelope.decay;
+  const sustainLevel = peak * envelope.sustain;
+  
+  if (legato) {
+    param.setValueAtTime(sustainLevel, startTime);
+  } else {
+    param.setValueAtTime(0, startTime);
+    param.linearRampToValueAtTime(peak, startTime + envelope.attack);
+    param.linearRampToValueAtTime(sustainLevel, decayEnd);
+  }
+  param.setValueAtTime(sustainLevel, Math.max(endTime, decayEnd));
+  param.linearRampToValueAtTime(0, Math.max(endTime, decayEnd) + envelope.release);
+  
+  return { param, release: envelope.release };
+}
+
+/**
+ * Set an oscillator's pitch, gliding from the previous note when asked
+ * @param {AudioParam} param - The oscillator's frequency
+ * @param {number} midiNote - MIDI note number
+ * @param {number} startTime - Note start
+ * @param {Object} options - startVoice options (glideFrom, glideTime)
+ * @param {number} ratio - Frequency multiple of the note (FM operators)
+ */
+function setOscillatorPitch(param, midiNote, startTime, options, ratio = 1) {
+  const frequency = midiToFrequency(midiNote) * ratio;
+  if (typeof options.glideFrom === 'number' && options.glideTime > 0) {
+    // Portamento from the previous note
+    param.setValueAtTime(midiToFrequency(options.glideFrom) * ratio, startTime);
+    param.exponentialRampToValueAtTime(frequency, startTime + options.glideTime);
+  } else {
+    param.value = frequency;
+  }
+}
+
+/**
+ * Create the operators of an FM note
+ * Operators are sine oscillators at ratio x the note frequency. A modulator's
+ * envelope drives its depth (index x its own frequency, in Hz) into the
+ * frequencies of the operators it modulates; a carrier's envelope drives its
+ * level into the voice.
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} instrument - FM instrument
+ * @param {number} midiNote - MIDI note number
+ * @param {number} startTime - Note start
+ * @param {number} endTime - Note end
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ * @param {Object} options - startVoice options (glideFrom, glideTime, legato)
+ * @returns {Object} { operators: [{ osc, gain }], carriers: [{ osc, gain }], envelopes }
+ */
+function createFmOperators(context, instrument, midiNote, startTime, endTime, velocity, options) {
+  const algorithm = FM_ALGORITHMS[instrument.fm.algorithm] || FM_ALGORITHMS.stack;
+  const frequency = midiToFrequency(midiNote);
+  const envelopes = [];
+  
+  const operators = instrument.fm.operators.map((operator, index) => {
+    const osc = context.createOscillator();
+    osc.type = 'sine';
+    setOscillatorPitch(osc.frequency, midiNote, startTime, options, operator.ratio);
+    
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    osc.connect(gain);
+    
+    const peak = algorithm.carriers.includes(index)
+      ? operator.level * velocity
+      : operator.index * frequency * operator.ratio;
+    envelopes.push(scheduleEnvelope(gain.gain, operator.envelope, peak, startTime, endTime, options.legato));
+    return { osc, gain };
+  });
+  
+  algorithm.modulators.forEach((modulators, index) => {
+    modulators.forEach((modulator) => {
+      operators[modulator].gain.connect(operators[index].osc.frequency);
+    });
+  });
+  
+  return {
+    operators,
+    carriers: algorithm.carriers.map(index => operators[index]),
+    envelopes
+  };
+}
+
+// ==================== WAVETABLES ====================
+
+/**
+ * Wavetable settings
+ * A table is a row of single-cycle frames (PeriodicWaves built from harmonic
+ * amplitudes). A voice runs one oscillator per frame and crossfades them by
+ * position: the position is an audio-rate signal (base position, envelope
+ * sweep and LFOs summed), and a WaveShaper per frame turns it into that
+ * frame's weight, so position modulation is smooth and renders offline
+ * exactly as it plays.
+ */
+const WAVETABLE_CONFIG = {
+  frames: 8,
+  harmonics: 64,
+  curveLength: 1025,
+  level: 0.4,  // Frames are normalized to full scale; this matches the oscillator instruments
+  tables: {
+    analog: { name: 'Analog (sine → square)' },
+    pulse: { name: 'Pulse width' },
+    harmonics: { name: 'Harmonic sweep' },
+    formant: { name: 'Formant' }
+  }
+};
+
+// Harmonic amplitudes per table (shared), PeriodicWaves per context, frame weight curves
+const wavetableSpectra = {};
+const wavetableWaves = new WeakMap();
+const wavetableCurves = [];
+
+/**
+ * Get a harmonic's amplitude in a frame of a table
+ * @param {string} table - Table name (see WAVETABLE_CONFIG.tables)
+ * @param {number} harmonic - Harmonic number (1 = fundamental)
+ * @param {number} t - Frame position (0 to 1)
+ * @returns {Object} { real, imag } Fourier coefficients
+ */
+function getWavetableHarmonic(table, harmonic, t) {
+  const n = harmonic;
+  const odd = n % 2 === 1;
+  
+  if (table === 'pulse') {
+    // Pulse narrowing from 50% to 5% duty (cosine series: a centered pulse)
+    const duty = 0.5 - 0.45 * t;
+    return { real: 2 * Math.sin(n * Math.PI * duty) / (n * Math.PI), imag: 0 };
+  }
+  
+  if (table === 'harmonics') {
+    // A band of harmonics moving up over a steady fundamental
+    const center = 1 + t * 20;
+    return { real: 0, imag: (n === 1 ? 0.5 : 0) + Math.exp(-Math.pow(n - center, 2) / 8) };
+  }
+  
+  if (table === 'formant') {
+    // Sawtooth through a resonance sweeping up the spectrum
+    const center = 2 + t * 22;
+    return { real: 0, imag: (0.2 + 3 * Math.exp(-Math.pow(n - center, 2) / 4.5)) / n };
+  }
+  
+  // Analog: sine -> triangle -> sawtooth -> square
+  const shapes = [
+    n === 1 ? 1 : 0,
+    odd ? (((n - 1) / 2) % 2 === 0 ? 1 : -1) / (n * n) : 0,
+    (n % 2 === 1 ? 1 : -1) / n,
+    odd ? 1 / n : 0
+  ];
+  const scaled = t * (shapes.length - 1);
+  const lower = Math.min(shapes.length - 2, Math.floor(scaled));
+  const mix = scaled - lower;
+  return { real: 0, imag: shapes[lower] * (1 - mix) + shapes[lower + 1] * mix };
+}
+
+/**
+ * Get the PeriodicWave frames of a table for a context (built once per context)
+ * @param {BaseAudioContext} context - Context the voices play in
+ * @param {string} table - Table name
+ * @returns {Array<PeriodicWave>} Frames
+ */
+function getWavetableWaves(context, table) {
+  if (!wavetableSpectra[table]) {
+    wavetableSpectra[table] = Array.from({ length: WAVETABLE_CONFIG.frames }, (_, frame) => {
+      const real = new Float32Array(WAVETABLE_CONFIG.harmonics + 1);
+      const imag = new Float32Array(WAVETABLE_CONFIG.harmonics + 1);
+      for (let n = 1; n <= WAVETABLE_CONFIG.harmonics; n++) {
+        const harmonic = getWavetableHarmonic(table, n, frame / (WAVETABLE_CONFIG.frames - 1));
+        real[n] = harmonic.real;
+        imag[n] = harmonic.imag;
+      }
+      return { real, imag };
+    });
+  }
+  
+  if (!wavetableWaves.has(context)) {
+    wavetableWaves.set(context, {});
+  }
+  const waves = wavetableWaves.get(context);
+  if (!waves[table]) {
+    waves[table] = wavetableSpectra[table].map(({ real, imag }) => context.createPeriodicWave(real, imag));
+  }
+  return waves[table];
+}
+
+/**
+ * Get the WaveShaper curve that turns a position (0 to 1) into a frame's weight
+ * @param {number} frame - Frame index
+ * @returns {Float32Array} Curve over the shaper's -1 to 1 input
+ */
+function getWavetableCurve(frame) {
+  if (!wavetableCurves[frame]) {
+    const length = WAVETABLE_CONFIG.curveLength;
+    const curve = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const position = Math.max(0, (i / (length - 1)) * 2 - 1);
+      curve[i] = Math.max(0, 1 - Math.abs(position * (WAVETABLE_CONFIG.frames - 1) - frame));
+    }
+    wavetableCurves[frame] = curve;
+  }
+  return wavetableCurves[frame];
+}
+
+/**
+ * Create the frame oscillators and position signal of a wavetable note
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} instrument - Wavetable instrument
+ * @param {number} midiNote - MIDI note number
+ * @param {number} startTime - Note start
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ * @param {Object} options - startVoice options (glideFrom, glideTime, legato)
+ * @returns {Object} { sources: [{ osc, gain }], position (ConstantSourceNode), nodes }
+ */
+function createWavetableSources(context, instrument, midiNote, startTime, velocity, options) {
+  const settings = instrument.wavetable;
+  const clampPosition = value => Math.max(0, Math.min(1, value));
+  
+  // Position: base value, swept from base + amount back to base over the envelope decay
+  const position = context.createConstantSource();
+  if (settings.envelopeAmount && !options.legato) {
+    position.offset.setValueAtTime(clampPosition(settings.position + settings.envelopeAmount), startTime);
+    position.offset.linearRampToValueAtTime(settings.position, startTime + settings.envelopeDecay);
+  } else {
+    position.offset.value = settings.position;
+  }
+  
+  const nodes = [];
+  const sources = getWavetableWaves(context, settings.table).map((wave, frame) => {
+    const osc = context.createOscillator();
+    osc.setPeriodicWave(wave);
+    setOscillatorPitch(osc.frequency, midiNote, startTime, options);
+    
+    const weight = context.createWaveShaper();
+    weight.curve = getWavetableCurve(frame);
+    position.connect(weight);
+    
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    weight.connect(gain.gain);
+    
+    const level = context.createGain();
+    level.gain.value = velocity * WAVETABLE_CONFIG.level;
+    osc.connect(gain);
+    gain.connect(level);
+    
+    nodes.push(weight, gain);
+    return { osc, gain: level };
+  });
+  
+  return { sources, position, nodes };
+}
+
+// ==================== VOICE ALLOCATION ====================
+
+const VOICE_CONFIG = {
+  defaultPolyphony: 16,
+  stealFade: 0.015  // Seconds to fade out a stolen voice (and fade in a legato one)
+};
+
+// Live voices per track (previews without a track use 'preview:<instrumentId>')
+// Each record: { midiNote, startTime, endTime, releaseEnd, voice }
+const voicePools = new Map();
+
+/**
+ * Get an instrument's voice settings
+ * @param {Object} instrument - Instrument definition
+ * @returns {Object} { polyphony, mode, glide }
+ */
+function getVoiceSettings(instrument) {
+  return {
+    polyphony: instrument.polyphony || VOICE_CONFIG.defaultPolyphony,
+    mode: instrument.mode || 'poly',
+    glide: instrument.glide || 0
+  };
+}
+
+/**
+ * Make room for a new voice in a pool
+ * Voices sounding at startTime count against the instrument's polyphony. When
+ * it is full, voices already in their release go first (quietest), then the
+ * oldest held ones. Mono and legato instruments cut whatever is sounding; if
+ * the previous note is still held the new one glides from its pitch, and in
+ * legato mode it also skips the attack.
+ * @param {Array<Object>} pool - Voice records for one track
+ * @param {Object} instrument - Instrument definition
+ * @param {number} startTime - Context time the new voice starts
+ * @returns {Object} Options for startVoice { glideFrom, glideTime, legato }
+ */
+function allocateVoice(pool, instrument, startTime) {
+  const settings = getVoiceSettings(instrument);
+  
+  // Forget voices that have finished
+  for (let i = pool.length - 1; i >= 0; i--) {
+    if (pool[i].releaseEnd <= startTime) {
+      pool.splice(i, 1);
+    }
+  }
+  
+  const sounding = pool.filter(record => record.startTime <= startTime);
+  
+  if (settings.mode !== 'poly') {
+    const options = {};
+    const held = sounding.filter(record => record.endTime > startTime)
+      .sort((a, b) => b.startTime - a.startTime)[0];
+    if (held) {
+      options.glideFrom = held.midiNote;
+      options.glideTime = settings.glide;
+      options.legato = settings.mode === 'legato';
+    }
+    sounding.forEach(record => stealVoice(record, startTime));
+    return options;
+  }
+  
+  const excess = sounding.length - settings.polyphony + 1;
+  if (excess > 0) {
+    const releasing = sounding.filter(record => record.endTime <= startTime)
+      .sort((a, b) => a.endTime - b.endTime);
+    const held = sounding.filter(record => record.endTime > startTime)
+      .sort((a, b) => a.startTime - b.startTime);
+    releasing.concat(held).slice(0, excess).forEach(record => stealVoice(record, startTime));
+  }
+  return {};
+}
+
+/**
+ * Add a started voice to a pool
+ * @param {Array<Object>} pool - Voice records for one track
+ * @param {Object} voice - Voice from startVoice
+ * @param {number} midiNote - MIDI note number
+ * @param {number} startTime - Context time the voice starts
+ * @param {number} duration - Duration in seconds (before release)
+ * @returns {Object} The voice record
+ */
+function addVoiceRecord(pool, voice, midiNote, startTime, duration) {
+  const record = { midiNote, startTime, endTime: startTime + duration, releaseEnd: voice.releaseEnd, voice };
+  pool.push(record);
+  return record;
+}
+
+/**
+ * Fade out a voice quickly to make room for another
+ * @param {Object} record - Voice record
+ * @param {number} time - Context time to start the fade
+ */
+function stealVoice(record, time) {
+  const fadeEnd = time + VOICE_CONFIG.stealFade;
+  if (record.releaseEnd <= fadeEnd) return;
+  
+  const gain = record.voice.gain.gain;
+  if (gain.cancelAndHoldAtTime) {
+    gain.cancelAndHoldAtTime(time);
+  } else {
+    gain.cancelScheduledValues(time);
+    gain.setValueAtTime(gain.value, time);
   }
-};
+  gain.linearRampToValueAtTime(0, fadeEnd);
+  
+  record.voice.oscillators.forEach(({ osc }) => {
+    try {
+      osc.stop(fadeEnd + 0.01);
+    } catch (e) {
+      // Already stopped
+    }
+  });
+  record.endTime = Math.min(record.endTime, time);
+  record.releaseEnd = fadeEnd;
+}
 
 /**
- * Convert MIDI note number to frequency in Hz
- * @param {number} midiNote - MIDI note number (0-127)
- * @returns {number} Frequency in Hz
+ * Get the live voice pool for a track, or for previews of an instrument
+ * @param {string} instrumentId - Instrument identifier
+ * @param {string|null} trackId - Track ID, if the note plays on a track
+ * @returns {Array<Object>} Voice records
  */
-function midiToFrequency(midiNote) {
-  // A4 = MIDI 69 = 440 Hz
-  return 440 * Math.pow(2, (midiNote - 69) / 12);
+function getVoicePool(instrumentId, trackId) {
+  const key = trackId || `preview:${instrumentId}`;
+  if (!voicePools.has(key)) {
+    voicePools.set(key, []);
+  }
+  return voicePools.get(key);
 }
 
 /**
- * Convert note name to MIDI note number
- * @param {string} noteName - Note name (e.g., 'C4', 'F#3')
- * @returns {number} MIDI note number
+ * Count the synth voices sounding right now (for the voice meter)
+ * @returns {number} Active voices across all tracks
  */
-function noteNameToMidi(noteName) {
-  const noteMap = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
-  const match = noteName.match(/^([A-G])(#|b)?(\d+)$/);
-  if (!match) return 60; // Default to C4
+function getActiveVoiceCount() {
+  if (!audioContext) return 0;
   
-  let [, note, accidental, octave] = match;
-  let midiNote = noteMap[note] + (parseInt(octave) + 1) * 12;
+  const now = audioContext.currentTime;
+  let count = 0;
+  voicePools.forEach((pool) => {
+    count += pool.filter(record => record.startTime <= now && record.releaseEnd > now).length;
+  });
+  return count;
+}
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Pitch bend and mod wheel
+ * Tracks keep recorded controller data as lanes of { time (16ths), value }
+ * points, e.g. { pitchBend: [...], modWheel: [...] }. Like MIDI, a value holds
+ * until the next point. Pitch bend runs from -1 to 1 and is scaled by the
+ * instrument's bendRange; the mod wheel runs from 0 to 1 and drives vibrato or
+ * the filter cutoff (modTarget).
+ */
+const CONTROLLER_CONFIG = {
+  names: ['pitchBend', 'modWheel'],
+  bendRange: 2,        // Semitones, for instruments that don't set one
+  vibratoRate: 5.5,    // Hz
+  vibratoDepth: 50,    // Cents at full mod wheel
+  cutoffRange: 3600,   // Cents the mod wheel opens the filter (3 octaves)
+  smoothing: 0.005     // Time constant for live moves (seconds)
+};
+
+/**
+ * Check whether there is controller data to apply
+ * @param {Object} controllers - Lanes (arrays of points) or live values (numbers), by name
+ * @returns {boolean} Whether any controller has a value
+ */
+function hasControllerData(controllers) {
+  if (!controllers) return false;
+  return CONTROLLER_CONFIG.names.some((name) => {
+    const lane = controllers[name];
+    return typeof lane === 'number' || (Array.isArray(lane) && lane.length > 0);
+  });
+}
+
+/**
+ * Get a controller's value at a position
+ * @param {Array<Object>} lane - Points sorted by time
+ * @param {number} position - Position in 16th notes
+ * @returns {number} Value of the last point at or before the position (0 before the first)
+ */
+function getControllerValue(lane, position) {
+  let low = 0;
+  let high = lane.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (lane[middle].time <= position) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low > 0 ? lane[low - 1].value : 0;
+}
+
+/**
+ * Schedule a controller lane on a parameter for the life of a voice
+ * @param {AudioParam} param - Parameter to drive
+ * @param {Array<Object>|number} lane - Points, or a fixed (live) value
+ * @param {number} position - Position of the note in 16th notes
+ * @param {number} startTime - Context time the note starts
+ * @param {number} endTime - Context time the voice has finished
+ * @param {Object|number} tempo - Tempo map (or BPM) that places the points in time
+ */
+function scheduleControllerLane(param, lane, position, startTime, endTime, tempo) {
+  if (!Array.isArray(lane)) {
+    param.setValueAtTime(Number(lane) || 0, startTime);
+    return;
+  }
   
-  if (accidental === '#') midiNote += 1;
-  if (accidental === 'b') midiNote -= 1;
+  param.setValueAtTime(getControllerValue(lane, position), startTime);
+  lane.forEach((point) => {
+    if (point.time <= position) return;
+    const time = startTime + window.TempoMap.getDuration(tempo, position, point.time);
+    if (time < endTime) {
+      param.setValueAtTime(point.value, time);
+    }
+  });
+}
+
+/**
+ * Build a voice's pitch bend and mod wheel inputs
+ * Each is a constant source whose offset is the controller value, so lanes
+ * can be scheduled on it and live moves can reach a sounding voice.
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} instrument - Instrument definition
+ * @param {Array<Object>} sources - The voice's sound sources ({ osc } with a detune param)
+ * @param {BiquadFilterNode|null} filterNode - The voice's filter
+ * @param {number} startTime - Context time the note starts
+ * @param {number} endTime - Context time the voice has finished
+ * @param {Object} options - { controllers, position (of the note in 16ths), tempo (map or BPM) }
+ * @returns {Object} { sources (to start with the voice), nodes, params ({ pitchBend, modWheel } offsets) }
+ */
+function createVoiceControls(context, instrument, sources, filterNode, startTime, endTime, options) {
+  const controllers = options.controllers;
+  const position = options.position || 0;
+  const tempo = window.TempoMap.from(options.tempo || options.bpm || 120);
+  const controlSources = [];
+  const nodes = [];
+  const params = {};
+  
+  // Pitch bend: -1..1 scaled to cents on every source's detune
+  const bend = context.createConstantSource();
+  const bendGain = context.createGain();
+  bendGain.gain.value = getBendRange(instrument) * 100;
+  bend.connect(bendGain);
+  sources.forEach(({ osc }) => bendGain.connect(osc.detune));
+  scheduleControllerLane(bend.offset, controllers.pitchBend || 0, position, startTime, endTime, tempo);
+  controlSources.push({ osc: bend, gain: bendGain });
+  nodes.push(bendGain);
+  params.pitchBend = bend.offset;
+  
+  // Mod wheel: vibrato depth, or cutoff (only with a filter)
+  const target = instrument.modTarget || 'vibrato';
+  if (target === 'vibrato' || filterNode) {
+    const mod = context.createConstantSource();
+    const modGain = context.createGain();
+    mod.connect(modGain);
+    if (target === 'vibrato') {
+      const vibrato = context.createOscillator();
+      const vibratoDepth = context.createGain();
+      vibrato.frequency.value = CONTROLLER_CONFIG.vibratoRate;
+      vibratoDepth.gain.value = 0;
+      modGain.gain.value = CONTROLLER_CONFIG.vibratoDepth;
+      modGain.connect(vibratoDepth.gain);
+      vibrato.connect(vibratoDepth);
+      sources.forEach(({ osc }) => vibratoDepth.connect(osc.detune));
+      controlSources.push({ osc: vibrato, gain: vibratoDepth });
+      nodes.push(vibratoDepth);
+    } else {
+      modGain.gain.value = CONTROLLER_CONFIG.cutoffRange;
+      modGain.connect(filterNode.detune);
+    }
+    scheduleControllerLane(mod.offset, controllers.modWheel || 0, position, startTime, endTime, tempo);
+    controlSources.push({ osc: mod, gain: modGain });
+    nodes.push(modGain);
+    params.modWheel = mod.offset;
+  }
   
-  return midiNote;
+  return { sources: controlSources, nodes, params };
 }
 
 /**
- * Convert MIDI note number to note name
- * @param {number} midiNote - MIDI note number
- * @returns {string} Note name (e.g., 'C4')
+ * Move a controller on the voices sounding on a track (live pitch bend and mod wheel)
+ * Notes started afterwards get the value through playNote's `controllers` option.
+ * @param {string} instrumentId - Instrument identifier (for previews without a track)
+ * @param {string} controller - 'pitchBend' or 'modWheel'
+ * @param {number} value - Controller value
+ * @param {Object} options - { trackId }
  */
-function midiToNoteName(midiNote) {
-  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const octave = Math.floor(midiNote / 12) - 1;
-  const noteName = noteNames[midiNote % 12];
-  return `${noteName}${octave}`;
+function setLiveController(instrumentId, controller, value, options = {}) {
+  if (!audioContext) return;
+  
+  const now = audioContext.currentTime;
+  getVoicePool(instrumentId, options.trackId).forEach((record) => {
+    const param = record.voice.controls ? record.voice.controls[controller] : null;
+    if (!param || record.releaseEnd <= now) return;
+    
+    param.cancelScheduledValues(now);
+    param.setTargetAtTime(value, now, CONTROLLER_CONFIG.smoothing);
+  });
 }
 
 // ==================== NOTE PLAYBACK ====================
@@ -443,119 +1982,299 @@ function makeDistortionCurve(amount = 50) {
 }
 
 /**
- * Play a note using the specified instrument
- * @param {string} instrumentId - Instrument identifier (e.g., 'piano', 'bass')
+ * Shared distortion curves by drive amount (computed once each)
+ */
+const distortionCurves = {};
+
+/**
+ * Build and schedule a synth voice
+ * This is the one voice path: playNote (live) and renderToBuffer (offline)
+ * both call it, so an export sounds like playback.
+ * Signal flow: oscillators (or FM operators, wavetable frames, sampler zones or a
+ *   plucked string) -> [filter] -> [distortion] -> voice gain (ADSR)
+ *   -> [tremolo] -> [panner]
+ * The filter envelope, LFOs and controller lanes are scheduled when the note
+ * starts, so every note is modulated the same way live and in a render.
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {Object} instrument - Instrument definition (see getInstrument)
  * @param {number} midiNote - MIDI note number (0-127)
- * @param {number} startTime - AudioContext time to start the note
- * @param {number} duration - Duration in seconds
+ * @param {number} startTime - Context time to start the note
+ * @param {number} duration - Duration in seconds (before release)
  * @param {number} velocity - Velocity/volume (0.0 to 1.0)
- * @returns {object} Object with stop() method to end the note early
+ * @param {Object} options - { bpm (tempo synced LFOs follow), glideFrom, glideTime, legato
+ *   (see allocateVoice), controllers, position, tempo (see createVoiceControls) }
+ * @returns {Object} { output, gain, oscillators, nodes, releaseEnd,
+ *   envelopes (filter and operator envelopes, { param, release }, released with the note),
+ *   controls (controller params, or null without controller data) }
  */
-function playNote(instrumentId, midiNote, startTime, duration, velocity = 0.8) {
-  if (!audioContext) {
-    initAudioEngine();
-  }
-  
-  const instrument = INSTRUMENTS[instrumentId] || INSTRUMENTS.piano;
-  const frequency = midiToFrequency(midiNote);
+function startVoice(context, instrument, midiNote, startTime, duration, velocity, options = {}) {
+  const bpm = options.bpm || 120;
   const envelope = instrument.envelope;
-  
-  // Calculate actual start time (use current time if not specified)
-  const actualStartTime = startTime || audioContext.currentTime;
-  const endTime = actualStartTime + duration;
+  const endTime = startTime + duration;
   
   // Create nodes for this voice
   const oscillators = [];
-  const voiceGain = audioContext.createGain();
+  const envelopes = [];
+  const modulationNodes = [];
+  const voiceGain = context.createGain();
   voiceGain.gain.value = 0;
   
   // Optional filter
   let filterNode = null;
   if (instrument.filter) {
-    filterNode = audioContext.createBiquadFilter();
+    filterNode = context.createBiquadFilter();
     filterNode.type = instrument.filter.type;
     filterNode.frequency.value = instrument.filter.frequency;
     filterNode.Q.value = instrument.filter.Q;
   }
   
-  // Optional distortion (for distorted guitar)
+  // Optional distortion (distorted guitar, or any patch with drive)
   let distortionNode = null;
-  if (instrument.distortion) {
-    distortionNode = audioContext.createWaveShaper();
-    distortionNode.curve = makeDistortionCurve(50);
+  const drive = Math.round(getInstrumentDrive(instrument));
+  if (drive > 0) {
+    if (!distortionCurves[drive]) {
+      distortionCurves[drive] = makeDistortionCurve(drive);
+    }
+    distortionNode = context.createWaveShaper();
+    distortionNode.curve = distortionCurves[drive];
     distortionNode.oversample = '4x';
   }
   
+  // Oscillators feed the first stage of the chain
+  const chainInput = filterNode || distortionNode || voiceGain;
+  
+  // Sampler instruments play their zones' samples in place of oscillators
+  if (instrument.type === 'sampler') {
+    createSampleSources(context, instrument, midiNote, startTime, velocity, options).forEach((source) => {
+      source.output.connect(chainInput);
+      oscillators.push(source);
+    });
+  }
+  
+  // String instruments play their rendered pluck
+  if (instrument.type === 'string') {
+    const source = createStringSource(context, instrument, midiNote, startTime, velocity, options);
+    source.gain.connect(chainInput);
+    oscillators.push(source);
+  }
+  
+  // FM instruments: carriers feed the chain, modulators feed other operators
+  if (instrument.type === 'fm') {
+    const fm = createFmOperators(context, instrument, midiNote, startTime, endTime, velocity, options);
+    fm.carriers.forEach(({ gain }) => gain.connect(chainInput));
+    oscillators.push(...fm.operators);
+    envelopes.push(...fm.envelopes);
+  }
+  
+  // Wavetable instruments: crossfaded frames
+  let wavetable = null;
+  if (instrument.type === 'wavetable') {
+    wavetable = createWavetableSources(context, instrument, midiNote, startTime, velocity, options);
+    wavetable.sources.forEach((source) => {
+      source.gain.connect(chainInput);
+      oscillators.push(source);
+    });
+    modulationNodes.push(...wavetable.nodes);
+  }
+  
   // Create oscillators for each oscillator definition
   instrument.oscillators.forEach((oscDef) => {
-    const osc = audioContext.createOscillator();
+    const osc = context.createOscillator();
     osc.type = oscDef.type;
-    osc.frequency.value = frequency;
     osc.detune.value = oscDef.detune;
+    setOscillatorPitch(osc.frequency, midiNote, startTime, options);
     
-    const oscGain = audioContext.createGain();
+    const oscGain = context.createGain();
     oscGain.gain.value = oscDef.gain * velocity;
     
     osc.connect(oscGain);
-    
-    if (filterNode) {
-      oscGain.connect(filterNode);
-    } else if (distortionNode) {
-      oscGain.connect(distortionNode);
-    } else {
-      oscGain.connect(voiceGain);
-    }
+    oscGain.connect(chainInput);
     
     oscillators.push({ osc, gain: oscGain });
   });
   
   // Connect filter to distortion or voice gain
   if (filterNode) {
-    if (distortionNode) {
-      filterNode.connect(distortionNode);
-      distortionNode.connect(voiceGain);
-    } else {
-      filterNode.connect(voiceGain);
-    }
-  } else if (distortionNode) {
-    distortionNode.connect(voiceGain);
+    filterNode.connect(distortionNode || voiceGain);
   }
-  
-  // Connect voice to dry path and effects sends
-  voiceGain.connect(dryGain);
-  if (reverbNode && effectSettings.reverb.enabled) {
-    voiceGain.connect(reverbNode);
-  }
-  if (delayNode && effectSettings.delay.enabled) {
-    voiceGain.connect(delayNode);
+  if (distortionNode) {
+    distortionNode.connect(voiceGain);
   }
   
-  // Apply ADSR envelope
-  const attackEnd = actualStartTime + envelope.attack;
+  // Apply ADSR envelope (once per voice)
+  const attackEnd = startTime + envelope.attack;
   const decayEnd = attackEnd + envelope.decay;
   const sustainLevel = envelope.sustain * velocity;
   const releaseStart = endTime;
   const releaseEnd = releaseStart + envelope.release;
   
-  // Attack
-  voiceGain.gain.setValueAtTime(0, actualStartTime);
-  voiceGain.gain.linearRampToValueAtTime(velocity, attackEnd);
-  
-  // Decay to sustain
-  voiceGain.gain.linearRampToValueAtTime(sustainLevel, decayEnd);
-  
-  // Sustain (hold until release)
-  voiceGain.gain.setValueAtTime(sustainLevel, releaseStart);
+  if (options.legato) {
+    // Legato: carry on at the sustain level, crossfading with the previous voice
+    const fadeEnd = startTime + VOICE_CONFIG.stealFade;
+    voiceGain.gain.setValueAtTime(0, startTime);
+    voiceGain.gain.linearRampToValueAtTime(sustainLevel, fadeEnd);
+    voiceGain.gain.setValueAtTime(sustainLevel, Math.max(releaseStart, fadeEnd));
+  } else {
+    // Attack
+    voiceGain.gain.setValueAtTime(0, startTime);
+    voiceGain.gain.linearRampToValueAtTime(velocity, attackEnd);
+    
+    // Decay to sustain
+    voiceGain.gain.linearRampToValueAtTime(sustainLevel, decayEnd);
+    
+    // Sustain (hold until release)
+    voiceGain.gain.setValueAtTime(sustainLevel, releaseStart);
+  }
   
   // Release
   voiceGain.gain.linearRampToValueAtTime(0, releaseEnd);
   
-  // Start all oscillators
+  // Filter envelope: sweeps the cutoff in octaves through the filter's detune
+  if (filterNode && instrument.filterEnvelope && instrument.filterEnvelope.amount) {
+    const fenv = instrument.filterEnvelope;
+    const peak = fenv.amount * 1200;
+    const fenvAttackEnd = startTime + fenv.attack;
+    const fenvDecayEnd = fenvAttackEnd + fenv.decay;
+    
+    if (options.legato) {
+      filterNode.detune.setValueAtTime(peak * fenv.sustain, startTime);
+    } else {
+      filterNode.detune.setValueAtTime(0, startTime);
+      filterNode.detune.linearRampToValueAtTime(peak, fenvAttackEnd);
+      filterNode.detune.linearRampToValueAtTime(peak * fenv.sustain, fenvDecayEnd);
+    }
+    filterNode.detune.setValueAtTime(peak * fenv.sustain, Math.max(releaseStart, fenvDecayEnd));
+    filterNode.detune.linearRampToValueAtTime(0, Math.max(releaseStart, fenvDecayEnd) + fenv.release);
+    
+    envelopes.push({ param: filterNode.detune, release: fenv.release });
+  }
+  
+  // LFOs, each feeding its target through a depth gain
+  const lfos = (instrument.lfos || []).filter(lfo => lfo.target !== 'off' && lfo.depth > 0 &&
+    (lfo.target !== 'cutoff' || filterNode) && (lfo.target !== 'position' || wavetable));
+  let output = voiceGain;
+  
+  let tremoloNode = null;
+  const tremoloDepth = lfos.filter(lfo => lfo.target === 'amplitude')
+    .reduce((total, lfo) => total + lfo.depth * LFO_DEPTH_SCALE.amplitude, 0);
+  if (tremoloDepth > 0) {
+    // Gain swings between 1 and 1 - depth
+    tremoloNode = context.createGain();
+    tremoloNode.gain.value = Math.max(0, 1 - tremoloDepth / 2);
+    output.connect(tremoloNode);
+    output = tremoloNode;
+    modulationNodes.push(tremoloNode);
+  }
+  
+  let pannerNode = null;
+  if (lfos.some(lfo => lfo.target === 'pan')) {
+    pannerNode = context.createStereoPanner();
+    pannerNode.pan.value = 0;
+    output.connect(pannerNode);
+    output = pannerNode;
+    modulationNodes.push(pannerNode);
+  }
+  
+  const soundOscillators = oscillators.slice();
+  if (wavetable) {
+    oscillators.push({ osc: wavetable.position, gain: null });
+  }
+  lfos.forEach((lfo) => {
+    const lfoOsc = context.createOscillator();
+    lfoOsc.type = lfo.waveform;
+    lfoOsc.frequency.value = getLfoRate(lfo, bpm);
+    
+    const depthGain = context.createGain();
+    const depth = lfo.depth * LFO_DEPTH_SCALE[lfo.target];
+    depthGain.gain.value = lfo.target === 'amplitude' ? depth / 2 : depth;
+    lfoOsc.connect(depthGain);
+    
+    if (lfo.target === 'pitch') {
+      soundOscillators.forEach(({ osc }) => depthGain.connect(osc.detune));
+    } else if (lfo.target === 'cutoff') {
+      depthGain.connect(filterNode.detune);
+    } else if (lfo.target === 'amplitude') {
+      depthGain.connect(tremoloNode.gain);
+    } else if (lfo.target === 'pan') {
+      depthGain.connect(pannerNode.pan);
+    } else if (lfo.target === 'position') {
+      depthGain.connect(wavetable.position.offset);
+    }
+    
+    oscillators.push({ osc: lfoOsc, gain: depthGain });
+    modulationNodes.push(depthGain);
+  });
+  
+  // Pitch bend and mod wheel, from the track's lanes or the live controllers
+  let controls = null;
+  if (hasControllerData(options.controllers)) {
+    controls = createVoiceControls(context, instrument, soundOscillators, filterNode, startTime, releaseEnd, options);
+    oscillators.push(...controls.sources);
+    modulationNodes.push(...controls.nodes);
+  }
+  
+  // Start all oscillators (LFOs too, so they restart with every note)
   oscillators.forEach(({ osc }) => {
-    osc.start(actualStartTime);
+    osc.start(startTime);
     osc.stop(releaseEnd + 0.1);
   });
   
+  return {
+    output,
+    gain: voiceGain,
+    oscillators,
+    nodes: [voiceGain, filterNode, distortionNode].concat(modulationNodes).filter(Boolean),
+    releaseEnd,
+    envelopes,
+    controls: controls ? controls.params : null
+  };
+}
+
+/**
+ * Play a note using the specified instrument
+ * @param {string} instrumentId - Instrument identifier (e.g., 'piano', 'bass')
+ * @param {number} midiNote - MIDI note number (0-127)
+ * @param {number} startTime - AudioContext time to start the note
+ * @param {number} duration - Duration in seconds
+ * @param {number} velocity - Velocity/volume (0.0 to 1.0)
+ * @param {Object} options - { trackId } to route the voice through a track channel,
+ *   { controllers, position } for pitch bend and mod wheel (see createVoiceControls);
+ *   position (16ths) also sets the tempo of tempo-synced LFOs. Live notes pass the playhead.
+ * @returns {object} Object with stop() to cut the note off and release() to end it with its envelope
+ */
+function playNote(instrumentId, midiNote, startTime, duration, velocity = 0.8, options = {}) {
+  if (!audioContext) {
+    initAudioEngine();
+  }
+  
+  const instrument = getInstrument(instrumentId);
+  
+  // Calculate actual start time (use current time if not specified)
+  const actualStartTime = startTime || audioContext.currentTime;
+  
+  const pool = getVoicePool(instrumentId, options.trackId);
+  const voiceOptions = allocateVoice(pool, instrument, actualStartTime);
+  const voice = startVoice(audioContext, instrument, midiNote, actualStartTime, duration, velocity,
+    { ...voiceOptions, bpm: getLiveBPM(options.position), tempo: getLiveTempo(),
+      controllers: options.controllers, position: options.position });
+  const record = addVoiceRecord(pool, voice, midiNote, actualStartTime, duration);
+  const voiceOutput = voice.output;
+  const voiceGain = voice.gain;
+  const oscillators = voice.oscillators;
+  
+  // Connect voice to its track channel, or to dry path and effects sends
+  if (options.trackId) {
+    voiceOutput.connect(getTrackChannel(options.trackId).input);
+  } else {
+    voiceOutput.connect(dryGain);
+    if (reverbNode && effectSettings.reverb.enabled) {
+      voiceOutput.connect(reverbNode);
+    }
+    if (delayNode && effectSettings.delay.enabled) {
+      voiceOutput.connect(delayNode);
+    }
+  }
+  
   // Cleanup after note ends
   const cleanup = () => {
     oscillators.forEach(({ osc }) => {
@@ -565,17 +2284,17 @@ function playNote(instrumentId, midiNote, startTime, duration, velocity = 0.8) {
         // Already disconnected
       }
     });
-    try {
-      voiceGain.disconnect();
-      if (filterNode) filterNode.disconnect();
-      if (distortionNode) distortionNode.disconnect();
-    } catch (e) {
-      // Already disconnected
-    }
+    voice.nodes.forEach((node) => {
+      try {
+        node.disconnect();
+      } catch (e) {
+        // Already disconnected
+      }
+    });
   };
   
   // Schedule cleanup
-  setTimeout(cleanup, (releaseEnd - audioContext.currentTime + 0.2) * 1000);
+  setTimeout(cleanup, (voice.releaseEnd - audioContext.currentTime + 0.2) * 1000);
   
   // Return control object
   return {
@@ -584,6 +2303,8 @@ function playNote(instrumentId, midiNote, startTime, duration, velocity = 0.8) {
       voiceGain.gain.cancelScheduledValues(stopTime);
       voiceGain.gain.setValueAtTime(voiceGain.gain.value, stopTime);
       voiceGain.gain.linearRampToValueAtTime(0, stopTime + 0.05);
+      record.endTime = Math.min(record.endTime, stopTime);
+      record.releaseEnd = Math.min(record.releaseEnd, stopTime + 0.05);
       oscillators.forEach(({ osc }) => {
         try {
           osc.stop(stopTime + 0.1);
@@ -591,23 +2312,65 @@ function playNote(instrumentId, midiNote, startTime, duration, velocity = 0.8) {
           // Already stopped
         }
       });
+    },
+    release: (time) => {
+      const releaseTime = time || audioContext.currentTime;
+      const releaseEnd = releaseTime + instrument.envelope.release;
+      if (record.releaseEnd <= releaseTime) {
+        // Already stolen by a newer voice
+        setTimeout(cleanup, 200);
+        return;
+      }
+      record.endTime = Math.min(record.endTime, releaseTime);
+      record.releaseEnd = releaseEnd;
+      voiceGain.gain.cancelScheduledValues(releaseTime);
+      voiceGain.gain.setValueAtTime(voiceGain.gain.value, releaseTime);
+      voiceGain.gain.linearRampToValueAtTime(0, releaseEnd);
+      voice.envelopes.forEach(({ param, release }) => {
+        param.cancelScheduledValues(releaseTime);
+        param.setValueAtTime(param.value, releaseTime);
+        param.linearRampToValueAtTime(0, releaseTime + release);
+      });
+      oscillators.forEach(({ osc }) => {
+        try {
+          osc.stop(releaseEnd + 0.1);
+        } catch (e) {
+          // Already stopped
+        }
+      });
+      setTimeout(cleanup, (releaseEnd - audioContext.currentTime + 0.2) * 1000);
     }
   };
 }
 
+/**
+ * Start a note that sounds until it is released (live playing)
+ * The note is held for at most a minute; call release() on the result to end it.
+ * @param {string} instrumentId - Instrument identifier
+ * @param {number} midiNote - MIDI note number
+ * @param {number} velocity - Velocity/volume (0.0 to 1.0)
+ * @param {Object} options - Passed through to playNote (e.g. { trackId })
+ * @returns {object} Note control object (see playNote)
+ */
+function playLiveNote(instrumentId, midiNote, velocity = 0.6, options = {}) {
+  return playNote(instrumentId, midiNote, null, 60, velocity, options);
+}
+
 /**
  * Play a preview note (short duration, for UI feedback)
  * @param {string} instrumentId - Instrument identifier
  * @param {number} midiNote - MIDI note number
+ * @param {Object} options - Passed through to playNote (e.g. { trackId })
  */
-function playPreviewNote(instrumentId, midiNote) {
-  playNote(instrumentId, midiNote, null, 0.2, 0.6);
+function playPreviewNote(instrumentId, midiNote, options = {}) {
+  playNote(instrumentId, midiNote, null, 0.2, 0.6, options);
 }
 
 /**
  * Play metronome click
  * @param {number} startTime - AudioContext time to play the click
  * @param {boolean} isDownbeat - Whether this is the first beat of a bar
+ * @returns {Object|undefined} Sound control (see createOneShotControl)
  */
 function playMetronomeClick(startTime, isDownbeat = false) {
   if (!audioContext) return;
@@ -627,6 +2390,33 @@ function playMetronomeClick(startTime, isDownbeat = false) {
   
   osc.start(startTime);
   osc.stop(startTime + duration + 0.1);
+  
+  return createOneShotControl(osc, gain, startTime + duration + 0.1);
+}
+
+/**
+ * Create the control object for a scheduled one-shot sound (drum hit or metronome click)
+ * @param {AudioScheduledSourceNode} source - Sound source
+ * @param {GainNode} gain - Gain the source plays through
+ * @param {number} endTime - Context time the sound is over
+ * @returns {Object} { endTime, stop(time) } - stop() fades the sound out, or keeps
+ *   it from starting when it has not started yet
+ */
+function createOneShotControl(source, gain, endTime) {
+  return {
+    endTime,
+    stop: (time) => {
+      const stopTime = time || audioContext.currentTime;
+      gain.gain.cancelScheduledValues(stopTime);
+      gain.gain.setValueAtTime(gain.gain.value, stopTime);
+      gain.gain.linearRampToValueAtTime(0, stopTime + 0.05);
+      try {
+        source.stop(stopTime + 0.05);
+      } catch (e) {
+        // Already stopped
+      }
+    }
+  };
 }
 
 /**
@@ -674,140 +2464,136 @@ function getAudioContext() {
   return audioContext;
 }
 
+// ==================== SWING ====================
+
+/**
+ * Move a position to where it sounds with swing
+ * Swing works on pairs of 16ths (one 8th): at 50% they are even, at 66% the
+ * second 16th lands on the last 8th-note triplet and at 75% on a dotted 8th.
+ * Positions in between are stretched or squeezed with their 16th, so notes
+ * that start between 16ths and note ends move along with the groove. The live
+ * scheduler and renderToBuffer both time notes and drum hits through here.
+ * @param {number} position - Position in 16th notes
+ * @param {number} swing - Swing amount in percent (50 = straight)
+ * @returns {number} Swung position in 16th notes
+ */
+function applySwing(position, swing) {
+  if (!swing || swing <= 50) return position;
+  
+  const amount = Math.min(swing, 75) / 50 - 1;
+  const pairStart = Math.floor(position / 2) * 2;
+  const offset = position - pairStart;
+  
+  if (offset <= 1) {
+    return pairStart + offset * (1 + amount);
+  }
+  return pairStart + 1 + amount + (offset - 1) * (1 - amount);
+}
+
+/**
+ * Get the swing a drum lane plays with
+ * @param {Object} laneState - { swing } from the drum machine (null = follow the song)
+ * @param {number} swing - Song swing in percent
+ * @returns {number} Swing in percent
+ */
+function getLaneSwing(laneState, swing) {
+  return laneState && typeof laneState.swing === 'number' ? laneState.swing : swing;
+}
+
 // ==================== OFFLINE RENDERING FOR EXPORT ====================
 
 /**
- * Render notes to an AudioBuffer for export
- * @param {Array} notes - Array of note objects with pitch, start, duration
- * @param {string} instrumentId - Instrument to use
- * @param {number} bpm - Beats per minute
+ * Render tracks to an AudioBuffer for export
+ * Uses the same buses, track channels and voices as live playback.
+ * @param {Array} tracks - Track objects with instrument, notes, volume, pan, muted, solo
+ *                        and controllers
+ * @param {number|Object} tempo - Beats per minute, or a tempo map (see TempoMap)
  * @param {number} duration - Total duration in seconds
+ * @param {Object} drums - Optional { pattern, laneStates } from the drum machine
+ * @param {Object} range - Optional { start, end } in 16th notes; only this part is
+ *                         rendered (starting at time 0) and notes are cut at its end
+ * @param {number} swing - Song swing in percent (50 = straight), timed like the scheduler
  * @returns {Promise<AudioBuffer>} Rendered audio buffer
  */
-async function renderToBuffer(notes, instrumentId, bpm, duration) {
-  const sampleRate = 44100;
-  const offlineContext = new OfflineAudioContext(2, sampleRate * duration, sampleRate);
-  
-  // Create master gain for offline context
-  const offlineMaster = offlineContext.createGain();
-  offlineMaster.gain.value = 0.8;
-  offlineMaster.connect(offlineContext.destination);
-  
-  // Create reverb for offline context if enabled
-  let offlineReverb = null;
-  let offlineReverbGain = null;
-  if (effectSettings.reverb.enabled) {
-    offlineReverb = offlineContext.createConvolver();
-    offlineReverbGain = offlineContext.createGain();
-    offlineReverbGain.gain.value = effectSettings.reverb.mix;
-    
-    // Generate impulse response for offline context
-    const impulse = offlineContext.createBuffer(2, sampleRate * 2, sampleRate);
-    for (let channel = 0; channel < 2; channel++) {
-      const channelData = impulse.getChannelData(channel);
-      for (let i = 0; i < channelData.length; i++) {
-        channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / channelData.length, 2.5);
-      }
-    }
-    offlineReverb.buffer = impulse;
-    offlineReverb.connect(offlineReverbGain);
-    offlineReverbGain.connect(offlineMaster);
-  }
-  
-  // Create delay for offline context if enabled
-  let offlineDelay = null;
-  let offlineDelayGain = null;
-  if (effectSettings.delay.enabled) {
-    offlineDelay = offlineContext.createDelay(2.0);
-    offlineDelay.delayTime.value = effectSettings.delay.time;
-    
-    const feedbackGain = offlineContext.createGain();
-    feedbackGain.gain.value = effectSettings.delay.feedback;
-    
-    offlineDelayGain = offlineContext.createGain();
-    offlineDelayGain.gain.value = effectSettings.delay.mix;
-    
-    offlineDelay.connect(feedbackGain);
-    feedbackGain.connect(offlineDelay);
-    offlineDelay.connect(offlineDelayGain);
-    offlineDelayGain.connect(offlineMaster);
-  }
-  
-  const instrument = INSTRUMENTS[instrumentId] || INSTRUMENTS.piano;
-  
-  // Calculate time per 16th note
-  const secondsPerBeat = 60 / bpm;
-  const secondsPer16th = secondsPerBeat / 4;
-  
-  // Render each note
-  notes.forEach((note) => {
-    const startTime = note.start * secondsPer16th;
-    const noteDuration = note.duration * secondsPer16th;
-    const frequency = midiToFrequency(note.pitch);
-    const envelope = instrument.envelope;
-    const velocity = note.velocity || 0.8;
-    
-    // Create voice
-    const voiceGain = offlineContext.createGain();
-    voiceGain.gain.value = 0;
-    voiceGain.connect(offlineMaster);
-    
-    if (offlineReverb) voiceGain.connect(offlineReverb);
-    if (offlineDelay) voiceGain.connect(offlineDelay);
-    
-    // Optional filter
-    let filterNode = null;
-    if (instrument.filter) {
-      filterNode = offlineContext.createBiquadFilter();
-      filterNode.type = instrument.filter.type;
-      filterNode.frequency.value = instrument.filter.frequency;
-      filterNode.Q.value = instrument.filter.Q;
-    }
+async function renderToBuffer(tracks, tempo, duration, drums = null, range = null, swing = 50) {
+  const buses = createOfflineBuses(duration);
+  const offlineContext = buses.context;
+  
+  // Song positions are timed through the tempo map, from the start of the range
+  const tempoMap = window.TempoMap.from(tempo);
+  const rangeStart = range ? range.start : 0;
+  
+  // Honor mute/solo the same way the scheduler does
+  const hasSolo = tracks.some(t => t.solo);
+  const audibleTracks = tracks.filter(t => !t.muted && (!hasSolo || t.solo));
+  
+  audibleTracks.forEach((track) => {
+    const instrument = getInstrument(track.instrument);
+    const channel = createTrackChannel(offlineContext, buses,
+      typeof track.volume === 'number' ? track.volume : 0.8, track.pan || 0);
     
-    // Create oscillators
-    instrument.oscillators.forEach((oscDef) => {
-      const osc = offlineContext.createOscillator();
-      osc.type = oscDef.type;
-      osc.frequency.value = frequency;
-      osc.detune.value = oscDef.detune;
-      
-      const oscGain = offlineContext.createGain();
-      oscGain.gain.value = oscDef.gain * velocity;
-      
-      osc.connect(oscGain);
-      
-      if (filterNode) {
-        oscGain.connect(filterNode);
-      } else {
-        oscGain.connect(voiceGain);
+    // Render each note in time order, allocating voices as the scheduler would
+    const pool = [];
+    track.notes.slice().sort((a, b) => a.start - b.start).forEach((note) => {
+      let length = note.duration;
+      if (range) {
+        if (note.start < range.start || note.start >= range.end) return;
+        length = Math.min(length, range.end - note.start);
       }
       
-      // Apply ADSR
-      const attackEnd = startTime + envelope.attack;
-      const decayEnd = attackEnd + envelope.decay;
-      const sustainLevel = envelope.sustain * velocity;
-      const releaseStart = startTime + noteDuration;
-      const releaseEnd = releaseStart + envelope.release;
-      
-      voiceGain.gain.setValueAtTime(0, startTime);
-      voiceGain.gain.linearRampToValueAtTime(velocity, attackEnd);
-      voiceGain.gain.linearRampToValueAtTime(sustainLevel, decayEnd);
-      voiceGain.gain.setValueAtTime(sustainLevel, releaseStart);
-      voiceGain.gain.linearRampToValueAtTime(0, releaseEnd);
-      
-      osc.start(startTime);
-      osc.stop(releaseEnd + 0.1);
+      const velocity = typeof note.velocity === 'number' ? note.velocity : 0.8;
+      const swungStart = applySwing(note.start, swing);
+      const startTime = window.TempoMap.getDuration(tempoMap, rangeStart, swungStart);
+      const noteDuration = window.TempoMap.getDuration(tempoMap, swungStart, applySwing(note.start + length, swing));
+      const voiceOptions = allocateVoice(pool, instrument, startTime);
+      const voice = startVoice(offlineContext, instrument, note.pitch, startTime, noteDuration, velocity, {
+        ...voiceOptions,
+        bpm: window.TempoMap.getTempoAt(tempoMap, note.start),
+        tempo: tempoMap,
+        controllers: track.controllers,
+        position: note.start
+      });
+      addVoiceRecord(pool, voice, note.pitch, startTime, noteDuration);
+      voice.output.connect(channel.input);
     });
-    
-    if (filterNode) {
-      filterNode.connect(voiceGain);
-    }
   });
   
+  // Render drum pattern
+  if (drums && drums.pattern) {
+    renderDrumPattern(offlineContext, drums, tempoMap, buses.master,
+      effectSettings.reverb.enabled ? buses.reverb : null, range, swing);
+  }
+  
   // Render
   return await offlineContext.startRendering();
 }
 
+/**
+ * Create an offline context with the same bus layout as the live engine
+ * master <- dry, reverb return, delay return
+ * @param {number} duration - Total duration in seconds
+ * @returns {Object} { context, master, dry, reverb, delay }
+ */
+function createOfflineBuses(duration) {
+  // Render at the live sample rate so the live reverb impulse can be reused
+  const sampleRate = getSampleRate();
+  const context = new OfflineAudioContext(2, Math.ceil(sampleRate * duration), sampleRate);
+  
+  // Export level (independent of the master volume slider, which is for monitoring)
+  const master = context.createGain();
+  master.gain.value = 0.8;
+  master.connect(context.destination);
+  
+  const dry = context.createGain();
+  dry.gain.value = 1.0;
+  dry.connect(master);
+  
+  const reverbBus = createReverbBus(context, reverbBuffer, master);
+  const delayBus = createDelayBus(context, master);
+  
+  return { context, master, dry, reverb: reverbBus.input, delay: delayBus.input };
+}
+
 // ==================== DRUM PLAYBACK ====================
 
 /**
@@ -820,6 +2606,7 @@ const DRUM_TYPES = ['kick', 'snare', 'hihat', 'clap'];
  * @param {string} drumType - Type of drum: 'kick', 'snare', 'hihat', 'clap'
  * @param {number} startTime - AudioContext time to start the sound
  * @param {number} velocity - Volume (0.0 to 1.0)
+ * @returns {Object|undefined} Sound control (see createOneShotControl)
  */
 function playDrum(drumType, startTime, velocity = 0.8) {
   if (!audioContext) {
@@ -852,6 +2639,72 @@ function playDrum(drumType, startTime, velocity = 0.8) {
   }
   
   source.start(actualStartTime);
+  
+  return createOneShotControl(source, gain, actualStartTime + buffer.duration);
+}
+
+/**
+ * Get the audible drum hits of a pattern, step by step
+ * Applies the same mute/solo rules as DrumMachine.getHitsAtStep
+ * @param {Object} pattern - { laneId: [steps] }
+ * @param {Object} laneStates - { laneId: { muted, solo, volume, swing } }
+ * @returns {Array} Hits as { laneId, step, volume, swing } (swing null = follow the song)
+ */
+function getAudibleDrumHits(pattern, laneStates = {}) {
+  const hasSolo = Object.values(laneStates).some(state => state.solo);
+  const hits = [];
+  
+  Object.keys(pattern).forEach((laneId) => {
+    const state = laneStates[laneId] || { muted: false, solo: false, volume: 0.8 };
+    const isMuted = state.muted || (hasSolo && !state.solo);
+    if (isMuted) return;
+    
+    pattern[laneId].forEach((step) => {
+      hits.push({ laneId, step, volume: state.volume, swing: getLaneSwing(state, null) });
+    });
+  });
+  
+  return hits;
+}
+
+/**
+ * Schedule a drum pattern into an offline context
+ * Mirrors playDrum: source -> velocity gain -> drum bus (+ reverb send), playing
+ * the live drum samples so the noise in snare, hi-hat and clap matches playback
+ * @param {OfflineAudioContext} context - Offline context
+ * @param {Object} drums - { pattern, laneStates }
+ * @param {Object} tempoMap - Tempo map that times the steps
+ * @param {AudioNode} destination - Master node
+ * @param {AudioNode} reverb - Offline reverb node, if enabled
+ * @param {Object} range - Optional { start, end } in steps; hits outside are skipped
+ * @param {number} swing - Song swing in percent; lanes with their own swing use that
+ */
+function renderDrumPattern(context, drums, tempoMap, destination, reverb, range = null, swing = 50) {
+  // Drum bus at the same level as the live drumGain
+  const offlineDrumGain = context.createGain();
+  offlineDrumGain.gain.value = drumGain ? drumGain.gain.value : 0.8;
+  offlineDrumGain.connect(destination);
+  
+  getAudibleDrumHits(drums.pattern, drums.laneStates).forEach((hit) => {
+    const buffer = drumBuffers[hit.laneId];
+    if (!buffer) return;
+    if (range && (hit.step < range.start || hit.step >= range.end)) return;
+    
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    
+    const gain = context.createGain();
+    gain.gain.value = hit.volume;
+    
+    source.connect(gain);
+    gain.connect(offlineDrumGain);
+    if (reverb) {
+      gain.connect(reverb);
+    }
+    
+    const step = applySwing(hit.step, getLaneSwing(hit, swing));
+    source.start(window.TempoMap.getDuration(tempoMap, range ? range.start : 0, step));
+  });
 }
 
 /**
@@ -943,19 +2796,17 @@ function writeString(view, offset, string) {
 
 /**
  * Render and export as WAV
- * @param {Array} notes - Array of note objects
- * @param {Array} drumPattern - Array of drum hits
- * @param {string} instrumentId - Instrument to use
- * @param {number} bpm - Beats per minute
+ * @param {Array} tracks - Array of track objects
+ * @param {Object} drums - Drum machine { pattern, laneStates }
+ * @param {number|Object} tempo - Beats per minute, or a tempo map
  * @param {number} duration - Total duration in seconds
+ * @param {number} swing - Song swing in percent (50 = straight)
+ * @param {Object} range - Optional { start, end } in 16th notes (see renderToBuffer)
  * @returns {Promise<Blob>} WAV file blob
  */
-async function exportToWav(notes, drumPattern, instrumentId, bpm, duration) {
-  // Render notes to buffer
-  const buffer = await renderToBuffer(notes, instrumentId, bpm, duration);
-  
-  // TODO: Mix in drum pattern if provided
-  // For now, just export the notes
+async function exportToWav(tracks, drums, tempo, duration, swing = 50, range = null) {
+  // Render tracks and drums to buffer
+  const buffer = await renderToBuffer(tracks, tempo, duration, drums, range, swing);
   
   return audioBufferToWav(buffer);
 }
@@ -965,23 +2816,49 @@ window.AudioEngine = {
   init: initAudioEngine,
   playNote,
   playPreviewNote,
+  playLiveNote,
+  getActiveVoiceCount,
+  setLiveController,
   playMetronomeClick,
   playDrum,
   playDrumPreview,
+  getAudibleDrumHits,
   setDrumVolume,
   updateEffectSettings,
   setMasterVolume,
+  setTrackMix,
+  removeTrackChannel,
   getCurrentTime,
   getSampleRate,
   resumeAudioContext,
   getAudioContext,
   renderToBuffer,
+  prepareStringNotes,
+  applySwing,
   audioBufferToWav,
   exportToWav,
   midiToFrequency,
   midiToNoteName,
   noteNameToMidi,
   INSTRUMENTS,
+  PATCH_LIMITS,
+  LFO_SYNC_DIVISIONS,
+  FM_ALGORITHMS,
+  WAVETABLE_CONFIG,
+  CONTROLLER_CONFIG,
+  decodeSample,
+  setSampleData,
+  hasSample,
+  getSampleDuration,
+  getInstrument,
+  isUserPatch,
+  getUserPatch,
+  getPatchBase,
+  getUserPatches,
+  setUserPatch,
+  setUserPatches,
+  removeUserPatch,
+  createPatchFrom,
   DRUM_TYPES,
   getEffectSettings: () => ({ ...effectSettings })
 };
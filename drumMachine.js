@@ -3,9 +3,10 @@
  * 
  * This module handles:
  * - 4-lane drum grid (Kick, Snare, Hi-Hat, Clap)
- * - 16 steps per bar, 8 bars total (128 steps)
+ * - One step per 16th note; bar count and time signature follow the song
  * - Mute/Solo controls per lane
  * - Volume controls per lane
+ * - Optional per-lane swing that overrides the song swing
  * - Pattern data management
  * - Visual rendering and interaction
  */
@@ -21,10 +22,14 @@ const DRUM_CONFIG = {
     { id: 'clap', name: 'Clap', color: '#9b59b6' }
   ],
   
-  // Grid settings
+  // Grid settings (kept in sync with the song via setLength)
   stepsPerBar: 16,
+  stepsPerBeat: 4,
   totalBars: 8,
   
+  // Swing amounts a lane can override the song swing with (percent)
+  swingOptions: [50, 54, 58, 62, 66, 70, 75],
+  
   // Visual settings
   stepWidth: 24,
   laneHeight: 40,
@@ -41,12 +46,12 @@ let pattern = {
   clap: new Set()
 };
 
-// Lane states
+// Lane states (swing null = follow the song swing)
 let laneStates = {
-  kick: { muted: false, solo: false, volume: 0.8 },
-  snare: { muted: false, solo: false, volume: 0.8 },
-  hihat: { muted: false, solo: false, volume: 0.8 },
-  clap: { muted: false, solo: false, volume: 0.8 }
+  kick: { muted: false, solo: false, volume: 0.8, swing: null },
+  snare: { muted: false, solo: false, volume: 0.8, swing: null },
+  hihat: { muted: false, solo: false, volume: 0.8, swing: null },
+  clap: { muted: false, solo: false, volume: 0.8, swing: null }
 };
 
 // UI elements
@@ -106,7 +111,7 @@ function buildUI() {
   
   canvas = document.createElement('canvas');
   canvas.className = 'drum-grid-canvas';
-  canvas.width = DRUM_CONFIG.stepsPerBar * DRUM_CONFIG.totalBars * DRUM_CONFIG.stepWidth;
+  canvas.width = getTotalSteps() * DRUM_CONFIG.stepWidth;
   canvas.height = DRUM_CONFIG.lanes.length * DRUM_CONFIG.laneHeight;
   
   ctx = canvas.getContext('2d');
@@ -136,7 +141,13 @@ function createLaneElement(lane) {
   
   laneEl.innerHTML = `
     <div class="drum-lane-header" style="border-left: 4px solid ${lane.color}">
-      <span class="drum-lane-name">${lane.name}</span>
+      <div class="drum-lane-title">
+        <span class="drum-lane-name">${lane.name}</span>
+        <select class="drum-lane-swing" data-lane="${lane.id}" title="Lane swing (Song = follow the song swing)">
+          <option value="">Song</option>
+          ${DRUM_CONFIG.swingOptions.map(swing => `<option value="${swing}">${swing}%</option>`).join('')}
+        </select>
+      </div>
       <div class="drum-lane-controls">
         <button class="drum-lane-btn mute-btn" data-lane="${lane.id}" title="Mute">M</button>
         <button class="drum-lane-btn solo-btn" data-lane="${lane.id}" title="Solo">S</button>
@@ -152,6 +163,7 @@ function createLaneElement(lane) {
     const muteBtn = laneEl.querySelector('.mute-btn');
     const soloBtn = laneEl.querySelector('.solo-btn');
     const volumeSlider = laneEl.querySelector('.drum-lane-volume');
+    const swingSelect = laneEl.querySelector('.drum-lane-swing');
     
     if (muteBtn) {
       muteBtn.addEventListener('click', () => toggleMute(lane.id));
@@ -164,6 +176,16 @@ function createLaneElement(lane) {
         setLaneVolume(lane.id, parseFloat(e.target.value));
       });
     }
+    if (swingSelect) {
+      swingSelect.addEventListener('change', (e) => {
+        const previous = laneStates[lane.id].swing;
+        const swing = e.target.value === '' ? null : parseInt(e.target.value, 10);
+        setLaneSwing(lane.id, swing);
+        recordDrumEdit('Change Lane Swing',
+          () => setLaneSwing(lane.id, previous),
+          () => setLaneSwing(lane.id, swing));
+      });
+    }
   }, 0);
   
   return laneEl;
@@ -179,7 +201,7 @@ function render() {
   
   const width = canvas.width;
   const height = canvas.height;
-  const totalSteps = DRUM_CONFIG.stepsPerBar * DRUM_CONFIG.totalBars;
+  const totalSteps = getTotalSteps();
   
   // Clear canvas
   ctx.fillStyle = '#12121a';
@@ -189,11 +211,11 @@ function render() {
   for (let i = 0; i <= totalSteps; i++) {
     const x = i * DRUM_CONFIG.stepWidth;
     
-    if (i % 16 === 0) {
+    if (i % DRUM_CONFIG.stepsPerBar === 0) {
       // Bar line
       ctx.strokeStyle = '#4a4a58';
       ctx.lineWidth = 2;
-    } else if (i % 4 === 0) {
+    } else if (i % DRUM_CONFIG.stepsPerBeat === 0) {
       // Beat line
       ctx.strokeStyle = '#3a3a48';
       ctx.lineWidth = 1;
@@ -316,16 +338,21 @@ function getGridPosition(event) {
  * @param {number} step - Step index
  */
 function toggleHit(laneId, step) {
-  const totalSteps = DRUM_CONFIG.stepsPerBar * DRUM_CONFIG.totalBars;
+  const totalSteps = getTotalSteps();
   if (step < 0 || step >= totalSteps) return;
   
-  if (pattern[laneId].has(step)) {
+  const wasOn = pattern[laneId].has(step);
+  if (wasOn) {
     pattern[laneId].delete(step);
   } else {
     pattern[laneId].add(step);
   }
   
   render();
+  
+  recordDrumEdit(wasOn ? 'Remove Drum Hit' : 'Add Drum Hit',
+    () => toggleHit(laneId, step),
+    () => toggleHit(laneId, step));
 }
 
 /**
@@ -334,11 +361,17 @@ function toggleHit(laneId, step) {
  * @param {number} step - Step index
  */
 function addHit(laneId, step) {
-  const totalSteps = DRUM_CONFIG.stepsPerBar * DRUM_CONFIG.totalBars;
+  const totalSteps = getTotalSteps();
   if (step < 0 || step >= totalSteps) return;
   
+  if (pattern[laneId].has(step)) return;
+  
   pattern[laneId].add(step);
   render();
+  
+  recordDrumEdit('Add Drum Hit',
+    () => removeHit(laneId, step),
+    () => addHit(laneId, step));
 }
 
 /**
@@ -347,8 +380,14 @@ function addHit(laneId, step) {
  * @param {number} step - Step index
  */
 function removeHit(laneId, step) {
+  if (!pattern[laneId].has(step)) return;
+  
   pattern[laneId].delete(step);
   render();
+  
+  recordDrumEdit('Remove Drum Hit',
+    () => addHit(laneId, step),
+    () => removeHit(laneId, step));
 }
 
 /**
@@ -356,18 +395,49 @@ function removeHit(laneId, step) {
  * @param {string} laneId - Lane ID
  */
 function clearLane(laneId) {
+  const steps = Array.from(pattern[laneId]);
+  
   pattern[laneId].clear();
   render();
+  
+  if (steps.length > 0) {
+    recordDrumEdit('Clear Drum Lane',
+      () => {
+        steps.forEach(step => pattern[laneId].add(step));
+        render();
+      },
+      () => clearLane(laneId));
+  }
 }
 
 /**
  * Clear the entire pattern
  */
 function clearPattern() {
+  const previous = getPattern();
+  
   Object.keys(pattern).forEach(laneId => {
     pattern[laneId].clear();
   });
   render();
+  
+  if (Object.keys(previous).some(laneId => previous[laneId].length > 0)) {
+    recordDrumEdit('Clear Drum Pattern',
+      () => setPattern(previous),
+      () => clearPattern());
+  }
+}
+
+/**
+ * Record an undoable drum edit in the shared history
+ * @param {string} label - Human readable name
+ * @param {Function} undo - Reverts the edit
+ * @param {Function} redo - Applies the edit again
+ */
+function recordDrumEdit(label, undo, redo) {
+  if (window.EditHistory) {
+    window.EditHistory.record(label, undo, redo);
+  }
 }
 
 /**
@@ -383,7 +453,7 @@ function getHitsAtStep(step) {
       const state = laneStates[laneId];
       const isMuted = state.muted || (hasSoloedLane() && !state.solo);
       if (!isMuted) {
-        hits.push({ laneId, volume: state.volume });
+        hits.push({ laneId, volume: state.volume, swing: state.swing });
       }
     }
   });
@@ -447,6 +517,16 @@ function setLaneVolume(laneId, volume) {
   laneStates[laneId].volume = Math.max(0, Math.min(1, volume));
 }
 
+/**
+ * Set the swing a lane plays with
+ * @param {string} laneId - Lane ID
+ * @param {number|null} swing - Swing in percent (50-75), or null to follow the song
+ */
+function setLaneSwing(laneId, swing) {
+  laneStates[laneId].swing = typeof swing === 'number' ? Math.max(50, Math.min(75, swing)) : null;
+  updateLaneUI(laneId);
+}
+
 /**
  * Check if any lane is soloed
  * @returns {boolean} Whether any lane is soloed
@@ -469,6 +549,12 @@ function updateLaneUI(laneId) {
   if (soloBtn) {
     soloBtn.classList.toggle('active', laneStates[laneId].solo);
   }
+  
+  const swingSelect = document.querySelector(`.drum-lane-swing[data-lane="${laneId}"]`);
+  if (swingSelect) {
+    const swing = laneStates[laneId].swing;
+    swingSelect.value = typeof swing === 'number' ? String(swing) : '';
+  }
 }
 
 /**
@@ -487,7 +573,8 @@ function setLaneStates(states) {
   if (!states) return;
   Object.keys(laneStates).forEach(laneId => {
     if (states[laneId]) {
-      laneStates[laneId] = { ...laneStates[laneId], ...states[laneId] };
+      // Lane swing is only saved by songs that use it
+      laneStates[laneId] = { ...laneStates[laneId], swing: null, ...states[laneId] };
       updateLaneUI(laneId);
       
       // Update volume slider
@@ -500,6 +587,45 @@ function setLaneStates(states) {
   render();
 }
 
+// ==================== SONG LENGTH ====================
+
+/**
+ * Get the pattern length in steps
+ * @returns {number} Total steps
+ */
+function getTotalSteps() {
+  return DRUM_CONFIG.stepsPerBar * DRUM_CONFIG.totalBars;
+}
+
+/**
+ * Match the grid to the song's bar count and time signature
+ * @param {Object} length - { bars, stepsPerBar, stepsPerBeat }
+ */
+function setLength(length) {
+  DRUM_CONFIG.totalBars = length.bars;
+  DRUM_CONFIG.stepsPerBar = length.stepsPerBar;
+  DRUM_CONFIG.stepsPerBeat = length.stepsPerBeat;
+  
+  if (canvas) {
+    canvas.width = getTotalSteps() * DRUM_CONFIG.stepWidth;
+  }
+  render();
+}
+
+/**
+ * Get the step after the last hit in any lane
+ * @returns {number} Length of the used part of the pattern in steps
+ */
+function getPatternLength() {
+  let end = 0;
+  Object.keys(pattern).forEach((laneId) => {
+    pattern[laneId].forEach((step) => {
+      end = Math.max(end, step + 1);
+    });
+  });
+  return end;
+}
+
 // ==================== PLAYBACK ====================
 
 /**
@@ -545,10 +671,14 @@ window.DrumMachine = {
   toggleMute,
   toggleSolo,
   setLaneVolume,
+  setLaneSwing,
   getLaneStates,
   setLaneStates,
   setPlayheadPosition,
   getPlayheadPosition,
   getConfig,
+  setLength,
+  getTotalSteps,
+  getPatternLength,
   DRUM_CONFIG
 };
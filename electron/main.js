@@ -5,7 +5,7 @@
  * application lifecycle events for the desktop version.
  */
 
-const { app, BrowserWindow, Menu, shell } = require('electron');
+const { app, BrowserWindow, Menu, shell, session } = require('electron');
 const path = require('path');
 
 /**
@@ -51,6 +51,42 @@ function createWindow() {
   return mainWindow;
 }
 
+/**
+ * Create an Edit menu item that works on text fields and on piano roll notes
+ * The accelerator stops the key reaching the page, so the item forwards it:
+ * in a text field it runs the normal edit command, elsewhere the piano roll edit.
+ * @param {BrowserWindow} mainWindow - The main application window
+ * @param {string} label - Menu label
+ * @param {string} accelerator - Keyboard shortcut
+ * @param {string|null} textCommand - webContents method for text fields (null to do nothing there)
+ * @param {string} key - Key passed to editPianoRollSelection
+ * @returns {Object} Menu item template
+ */
+function createSelectionMenuItem(mainWindow, label, accelerator, textCommand, key) {
+  return {
+    label,
+    accelerator,
+    click: () => {
+      mainWindow.webContents.executeJavaScript(`
+        (() => {
+          const el = document.activeElement;
+          if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA')) {
+            return true;
+          }
+          if (typeof editPianoRollSelection === 'function') {
+            editPianoRollSelection('${key}');
+          }
+          return false;
+        })()
+      `).then((inTextField) => {
+        if (inTextField && textCommand) {
+          mainWindow.webContents[textCommand]();
+        }
+      }).catch((e) => console.error(`${label} error:`, e));
+    }
+  };
+}
+
 /**
  * Create the application menu
  * @param {BrowserWindow} mainWindow - The main application window
@@ -122,15 +158,46 @@ function createMenu(mainWindow) {
     {
       label: 'Edit',
       submenu: [
-        { role: 'undo' },
-        { role: 'redo' },
+        {
+          label: 'Undo',
+          accelerator: 'CmdOrCtrl+Z',
+          click: () => {
+            mainWindow.webContents.executeJavaScript(`
+              try {
+                const el = document.activeElement;
+                if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA')) {
+                  document.execCommand('undo');
+                } else if (typeof undoEdit === 'function') {
+                  undoEdit();
+                }
+              } catch (e) { console.error('Undo error:', e); }
+            `);
+          }
+        },
+        {
+          label: 'Redo',
+          accelerator: 'CmdOrCtrl+Shift+Z',
+          click: () => {
+            mainWindow.webContents.executeJavaScript(`
+              try {
+                const el = document.activeElement;
+                if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA')) {
+                  document.execCommand('redo');
+                } else if (typeof redoEdit === 'function') {
+                  redoEdit();
+                }
+              } catch (e) { console.error('Redo error:', e); }
+            `);
+          }
+        },
         { type: 'separator' },
-        { role: 'cut' },
-        { role: 'copy' },
-        { role: 'paste' },
+        createSelectionMenuItem(mainWindow, 'Cut', 'CmdOrCtrl+X', 'cut', 'x'),
+        createSelectionMenuItem(mainWindow, 'Copy', 'CmdOrCtrl+C', 'copy', 'c'),
+        createSelectionMenuItem(mainWindow, 'Paste', 'CmdOrCtrl+V', 'paste', 'v'),
+        createSelectionMenuItem(mainWindow, 'Duplicate', 'CmdOrCtrl+D', null, 'd'),
         { role: 'delete' },
         { type: 'separator' },
-        { role: 'selectAll' }
+        createSelectionMenuItem(mainWindow, 'Select All', 'CmdOrCtrl+A', 'selectAll', 'a')
       ]
     },
     {
@@ -240,6 +307,14 @@ function createMenu(mainWindow) {
 // App lifecycle events
 
 app.whenReady().then(() => {
+  // Web MIDI (keyboard input) is the only permission the app asks for
+  session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
+    callback(permission === 'midi');
+  });
+  session.defaultSession.setPermissionCheckHandler((webContents, permission) => {
+    return permission === 'midi';
+  });
+
   createWindow();
 
   // On macOS, re-create window when dock icon is clicked
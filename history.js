@@ -0,0 +1,199 @@
+/**
+ * history.js - Undo/Redo history for NoteLab
+ *
+ * This module handles:
+ * - Recording editing commands (each with undo and redo functions)
+ * - Grouping several commands into one undo step
+ * - Undo/redo stacks with a size limit
+ *
+ * Modules record a command right after they change their own state.
+ * While a command is being undone or redone nothing new is recorded,
+ * so the same mutation functions can be reused by the commands.
+ */
+
+// ==================== CONFIGURATION ====================
+
+const HISTORY_CONFIG = {
+  maxSteps: 100
+};
+
+// ==================== STATE ====================
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Human readable name (e.g. "Add Note")
+ * @property {Function} undo - Reverts the change
+ * @property {Function} redo - Applies the change again
+ */
+
+let undoStack = [];
+let redoStack = [];
+let openGroup = null;   // Command collecting grouped commands
+let groupDepth = 0;
+let isApplying = false; // True while undoing/redoing
+let onHistoryChange = null;
+
+/**
+ * Set callback for history changes
+ * @param {Function} callback - Function to call with { canUndo, canRedo }
+ */
+function setHistoryCallback(callback) {
+  onHistoryChange = callback;
+}
+
+/**
+ * Notify listeners that the stacks changed
+ */
+function notifyHistoryChange() {
+  if (onHistoryChange) {
+    onHistoryChange({ canUndo: canUndo(), canRedo: canRedo() });
+  }
+}
+
+// ==================== RECORDING ====================
+
+/**
+ * Record a command that has already been applied
+ * @param {string} label - Human readable name
+ * @param {Function} undo - Reverts the change
+ * @param {Function} redo - Applies the change again
+ */
+function recordCommand(label, undo, redo) {
+  if (isApplying) return;
+  
+  const command = { label, undo, redo };
+  
+  if (openGroup) {
+    openGroup.commands.push(command);
+    return;
+  }
+  
+  undoStack.push(command);
+  if (undoStack.length > HISTORY_CONFIG.maxSteps) {
+    undoStack.shift();
+  }
+  redoStack = [];
+  notifyHistoryChange();
+}
+
+/**
+ * Start grouping commands into a single undo step (e.g. one drag)
+ * Groups can be nested; only the outermost group becomes a step.
+ * @param {string} label - Human readable name for the step
+ */
+function beginGroup(label) {
+  if (isApplying) return;
+  
+  if (groupDepth === 0) {
+    openGroup = { label, commands: [] };
+  }
+  groupDepth++;
+}
+
+/**
+ * Finish the current group and record it as one step
+ */
+function endGroup() {
+  if (isApplying || groupDepth === 0) return;
+  
+  groupDepth--;
+  if (groupDepth > 0) return;
+  
+  const group = openGroup;
+  openGroup = null;
+  
+  // Nothing happened inside the group
+  if (group.commands.length === 0) return;
+  
+  const commands = group.commands;
+  recordCommand(
+    group.label,
+    () => { for (let i = commands.length - 1; i >= 0; i--) commands[i].undo(); },
+    () => commands.forEach(c => c.redo())
+  );
+}
+
+// ==================== UNDO / REDO ====================
+
+/**
+ * Undo the last step
+ * @returns {string|null} Label of the undone step, or null if nothing to undo
+ */
+function undoCommand() {
+  if (openGroup || undoStack.length === 0) return null;
+  
+  const command = undoStack.pop();
+  applyCommand(command.undo);
+  redoStack.push(command);
+  notifyHistoryChange();
+  
+  return command.label;
+}
+
+/**
+ * Redo the last undone step
+ * @returns {string|null} Label of the redone step, or null if nothing to redo
+ */
+function redoCommand() {
+  if (openGroup || redoStack.length === 0) return null;
+  
+  const command = redoStack.pop();
+  applyCommand(command.redo);
+  undoStack.push(command);
+  notifyHistoryChange();
+  
+  return command.label;
+}
+
+/**
+ * Run an undo/redo function without recording new commands
+ * @param {Function} fn - Function to run
+ */
+function applyCommand(fn) {
+  isApplying = true;
+  try {
+    fn();
+  } finally {
+    isApplying = false;
+  }
+}
+
+/**
+ * Check if there is something to undo
+ * @returns {boolean} Whether undo is possible
+ */
+function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * Check if there is something to redo
+ * @returns {boolean} Whether redo is possible
+ */
+function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Forget all history (e.g. when another song is loaded)
+ */
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  openGroup = null;
+  groupDepth = 0;
+  notifyHistoryChange();
+}
+
+// Export functions for use by other modules
+window.EditHistory = {
+  record: recordCommand,
+  beginGroup,
+  endGroup,
+  undo: undoCommand,
+  redo: redoCommand,
+  canUndo,
+  canRedo,
+  clear: clearHistory,
+  setChangeCallback: setHistoryCallback
+};
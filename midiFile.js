@@ -0,0 +1,742 @@
+/**
+ * midiFile.js - Standard MIDI File import/export for NoteLab DAW
+ *
+ * This module handles:
+ * - Writing SMF type 0 and type 1 files from tracks, the drum pattern and the tempo map
+ * - Parsing SMF type 0 and type 1 files
+ * - Mapping MIDI tracks/channels to piano-roll tracks and drum lanes
+ * - Quantizing imported notes to the 16th grid with a report of what was lost
+ */
+
+// ==================== CONFIGURATION ====================
+
+const MIDI_CONFIG = {
+  // Ticks per quarter note for exported files
+  ppq: 480,
+  
+  // Channel 10 (index 9) is the General MIDI drum channel
+  drumChannel: 9,
+  
+  // Drum lane -> GM drum note
+  drumNotes: {
+    kick: 36,   // Bass Drum 1
+    snare: 38,  // Acoustic Snare
+    hihat: 42,  // Closed Hi-Hat
+    clap: 39    // Hand Clap
+  },
+  
+  // GM drum note -> drum lane (for import)
+  drumLanesByNote: {
+    35: 'kick', 36: 'kick',
+    37: 'snare', 38: 'snare', 40: 'snare',
+    42: 'hihat', 44: 'hihat', 46: 'hihat',
+    39: 'clap'
+  },
+  
+  // Instrument -> GM program (0-based)
+  programs: {
+    piano: 0,            // Acoustic Grand Piano
+    pluck: 46,           // Orchestral Harp
+    saw: 81,             // Lead 2 (sawtooth)
+    pad: 89,             // Pad 2 (warm)
+    bass: 38,            // Synth Bass 1
+    bell: 14,            // Tubular Bells
+    fmPiano: 4,          // Electric Piano 1
+    fmBass: 39,          // Synth Bass 2
+    waveLead: 80,        // Lead 1 (square)
+    wavePad: 90,         // Pad 3 (polysynth)
+    cleanGuitar: 27,     // Electric Guitar (clean)
+    distortedGuitar: 30, // Distortion Guitar
+    acousticGuitar: 25,  // Acoustic Guitar (steel)
+    // Synth guitars share the GM guitars (imports pick the first match, the guitars above)
+    synthCleanGuitar: 27,
+    synthDistortedGuitar: 30,
+    synthAcousticGuitar: 25
+  }
+};
+
+// ==================== BYTE WRITING ====================
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} Bytes
+ */
+function encodeVarLength(value) {
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Encode a string as bytes (Latin-1)
+ * @param {string} text - Text to encode
+ * @returns {Array<number>} Bytes
+ */
+function encodeText(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    bytes.push(text.charCodeAt(i) & 0xFF);
+  }
+  return bytes;
+}
+
+/**
+ * Build an MTrk chunk from absolute-time events
+ * @param {Array} events - Events as { tick, data: [bytes] }
+ * @returns {Array<number>} Chunk bytes
+ */
+function buildTrackChunk(events) {
+  // Sort by time; at the same tick, note-offs go before note-ons
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => {
+      if (a.tick !== b.tick) return a.tick - b.tick;
+      return eventOrder(a) - eventOrder(b) || a.index - b.index;
+    });
+  
+  const body = [];
+  let lastTick = 0;
+  sorted.forEach((event) => {
+    body.push(...encodeVarLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  
+  // End of track
+  body.push(0x00, 0xFF, 0x2F, 0x00);
+  
+  return [
+    ...encodeText('MTrk'),
+    (body.length >>> 24) & 0xFF, (body.length >>> 16) & 0xFF, (body.length >>> 8) & 0xFF, body.length & 0xFF,
+    ...body
+  ];
+}
+
+/**
+ * Sort key for events at the same tick (meta, then note-off, then the rest)
+ * @param {Object} event - Event with data bytes
+ * @returns {number} Order
+ */
+function eventOrder(event) {
+  const status = event.data[0];
+  if (status === 0xFF) return 0;
+  if ((status & 0xF0) === 0x80) return 1;
+  return 2;
+}
+
+// ==================== EXPORT ====================
+
+/**
+ * Create the events for a song's tempo/meta track
+ * Tempo changes become set-tempo events. MIDI tempo can only step, so a ramp
+ * is written as one event per 16th note whose tempo makes that 16th last as
+ * long as it does in the tempo map.
+ * @param {string} name - Song name
+ * @param {Object} tempoMap - Tempo map (see TempoMap)
+ * @param {Object} timeSignature - { numerator, denominator }
+ * @param {number} ticksPer16th - Ticks per 16th note
+ * @returns {Array} Events
+ */
+function createTempoEvents(name, tempoMap, timeSignature, ticksPer16th) {
+  const denominatorPower = Math.round(Math.log2(timeSignature.denominator));
+  const events = [
+    { tick: 0, data: [0xFF, 0x03, ...encodeVarLength(name.length), ...encodeText(name)] },
+    { tick: 0, data: [0xFF, 0x58, 0x04, timeSignature.numerator, denominatorPower, 24, 8] }
+  ];
+  
+  // Tempo by tick; a later change at the same tick replaces the earlier one
+  const tempos = new Map([[0, tempoMap.bpm]]);
+  let previous = 0;
+  tempoMap.points.forEach((point) => {
+    if (point.ramp) {
+      for (let position = previous; position < point.position; position++) {
+        const end = Math.min(position + 1, point.position);
+        const seconds = window.TempoMap.getDuration(tempoMap, position, end);
+        tempos.set(Math.round(position * ticksPer16th), 15 * (end - position) / seconds);
+      }
+    }
+    tempos.set(Math.round(point.position * ticksPer16th), point.bpm);
+    previous = point.position;
+  });
+  tempos.forEach((bpm, tick) => events.push(createSetTempoEvent(tick, bpm)));
+  
+  return events;
+}
+
+/**
+ * Create a set-tempo meta event
+ * @param {number} tick - Tick position
+ * @param {number} bpm - Beats per minute
+ * @returns {Object} Event
+ */
+function createSetTempoEvent(tick, bpm) {
+  const microsPerQuarter = Math.round(60000000 / bpm);
+  return { tick, data: [0xFF, 0x51, 0x03, (microsPerQuarter >> 16) & 0xFF, (microsPerQuarter >> 8) & 0xFF, microsPerQuarter & 0xFF] };
+}
+
+/**
+ * Create note events for one piano-roll track
+ * The program comes from track.program when set (SoundFont presets), otherwise
+ * from the instrument. A bank is sent as bank select before the program change:
+ * banks up to 127 as the MSB alone, which is how SoundFont players read them,
+ * larger ones as MSB and LSB.
+ * @param {Object} track - Track with notes and instrument, optionally program and bank
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} ticksPer16th - Ticks per 16th note
+ * @returns {Array} Events
+ */
+function createTrackEvents(track, channel, ticksPer16th) {
+  const program = typeof track.program === 'number' ? track.program : MIDI_CONFIG.programs[track.instrument] || 0;
+  const events = [
+    { tick: 0, data: [0xFF, 0x03, ...encodeVarLength(track.name.length), ...encodeText(track.name)] }
+  ];
+  if (track.bank > 0) {
+    const msb = track.bank < 128 ? track.bank : track.bank >> 7;
+    const lsb = track.bank < 128 ? 0 : track.bank & 0x7F;
+    events.push({ tick: 0, data: [0xB0 | channel, 0, msb] });
+    events.push({ tick: 0, data: [0xB0 | channel, 32, lsb] });
+  }
+  events.push({ tick: 0, data: [0xC0 | channel, program] });
+  
+  track.notes.forEach((note) => {
+    const start = Math.round(note.start * ticksPer16th);
+    const end = Math.round((note.start + note.duration) * ticksPer16th);
+    events.push({ tick: start, data: [0x90 | channel, note.pitch, velocityToMidi(note.velocity)] });
+    events.push({ tick: end, data: [0x80 | channel, note.pitch, 0] });
+  });
+  
+  return events;
+}
+
+/**
+ * Create note events for the drum pattern on channel 10
+ * @param {Object} drumPattern - { laneId: [steps] }
+ * @param {Object} laneStates - { laneId: { volume } }
+ * @param {number} ticksPer16th - Ticks per 16th note
+ * @returns {Array} Events
+ */
+function createDrumEvents(drumPattern, laneStates, ticksPer16th) {
+  const channel = MIDI_CONFIG.drumChannel;
+  const events = [
+    { tick: 0, data: [0xFF, 0x03, 5, ...encodeText('Drums')] }
+  ];
+  
+  Object.keys(drumPattern).forEach((laneId) => {
+    const drumNote = MIDI_CONFIG.drumNotes[laneId];
+    if (drumNote === undefined) return;
+    
+    const state = laneStates[laneId] || {};
+    const velocity = velocityToMidi(typeof state.volume === 'number' ? state.volume : 0.8);
+    
+    drumPattern[laneId].forEach((step) => {
+      const start = step * ticksPer16th;
+      events.push({ tick: start, data: [0x90 | channel, drumNote, velocity] });
+      events.push({ tick: start + ticksPer16th / 2, data: [0x80 | channel, drumNote, 0] });
+    });
+  });
+  
+  return events;
+}
+
+/**
+ * Export a song as a Standard MIDI File
+ * @param {Object} song - { name, bpm, tempoMap (tempo change points), timeSignature, tracks
+ *                        (see createTrackEvents), drumPattern, drumLaneStates }
+ * @param {Object} options - { format: 0 | 1 }
+ * @returns {Uint8Array} File bytes
+ */
+function exportMidi(song, options = {}) {
+  const format = options.format === 0 ? 0 : 1;
+  const ppq = MIDI_CONFIG.ppq;
+  const ticksPer16th = ppq / 4;
+  
+  const tempoMap = window.TempoMap.create(song.bpm || 120, song.tempoMap || []);
+  const tempoEvents = createTempoEvents(song.name || 'NoteLab Song', tempoMap,
+    song.timeSignature || { numerator: 4, denominator: 4 }, ticksPer16th);
+  
+  // One channel per track, skipping the drum channel
+  const trackEvents = (song.tracks || []).map((track, index) => {
+    let channel = index % 15;
+    if (channel >= MIDI_CONFIG.drumChannel) channel += 1;
+    return createTrackEvents(track, channel, ticksPer16th);
+  });
+  
+  const drumPattern = song.drumPattern || {};
+  const hasDrums = Object.keys(drumPattern).some(laneId => drumPattern[laneId].length > 0);
+  if (hasDrums) {
+    trackEvents.push(createDrumEvents(drumPattern, song.drumLaneStates || {}, ticksPer16th));
+  }
+  
+  let chunks;
+  if (format === 0) {
+    // Everything in a single track; channels keep the parts apart
+    const merged = tempoEvents.concat(...trackEvents.map(events => events.filter(e => e.data[0] !== 0xFF)));
+    chunks = [buildTrackChunk(merged)];
+  } else {
+    chunks = [buildTrackChunk(tempoEvents), ...trackEvents.map(buildTrackChunk)];
+  }
+  
+  const header = [
+    ...encodeText('MThd'),
+    0, 0, 0, 6,
+    0, format,
+    (chunks.length >> 8) & 0xFF, chunks.length & 0xFF,
+    (ppq >> 8) & 0xFF, ppq & 0xFF
+  ];
+  
+  const bytes = header.concat(...chunks);
+  return new Uint8Array(bytes);
+}
+
+// ==================== PARSING ====================
+
+/**
+ * Parse a Standard MIDI File
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {Object} { format, ppq, tracks: [{ name, events }] } with absolute tick times
+ */
+function parseMidi(arrayBuffer) {
+  const data = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  
+  const readText = (offset, length) => String.fromCharCode(...data.subarray(offset, offset + length));
+  
+  if (data.length < 14 || readText(0, 4) !== 'MThd') {
+    throw new Error('Not a MIDI file');
+  }
+  
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+  
+  if (format > 1) {
+    throw new Error(`MIDI format ${format} is not supported`);
+  }
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported');
+  }
+  
+  const tracks = [];
+  let offset = 8 + headerLength;
+  
+  while (tracks.length < trackCount && offset + 8 <= data.length) {
+    const chunkType = readText(offset, 4);
+    const chunkLength = view.getUint32(offset + 4);
+    const chunkStart = offset + 8;
+    const chunkEnd = Math.min(chunkStart + chunkLength, data.length);
+    offset = chunkEnd;
+    
+    // Skip unknown chunks
+    if (chunkType !== 'MTrk') continue;
+    
+    tracks.push(parseMidiTrack(data, chunkStart, chunkEnd));
+  }
+  
+  return { format, ppq: division, tracks };
+}
+
+/**
+ * Parse one MTrk chunk
+ * @param {Uint8Array} data - File bytes
+ * @param {number} start - Chunk body start
+ * @param {number} end - Chunk body end
+ * @returns {Object} { name, events }
+ */
+function parseMidiTrack(data, start, end) {
+  const events = [];
+  let name = '';
+  let position = start;
+  let tick = 0;
+  let runningStatus = 0;
+  
+  const readVarLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = data[position++];
+      value = (value << 7) | (byte & 0x7F);
+    } while (byte & 0x80 && position < end);
+    return value;
+  };
+  
+  while (position < end) {
+    tick += readVarLength();
+    
+    let status = data[position];
+    if (status & 0x80) {
+      position++;
+    } else {
+      // Running status: reuse the previous channel status byte
+      status = runningStatus;
+    }
+    
+    if (status === 0xFF) {
+      const type = data[position++];
+      const length = readVarLength();
+      const payload = data.subarray(position, position + length);
+      position += length;
+      
+      if (type === 0x03 && !name) {
+        name = String.fromCharCode(...payload);
+      } else if (type === 0x51 && length === 3) {
+        const microsPerQuarter = (payload[0] << 16) | (payload[1] << 8) | payload[2];
+        events.push({ tick, type: 'tempo', bpm: 60000000 / microsPerQuarter });
+      } else if (type === 0x58 && length >= 2) {
+        events.push({ tick, type: 'timeSignature', numerator: payload[0], denominator: Math.pow(2, payload[1]) });
+      } else if (type === 0x2F) {
+        break;
+      }
+    } else if (status === 0xF0 || status === 0xF7) {
+      // SysEx: skip
+      position += readVarLength();
+    } else {
+      runningStatus = status;
+      const type = status & 0xF0;
+      const channel = status & 0x0F;
+      const data1 = data[position++];
+      const data2 = (type === 0xC0 || type === 0xD0) ? 0 : data[position++];
+      
+      if (type === 0x90 && data2 > 0) {
+        events.push({ tick, type: 'noteOn', channel, pitch: data1, velocity: data2 });
+      } else if (type === 0x80 || type === 0x90) {
+        events.push({ tick, type: 'noteOff', channel, pitch: data1 });
+      } else if (type === 0xC0) {
+        events.push({ tick, type: 'program', channel, program: data1 });
+      } else {
+        events.push({ tick, type: 'other', channel });
+      }
+    }
+  }
+  
+  return { name, events };
+}
+
+// ==================== IMPORT ====================
+
+/**
+ * Import a Standard MIDI File into NoteLab song data
+ * Melodic channels become piano-roll tracks, channel 10 becomes the drum pattern.
+ * Everything is quantized to the 16th grid and the song is made as many bars long
+ * as the content needs (up to maxBars); anything that cannot be represented is
+ * listed in the report.
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @param {Object} options - { maxBars, minNote, maxNote, isValidTimeSignature }
+ * @returns {Object} { bpm, tempoMap (tempo change points), timeSignature, bars, tracks,
+ *                    drumPattern, report: Array<string> }
+ */
+function importMidi(arrayBuffer, options = {}) {
+  const maxBars = options.maxBars || 128;
+  const isValidTimeSignature = options.isValidTimeSignature || (() => true);
+  const minNote = options.minNote !== undefined ? options.minNote : 12;
+  const maxNote = options.maxNote !== undefined ? options.maxNote : 108;
+  
+  const midi = parseMidi(arrayBuffer);
+  const ticksPer16th = midi.ppq / 4;
+  
+  const stats = {
+    quantized: 0,
+    resized: 0,
+    outOfRange: 0,
+    pastEnd: 0,
+    unmappedDrums: {},
+    mergedDrums: 0,
+    timeSignatureChanges: 0,
+    unsupportedTimeSignature: null,
+    unclosed: 0,
+    otherEvents: 0
+  };
+  
+  // Tempo map from the tempo events; time signature from the first event (later changes are reported)
+  let bpm = 120;
+  let tempoMap = [];
+  let timeSignature = { numerator: 4, denominator: 4 };
+  const tempoEvents = [];
+  const signatureEvents = [];
+  midi.tracks.forEach(track => track.events.forEach((e) => {
+    if (e.type === 'tempo') tempoEvents.push(e);
+    if (e.type === 'timeSignature') signatureEvents.push(e);
+    if (e.type === 'other') stats.otherEvents++;
+  }));
+  tempoEvents.sort((a, b) => a.tick - b.tick);
+  if (tempoEvents.length > 0) {
+    bpm = roundImportedTempo(tempoEvents[0].bpm);
+    tempoMap = importTempoChanges(tempoEvents, ticksPer16th);
+  }
+  signatureEvents.sort((a, b) => a.tick - b.tick);
+  if (signatureEvents.length > 0) {
+    const first = signatureEvents[0];
+    if (isValidTimeSignature(first.numerator, first.denominator)) {
+      timeSignature = { numerator: first.numerator, denominator: first.denominator };
+    } else {
+      stats.unsupportedTimeSignature = `${first.numerator}/${first.denominator}`;
+    }
+    stats.timeSignatureChanges = signatureEvents.filter(e =>
+      e.numerator !== first.numerator || e.denominator !== first.denominator).length;
+  }
+  
+  const sixteenthsPerBar = timeSignature.numerator * (16 / timeSignature.denominator);
+  const totalSteps = maxBars * sixteenthsPerBar;
+  
+  // Group notes by (track, channel) so type 0 files split into one track per channel
+  const parts = new Map();
+  const drumPattern = {};
+  Object.keys(MIDI_CONFIG.drumNotes).forEach(laneId => { drumPattern[laneId] = new Set(); });
+  
+  midi.tracks.forEach((track, trackIndex) => {
+    const open = new Map(); // "channel:pitch" -> [noteOn events]
+    const programs = {};
+    
+    track.events.forEach((event) => {
+      if (event.type === 'program') {
+        programs[event.channel] = event.program;
+        return;
+      }
+      if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+      
+      const key = `${event.channel}:${event.pitch}`;
+      if (event.type === 'noteOn') {
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push(event);
+        return;
+      }
+      
+      const pending = open.get(key);
+      if (!pending || pending.length === 0) return;
+      const noteOn = pending.shift();
+      
+      const partKey = `${trackIndex}:${noteOn.channel}`;
+      if (!parts.has(partKey)) {
+        // A type 0 track name is the song title, so its parts are named by channel instead
+        const name = midi.format === 0 ? '' : track.name;
+        parts.set(partKey, { trackIndex, channel: noteOn.channel, name, programs, notes: [] });
+      }
+      parts.get(partKey).notes.push({
+        tickStart: noteOn.tick,
+        tickEnd: event.tick,
+        pitch: noteOn.pitch,
+        velocity: noteOn.velocity
+      });
+    });
+    
+    open.forEach(pending => { stats.unclosed += pending.length; });
+  });
+  
+  const tracks = [];
+  parts.forEach((part) => {
+    if (part.channel === MIDI_CONFIG.drumChannel) {
+      part.notes.forEach((note) => {
+        const laneId = MIDI_CONFIG.drumLanesByNote[note.pitch];
+        if (!laneId) {
+          stats.unmappedDrums[note.pitch] = (stats.unmappedDrums[note.pitch] || 0) + 1;
+          return;
+        }
+        const step = quantizeTicks(note.tickStart, ticksPer16th, stats);
+        if (step >= totalSteps) {
+          stats.pastEnd++;
+          return;
+        }
+        if (drumPattern[laneId].has(step)) {
+          stats.mergedDrums++;
+        }
+        drumPattern[laneId].add(step);
+      });
+      return;
+    }
+    
+    const notes = [];
+    part.notes.forEach((note) => {
+      if (note.pitch < minNote || note.pitch > maxNote) {
+        stats.outOfRange++;
+        return;
+      }
+      const start = quantizeTicks(note.tickStart, ticksPer16th, stats);
+      if (start >= totalSteps) {
+        stats.pastEnd++;
+        return;
+      }
+      const end = Math.round(note.tickEnd / ticksPer16th);
+      const duration = Math.max(1, Math.min(end - start, totalSteps - start));
+      if (Math.abs(duration * ticksPer16th - (note.tickEnd - note.tickStart)) > 0.5) {
+        stats.resized++;
+      }
+      notes.push({
+        pitch: note.pitch,
+        start,
+        duration,
+        velocity: Math.round((note.velocity / 127) * 100) / 100
+      });
+    });
+    
+    if (notes.length === 0) return;
+    
+    const instrument = programToInstrument(part.programs[part.channel]);
+    tracks.push({
+      name: (part.name || `Channel ${part.channel + 1}`).slice(0, 30),
+      instrument,
+      notes
+    });
+  });
+  
+  const pattern = {};
+  Object.keys(drumPattern).forEach((laneId) => {
+    pattern[laneId] = Array.from(drumPattern[laneId]).sort((a, b) => a - b);
+  });
+  
+  // Just long enough for everything that was imported
+  let contentEnd = 0;
+  tracks.forEach(track => track.notes.forEach((note) => {
+    contentEnd = Math.max(contentEnd, note.start + note.duration);
+  }));
+  Object.keys(pattern).forEach(laneId => pattern[laneId].forEach((step) => {
+    contentEnd = Math.max(contentEnd, step + 1);
+  }));
+  const bars = Math.max(1, Math.ceil(contentEnd / sixteenthsPerBar));
+  
+  return { bpm, tempoMap, timeSignature, bars, tracks, drumPattern: pattern, report: buildImportReport(stats) };
+}
+
+/**
+ * Turn tempo events after the first one into tempo change points
+ * Changes land on the nearest 16th; a change to the tempo already playing is skipped.
+ * @param {Array} tempoEvents - Tempo events { tick, bpm } sorted by tick
+ * @param {number} ticksPer16th - Ticks per 16th note
+ * @returns {Array} Tempo change points { position, bpm, ramp: false }
+ */
+function importTempoChanges(tempoEvents, ticksPer16th) {
+  const points = [];
+  let current = roundImportedTempo(tempoEvents[0].bpm);
+  
+  tempoEvents.slice(1).forEach((event) => {
+    const position = Math.round(event.tick / ticksPer16th);
+    const bpm = roundImportedTempo(event.bpm);
+    if (position === 0 || bpm === current) return;
+    
+    // A later change at the same 16th wins
+    if (points.length > 0 && points[points.length - 1].position === position) {
+      points.pop();
+    }
+    points.push({ position, bpm, ramp: false });
+    current = bpm;
+  });
+  
+  return points;
+}
+
+/**
+ * Round an imported tempo to a hundredth of a BPM within the supported range
+ * The start tempo and the tempo changes use the same precision, so the song
+ * keeps the file's timing.
+ * @param {number} bpm - Tempo from the file
+ * @returns {number} Beats per minute
+ */
+function roundImportedTempo(bpm) {
+  return Math.max(20, Math.min(300, Math.round(bpm * 100) / 100));
+}
+
+/**
+ * Snap a tick position to the 16th grid, counting notes that moved
+ * @param {number} tick - Tick position
+ * @param {number} ticksPer16th - Ticks per 16th note
+ * @param {Object} stats - Import statistics
+ * @returns {number} Position in 16th notes
+ */
+function quantizeTicks(tick, ticksPer16th, stats) {
+  const step = Math.round(tick / ticksPer16th);
+  if (Math.abs(step * ticksPer16th - tick) > 0.5) {
+    stats.quantized++;
+  }
+  return step;
+}
+
+/**
+ * Turn import statistics into human-readable lines
+ * @param {Object} stats - Import statistics
+ * @returns {Array<string>} Report lines (empty when nothing was lost)
+ */
+function buildImportReport(stats) {
+  const report = [];
+  
+  if (stats.quantized > 0) {
+    report.push(`${stats.quantized} note(s) moved to the nearest 1/16 step`);
+  }
+  if (stats.resized > 0) {
+    report.push(`${stats.resized} note(s) changed length to fit the 1/16 grid`);
+  }
+  if (stats.outOfRange > 0) {
+    report.push(`${stats.outOfRange} note(s) outside the C0-C8 range were dropped`);
+  }
+  if (stats.pastEnd > 0) {
+    report.push(`${stats.pastEnd} note(s) past the maximum song length were dropped`);
+  }
+  Object.keys(stats.unmappedDrums).forEach((pitch) => {
+    report.push(`${stats.unmappedDrums[pitch]} drum hit(s) on GM note ${pitch} have no drum lane and were dropped`);
+  });
+  if (stats.mergedDrums > 0) {
+    report.push(`${stats.mergedDrums} drum hit(s) landed on an existing hit and were merged`);
+  }
+  if (stats.unsupportedTimeSignature) {
+    report.push(`Time signature ${stats.unsupportedTimeSignature} is not supported and was imported as 4/4`);
+  }
+  if (stats.timeSignatureChanges > 0) {
+    report.push(`${stats.timeSignatureChanges} time signature change(s) ignored; the first one is used`);
+  }
+  if (stats.unclosed > 0) {
+    report.push(`${stats.unclosed} note(s) without a note-off were dropped`);
+  }
+  if (stats.otherEvents > 0) {
+    report.push(`${stats.otherEvents} controller/pitch-bend event(s) were not imported`);
+  }
+  
+  return report;
+}
+
+// ==================== UTILITY ====================
+
+/**
+ * Convert a 0.0-1.0 velocity to MIDI 1-127
+ * @param {number} velocity - Velocity (0.0-1.0)
+ * @returns {number} MIDI velocity
+ */
+function velocityToMidi(velocity) {
+  const value = typeof velocity === 'number' ? velocity : 0.8;
+  return Math.max(1, Math.min(127, Math.round(value * 127)));
+}
+
+/**
+ * Pick the closest NoteLab instrument for a GM program
+ * @param {number} program - GM program (0-127), or undefined
+ * @returns {string} Instrument ID
+ */
+function programToInstrument(program) {
+  if (program === undefined) return 'piano';
+  
+  const exact = Object.keys(MIDI_CONFIG.programs).find(id => MIDI_CONFIG.programs[id] === program);
+  if (exact) return exact;
+  
+  if (program <= 7) return 'piano';
+  if (program <= 15) return 'bell';
+  if (program <= 23) return 'pad';
+  if (program <= 25) return 'acousticGuitar';
+  if (program <= 28) return 'cleanGuitar';
+  if (program <= 31) return 'distortedGuitar';
+  if (program <= 39) return 'bass';
+  if (program <= 55) return 'pad';
+  if (program <= 79) return 'saw';
+  if (program <= 87) return 'saw';
+  if (program <= 103) return 'pad';
+  if (program <= 111) return 'pluck';
+  return 'piano';
+}
+
+// Export functions for use by other modules
+window.MidiFile = {
+  exportSong: exportMidi,
+  importSong: importMidi,
+  parse: parseMidi,
+  MIDI_CONFIG
+};
@@ -0,0 +1,315 @@
+/**
+ * midiInput.js - Web MIDI input for NoteLab
+ *
+ * This module handles:
+ * - Requesting Web MIDI access (browser and Electron)
+ * - Listing and selecting an input device
+ * - Turning note-on/off messages into note callbacks with real velocity
+ * - Sustain pedal (CC64): note-offs are held back while the pedal is down
+ * - Pitch bend and mod wheel (CC1) as controller callbacks
+ *
+ * Any object shaped like MIDIAccess (inputs map, onstatechange) can be passed
+ * to connectMidiAccess(), so a fake access object or a virtual/loopback port
+ * can be used for testing.
+ */
+
+// ==================== CONFIGURATION ====================
+
+const MIDI_INPUT_CONFIG = {
+  modWheelController: 1,
+  sustainController: 64,  // CC64 damper pedal
+  resetControllersController: 121,
+  allNotesOffController: 123,
+  sustainThreshold: 64    // Controller values >= 64 mean "pedal down"
+};
+
+// ==================== STATE ====================
+
+let midiAccess = null;
+let selectedInput = null;
+let selectedInputId = null;         // Remembered while the device is unplugged
+let sustainDown = false;
+const heldMidiNotes = new Set();      // Keys that are physically down
+const sustainedMidiNotes = new Set(); // Released keys kept sounding by the pedal
+let onMidiNoteOn = null;
+let onMidiNoteOff = null;
+let onMidiController = null;
+let onMidiDevicesChange = null;
+
+/**
+ * Set callbacks for incoming notes
+ * @param {Function} noteOn - Called with (midiNote, velocity 0.0-1.0)
+ * @param {Function} noteOff - Called with (midiNote)
+ */
+function setNoteCallbacks(noteOn, noteOff) {
+  onMidiNoteOn = noteOn;
+  onMidiNoteOff = noteOff;
+}
+
+/**
+ * Set callback for pitch bend and mod wheel moves
+ * @param {Function} callback - Called with (controller, value): 'pitchBend' (-1.0 to 1.0)
+ *   or 'modWheel' (0.0 to 1.0)
+ */
+function setControllerCallback(callback) {
+  onMidiController = callback;
+}
+
+/**
+ * Set callback for device list changes (plugged/unplugged devices)
+ * @param {Function} callback - Called with the list from getMidiInputs()
+ */
+function setDevicesCallback(callback) {
+  onMidiDevicesChange = callback;
+}
+
+/**
+ * Notify listeners that the device list changed
+ */
+function notifyMidiDevicesChange() {
+  if (onMidiDevicesChange) {
+    onMidiDevicesChange(getMidiInputs());
+  }
+}
+
+// ==================== ACCESS ====================
+
+/**
+ * Check if the Web MIDI API is available
+ * @returns {boolean} Whether MIDI access can be requested
+ */
+function isMidiSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+/**
+ * Request Web MIDI access (asks the user for permission in the browser)
+ * @returns {Promise<Object>} The MIDIAccess object
+ */
+async function requestMidiAccess() {
+  if (midiAccess) return midiAccess;
+  
+  if (!isMidiSupported()) {
+    throw new Error('Web MIDI is not supported in this browser');
+  }
+  
+  const access = await navigator.requestMIDIAccess();
+  connectMidiAccess(access);
+  return access;
+}
+
+/**
+ * Use a MIDIAccess object (real, or a fake one for testing)
+ * @param {Object} access - Object with an `inputs` Map and an `onstatechange` property
+ */
+function connectMidiAccess(access) {
+  if (midiAccess) {
+    midiAccess.onstatechange = null;
+  }
+  detachMidiInput();
+  
+  midiAccess = access;
+  midiAccess.onstatechange = handleMidiStateChange;
+  
+  if (selectedInputId) {
+    attachMidiInput(selectedInputId);
+  }
+  notifyMidiDevicesChange();
+}
+
+/**
+ * Handle devices being plugged in or removed
+ */
+function handleMidiStateChange() {
+  // Pick the selected device up again when it comes back
+  if (selectedInputId && (!selectedInput || selectedInput.state === 'disconnected')) {
+    attachMidiInput(selectedInputId);
+  }
+  notifyMidiDevicesChange();
+}
+
+// ==================== DEVICES ====================
+
+/**
+ * List the available input devices
+ * @returns {Array<Object>} { id, name, manufacturer, connected } per input
+ */
+function getMidiInputs() {
+  if (!midiAccess) return [];
+  
+  return Array.from(midiAccess.inputs.values()).map(input => ({
+    id: input.id,
+    name: input.name || 'MIDI Input',
+    manufacturer: input.manufacturer || '',
+    connected: input.state !== 'disconnected'
+  }));
+}
+
+/**
+ * Select the input device to listen to
+ * @param {string|null} inputId - Device ID, or null for none
+ * @returns {boolean} Whether the device is connected and listening
+ */
+function selectMidiInput(inputId) {
+  selectedInputId = inputId || null;
+  attachMidiInput(selectedInputId);
+  return selectedInput !== null;
+}
+
+/**
+ * Get the selected device ID
+ * @returns {string|null} Device ID, or null if none is selected
+ */
+function getSelectedInputId() {
+  return selectedInputId;
+}
+
+/**
+ * Start listening to a device
+ * @param {string|null} inputId - Device ID
+ */
+function attachMidiInput(inputId) {
+  detachMidiInput();
+  
+  const input = inputId && midiAccess ? midiAccess.inputs.get(inputId) : null;
+  if (!input || input.state === 'disconnected') return;
+  
+  // Setting onmidimessage also opens the port
+  input.onmidimessage = handleMidiMessage;
+  selectedInput = input;
+}
+
+/**
+ * Stop listening to the current device (held notes are released)
+ */
+function detachMidiInput() {
+  if (selectedInput) {
+    selectedInput.onmidimessage = null;
+    selectedInput = null;
+  }
+  releaseAllMidiNotes();
+}
+
+// ==================== MESSAGES ====================
+
+/**
+ * Handle a MIDI message (all channels are accepted)
+ * @param {Object} event - MIDIMessageEvent, or any object with a `data` byte array
+ */
+function handleMidiMessage(event) {
+  const data = event.data;
+  if (!data || data.length < 2) return;
+  
+  const status = data[0] & 0xF0;
+  const data1 = data[1];
+  const data2 = data.length > 2 ? data[2] : 0;
+  
+  if (status === 0x90 && data2 > 0) {
+    handleMidiNoteOn(data1, data2 / 127);
+  } else if (status === 0x80 || status === 0x90) {
+    // Note-on with velocity 0 is a note-off
+    handleMidiNoteOff(data1);
+  } else if (status === 0xE0) {
+    // 14-bit value, 8192 = centre
+    const bend = ((data2 << 7) | data1) - 8192;
+    notifyMidiController('pitchBend', bend / (bend < 0 ? 8192 : 8191));
+  } else if (status === 0xB0) {
+    if (data1 === MIDI_INPUT_CONFIG.modWheelController) {
+      notifyMidiController('modWheel', data2 / 127);
+    } else if (data1 === MIDI_INPUT_CONFIG.sustainController) {
+      setSustainPedal(data2 >= MIDI_INPUT_CONFIG.sustainThreshold);
+    } else if (data1 === MIDI_INPUT_CONFIG.resetControllersController) {
+      notifyMidiController('pitchBend', 0);
+      notifyMidiController('modWheel', 0);
+    } else if (data1 === MIDI_INPUT_CONFIG.allNotesOffController) {
+      releaseAllMidiNotes();
+    }
+  }
+}
+
+/**
+ * Pass a controller move on to the listener
+ * @param {string} controller - 'pitchBend' or 'modWheel'
+ * @param {number} value - Controller value
+ */
+function notifyMidiController(controller, value) {
+  if (onMidiController) {
+    onMidiController(controller, value);
+  }
+}
+
+/**
+ * Handle a key going down
+ * @param {number} note - MIDI note number
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+function handleMidiNoteOn(note, velocity) {
+  // Playing a note again while the pedal holds it restarts it
+  sustainedMidiNotes.delete(note);
+  heldMidiNotes.add(note);
+  
+  if (onMidiNoteOn) {
+    onMidiNoteOn(note, velocity);
+  }
+}
+
+/**
+ * Handle a key going up
+ * @param {number} note - MIDI note number
+ */
+function handleMidiNoteOff(note) {
+  if (!heldMidiNotes.has(note)) return;
+  heldMidiNotes.delete(note);
+  
+  if (sustainDown) {
+    sustainedMidiNotes.add(note);
+  } else if (onMidiNoteOff) {
+    onMidiNoteOff(note);
+  }
+}
+
+/**
+ * Press or release the sustain pedal
+ * @param {boolean} down - Whether the pedal is down
+ */
+function setSustainPedal(down) {
+  if (down === sustainDown) return;
+  sustainDown = down;
+  
+  if (!down) {
+    const notes = Array.from(sustainedMidiNotes);
+    sustainedMidiNotes.clear();
+    if (onMidiNoteOff) {
+      notes.forEach(note => onMidiNoteOff(note));
+    }
+  }
+}
+
+/**
+ * End every held and sustained note (device change, All Notes Off)
+ */
+function releaseAllMidiNotes() {
+  const notes = new Set([...heldMidiNotes, ...sustainedMidiNotes]);
+  heldMidiNotes.clear();
+  sustainedMidiNotes.clear();
+  sustainDown = false;
+  
+  if (onMidiNoteOff) {
+    notes.forEach(note => onMidiNoteOff(note));
+  }
+}
+
+// Export functions for use by other modules
+window.MidiInput = {
+  isSupported: isMidiSupported,
+  requestAccess: requestMidiAccess,
+  connectAccess: connectMidiAccess,
+  getInputs: getMidiInputs,
+  selectInput: selectMidiInput,
+  getSelectedInputId,
+  setNoteCallbacks,
+  setControllerCallback,
+  setDevicesCallback,
+  handleMessage: handleMidiMessage,
+  releaseAll: releaseAllMidiNotes
+};
@@ -2,10 +2,11 @@
  * pianoRoll.js - Piano Roll Editor for NoteLab
  * 
  * This module handles:
- * - Note data model
+ * - Track and note data model
  * - Grid rendering on canvas
  * - Note add/remove/edit operations
  * - Mouse interaction for editing
+ * - Velocity lane (per-note velocity bars under the grid)
  * - Visual display of notes and playhead
  */
 
@@ -16,17 +17,30 @@ const PIANO_ROLL_CONFIG = {
   minNote: 12,  // C0
   maxNote: 108, // C8
   
-  // Grid settings
+  // Grid settings (per song, see setSongLength/setTimeSignature)
+  // Positions are always in 16th notes; a beat is one denominator unit
+  // (4 sixteenths in x/4, 2 sixteenths in x/8)
   bars: 8,
   beatsPerBar: 4,
   sixteenthsPerBeat: 4,
+  maxBars: 128,
+  
+  // Note placement (see SNAP_GRIDS); with snapping off notes can start anywhere
+  snap: '1/16',
+  minNoteLength: 0.25, // Shortest note drawn or resized with snapping off, in 16th notes
   
   // Visual settings
   noteHeight: 16,
   sixteenthWidth: 20,
   keyboardWidth: 60,
+  velocityLaneHeight: 80,
+  tempoLaneHeight: 48,
+  resizeHandleWidth: 5,  // Pixels at each end of a note that resize it instead of moving it
+  marqueeThreshold: 4,   // Pixels the pointer must travel on empty grid before a click becomes a selection rectangle
+  velocityHitWidth: 4,  // Pixels either side of a velocity bar that still grab it
+  tempoHitRadius: 6,    // Pixels around a tempo point that still grab it
   
-  // Colors by instrument (9 instruments)
+  // Colors by instrument (16 instruments)
   noteColors: {
     piano: '#5865f2',
     pluck: '#43b581',
@@ -34,12 +48,36 @@ const PIANO_ROLL_CONFIG = {
     pad: '#eb459e',
     bass: '#ed4245',
     bell: '#00aff4',
+    fmPiano: '#1abc9c',
+    fmBass: '#16a085',
+    waveLead: '#e67e22',
+    wavePad: '#3498db',
     cleanGuitar: '#9b59b6',
     distortedGuitar: '#e74c3c',
-    acousticGuitar: '#f39c12'
+    acousticGuitar: '#f39c12',
+    synthCleanGuitar: '#8e44ad',
+    synthDistortedGuitar: '#c0392b',
+    synthAcousticGuitar: '#d68910'
   }
 };
 
+// Snap grids in 16th notes, counted from the start of each bar (0 = off)
+const SNAP_GRIDS = {
+  '1/4': 4,
+  '1/8': 2,
+  '1/16': 1,
+  '1/32': 0.5,
+  '1/4T': 8 / 3,
+  '1/8T': 4 / 3,
+  '1/16T': 2 / 3,
+  '1/32T': 1 / 3,
+  'off': 0
+};
+
+// Positions are stored to a thousandth of a 16th (like recorded notes), so
+// grid maths allows for that much rounding
+const SNAP_TOLERANCE = 0.001;
+
 // ==================== DATA MODEL ====================
 
 /**
@@ -47,15 +85,34 @@ const PIANO_ROLL_CONFIG = {
  * @typedef {Object} Note
  * @property {string} id - Unique identifier
  * @property {number} pitch - MIDI note number (12-108)
- * @property {number} start - Start time in 16th notes (0-based)
+ * @property {number} start - Start time in 16th notes (0-based; fractional for off-grid and triplet notes)
  * @property {number} duration - Duration in 16th notes
  * @property {number} velocity - Velocity (0.0-1.0)
  */
 
-let notes = [];
+/**
+ * Track data structure
+ * Each track owns its notes and plays them through its own instrument
+ * @typedef {Object} Track
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} instrument - Instrument ID (key of AudioEngine.INSTRUMENTS)
+ * @property {Array<Note>} notes - Notes on this track
+ * @property {number} volume - Track volume (0.0-1.0)
+ * @property {number} pan - Stereo pan (-1.0 left to 1.0 right)
+ * @property {boolean} muted - Whether the track is muted
+ * @property {boolean} solo - Whether the track is soloed
+ * @property {Object} controllers - Recorded controller lanes by name ('pitchBend',
+ *   'modWheel'), each a time-ordered list of { time (16ths), value }
+ */
+
+let tracks = [];
+let activeTrackId = null;
+let notes = [];       // Notes of the active track (the ones being edited)
 let selectedNotes = new Set();
 let hoveredNote = null;
 let nextNoteId = 1;
+let nextTrackId = 1;
 
 /**
  * Generate a unique note ID
@@ -65,6 +122,163 @@ function generateNoteId() {
   return `note_${nextNoteId++}`;
 }
 
+/**
+ * Generate a unique track ID
+ * @returns {string} Unique ID
+ */
+function generateTrackId() {
+  return `track_${nextTrackId++}`;
+}
+
+// ==================== TRACKS ====================
+
+/**
+ * Create a track object (not added to the song)
+ * @param {Object} options - Track fields to override
+ * @returns {Track} The created track
+ */
+function createTrack(options = {}) {
+  return {
+    id: options.id || generateTrackId(),
+    name: options.name || `Track ${tracks.length + 1}`,
+    instrument: options.instrument || 'piano',
+    notes: (options.notes || []).map(n => ({ ...n, id: n.id || generateNoteId() })),
+    volume: typeof options.volume === 'number' ? options.volume : 0.8,
+    pan: typeof options.pan === 'number' ? options.pan : 0,
+    muted: !!options.muted,
+    solo: !!options.solo,
+    controllers: copyControllers(options.controllers)
+  };
+}
+
+/**
+ * Add a new track and make it the active one
+ * @param {Object} options - Track fields (name, instrument, ...)
+ * @returns {Track} The created track
+ */
+function addTrack(options = {}) {
+  const track = createTrack(options);
+  tracks.push(track);
+  setActiveTrack(track.id);
+  return track;
+}
+
+/**
+ * Remove a track. The last remaining track cannot be removed.
+ * @param {string} trackId - Track ID to remove
+ * @returns {boolean} Whether the track was removed
+ */
+function removeTrack(trackId) {
+  if (tracks.length <= 1) return false;
+  
+  const index = tracks.findIndex(t => t.id === trackId);
+  if (index === -1) return false;
+  
+  tracks.splice(index, 1);
+  if (trackId === activeTrackId) {
+    setActiveTrack(tracks[Math.max(0, index - 1)].id);
+  } else {
+    render();
+  }
+  return true;
+}
+
+/**
+ * Switch the track being edited
+ * @param {string} trackId - Track ID
+ */
+function setActiveTrack(trackId) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return;
+  
+  activeTrackId = track.id;
+  notes = track.notes;
+  selectedNotes.clear();
+  hoveredNote = null;
+  render();
+}
+
+/**
+ * Get the track being edited
+ * @returns {Track|null} Active track
+ */
+function getActiveTrack() {
+  return tracks.find(t => t.id === activeTrackId) || null;
+}
+
+/**
+ * Get the ID of the track being edited
+ * @returns {string|null} Active track ID
+ */
+function getActiveTrackId() {
+  return activeTrackId;
+}
+
+/**
+ * Update track properties (name, instrument, volume, pan, muted, solo)
+ * @param {string} trackId - Track ID
+ * @param {Object} changes - Properties to change
+ * @returns {Track|null} Updated track
+ */
+function updateTrack(trackId, changes) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return null;
+  
+  ['name', 'instrument', 'volume', 'pan', 'muted', 'solo'].forEach((key) => {
+    if (changes.hasOwnProperty(key)) {
+      track[key] = changes[key];
+    }
+  });
+  
+  render();
+  return track;
+}
+
+/**
+ * Check if a track should be heard, honoring mute and solo
+ * @param {string} trackId - Track ID
+ * @returns {boolean} Whether the track is audible
+ */
+function isTrackAudible(trackId) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return false;
+  
+  const hasSolo = tracks.some(t => t.solo);
+  return !track.muted && (!hasSolo || track.solo);
+}
+
+/**
+ * Get all tracks (copies, safe for scheduling and saving)
+ * @returns {Array<Track>} All tracks
+ */
+function getTracks() {
+  return tracks.map(t => ({ ...t, notes: [...t.notes], controllers: { ...t.controllers } }));
+}
+
+/**
+ * Replace all tracks (for loading)
+ * @param {Array<Track>} newTracks - Tracks to load
+ * @param {string} activeId - Track to make active (defaults to the first)
+ */
+function setTracks(newTracks, activeId = null) {
+  // Keep generated IDs clear of the loaded ones
+  (newTracks || []).forEach((t) => {
+    const match = /^track_(\d+)$/.exec(t.id || '');
+    if (match) {
+      nextTrackId = Math.max(nextTrackId, parseInt(match[1], 10) + 1);
+    }
+  });
+  
+  tracks = [];
+  (newTracks || []).forEach(t => tracks.push(createTrack(t)));
+  if (tracks.length === 0) {
+    tracks.push(createTrack({ name: 'Track 1' }));
+  }
+  
+  const active = tracks.find(t => t.id === activeId) || tracks[0];
+  setActiveTrack(active.id);
+}
+
 /**
  * Add a note to the piano roll
  * @param {number} pitch - MIDI note number
@@ -80,7 +294,7 @@ function addNote(pitch, start, duration = 4, velocity = 0.8) {
   }
   
   // Calculate max position
-  const maxPosition = PIANO_ROLL_CONFIG.bars * PIANO_ROLL_CONFIG.beatsPerBar * PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  const maxPosition = getTotalSixteenths();
   
   // Validate start position
   if (start < 0 || start >= maxPosition) {
@@ -101,6 +315,11 @@ function addNote(pitch, start, duration = 4, velocity = 0.8) {
   notes.push(note);
   render();
   
+  const trackId = activeTrackId;
+  recordNoteEdit('Add Note',
+    () => deleteTrackNotes(trackId, [note.id]),
+    () => insertTrackNotes(trackId, [note]));
+  
   return note;
 }
 
@@ -111,29 +330,53 @@ function addNote(pitch, start, duration = 4, velocity = 0.8) {
 function removeNote(noteId) {
   const index = notes.findIndex(n => n.id === noteId);
   if (index !== -1) {
-    notes.splice(index, 1);
+    const [note] = notes.splice(index, 1);
     selectedNotes.delete(noteId);
     render();
+    
+    const trackId = activeTrackId;
+    recordNoteEdit('Delete Note',
+      () => insertTrackNotes(trackId, [note]),
+      () => deleteTrackNotes(trackId, [note.id]));
   }
 }
 
 /**
  * Remove all selected notes
+ * @param {string} label - Undo label (optional, 'Delete Note(s)' by default)
  */
-function removeSelectedNotes() {
-  notes = notes.filter(n => !selectedNotes.has(n.id));
+function removeSelectedNotes(label = null) {
+  const removed = notes.filter(n => selectedNotes.has(n.id));
+  
+  setActiveNotes(notes.filter(n => !selectedNotes.has(n.id)));
   selectedNotes.clear();
   render();
+  
+  if (removed.length > 0) {
+    const trackId = activeTrackId;
+    recordNoteEdit(label || (removed.length === 1 ? 'Delete Note' : 'Delete Notes'),
+      () => insertTrackNotes(trackId, removed),
+      () => deleteTrackNotes(trackId, removed.map(n => n.id)));
+  }
 }
 
 /**
- * Clear all notes
+ * Clear all notes on the active track
  */
 function clearAllNotes() {
-  notes = [];
+  const removed = notes;
+  
+  setActiveNotes([]);
   selectedNotes.clear();
   hoveredNote = null;
   render();
+  
+  if (removed.length > 0) {
+    const trackId = activeTrackId;
+    recordNoteEdit('Clear Notes',
+      () => insertTrackNotes(trackId, removed),
+      () => deleteTrackNotes(trackId, removed.map(n => n.id)));
+  }
 }
 
 /**
@@ -151,7 +394,7 @@ function getNoteAt(pitch, time) {
 }
 
 /**
- * Get all notes
+ * Get all notes on the active track
  * @returns {Array<Note>} All notes
  */
 function getAllNotes() {
@@ -159,18 +402,196 @@ function getAllNotes() {
 }
 
 /**
- * Set all notes (for loading)
+ * Set all notes on the active track (for loading)
  * @param {Array<Note>} newNotes - Notes to load
  */
 function setAllNotes(newNotes) {
-  notes = newNotes.map(n => ({
+  setActiveNotes(newNotes.map(n => ({
     ...n,
     id: n.id || generateNoteId()
-  }));
+  })));
   selectedNotes.clear();
   render();
 }
 
+/**
+ * Replace the active track's note array
+ * @param {Array<Note>} newNotes - New note array
+ */
+function setActiveNotes(newNotes) {
+  notes = newNotes;
+  const track = getActiveTrack();
+  if (track) {
+    track.notes = notes;
+  }
+}
+
+// ==================== CONTROLLER LANES ====================
+
+/**
+ * Copy controller lanes, keeping valid points in time order
+ * @param {Object} controllers - Lanes by controller name
+ * @returns {Object} Copied lanes (empty ones are left out)
+ */
+function copyControllers(controllers) {
+  const copy = {};
+  Object.keys(controllers || {}).forEach((name) => {
+    const lane = Array.isArray(controllers[name]) ? controllers[name] : [];
+    const points = lane
+      .filter(p => p && Number.isFinite(p.time) && p.time >= 0 && Number.isFinite(p.value))
+      .map(p => ({ time: p.time, value: p.value }))
+      .sort((a, b) => a.time - b.time);
+    if (points.length > 0) {
+      copy[name] = points;
+    }
+  });
+  return copy;
+}
+
+/**
+ * Add recorded controller moves to the active track
+ * Each lane's new points replace the ones it had between the first and last
+ * recorded point, so recording over a passage again replaces it.
+ * @param {Object} take - Recorded points by controller name
+ */
+function recordControllerTake(take) {
+  const track = getActiveTrack();
+  if (!track) return;
+  
+  const before = track.controllers;
+  const merged = { ...before };
+  Object.keys(take).forEach((name) => {
+    const points = take[name];
+    if (!points || points.length === 0) return;
+    
+    const from = points[0].time;
+    const to = points[points.length - 1].time;
+    merged[name] = (before[name] || []).filter(p => p.time < from || p.time > to).concat(points);
+  });
+  const after = copyControllers(merged);
+  
+  const trackId = track.id;
+  setTrackControllers(trackId, after);
+  recordNoteEdit('Record Controllers',
+    () => setTrackControllers(trackId, before),
+    () => setTrackControllers(trackId, after));
+}
+
+/**
+ * Remove a track's controller data
+ * @param {string} trackId - Track ID
+ */
+function clearTrackControllers(trackId) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track || Object.keys(track.controllers).length === 0) return;
+  
+  const before = track.controllers;
+  setTrackControllers(trackId, {});
+  recordNoteEdit('Clear Controllers',
+    () => setTrackControllers(trackId, before),
+    () => setTrackControllers(trackId, {}));
+}
+
+// ==================== UNDO HELPERS ====================
+
+/**
+ * Record an undoable piano roll edit in the shared history
+ * @param {string} label - Human readable name
+ * @param {Function} undo - Reverts the edit
+ * @param {Function} redo - Applies the edit again
+ */
+function recordNoteEdit(label, undo, redo) {
+  if (window.EditHistory) {
+    window.EditHistory.record(label, undo, redo);
+  }
+}
+
+/**
+ * Put notes back on a track (used by undo/redo)
+ * @param {string} trackId - Track ID
+ * @param {Array<Note>} noteList - Notes to insert
+ */
+function insertTrackNotes(trackId, noteList) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return;
+  
+  noteList.forEach((note) => {
+    if (!track.notes.some(n => n.id === note.id)) {
+      track.notes.push(note);
+    }
+  });
+  render();
+}
+
+/**
+ * Take notes off a track (used by undo/redo)
+ * @param {string} trackId - Track ID
+ * @param {Array<string>} noteIds - IDs of the notes to remove
+ */
+function deleteTrackNotes(trackId, noteIds) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return;
+  
+  const ids = new Set(noteIds);
+  const remaining = track.notes.filter(n => !ids.has(n.id));
+  if (trackId === activeTrackId) {
+    setActiveNotes(remaining);
+  } else {
+    track.notes = remaining;
+  }
+  
+  noteIds.forEach(id => selectedNotes.delete(id));
+  if (ids.has(hoveredNote)) {
+    hoveredNote = null;
+  }
+  render();
+}
+
+/**
+ * Change fields of a note on a track (used by undo/redo)
+ * @param {string} trackId - Track ID
+ * @param {string} noteId - Note ID
+ * @param {Object} fields - Fields to set (pitch, start, duration, velocity)
+ */
+function setTrackNoteFields(trackId, noteId, fields) {
+  const track = tracks.find(t => t.id === trackId);
+  const note = track ? track.notes.find(n => n.id === noteId) : null;
+  if (!note) return;
+  
+  Object.assign(note, fields);
+  render();
+}
+
+/**
+ * Change fields of several notes on a track (used by undo/redo)
+ * @param {string} trackId - Track ID
+ * @param {Array<Object>} changes - { id, fields } per note
+ */
+function setTrackNotesFields(trackId, changes) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return;
+  
+  changes.forEach(({ id, fields }) => {
+    const note = track.notes.find(n => n.id === id);
+    if (note) {
+      Object.assign(note, fields);
+    }
+  });
+  render();
+}
+
+/**
+ * Replace a track's controller lanes (used by undo/redo)
+ * @param {string} trackId - Track ID
+ * @param {Object} controllers - Lanes by controller name
+ */
+function setTrackControllers(trackId, controllers) {
+  const track = tracks.find(t => t.id === trackId);
+  if (!track) return;
+  
+  track.controllers = controllers;
+}
+
 /**
  * Select a note
  * @param {string} noteId - Note ID to select
@@ -198,128 +619,547 @@ function clearSelection() {
   render();
 }
 
-// ==================== CANVAS RENDERING ====================
+// ==================== SELECTION & CLIPBOARD ====================
 
-let canvas = null;
-let ctx = null;
-let scrollContainer = null;
-let timelineCanvas = null;
-let timelineCtx = null;
-let playheadPosition = 0; // In 16th notes
-let pianoRollInstrument = 'piano'; // Internal instrument state for note colors
+let clipboard = []; // Copied notes, with starts relative to the first one
 
 /**
- * Initialize the piano roll canvas
- * @param {HTMLCanvasElement} canvasElement - The canvas element
- * @param {HTMLElement} scrollElement - The scroll container
- * @param {HTMLCanvasElement} timelineElement - The timeline canvas
+ * Select every note on the active track
+ * @returns {number} Number of notes selected
  */
-function initCanvas(canvasElement, scrollElement, timelineElement) {
-  canvas = canvasElement;
-  ctx = canvas.getContext('2d');
-  scrollContainer = scrollElement;
-  timelineCanvas = timelineElement;
-  timelineCtx = timelineCanvas.getContext('2d');
-  
-  // Calculate dimensions
-  const totalNotes = PIANO_ROLL_CONFIG.maxNote - PIANO_ROLL_CONFIG.minNote + 1;
-  const total16ths = PIANO_ROLL_CONFIG.bars * PIANO_ROLL_CONFIG.beatsPerBar * PIANO_ROLL_CONFIG.sixteenthsPerBeat;
-  
-  // Set canvas size
-  canvas.width = total16ths * PIANO_ROLL_CONFIG.sixteenthWidth;
-  canvas.height = totalNotes * PIANO_ROLL_CONFIG.noteHeight;
+function selectAllNotes() {
+  selectedNotes = new Set(notes.map(n => n.id));
+  render();
+  return selectedNotes.size;
+}
+
+/**
+ * Get the selected notes of the active track in time order
+ * @returns {Array<Note>} Selected notes
+ */
+function getSelectedNotes() {
+  return notes
+    .filter(n => selectedNotes.has(n.id))
+    .sort((a, b) => a.start - b.start || b.pitch - a.pitch);
+}
+
+/**
+ * Copy the selected notes to the clipboard
+ * @returns {number} Number of notes copied
+ */
+function copySelectedNotes() {
+  const selection = getSelectedNotes();
+  if (selection.length === 0) return 0;
   
-  // Set timeline canvas size
-  timelineCanvas.width = canvas.width;
-  timelineCanvas.height = 32;
+  const origin = selection[0].start;
+  clipboard = selection.map(n => ({
+    pitch: n.pitch,
+    start: n.start - origin,
+    duration: n.duration,
+    velocity: n.velocity
+  }));
+  return clipboard.length;
+}
+
+/**
+ * Copy the selected notes to the clipboard and remove them
+ * @returns {number} Number of notes cut
+ */
+function cutSelectedNotes() {
+  const count = copySelectedNotes();
+  if (count > 0) {
+    removeSelectedNotes('Cut Notes');
+  }
+  return count;
+}
+
+/**
+ * Paste the clipboard onto the active track
+ * Without a position the notes go to the mouse position when the pointer is
+ * over the grid, otherwise to the playhead (either snapped to the grid).
+ * @param {number} position - Position of the first note in 16th notes (optional)
+ * @returns {number} Number of notes pasted
+ */
+function pasteNotes(position = null) {
+  if (clipboard.length === 0) return 0;
   
-  // Add event listeners
-  canvas.addEventListener('mousedown', handleMouseDown);
-  canvas.addEventListener('mousemove', handleMouseMove);
-  canvas.addEventListener('mouseup', handleMouseUp);
-  canvas.addEventListener('mouseleave', handleMouseLeave);
-  canvas.addEventListener('contextmenu', handleContextMenu);
+  let start;
+  if (position !== null) {
+    start = roundPosition(position);
+  } else {
+    start = pointerPosition ? pointerPosition.time : snapPosition(playheadPosition);
+  }
+  return placeNoteCopies(clipboard, Math.max(0, start), 'Paste Notes');
+}
+
+/**
+ * Duplicate the selected notes right after themselves
+ * The copy starts after the selection's length rounded up to whole beats, so
+ * a motif whose last note ends early still repeats on the beat.
+ * @returns {number} Number of notes duplicated
+ */
+function duplicateSelectedNotes() {
+  const selection = getSelectedNotes();
+  if (selection.length === 0) return 0;
   
-  // Sync timeline scroll with grid scroll
-  scrollContainer.addEventListener('scroll', () => {
-    const timelineContainer = timelineCanvas.parentElement;
-    if (timelineContainer) {
-      timelineContainer.scrollLeft = scrollContainer.scrollLeft;
-    }
-  });
+  const first = selection[0].start;
+  const end = Math.max(...selection.map(n => n.start + n.duration));
+  const beat = PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  const length = Math.ceil((end - first) / beat - SNAP_TOLERANCE) * beat;
   
-  render();
+  const motif = selection.map(n => ({ ...n, start: n.start - first }));
+  return placeNoteCopies(motif, first + length, 'Duplicate Notes');
 }
 
 /**
- * Render the piano roll grid and notes
+ * Add copies of notes to the active track and select them
+ * The song grows to fit them; notes past the longest possible song are dropped.
+ * Growing the song and adding the notes are one undo step.
+ * @param {Array<Object>} noteList - Notes with starts relative to the offset
+ * @param {number} offset - Position the relative starts count from, in 16th notes
+ * @param {string} label - Undo label
+ * @returns {number} Number of notes added
  */
-function render() {
-  if (!ctx) return;
+function placeNoteCopies(noteList, offset, label) {
+  if (window.EditHistory) {
+    window.EditHistory.beginGroup(label);
+  }
   
-  const width = canvas.width;
-  const height = canvas.height;
-  const totalNotes = PIANO_ROLL_CONFIG.maxNote - PIANO_ROLL_CONFIG.minNote + 1;
-  const total16ths = PIANO_ROLL_CONFIG.bars * PIANO_ROLL_CONFIG.beatsPerBar * PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  const previousBars = PIANO_ROLL_CONFIG.bars;
+  ensureLength(Math.max(...noteList.map(n => offset + n.start + n.duration)));
+  const bars = PIANO_ROLL_CONFIG.bars;
+  if (bars !== previousBars) {
+    recordNoteEdit(label, () => setSongLength(previousBars), () => setSongLength(bars));
+  }
   
-  // Clear canvas
-  ctx.fillStyle = '#12121a';
-  ctx.fillRect(0, 0, width, height);
+  const maxPosition = getTotalSixteenths();
+  const copies = noteList
+    .filter(n => offset + n.start < maxPosition)
+    .map(n => ({
+      id: generateNoteId(),
+      pitch: n.pitch,
+      start: roundPosition(offset + n.start),
+      duration: roundPosition(Math.min(n.duration, maxPosition - offset - n.start)),
+      velocity: n.velocity
+    }));
   
-  // Draw horizontal lines (note rows)
-  for (let i = 0; i <= totalNotes; i++) {
-    const y = i * PIANO_ROLL_CONFIG.noteHeight;
-    const midiNote = PIANO_ROLL_CONFIG.maxNote - i;
-    const noteName = midiNote % 12;
-    
-    // Alternate row colors and highlight C notes
-    if (noteName === 0) {
-      ctx.fillStyle = '#1a1a24';
-    } else if ([1, 3, 6, 8, 10].includes(noteName)) {
-      ctx.fillStyle = '#0f0f14';
-    } else {
-      ctx.fillStyle = '#12121a';
-    }
-    ctx.fillRect(0, y, width, PIANO_ROLL_CONFIG.noteHeight);
+  if (copies.length > 0) {
+    setActiveNotes(notes.concat(copies));
+    selectedNotes = new Set(copies.map(n => n.id));
+    render();
     
-    // Draw row line
-    ctx.strokeStyle = '#2a2a38';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(0, y + 0.5);
-    ctx.lineTo(width, y + 0.5);
-    ctx.stroke();
+    const trackId = activeTrackId;
+    recordNoteEdit(label,
+      () => deleteTrackNotes(trackId, copies.map(n => n.id)),
+      () => insertTrackNotes(trackId, copies));
   }
   
-  // Draw vertical lines (time divisions)
-  for (let i = 0; i <= total16ths; i++) {
-    const x = i * PIANO_ROLL_CONFIG.sixteenthWidth;
-    
-    if (i % 16 === 0) {
-      // Bar line
-      ctx.strokeStyle = '#4a4a58';
-      ctx.lineWidth = 2;
-    } else if (i % 4 === 0) {
-      // Beat line
-      ctx.strokeStyle = '#3a3a48';
-      ctx.lineWidth = 1;
-    } else {
-      // 16th note line
-      ctx.strokeStyle = '#2a2a38';
-      ctx.lineWidth = 1;
-    }
-    
-    ctx.beginPath();
-    ctx.moveTo(x + 0.5, 0);
-    ctx.lineTo(x + 0.5, height);
-    ctx.stroke();
+  if (window.EditHistory) {
+    window.EditHistory.endGroup();
   }
-  
+  return copies.length;
+}
+
+// ==================== SONG LENGTH & TIME SIGNATURE ====================
+
+let onLengthChange = null;
+
+/**
+ * Set callback for song length / time signature changes
+ * @param {Function} callback - Function to call with getConfig()
+ */
+function setLengthChangeCallback(callback) {
+  onLengthChange = callback;
+}
+
+/**
+ * Get the length of one bar in 16th notes
+ * @returns {number} 16th notes per bar
+ */
+function getSixteenthsPerBar() {
+  return PIANO_ROLL_CONFIG.beatsPerBar * PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+}
+
+/**
+ * Get the song length in 16th notes
+ * @returns {number} Total 16th notes
+ */
+function getTotalSixteenths() {
+  return PIANO_ROLL_CONFIG.bars * getSixteenthsPerBar();
+}
+
+/**
+ * Get the time signature
+ * @returns {Object} { numerator, denominator }
+ */
+function getTimeSignature() {
+  return {
+    numerator: PIANO_ROLL_CONFIG.beatsPerBar,
+    denominator: 16 / PIANO_ROLL_CONFIG.sixteenthsPerBeat
+  };
+}
+
+/**
+ * Check if a time signature can be shown on the 16th grid
+ * @param {number} numerator - Beats per bar (1-16)
+ * @param {number} denominator - Beat unit (2, 4, 8 or 16)
+ * @returns {boolean} Whether it is supported
+ */
+function isValidTimeSignature(numerator, denominator) {
+  return Number.isInteger(numerator) && numerator >= 1 && numerator <= 16 &&
+         [2, 4, 8, 16].includes(denominator);
+}
+
+/**
+ * Set the time signature. Notes keep their positions in 16th notes.
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (2, 4, 8 or 16)
+ * @returns {boolean} Whether the time signature was applied
+ */
+function setTimeSignature(numerator, denominator) {
+  if (!isValidTimeSignature(numerator, denominator)) return false;
+  
+  PIANO_ROLL_CONFIG.beatsPerBar = numerator;
+  PIANO_ROLL_CONFIG.sixteenthsPerBeat = 16 / denominator;
+  
+  // A shorter bar must not cut off existing notes
+  ensureLength(getContentLength());
+  applyLengthChange();
+  return true;
+}
+
+/**
+ * Set the number of bars
+ * @param {number} bars - Bar count (1 to maxBars)
+ */
+function setSongLength(bars) {
+  PIANO_ROLL_CONFIG.bars = Math.max(1, Math.min(PIANO_ROLL_CONFIG.maxBars, Math.round(bars) || 1));
+  applyLengthChange();
+}
+
+/**
+ * Grow the song so that it is at least a given length (never shrinks)
+ * @param {number} sixteenths - Required length in 16th notes
+ */
+function ensureLength(sixteenths) {
+  const barsNeeded = Math.ceil(sixteenths / getSixteenthsPerBar());
+  if (barsNeeded > PIANO_ROLL_CONFIG.bars) {
+    setSongLength(barsNeeded);
+  }
+}
+
+/**
+ * Get the end of the last note on any track
+ * @returns {number} Position in 16th notes (0 if there are no notes)
+ */
+function getContentLength() {
+  let end = 0;
+  tracks.forEach((track) => {
+    track.notes.forEach((note) => {
+      end = Math.max(end, note.start + note.duration);
+    });
+  });
+  return end;
+}
+
+/**
+ * Resize, redraw and notify after the song length or time signature changed
+ */
+function applyLengthChange() {
+  resizeCanvas();
+  render();
+  
+  if (onLengthChange) {
+    onLengthChange(getConfig());
+  }
+}
+
+// ==================== SNAP GRID ====================
+
+/**
+ * Set the grid that drawn, moved, resized and pasted notes snap to
+ * @param {string} snap - Key of SNAP_GRIDS ('1/4' ... '1/32T', 'off')
+ * @returns {boolean} Whether the snap grid was applied
+ */
+function setSnap(snap) {
+  if (!(snap in SNAP_GRIDS)) return false;
+  
+  PIANO_ROLL_CONFIG.snap = snap;
+  render();
+  return true;
+}
+
+/**
+ * Get the snap grid
+ * @returns {string} Key of SNAP_GRIDS
+ */
+function getSnap() {
+  return PIANO_ROLL_CONFIG.snap;
+}
+
+/**
+ * Get the snap step
+ * @returns {number} Step in 16th notes (0 when snapping is off)
+ */
+function getSnapStep() {
+  return SNAP_GRIDS[PIANO_ROLL_CONFIG.snap];
+}
+
+/**
+ * Round a position to the precision notes are stored with
+ * @param {number} position - Position in 16th notes
+ * @returns {number} Rounded position
+ */
+function roundPosition(position) {
+  return Math.round(position * 1000) / 1000;
+}
+
+/**
+ * Snap a position to the grid
+ * Grid lines count from each bar line, so triplets stay in line with the bars
+ * in every time signature.
+ * @param {number} position - Position in 16th notes
+ * @param {boolean} nearest - Snap to the nearest grid line instead of the start of the grid cell the position is in
+ * @returns {number} Snapped position in 16th notes
+ */
+function snapPosition(position, nearest = false) {
+  const step = getSnapStep();
+  if (!step) return roundPosition(position);
+  
+  const barLength = getSixteenthsPerBar();
+  const barStart = Math.floor((position + SNAP_TOLERANCE) / barLength) * barLength;
+  const steps = (position - barStart + SNAP_TOLERANCE) / step;
+  const snapped = barStart + (nearest ? Math.round(steps) : Math.floor(steps)) * step;
+  
+  // A triplet grid may not fill the bar; the next bar line is a grid line too
+  const nextBar = barStart + barLength;
+  if (nearest && nextBar - position < Math.abs(snapped - position)) {
+    return nextBar;
+  }
+  return roundPosition(Math.min(snapped, nextBar));
+}
+
+/**
+ * Get the shortest note length that can be drawn or resized to
+ * @returns {number} Length in 16th notes
+ */
+function getMinNoteLength() {
+  return getSnapStep() || PIANO_ROLL_CONFIG.minNoteLength;
+}
+
+// ==================== CANVAS RENDERING ====================
+
+let canvas = null;
+let ctx = null;
+let scrollContainer = null;
+let timelineCanvas = null;
+let timelineCtx = null;
+let velocityCanvas = null;
+let velocityCtx = null;
+let tempoCanvas = null;
+let tempoCtx = null;
+let playheadPosition = 0; // In 16th notes
+let loopRegion = null;    // { start, end, enabled } shown on the timeline
+
+/**
+ * Initialize the piano roll canvas
+ * @param {HTMLCanvasElement} canvasElement - The canvas element
+ * @param {HTMLElement} scrollElement - The scroll container
+ * @param {HTMLCanvasElement} timelineElement - The timeline canvas
+ * @param {HTMLCanvasElement} velocityElement - The velocity lane canvas (optional)
+ * @param {HTMLCanvasElement} tempoElement - The tempo lane canvas (optional)
+ */
+function initCanvas(canvasElement, scrollElement, timelineElement, velocityElement = null, tempoElement = null) {
+  canvas = canvasElement;
+  ctx = canvas.getContext('2d');
+  scrollContainer = scrollElement;
+  timelineCanvas = timelineElement;
+  timelineCtx = timelineCanvas.getContext('2d');
+  velocityCanvas = velocityElement;
+  velocityCtx = velocityCanvas ? velocityCanvas.getContext('2d') : null;
+  tempoCanvas = tempoElement;
+  tempoCtx = tempoCanvas ? tempoCanvas.getContext('2d') : null;
+  
+  resizeCanvas();
+  
+  // Add event listeners
+  canvas.addEventListener('mousedown', handleMouseDown);
+  canvas.addEventListener('mousemove', handleMouseMove);
+  window.addEventListener('mouseup', handleMouseUp);
+  canvas.addEventListener('mouseleave', handleMouseLeave);
+  canvas.addEventListener('contextmenu', handleContextMenu);
+  
+  timelineCanvas.addEventListener('mousedown', handleTimelineMouseDown);
+  timelineCanvas.addEventListener('mousemove', handleTimelineMouseMove);
+  window.addEventListener('mouseup', handleTimelineMouseUp);
+  
+  if (velocityCanvas) {
+    velocityCanvas.addEventListener('mousedown', handleVelocityMouseDown);
+    window.addEventListener('mousemove', handleVelocityMouseMove);
+    window.addEventListener('mouseup', handleVelocityMouseUp);
+  }
+  
+  if (tempoCanvas) {
+    tempoCanvas.addEventListener('mousedown', handleTempoMouseDown);
+    tempoCanvas.addEventListener('mousemove', handleTempoHover);
+    tempoCanvas.addEventListener('dblclick', handleTempoDoubleClick);
+    tempoCanvas.addEventListener('contextmenu', handleTempoContextMenu);
+    window.addEventListener('mousemove', handleTempoMouseMove);
+    window.addEventListener('mouseup', handleTempoMouseUp);
+  }
+  
+  // Sync timeline, tempo and velocity lane scroll with grid scroll
+  scrollContainer.addEventListener('scroll', () => {
+    const timelineContainer = timelineCanvas.parentElement;
+    if (timelineContainer) {
+      timelineContainer.scrollLeft = scrollContainer.scrollLeft;
+    }
+    if (velocityCanvas && velocityCanvas.parentElement) {
+      velocityCanvas.parentElement.scrollLeft = scrollContainer.scrollLeft;
+    }
+    if (tempoCanvas && tempoCanvas.parentElement) {
+      tempoCanvas.parentElement.scrollLeft = scrollContainer.scrollLeft;
+    }
+  });
+  
+  render();
+}
+
+/**
+ * Size the grid and timeline canvases to the song length
+ */
+function resizeCanvas() {
+  if (!canvas) return;
+  
+  const totalNotes = PIANO_ROLL_CONFIG.maxNote - PIANO_ROLL_CONFIG.minNote + 1;
+  
+  canvas.width = getTotalSixteenths() * PIANO_ROLL_CONFIG.sixteenthWidth;
+  canvas.height = totalNotes * PIANO_ROLL_CONFIG.noteHeight;
+  
+  timelineCanvas.width = canvas.width;
+  timelineCanvas.height = 32;
+  
+  if (velocityCanvas) {
+    velocityCanvas.width = canvas.width;
+    velocityCanvas.height = PIANO_ROLL_CONFIG.velocityLaneHeight;
+  }
+  
+  if (tempoCanvas) {
+    tempoCanvas.width = canvas.width;
+    tempoCanvas.height = PIANO_ROLL_CONFIG.tempoLaneHeight;
+  }
+}
+
+/**
+ * Render the piano roll grid and notes
+ */
+function render() {
+  if (!ctx) return;
+  
+  const width = canvas.width;
+  const height = canvas.height;
+  const totalNotes = PIANO_ROLL_CONFIG.maxNote - PIANO_ROLL_CONFIG.minNote + 1;
+  const total16ths = getTotalSixteenths();
+  const sixteenthsPerBar = getSixteenthsPerBar();
+  
+  // Clear canvas
+  ctx.fillStyle = '#12121a';
+  ctx.fillRect(0, 0, width, height);
+  
+  // Draw horizontal lines (note rows)
+  for (let i = 0; i <= totalNotes; i++) {
+    const y = i * PIANO_ROLL_CONFIG.noteHeight;
+    const midiNote = PIANO_ROLL_CONFIG.maxNote - i;
+    const noteName = midiNote % 12;
+    
+    // Alternate row colors and highlight C notes
+    if (noteName === 0) {
+      ctx.fillStyle = '#1a1a24';
+    } else if ([1, 3, 6, 8, 10].includes(noteName)) {
+      ctx.fillStyle = '#0f0f14';
+    } else {
+      ctx.fillStyle = '#12121a';
+    }
+    ctx.fillRect(0, y, width, PIANO_ROLL_CONFIG.noteHeight);
+    
+    // Draw row line
+    ctx.strokeStyle = '#2a2a38';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, y + 0.5);
+    ctx.lineTo(width, y + 0.5);
+    ctx.stroke();
+  }
+  
+  // Draw vertical lines (time divisions): 16ths, or the snap grid when it is
+  // finer than a 16th or a triplet grid
+  const snapStep = getSnapStep();
+  const lineStep = snapStep && (snapStep < 1 || !Number.isInteger(snapStep)) ? snapStep : 1;
+  const beat = PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  for (let barStart = 0; barStart <= total16ths; barStart += sixteenthsPerBar) {
+    for (let i = 0; i * lineStep < sixteenthsPerBar - SNAP_TOLERANCE; i++) {
+      const offset = i * lineStep;
+      const x = (barStart + offset) * PIANO_ROLL_CONFIG.sixteenthWidth;
+      
+      if (i === 0) {
+        // Bar line
+        ctx.strokeStyle = '#4a4a58';
+        ctx.lineWidth = 2;
+      } else if (Math.abs(offset / beat - Math.round(offset / beat)) < SNAP_TOLERANCE) {
+        // Beat line
+        ctx.strokeStyle = '#3a3a48';
+        ctx.lineWidth = 1;
+      } else {
+        // Grid line
+        ctx.strokeStyle = '#2a2a38';
+        ctx.lineWidth = 1;
+      }
+      
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, 0);
+      ctx.lineTo(x + 0.5, height);
+      ctx.stroke();
+      
+      // Only the closing bar line is drawn at the end of the song
+      if (barStart === total16ths) break;
+    }
+  }
+  
+  // Draw other tracks' notes faintly behind the active track
+  tracks.forEach((track) => {
+    if (track.id === activeTrackId) return;
+    const color = getInstrumentColor(track.instrument);
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = color;
+    track.notes.forEach((note) => {
+      ctx.fillRect(
+        note.start * PIANO_ROLL_CONFIG.sixteenthWidth + 1,
+        (PIANO_ROLL_CONFIG.maxNote - note.pitch) * PIANO_ROLL_CONFIG.noteHeight + 1,
+        note.duration * PIANO_ROLL_CONFIG.sixteenthWidth - 2,
+        PIANO_ROLL_CONFIG.noteHeight - 2
+      );
+    });
+    ctx.globalAlpha = 1;
+  });
+  
   // Draw notes
   notes.forEach((note) => {
     drawNote(note);
   });
   
+  // Draw the selection rectangle
+  if (marquee) {
+    const x = Math.min(marquee.x0, marquee.x1);
+    const y = Math.min(marquee.y0, marquee.y1);
+    const w = Math.abs(marquee.x1 - marquee.x0);
+    const h = Math.abs(marquee.y1 - marquee.y0);
+    ctx.fillStyle = 'rgba(88, 101, 242, 0.15)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = '#5865f2';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, w, h);
+  }
+  
   // Draw playhead
   if (playheadPosition >= 0) {
     const x = playheadPosition * PIANO_ROLL_CONFIG.sixteenthWidth;
@@ -327,8 +1167,10 @@ function render() {
     ctx.fillRect(x - 1, 0, 2, height);
   }
   
-  // Render timeline
+  // Render timeline and velocity lane
   renderTimeline();
+  renderVelocityLane();
+  renderTempoLane();
 }
 
 /**
@@ -341,8 +1183,9 @@ function drawNote(note) {
   const w = note.duration * PIANO_ROLL_CONFIG.sixteenthWidth;
   const h = PIANO_ROLL_CONFIG.noteHeight;
   
-  // Get note color based on current instrument
-  const color = PIANO_ROLL_CONFIG.noteColors[pianoRollInstrument] || '#5865f2';
+  // Get note color based on the active track's instrument
+  const color = getInstrumentColor(getActiveInstrument());
+  const velocity = typeof note.velocity === 'number' ? note.velocity : 0.8;
   
   // Check if selected or hovered
   const isSelected = selectedNotes.has(note.id);
@@ -375,7 +1218,11 @@ function drawNote(note) {
     ctx.quadraticCurveTo(rx, ry, rx + radius, ry);
     ctx.closePath();
   }
+  
+  // Quieter notes are more transparent
+  ctx.globalAlpha = 0.35 + 0.65 * velocity;
   ctx.fill();
+  ctx.globalAlpha = 1;
   
   // Draw border
   ctx.strokeStyle = isSelected ? color : darkenColor(color, 20);
@@ -400,7 +1247,9 @@ function renderTimeline() {
   
   const width = timelineCanvas.width;
   const height = timelineCanvas.height;
-  const total16ths = PIANO_ROLL_CONFIG.bars * PIANO_ROLL_CONFIG.beatsPerBar * PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  const total16ths = getTotalSixteenths();
+  const sixteenthsPerBar = getSixteenthsPerBar();
+  const sixteenthsPerBeat = PIANO_ROLL_CONFIG.sixteenthsPerBeat;
   
   // Clear
   timelineCtx.fillStyle = '#1a1a24';
@@ -410,18 +1259,18 @@ function renderTimeline() {
   for (let i = 0; i <= total16ths; i++) {
     const x = i * PIANO_ROLL_CONFIG.sixteenthWidth;
     
-    if (i % 16 === 0) {
+    if (i % sixteenthsPerBar === 0) {
       // Bar marker
-      const barNumber = i / 16 + 1;
+      const barNumber = i / sixteenthsPerBar + 1;
       timelineCtx.fillStyle = '#ffffff';
       timelineCtx.font = 'bold 12px Inter, sans-serif';
       timelineCtx.fillText(`${barNumber}`, x + 4, 14);
       
       timelineCtx.strokeStyle = '#4a4a58';
       timelineCtx.lineWidth = 2;
-    } else if (i % 4 === 0) {
+    } else if (i % sixteenthsPerBeat === 0) {
       // Beat marker
-      const beat = (i % 16) / 4 + 1;
+      const beat = (i % sixteenthsPerBar) / sixteenthsPerBeat + 1;
       timelineCtx.fillStyle = '#72767d';
       timelineCtx.font = '10px Inter, sans-serif';
       timelineCtx.fillText(`${beat}`, x + 4, 24);
@@ -447,6 +1296,35 @@ function renderTimeline() {
   timelineCtx.lineTo(width, height - 0.5);
   timelineCtx.stroke();
   
+  // Draw loop region and its locators
+  if (loopRegion) {
+    const startX = loopRegion.start * PIANO_ROLL_CONFIG.sixteenthWidth;
+    const endX = loopRegion.end * PIANO_ROLL_CONFIG.sixteenthWidth;
+    const color = loopRegion.enabled ? '#5865f2' : '#72767d';
+    
+    timelineCtx.fillStyle = loopRegion.enabled ? 'rgba(88, 101, 242, 0.25)' : 'rgba(114, 118, 125, 0.15)';
+    timelineCtx.fillRect(startX, 0, endX - startX, height - 8);
+    
+    timelineCtx.fillStyle = color;
+    timelineCtx.fillRect(startX, 0, 2, height);
+    timelineCtx.fillRect(endX - 2, 0, 2, height);
+    
+    // Flags pointing into the region
+    timelineCtx.beginPath();
+    timelineCtx.moveTo(startX, 0);
+    timelineCtx.lineTo(startX + 8, 0);
+    timelineCtx.lineTo(startX, 8);
+    timelineCtx.closePath();
+    timelineCtx.fill();
+    
+    timelineCtx.beginPath();
+    timelineCtx.moveTo(endX, 0);
+    timelineCtx.lineTo(endX - 8, 0);
+    timelineCtx.lineTo(endX, 8);
+    timelineCtx.closePath();
+    timelineCtx.fill();
+  }
+  
   // Draw playhead on timeline
   if (playheadPosition >= 0) {
     const x = playheadPosition * PIANO_ROLL_CONFIG.sixteenthWidth;
@@ -481,35 +1359,100 @@ function setPlayheadPosition(position) {
 }
 
 /**
- * Set current instrument (for note colors)
+ * Set the active track's instrument
  * @param {string} instrument - Instrument ID
  */
 function setCurrentInstrument(instrument) {
-  pianoRollInstrument = instrument;
+  const track = getActiveTrack();
+  if (track && track.instrument !== instrument) {
+    const previous = track.instrument;
+    track.instrument = instrument;
+    
+    const trackId = track.id;
+    recordNoteEdit('Change Instrument',
+      () => updateTrack(trackId, { instrument: previous }),
+      () => updateTrack(trackId, { instrument }));
+  }
   render();
 }
 
+/**
+ * Get the active track's instrument
+ * Exported as PianoRoll.getCurrentInstrument (the global of that name is ui.js's)
+ * @returns {string} Instrument ID
+ */
+function getActiveInstrument() {
+  const track = getActiveTrack();
+  return track ? track.instrument : 'piano';
+}
+
 // ==================== MOUSE INTERACTION ====================
 
 let isDragging = false;
-let dragStartX = 0;
+let dragStartX = 0;     // Unsnapped pointer position where the drag started, in 16th notes
 let dragStartY = 0;
 let dragNote = null;
+let dragOrigin = null; // { start, pitch, duration } of the dragged note before the drag
+let dragMode = 'move'; // 'move', 'resize-start' or 'resize-end'
+let dragGroup = null;  // Map noteId -> { note, start, pitch } of every note a move drag carries
+let selectOnClick = false; // Clicked a note of a larger selection: select just it unless it gets dragged
+let lastNoteLength = 4; // Length of newly drawn notes: the last one resized or clicked
+let pendingClick = null; // { time, pitch, x, y, toggle } of a press on empty grid, until it draws or selects
+let marquee = null;    // { x0, y0, x1, y1, base } in canvas pixels while drawing a selection rectangle
+let pointerPosition = null; // Grid position under the pointer (see getGridPosition), null when it is off the grid
 
 /**
  * Get grid position from mouse event
  * @param {MouseEvent} event - Mouse event
- * @returns {Object} Grid position { pitch, time }
+ * @returns {Object} Grid position { pitch, time (start of the snap grid cell), exact (unsnapped time) }
  */
 function getGridPosition(event) {
   const rect = canvas.getBoundingClientRect();
   const x = event.clientX - rect.left;
   const y = event.clientY - rect.top;
   
-  const time = Math.floor(x / PIANO_ROLL_CONFIG.sixteenthWidth);
+  const exact = Math.max(0, x / PIANO_ROLL_CONFIG.sixteenthWidth);
+  const time = snapPosition(exact);
   const pitch = PIANO_ROLL_CONFIG.maxNote - Math.floor(y / PIANO_ROLL_CONFIG.noteHeight);
   
-  return { time, pitch };
+  return { time, pitch, exact };
+}
+
+/**
+ * Get the pointer position in canvas pixels
+ * @param {MouseEvent} event - Mouse event
+ * @returns {Object} { x, y }
+ */
+function getCanvasPoint(event) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Find out whether a pointer position is on one of a note's resize handles
+ * Handles shrink on short notes so the middle can still be grabbed to move them.
+ * @param {Note} note - The note under the pointer
+ * @param {MouseEvent} event - Mouse event
+ * @returns {string} 'resize-start', 'resize-end' or 'move'
+ */
+function getNoteDragMode(note, event) {
+  const { x } = getCanvasPoint(event);
+  const left = note.start * PIANO_ROLL_CONFIG.sixteenthWidth;
+  const right = (note.start + note.duration) * PIANO_ROLL_CONFIG.sixteenthWidth;
+  const handle = Math.min(PIANO_ROLL_CONFIG.resizeHandleWidth, (right - left) / 3);
+  
+  if (x >= right - handle) return 'resize-end';
+  if (x <= left + handle) return 'resize-start';
+  return 'move';
+}
+
+/**
+ * Get the snap grid line nearest to the pointer (for resizing)
+ * @param {MouseEvent} event - Mouse event
+ * @returns {number} Position in 16th notes
+ */
+function getNearestGridLine(event) {
+  return snapPosition(getCanvasPoint(event).x / PIANO_ROLL_CONFIG.sixteenthWidth, true);
 }
 
 /**
@@ -519,27 +1462,32 @@ function getGridPosition(event) {
 function handleMouseDown(event) {
   if (event.button === 2) return; // Right click handled separately
   
-  const { time, pitch } = getGridPosition(event);
-  const existingNote = getNoteAt(pitch, time);
+  const { time, pitch, exact } = getGridPosition(event);
+  const existingNote = getNoteAt(pitch, exact);
+  const toggle = event.ctrlKey || event.metaKey;
   
   if (existingNote) {
-    // Select existing note
-    selectNote(existingNote.id, event.ctrlKey || event.metaKey);
+    // Pressing a selected note keeps the selection so the whole group can be dragged
+    const wasSelected = selectedNotes.has(existingNote.id);
+    if (toggle || !wasSelected) {
+      selectNote(existingNote.id, toggle);
+    }
+    if (!selectedNotes.has(existingNote.id)) return; // Ctrl+click deselected it
+    
+    // Its length becomes the length for new notes
     isDragging = true;
     dragNote = existingNote;
-    dragStartX = time;
+    dragOrigin = { start: existingNote.start, pitch: existingNote.pitch, duration: existingNote.duration };
+    dragMode = getNoteDragMode(existingNote, event);
+    dragGroup = new Map(getSelectedNotes().map(n => [n.id, { note: n, start: n.start, pitch: n.pitch }]));
+    selectOnClick = wasSelected && !toggle && selectedNotes.size > 1;
+    dragStartX = exact;
     dragStartY = pitch;
+    lastNoteLength = existingNote.duration;
   } else {
-    // Add new note
-    const note = addNote(pitch, time, 4, 0.8);
-    if (note) {
-      selectNote(note.id);
-      
-      // Play preview
-      if (window.AudioEngine) {
-        window.AudioEngine.playPreviewNote(pianoRollInstrument, pitch);
-      }
-    }
+    // Empty grid: a click draws a note, a drag draws a selection rectangle
+    const { x, y } = getCanvasPoint(event);
+    pendingClick = { time, pitch, x, y, toggle };
   }
 }
 
@@ -548,10 +1496,16 @@ function handleMouseDown(event) {
  * @param {MouseEvent} event - Mouse event
  */
 function handleMouseMove(event) {
-  const { time, pitch } = getGridPosition(event);
+  const { time, pitch, exact } = getGridPosition(event);
+  pointerPosition = { time, pitch, exact };
+  
+  if (pendingClick || marquee) {
+    updateMarquee(event);
+    return;
+  }
   
   // Update hovered note
-  const noteAtPosition = getNoteAt(pitch, time);
+  const noteAtPosition = getNoteAt(pitch, exact);
   const newHoveredNote = noteAtPosition ? noteAtPosition.id : null;
   
   if (newHoveredNote !== hoveredNote) {
@@ -559,38 +1513,149 @@ function handleMouseMove(event) {
     render();
   }
   
-  // Handle dragging (optional feature for moving notes)
-  if (isDragging && dragNote) {
-    const deltaX = time - dragStartX;
-    const deltaY = pitch - dragStartY;
-    
-    // Move note if delta is significant
-    if (Math.abs(deltaX) > 0 || Math.abs(deltaY) > 0) {
-      const newStart = Math.max(0, dragNote.start + deltaX);
-      const newPitch = Math.max(PIANO_ROLL_CONFIG.minNote, 
-                                Math.min(PIANO_ROLL_CONFIG.maxNote, dragNote.pitch + deltaY));
-      
-      // Validate new position
-      const maxPosition = PIANO_ROLL_CONFIG.bars * PIANO_ROLL_CONFIG.beatsPerBar * 
-                          PIANO_ROLL_CONFIG.sixteenthsPerBeat;
-      if (newStart + dragNote.duration <= maxPosition) {
-        dragNote.start = newStart;
-        dragNote.pitch = newPitch;
-        dragStartX = time;
-        dragStartY = pitch;
-        render();
-      }
+  // Resize cursor over note edges (kept for the whole resize drag)
+  const mode = isDragging && dragNote ? dragMode : (noteAtPosition ? getNoteDragMode(noteAtPosition, event) : null);
+  canvas.style.cursor = mode === 'resize-start' || mode === 'resize-end' ? 'ew-resize' : (mode === 'move' ? 'move' : '');
+  
+  // Resize from either edge, keeping the other edge in place
+  if (isDragging && dragNote && dragMode !== 'move') {
+    const line = getNearestGridLine(event);
+    const end = dragNote.start + dragNote.duration;
+    const minLength = getMinNoteLength();
+    
+    if (dragMode === 'resize-end') {
+      const newEnd = Math.max(dragNote.start + minLength, Math.min(getTotalSixteenths(), line));
+      dragNote.duration = roundPosition(newEnd - dragNote.start);
+    } else {
+      const newStart = Math.max(0, Math.min(end - minLength, line));
+      dragNote.start = roundPosition(newStart);
+      dragNote.duration = roundPosition(end - newStart);
     }
+    render();
+    return;
+  }
+  
+  // Move every selected note by the same amount, stopping at the song and note range edges.
+  // The amount is in whole snap steps, so off-grid notes keep their offset from the grid.
+  if (isDragging && dragNote) {
+    const group = Array.from(dragGroup.values());
+    const earliest = Math.min(...group.map(g => g.start));
+    const latestEnd = Math.max(...group.map(g => g.start + g.note.duration));
+    const lowest = Math.min(...group.map(g => g.pitch));
+    const highest = Math.max(...group.map(g => g.pitch));
+    
+    const moveX = roundPosition(time - snapPosition(dragStartX));
+    const deltaX = Math.max(-earliest, Math.min(getTotalSixteenths() - latestEnd, moveX));
+    const deltaY = Math.max(PIANO_ROLL_CONFIG.minNote - lowest,
+                            Math.min(PIANO_ROLL_CONFIG.maxNote - highest, pitch - dragStartY));
+    
+    group.forEach((g) => {
+      g.note.start = roundPosition(g.start + deltaX);
+      g.note.pitch = g.pitch + deltaY;
+    });
+    render();
   }
 }
 
 /**
- * Handle mouse up on canvas
+ * Turn a press on empty grid into a selection rectangle once the pointer has
+ * moved far enough, and select the notes it touches
+ * Ctrl/Cmd adds to the selection that was there before.
  * @param {MouseEvent} event - Mouse event
  */
-function handleMouseUp(event) {
+function updateMarquee(event) {
+  const { x, y } = getCanvasPoint(event);
+  
+  if (pendingClick) {
+    if (Math.hypot(x - pendingClick.x, y - pendingClick.y) < PIANO_ROLL_CONFIG.marqueeThreshold) return;
+    
+    marquee = {
+      x0: pendingClick.x,
+      y0: pendingClick.y,
+      base: pendingClick.toggle ? new Set(selectedNotes) : new Set()
+    };
+    pendingClick = null;
+  }
+  
+  marquee.x1 = x;
+  marquee.y1 = y;
+  
+  const left = Math.min(marquee.x0, x) / PIANO_ROLL_CONFIG.sixteenthWidth;
+  const right = Math.max(marquee.x0, x) / PIANO_ROLL_CONFIG.sixteenthWidth;
+  const top = PIANO_ROLL_CONFIG.maxNote - Math.min(marquee.y0, y) / PIANO_ROLL_CONFIG.noteHeight;
+  const bottom = PIANO_ROLL_CONFIG.maxNote - Math.max(marquee.y0, y) / PIANO_ROLL_CONFIG.noteHeight;
+  
+  selectedNotes = new Set(marquee.base);
+  notes.forEach((note) => {
+    // A note's row spans from its pitch up to the next pitch in these units
+    if (note.start < right && note.start + note.duration > left &&
+        note.pitch < top && note.pitch + 1 > bottom) {
+      selectedNotes.add(note.id);
+    }
+  });
+  render();
+}
+
+/**
+ * Handle mouse up anywhere (drags may end outside the canvas)
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleMouseUp(event) {
+  // A press on empty grid that never moved draws a note
+  if (pendingClick) {
+    const { time, pitch } = pendingClick;
+    pendingClick = null;
+    
+    const note = addNote(pitch, time, lastNoteLength, 0.8);
+    if (note) {
+      selectNote(note.id);
+      
+      // Play preview
+      if (window.AudioEngine) {
+        window.AudioEngine.playPreviewNote(getActiveInstrument(), pitch, { trackId: activeTrackId, position: note.start });
+      }
+    }
+  }
+  
+  if (marquee) {
+    marquee = null;
+    render();
+  }
+  
+  // The whole drag becomes a single undo step
+  if (dragNote && dragMode !== 'move' &&
+      (dragNote.start !== dragOrigin.start || dragNote.duration !== dragOrigin.duration)) {
+    const trackId = activeTrackId;
+    const noteId = dragNote.id;
+    const before = dragOrigin;
+    const after = { start: dragNote.start, pitch: dragNote.pitch, duration: dragNote.duration };
+    recordNoteEdit('Resize Note',
+      () => setTrackNoteFields(trackId, noteId, before),
+      () => setTrackNoteFields(trackId, noteId, after));
+    
+    lastNoteLength = dragNote.duration;
+  } else if (dragNote && dragMode === 'move') {
+    const moved = Array.from(dragGroup.values())
+      .filter(g => g.note.start !== g.start || g.note.pitch !== g.pitch);
+    
+    if (moved.length > 0) {
+      const trackId = activeTrackId;
+      const undo = moved.map(g => ({ id: g.note.id, fields: { start: g.start, pitch: g.pitch } }));
+      const redo = moved.map(g => ({ id: g.note.id, fields: { start: g.note.start, pitch: g.note.pitch } }));
+      recordNoteEdit(moved.length === 1 ? 'Move Note' : 'Move Notes',
+        () => setTrackNotesFields(trackId, undo),
+        () => setTrackNotesFields(trackId, redo));
+    } else if (selectOnClick) {
+      selectNote(dragNote.id);
+    }
+  }
+  
   isDragging = false;
   dragNote = null;
+  dragOrigin = null;
+  dragMode = 'move';
+  dragGroup = null;
+  selectOnClick = false;
 }
 
 /**
@@ -598,6 +1663,8 @@ function handleMouseUp(event) {
  * @param {MouseEvent} event - Mouse event
  */
 function handleMouseLeave(event) {
+  pointerPosition = null;
+  
   if (hoveredNote) {
     hoveredNote = null;
     render();
@@ -611,16 +1678,849 @@ function handleMouseLeave(event) {
 function handleContextMenu(event) {
   event.preventDefault();
   
-  const { time, pitch } = getGridPosition(event);
-  const existingNote = getNoteAt(pitch, time);
+  const { pitch, exact } = getGridPosition(event);
+  const existingNote = getNoteAt(pitch, exact);
   
   if (existingNote) {
     removeNote(existingNote.id);
   }
 }
 
+// ==================== TIMELINE INTERACTION ====================
+
+let loopDrag = null; // { edge: 'start' | 'end' } or { anchor } while drawing a new region
+let onLoopRegionChange = null;
+let scrubPosition = null;   // Last position sent while scrubbing, null when not scrubbing
+let onSeek = null;
+
+/**
+ * Set callback for loop region edits on the timeline
+ * @param {Function} callback - Function to call with { start, end }
+ */
+function setLoopRegionCallback(callback) {
+  onLoopRegionChange = callback;
+}
+
+/**
+ * Set callback for seeking by clicking or dragging on the timeline
+ * @param {Function} callback - Function to call with the position in 16th notes
+ */
+function setSeekCallback(callback) {
+  onSeek = callback;
+}
+
+/**
+ * Show a loop region on the timeline
+ * @param {Object|null} region - { start, end, enabled } in 16th notes, or null to hide
+ */
+function showLoopRegion(region) {
+  loopRegion = region ? { ...region } : null;
+  renderTimeline();
+}
+
+/**
+ * Get the timeline position under the mouse, snapped to the nearest beat
+ * @param {MouseEvent} event - Mouse event
+ * @returns {number} Position in 16th notes
+ */
+function getTimelinePosition(event) {
+  const rect = timelineCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const beat = PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  const position = Math.round(x / PIANO_ROLL_CONFIG.sixteenthWidth / beat) * beat;
+  return Math.max(0, Math.min(getTotalSixteenths(), position));
+}
+
+/**
+ * Get the 16th note under the mouse on the timeline (for seeking)
+ * @param {MouseEvent} event - Mouse event
+ * @returns {number} Position in 16th notes
+ */
+function getTimelineSixteenth(event) {
+  const rect = timelineCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const position = Math.floor(x / PIANO_ROLL_CONFIG.sixteenthWidth);
+  return Math.max(0, Math.min(getTotalSixteenths(), position));
+}
+
+/**
+ * Seek to the timeline position under the mouse
+ * @param {MouseEvent} event - Mouse event
+ */
+function scrubTo(event) {
+  const position = getTimelineSixteenth(event);
+  if (position === scrubPosition) return;
+  
+  scrubPosition = position;
+  if (onSeek) {
+    onSeek(position);
+  }
+}
+
+/**
+ * Find the loop locator under the mouse
+ * @param {MouseEvent} event - Mouse event
+ * @returns {string|null} 'start', 'end' or null
+ */
+function getLocatorAt(event) {
+  if (!loopRegion) return null;
+  
+  const rect = timelineCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const startX = loopRegion.start * PIANO_ROLL_CONFIG.sixteenthWidth;
+  const endX = loopRegion.end * PIANO_ROLL_CONFIG.sixteenthWidth;
+  
+  // Prefer the end locator when both are close (tiny regions)
+  if (Math.abs(x - endX) <= 6) return 'end';
+  if (Math.abs(x - startX) <= 6) return 'start';
+  return null;
+}
+
+/**
+ * Handle mouse down on the timeline
+ * Drag a locator to move it; Shift+drag draws a new loop region.
+ * Anywhere else, click or drag to move the playhead.
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTimelineMouseDown(event) {
+  if (event.button !== 0) return;
+  event.preventDefault();
+  
+  const edge = getLocatorAt(event);
+  if (edge) {
+    loopDrag = { edge };
+  } else if (event.shiftKey && loopRegion) {
+    loopDrag = { anchor: getTimelinePosition(event) };
+  } else {
+    scrubPosition = null;
+    scrubTo(event);
+  }
+}
+
+/**
+ * Handle mouse move on the timeline (scrubbing, locator dragging and cursor feedback)
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTimelineMouseMove(event) {
+  if (scrubPosition !== null) {
+    scrubTo(event);
+    return;
+  }
+  
+  if (!loopDrag) {
+    timelineCanvas.style.cursor = getLocatorAt(event) ? 'ew-resize' : '';
+    return;
+  }
+  
+  const position = getTimelinePosition(event);
+  const beat = PIANO_ROLL_CONFIG.sixteenthsPerBeat;
+  let { start, end } = loopRegion;
+  
+  if (loopDrag.edge === 'start') {
+    start = Math.min(position, end - beat);
+  } else if (loopDrag.edge === 'end') {
+    end = Math.max(position, start + beat);
+  } else {
+    start = Math.min(loopDrag.anchor, position);
+    end = Math.max(loopDrag.anchor, position);
+    if (end - start < beat) return;
+  }
+  
+  start = Math.max(0, start);
+  end = Math.min(getTotalSixteenths(), end);
+  if (start === loopRegion.start && end === loopRegion.end) return;
+  
+  loopRegion.start = start;
+  loopRegion.end = end;
+  renderTimeline();
+  
+  if (onLoopRegionChange) {
+    onLoopRegionChange({ start, end });
+  }
+}
+
+/**
+ * Finish a locator drag or scrub
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTimelineMouseUp(event) {
+  loopDrag = null;
+  scrubPosition = null;
+}
+
+// ==================== VELOCITY LANE ====================
+
+let velocityDrag = null; // { before: Map noteId -> velocity, last: { x, velocity }, ramp: { from, to } | null }
+
+/**
+ * Round a velocity to a MIDI step (1-127)
+ * @param {number} velocity - Velocity (0.0-1.0)
+ * @returns {number} Rounded velocity
+ */
+function roundVelocity(velocity) {
+  return Math.max(1, Math.min(127, Math.round(velocity * 127))) / 127;
+}
+
+/**
+ * Render the velocity lane: a bar per note of the active track
+ */
+function renderVelocityLane() {
+  if (!velocityCtx) return;
+  
+  const width = velocityCanvas.width;
+  const height = velocityCanvas.height;
+  const total16ths = getTotalSixteenths();
+  const sixteenthsPerBar = getSixteenthsPerBar();
+  const sixteenthWidth = PIANO_ROLL_CONFIG.sixteenthWidth;
+  
+  velocityCtx.fillStyle = '#12121a';
+  velocityCtx.fillRect(0, 0, width, height);
+  
+  // Beat and bar lines
+  for (let i = 0; i <= total16ths; i += PIANO_ROLL_CONFIG.sixteenthsPerBeat) {
+    velocityCtx.strokeStyle = i % sixteenthsPerBar === 0 ? '#4a4a58' : '#2a2a38';
+    velocityCtx.lineWidth = 1;
+    velocityCtx.beginPath();
+    velocityCtx.moveTo(i * sixteenthWidth + 0.5, 0);
+    velocityCtx.lineTo(i * sixteenthWidth + 0.5, height);
+    velocityCtx.stroke();
+  }
+  
+  // Half-velocity guide
+  velocityCtx.strokeStyle = '#2a2a38';
+  velocityCtx.beginPath();
+  velocityCtx.moveTo(0, Math.round(height / 2) + 0.5);
+  velocityCtx.lineTo(width, Math.round(height / 2) + 0.5);
+  velocityCtx.stroke();
+  
+  // A stem at each note start with a cap as long as the note
+  const color = getInstrumentColor(getActiveInstrument());
+  notes.forEach((note) => {
+    const velocity = typeof note.velocity === 'number' ? note.velocity : 0.8;
+    const x = note.start * sixteenthWidth;
+    const top = height - velocity * (height - 2);
+    const isSelected = selectedNotes.has(note.id);
+    
+    velocityCtx.globalAlpha = selectedNotes.size > 0 && !isSelected ? 0.4 : 1;
+    velocityCtx.fillStyle = isSelected ? '#ffffff' : color;
+    velocityCtx.fillRect(x + 1, top, 3, height - top);
+    velocityCtx.fillRect(x + 1, top, Math.max(3, note.duration * sixteenthWidth - 2), 2);
+  });
+  velocityCtx.globalAlpha = 1;
+  
+  if (velocityDrag) {
+    const { last, ramp } = velocityDrag;
+    
+    // Ramp being drawn
+    if (ramp) {
+      velocityCtx.strokeStyle = '#ffffff';
+      velocityCtx.lineWidth = 1;
+      velocityCtx.beginPath();
+      velocityCtx.moveTo(ramp.from.x, height - ramp.from.velocity * (height - 2));
+      velocityCtx.lineTo(ramp.to.x, height - ramp.to.velocity * (height - 2));
+      velocityCtx.stroke();
+    }
+    
+    // Value under the pointer (1-127)
+    velocityCtx.fillStyle = '#ffffff';
+    velocityCtx.font = '10px Inter, sans-serif';
+    velocityCtx.textBaseline = 'top';
+    velocityCtx.fillText(`${Math.round(last.velocity * 127)}`, last.x + 6, 2);
+  }
+}
+
+/**
+ * Get the lane position and velocity under the mouse
+ * @param {MouseEvent} event - Mouse event
+ * @returns {Object} { x (pixels), velocity }
+ */
+function getVelocityLanePoint(event) {
+  const rect = velocityCanvas.getBoundingClientRect();
+  const x = Math.max(0, Math.min(velocityCanvas.width, event.clientX - rect.left));
+  const y = event.clientY - rect.top;
+  return { x, velocity: roundVelocity(1 - y / (velocityCanvas.height - 2)) };
+}
+
+/**
+ * Set the velocity of notes whose bars lie between two lane points
+ * Velocities are interpolated along the line between the points, so a fast
+ * drag doesn't skip notes and a ramp sets every note it spans. With a
+ * selection, only selected notes are changed.
+ * @param {Object} from - { x, velocity }
+ * @param {Object} to - { x, velocity }
+ */
+function paintVelocities(from, to) {
+  const hit = PIANO_ROLL_CONFIG.velocityHitWidth;
+  const left = Math.min(from.x, to.x) - hit;
+  const right = Math.max(from.x, to.x) + hit;
+  
+  notes.forEach((note) => {
+    if (selectedNotes.size > 0 && !selectedNotes.has(note.id)) return;
+    
+    const x = note.start * PIANO_ROLL_CONFIG.sixteenthWidth + 2;
+    if (x < left || x > right) return;
+    
+    const t = to.x === from.x ? 1 : Math.max(0, Math.min(1, (x - from.x) / (to.x - from.x)));
+    if (!velocityDrag.before.has(note.id)) {
+      velocityDrag.before.set(note.id, note.velocity);
+    }
+    note.velocity = roundVelocity(from.velocity + (to.velocity - from.velocity) * t);
+  });
+}
+
+/**
+ * Handle mouse down on the velocity lane
+ * Drag to paint velocities; Shift+drag draws a ramp that is applied on release.
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleVelocityMouseDown(event) {
+  if (event.button !== 0) return;
+  event.preventDefault();
+  
+  const point = getVelocityLanePoint(event);
+  velocityDrag = {
+    before: new Map(),
+    last: point,
+    ramp: event.shiftKey ? { from: point, to: point } : null
+  };
+  if (!velocityDrag.ramp) {
+    paintVelocities(point, point);
+  }
+  render();
+}
+
+/**
+ * Handle mouse move while editing velocities
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleVelocityMouseMove(event) {
+  if (!velocityDrag) return;
+  
+  const point = getVelocityLanePoint(event);
+  if (velocityDrag.ramp) {
+    velocityDrag.ramp.to = point;
+  } else {
+    paintVelocities(velocityDrag.last, point);
+  }
+  velocityDrag.last = point;
+  render();
+}
+
+/**
+ * Finish a velocity edit: apply the ramp and make the gesture one undo step
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleVelocityMouseUp(event) {
+  if (!velocityDrag) return;
+  
+  if (velocityDrag.ramp) {
+    paintVelocities(velocityDrag.ramp.from, velocityDrag.ramp.to);
+  }
+  const before = velocityDrag.before;
+  velocityDrag = null;
+  render();
+  
+  recordVelocityChanges('Edit Velocity', before);
+}
+
+/**
+ * Record changed velocities of active track notes as one undo step
+ * @param {string} label - Human readable name
+ * @param {Map<string, number>} before - Velocities before the change, by note ID
+ */
+function recordVelocityChanges(label, before) {
+  const changed = notes.filter(n => before.has(n.id) && before.get(n.id) !== n.velocity);
+  if (changed.length === 0) return;
+  
+  const trackId = activeTrackId;
+  const undo = changed.map(n => ({ id: n.id, fields: { velocity: before.get(n.id) } }));
+  const redo = changed.map(n => ({ id: n.id, fields: { velocity: n.velocity } }));
+  recordNoteEdit(label,
+    () => setTrackNotesFields(trackId, undo),
+    () => setTrackNotesFields(trackId, redo));
+}
+
+/**
+ * Randomize the velocity of the selected notes
+ * @param {number} amount - Largest change either way (0.0-1.0)
+ * @returns {number} Number of notes changed
+ */
+function humanizeVelocity(amount = 0.15) {
+  const before = new Map();
+  notes.filter(n => selectedNotes.has(n.id)).forEach((note) => {
+    const velocity = typeof note.velocity === 'number' ? note.velocity : 0.8;
+    before.set(note.id, note.velocity);
+    note.velocity = roundVelocity(velocity + (Math.random() * 2 - 1) * amount);
+  });
+  render();
+  
+  recordVelocityChanges('Humanize Velocity', before);
+  return before.size;
+}
+
+// ==================== TEMPO LANE ====================
+
+let tempoLane = { bpm: 120, points: [] }; // Tempo map shown on the lane (see showTempoMap)
+let tempoDrag = null;  // { index, before, range, moved } while a tempo point is dragged
+let onTempoMapChange = null;
+
+/**
+ * Set callback for tempo map edits on the tempo lane
+ * @param {Function} callback - Function to call with { bpm, points }
+ */
+function setTempoMapCallback(callback) {
+  onTempoMapChange = callback;
+}
+
+/**
+ * Show a tempo map on the tempo lane
+ * @param {Object} map - { bpm, points } (see TempoMap)
+ */
+function showTempoMap(map) {
+  tempoLane = copyTempoMap(map);
+  renderTempoLane();
+}
+
+/**
+ * Copy a tempo map's start tempo and points
+ * @param {Object} map - { bpm, points }
+ * @returns {Object} Copy
+ */
+function copyTempoMap(map) {
+  return { bpm: map.bpm, points: (map.points || []).map(point => ({ ...point })) };
+}
+
+/**
+ * Get the tempo lane's points with the song start as the first one
+ * @returns {Array} Points { position, bpm, ramp }
+ */
+function getTempoLanePoints() {
+  return [{ position: 0, bpm: tempoLane.bpm, ramp: false }, ...tempoLane.points];
+}
+
+/**
+ * Get the tempo range the lane shows: the map's tempos with some room around them
+ * @returns {Object} { min, max } in BPM
+ */
+function getTempoLaneRange() {
+  const tempos = getTempoLanePoints().map(point => point.bpm);
+  return {
+    min: Math.max(20, Math.floor((Math.min(...tempos) - 20) / 10) * 10),
+    max: Math.min(300, Math.ceil((Math.max(...tempos) + 20) / 10) * 10)
+  };
+}
+
+/**
+ * Get the y coordinate of a tempo on the lane
+ * @param {number} bpm - Beats per minute
+ * @param {Object} range - { min, max }
+ * @returns {number} Y in pixels
+ */
+function tempoToY(bpm, range) {
+  const height = tempoCanvas.height;
+  return height - 4 - (bpm - range.min) / (range.max - range.min) * (height - 8);
+}
+
+/**
+ * Render the tempo lane: the tempo curve with a handle on every change point
+ */
+function renderTempoLane() {
+  if (!tempoCtx) return;
+  
+  const width = tempoCanvas.width;
+  const height = tempoCanvas.height;
+  const total16ths = getTotalSixteenths();
+  const sixteenthsPerBar = getSixteenthsPerBar();
+  const sixteenthWidth = PIANO_ROLL_CONFIG.sixteenthWidth;
+  const range = tempoDrag ? tempoDrag.range : getTempoLaneRange();
+  const points = getTempoLanePoints();
+  
+  tempoCtx.fillStyle = '#12121a';
+  tempoCtx.fillRect(0, 0, width, height);
+  
+  // Beat and bar lines
+  for (let i = 0; i <= total16ths; i += PIANO_ROLL_CONFIG.sixteenthsPerBeat) {
+    tempoCtx.strokeStyle = i % sixteenthsPerBar === 0 ? '#4a4a58' : '#2a2a38';
+    tempoCtx.lineWidth = 1;
+    tempoCtx.beginPath();
+    tempoCtx.moveTo(i * sixteenthWidth + 0.5, 0);
+    tempoCtx.lineTo(i * sixteenthWidth + 0.5, height);
+    tempoCtx.stroke();
+  }
+  
+  // Tempo curve: steps at plain changes, straight lines into ramped ones
+  tempoCtx.strokeStyle = '#faa61a';
+  tempoCtx.lineWidth = 2;
+  tempoCtx.beginPath();
+  tempoCtx.moveTo(0, tempoToY(points[0].bpm, range));
+  for (let i = 1; i < points.length; i++) {
+    const x = points[i].position * sixteenthWidth;
+    if (!points[i].ramp) {
+      tempoCtx.lineTo(x, tempoToY(points[i - 1].bpm, range));
+    }
+    tempoCtx.lineTo(x, tempoToY(points[i].bpm, range));
+  }
+  tempoCtx.lineTo(width, tempoToY(points[points.length - 1].bpm, range));
+  tempoCtx.stroke();
+  
+  // Handles and their tempos
+  tempoCtx.font = '10px Inter, sans-serif';
+  tempoCtx.textBaseline = 'top';
+  points.forEach((point, index) => {
+    const x = point.position * sixteenthWidth;
+    const y = tempoToY(point.bpm, range);
+    const isDragged = tempoDrag && tempoDrag.index === index;
+    
+    tempoCtx.fillStyle = isDragged ? '#ffffff' : '#faa61a';
+    tempoCtx.fillRect(x - 3, y - 3, 6, 6);
+    tempoCtx.fillStyle = isDragged ? '#ffffff' : '#b9bbbe';
+    tempoCtx.fillText(`${Math.round(point.bpm * 10) / 10}`, x + 5, Math.min(y + 2, height - 12));
+  });
+}
+
+/**
+ * Get the lane position and tempo under the mouse
+ * Positions snap to the nearest grid line.
+ * @param {MouseEvent} event - Mouse event
+ * @param {Object} range - { min, max } the lane shows
+ * @returns {Object} { x (pixels), position (16th notes), bpm }
+ */
+function getTempoLanePoint(event, range) {
+  const rect = tempoCanvas.getBoundingClientRect();
+  const x = Math.max(0, Math.min(tempoCanvas.width, event.clientX - rect.left));
+  const y = event.clientY - rect.top;
+  const height = tempoCanvas.height;
+  const bpm = range.min + (height - 4 - y) / (height - 8) * (range.max - range.min);
+  
+  return {
+    x,
+    position: snapPosition(x / PIANO_ROLL_CONFIG.sixteenthWidth, true),
+    bpm: Math.max(20, Math.min(300, Math.round(bpm)))
+  };
+}
+
+/**
+ * Find the tempo point under the mouse
+ * @param {MouseEvent} event - Mouse event
+ * @returns {number} Index into getTempoLanePoints (0 = song start), or -1
+ */
+function getTempoPointAt(event) {
+  const rect = tempoCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  const range = getTempoLaneRange();
+  const hit = PIANO_ROLL_CONFIG.tempoHitRadius;
+  
+  const points = getTempoLanePoints();
+  for (let i = points.length - 1; i >= 0; i--) {
+    const px = points[i].position * PIANO_ROLL_CONFIG.sixteenthWidth;
+    if (Math.abs(x - px) <= hit && Math.abs(y - tempoToY(points[i].bpm, range)) <= hit) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Apply a tempo map from the lane: show it and hand it to the transport
+ * @param {Object} map - { bpm, points }
+ */
+function applyTempoMap(map) {
+  showTempoMap(map);
+  if (onTempoMapChange) {
+    onTempoMapChange(copyTempoMap(map));
+  }
+}
+
+/**
+ * Record a tempo lane edit as one undo step
+ * @param {string} label - Human readable name
+ * @param {Object} before - Tempo map before the edit
+ */
+function recordTempoEdit(label, before) {
+  const after = copyTempoMap(tempoLane);
+  recordNoteEdit(label, () => applyTempoMap(before), () => applyTempoMap(after));
+}
+
+/**
+ * Handle mouse down on the tempo lane
+ * Drag a point to move it (the song start only changes tempo); click elsewhere
+ * to add a tempo change there and keep dragging it.
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTempoMouseDown(event) {
+  if (event.button !== 0) return;
+  event.preventDefault();
+  
+  const before = copyTempoMap(tempoLane);
+  const range = getTempoLaneRange();
+  let index = getTempoPointAt(event);
+  const added = index < 0;
+  
+  if (added) {
+    const point = getTempoLanePoint(event, range);
+    if (point.position <= 0 || point.position >= getTotalSixteenths()) return;
+    
+    // Replace a change already on that grid line
+    tempoLane.points = tempoLane.points.filter(p => p.position !== point.position);
+    tempoLane.points.push({ position: point.position, bpm: point.bpm, ramp: false });
+    tempoLane.points.sort((a, b) => a.position - b.position);
+    index = tempoLane.points.findIndex(p => p.position === point.position) + 1;
+    applyTempoMap(tempoLane);
+  }
+  
+  tempoDrag = { index, before, range, moved: added };
+  renderTempoLane();
+}
+
+/**
+ * Handle mouse move while dragging a tempo point
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTempoMouseMove(event) {
+  if (!tempoDrag) return;
+  
+  const point = getTempoLanePoint(event, tempoDrag.range);
+  if (tempoDrag.index === 0) {
+    if (point.bpm === tempoLane.bpm) return;
+    tempoLane.bpm = point.bpm;
+  } else {
+    // Points keep their order: a change stays between its neighbours
+    const points = tempoLane.points;
+    const current = points[tempoDrag.index - 1];
+    const previous = tempoDrag.index > 1 ? points[tempoDrag.index - 2].position : 0;
+    const next = tempoDrag.index < points.length ? points[tempoDrag.index].position : getTotalSixteenths();
+    const step = getSnapStep() || 0.001;
+    const position = Math.max(previous + step, Math.min(next - step, point.position));
+    
+    if (position === current.position && point.bpm === current.bpm) return;
+    current.position = roundPosition(position);
+    current.bpm = point.bpm;
+  }
+  
+  tempoDrag.moved = true;
+  applyTempoMap(tempoLane);
+}
+
+/**
+ * Finish a tempo point drag and make it one undo step
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTempoMouseUp(event) {
+  if (!tempoDrag) return;
+  
+  const { before, moved } = tempoDrag;
+  tempoDrag = null;
+  renderTempoLane();
+  
+  if (moved) {
+    recordTempoEdit('Edit Tempo', before);
+  }
+}
+
+/**
+ * Show which tempo points can be grabbed
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTempoHover(event) {
+  if (tempoDrag) return;
+  
+  const index = getTempoPointAt(event);
+  tempoCanvas.style.cursor = index === 0 ? 'ns-resize' : index > 0 ? 'move' : 'crosshair';
+}
+
+/**
+ * Toggle a ramp into the tempo point under the mouse
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTempoDoubleClick(event) {
+  const index = getTempoPointAt(event);
+  if (index < 1) return;
+  
+  const before = copyTempoMap(tempoLane);
+  const point = tempoLane.points[index - 1];
+  point.ramp = !point.ramp;
+  applyTempoMap(tempoLane);
+  
+  recordTempoEdit(point.ramp ? 'Add Tempo Ramp' : 'Remove Tempo Ramp', before);
+}
+
+/**
+ * Remove the tempo change under the mouse (right-click)
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleTempoContextMenu(event) {
+  event.preventDefault();
+  
+  const index = getTempoPointAt(event);
+  if (index < 1) return;
+  
+  const before = copyTempoMap(tempoLane);
+  tempoLane.points.splice(index - 1, 1);
+  applyTempoMap(tempoLane);
+  
+  recordTempoEdit('Remove Tempo Change', before);
+}
+
+// ==================== QUANTIZE & HUMANIZE ====================
+
+/**
+ * Get the quantize grid line nearest to a position
+ * Lines count from each bar line. Every second line is pushed later by the
+ * swing amount: at 50% lines are evenly spaced, at 75% the off line sits three
+ * quarters of the way through its pair.
+ * @param {number} position - Position in 16th notes
+ * @param {number} step - Grid step in 16th notes
+ * @param {number} swing - Swing amount in percent (50-75)
+ * @returns {number} Grid line in 16th notes
+ */
+function getQuantizeTarget(position, step, swing) {
+  const barLength = getSixteenthsPerBar();
+  const barStart = Math.floor((position + SNAP_TOLERANCE) / barLength) * barLength;
+  const index = Math.floor((position - barStart) / step);
+  const swingOffset = (swing / 50 - 1) * step;
+  
+  // The next bar line is always a candidate (triplet grids may not fill the bar)
+  let target = barStart + barLength;
+  for (let i = Math.max(0, index - 1); i <= index + 2; i++) {
+    const line = barStart + i * step + (i % 2 === 1 ? swingOffset : 0);
+    if (line < barStart + barLength && Math.abs(line - position) < Math.abs(target - position)) {
+      target = line;
+    }
+  }
+  return target;
+}
+
+/**
+ * Quantize notes towards a grid
+ * Works on note data as returned by getAllNotes() and returns changed copies
+ * (with the same IDs); the notes passed in are left alone. A note that would
+ * start at the end of the song keeps its start.
+ * @param {Array<Note>} noteList - Notes to quantize
+ * @param {Object} options - { grid (key of SNAP_GRIDS, default '1/16'), strength (0-100 %, default 100),
+ *   swing (50-75 %, default 50), ends (also quantize note ends, default false) }
+ * @returns {Array<Note>} Quantized copies
+ */
+function quantizeNotes(noteList, options = {}) {
+  const step = SNAP_GRIDS[options.grid] || 1;
+  const strength = Math.max(0, Math.min(100, typeof options.strength === 'number' ? options.strength : 100)) / 100;
+  const swing = Math.max(50, Math.min(75, typeof options.swing === 'number' ? options.swing : 50));
+  const songEnd = getTotalSixteenths();
+  
+  return noteList.map((note) => {
+    const end = note.start + note.duration;
+    let start = note.start + (getQuantizeTarget(note.start, step, swing) - note.start) * strength;
+    if (start >= songEnd) {
+      start = note.start;
+    }
+    
+    let duration = note.duration;
+    if (options.ends) {
+      duration = end + (getQuantizeTarget(end, step, swing) - end) * strength - start;
+      if (duration < PIANO_ROLL_CONFIG.minNoteLength) {
+        // The note shrank to (almost) nothing: end it on the next grid line
+        duration = getQuantizeTarget(start + step, step, swing) - start;
+      }
+    }
+    
+    return {
+      ...note,
+      start: roundPosition(start),
+      duration: roundPosition(Math.min(duration, songEnd - start))
+    };
+  });
+}
+
+/**
+ * Randomize the timing and velocity of notes
+ * Works on note data as returned by getAllNotes() and returns changed copies
+ * (with the same IDs). Notes stay inside the song.
+ * @param {Array<Note>} noteList - Notes to humanize
+ * @param {Object} options - { timing (largest shift either way in 16th notes, default 0.1),
+ *   velocity (largest velocity change either way, 0.0-1.0, default 0.1) }
+ * @returns {Array<Note>} Humanized copies
+ */
+function humanizeNotes(noteList, options = {}) {
+  const timing = Math.max(0, typeof options.timing === 'number' ? options.timing : 0.1);
+  const velocityAmount = Math.max(0, typeof options.velocity === 'number' ? options.velocity : 0.1);
+  const songEnd = getTotalSixteenths();
+  
+  return noteList.map((note) => {
+    const shift = (Math.random() * 2 - 1) * timing;
+    const start = Math.max(0, Math.min(songEnd - note.duration, note.start + shift));
+    const velocity = typeof note.velocity === 'number' ? note.velocity : 0.8;
+    
+    return {
+      ...note,
+      start: roundPosition(start),
+      velocity: roundVelocity(velocity + (Math.random() * 2 - 1) * velocityAmount)
+    };
+  });
+}
+
+/**
+ * Quantize the selected notes of the active track (one undo step)
+ * @param {Object} options - See quantizeNotes
+ * @returns {number} Number of selected notes (0 when nothing is selected)
+ */
+function quantizeSelection(options = {}) {
+  const selection = getSelectedNotes();
+  applyProcessedNotes('Quantize', quantizeNotes(selection, options));
+  return selection.length;
+}
+
+/**
+ * Humanize the timing and velocity of the selected notes (one undo step)
+ * @param {Object} options - See humanizeNotes
+ * @returns {number} Number of selected notes (0 when nothing is selected)
+ */
+function humanizeSelection(options = {}) {
+  const selection = getSelectedNotes();
+  applyProcessedNotes('Humanize', humanizeNotes(selection, options));
+  return selection.length;
+}
+
+/**
+ * Put processed copies of active track notes in place as one undo step
+ * @param {string} label - Undo label
+ * @param {Array<Note>} processed - Changed copies, matched to the notes by ID
+ */
+function applyProcessedNotes(label, processed) {
+  const undo = [];
+  const redo = [];
+  processed.forEach((copy) => {
+    const note = notes.find(n => n.id === copy.id);
+    if (!note || (note.start === copy.start && note.duration === copy.duration && note.velocity === copy.velocity)) {
+      return;
+    }
+    undo.push({ id: note.id, fields: { start: note.start, duration: note.duration, velocity: note.velocity } });
+    redo.push({ id: note.id, fields: { start: copy.start, duration: copy.duration, velocity: copy.velocity } });
+  });
+  if (redo.length === 0) return;
+  
+  const trackId = activeTrackId;
+  setTrackNotesFields(trackId, redo);
+  recordNoteEdit(label,
+    () => setTrackNotesFields(trackId, undo),
+    () => setTrackNotesFields(trackId, redo));
+}
+
 // ==================== UTILITY FUNCTIONS ====================
 
+/**
+ * Get the note color for an instrument
+ * User patches use the color of the instrument they were made from.
+ * @param {string} instrumentId - Instrument or user patch ID
+ * @returns {string} Hex color
+ */
+function getInstrumentColor(instrumentId) {
+  if (PIANO_ROLL_CONFIG.noteColors[instrumentId]) {
+    return PIANO_ROLL_CONFIG.noteColors[instrumentId];
+  }
+  const basedOn = window.AudioEngine ? window.AudioEngine.getPatchBase(instrumentId) : null;
+  return (basedOn && PIANO_ROLL_CONFIG.noteColors[basedOn]) || '#5865f2';
+}
+
 /**
  * Lighten a hex color
  * @param {string} color - Hex color
@@ -659,6 +2559,9 @@ function getConfig() {
   return { ...PIANO_ROLL_CONFIG };
 }
 
+// Start with a single empty track so editing works before a song loads
+setTracks([]);
+
 // Export functions for use by other modules
 window.PianoRoll = {
   initCanvas,
@@ -672,8 +2575,50 @@ window.PianoRoll = {
   setAllNotes,
   selectNote,
   clearSelection,
+  selectAllNotes,
+  getSelectedNotes,
+  setSnap,
+  getSnap,
+  snapPosition,
+  copySelectedNotes,
+  cutSelectedNotes,
+  pasteNotes,
+  duplicateSelectedNotes,
   setPlayheadPosition,
   setCurrentInstrument,
+  getCurrentInstrument: getActiveInstrument,
+  createTrack,
+  addTrack,
+  removeTrack,
+  setActiveTrack,
+  getActiveTrack,
+  getActiveTrackId,
+  updateTrack,
+  isTrackAudible,
+  getTracks,
+  setTracks,
+  recordControllerTake,
+  clearTrackControllers,
   getConfig,
+  getSixteenthsPerBar,
+  getTotalSixteenths,
+  getTimeSignature,
+  isValidTimeSignature,
+  setTimeSignature,
+  setSongLength,
+  ensureLength,
+  getContentLength,
+  setLengthChangeCallback,
+  showLoopRegion,
+  setLoopRegionCallback,
+  setSeekCallback,
+  showTempoMap,
+  setTempoMapCallback,
+  getInstrumentColor,
+  humanizeVelocity,
+  quantizeNotes,
+  humanizeNotes,
+  quantizeSelection,
+  humanizeSelection,
   generateNoteId
 };
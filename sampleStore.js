@@ -0,0 +1,135 @@
+/**
+ * sampleStore.js - Sample storage for NoteLab
+ *
+ * This module handles:
+ * - Keeping the audio files used by sampler instruments in IndexedDB
+ *   (localStorage is far too small for audio)
+ * - Loading them again when a song or preset that uses them is opened
+ * - Deleting the ones nothing uses any more
+ *
+ * Samples are stored as the original file bytes ({ id, name, type, data }) and
+ * decoded by the audio engine when loaded, so nothing is lost to re-encoding.
+ */
+
+// ==================== CONFIGURATION ====================
+
+const SAMPLE_DB_CONFIG = {
+  name: 'notelab',
+  version: 1,
+  store: 'samples'
+};
+
+// ==================== STATE ====================
+
+let sampleDbPromise = null;
+
+// ==================== DATABASE ====================
+
+/**
+ * Open the sample database (once; later calls share the connection)
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openSampleDatabase() {
+  if (sampleDbPromise) return sampleDbPromise;
+  
+  sampleDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    
+    const request = indexedDB.open(SAMPLE_DB_CONFIG.name, SAMPLE_DB_CONFIG.version);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SAMPLE_DB_CONFIG.store)) {
+        db.createObjectStore(SAMPLE_DB_CONFIG.store, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  // Let a later call try again if opening failed
+  sampleDbPromise.catch(() => {
+    sampleDbPromise = null;
+  });
+  return sampleDbPromise;
+}
+
+/**
+ * Run one request against the sample store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function runSampleRequest(mode, makeRequest) {
+  const db = await openSampleDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SAMPLE_DB_CONFIG.store, mode);
+    const request = makeRequest(transaction.objectStore(SAMPLE_DB_CONFIG.store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Sample storage was aborted'));
+  });
+}
+
+// ==================== SAMPLES ====================
+
+/**
+ * Generate a unique sample ID
+ * @returns {string} Sample ID
+ */
+function generateSampleId() {
+  return `sample_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Store a sample
+ * @param {Object} sample - { id, name, type, data (ArrayBuffer of the file) }
+ * @returns {Promise<void>}
+ */
+async function saveSample(sample) {
+  await runSampleRequest('readwrite', store => store.put({
+    id: sample.id,
+    name: sample.name,
+    type: sample.type || '',
+    data: sample.data
+  }));
+}
+
+/**
+ * Load a stored sample
+ * @param {string} sampleId - Sample ID
+ * @returns {Promise<Object|null>} { id, name, type, data }, or null if it isn't stored
+ */
+async function loadSample(sampleId) {
+  const sample = await runSampleRequest('readonly', store => store.get(sampleId));
+  return sample || null;
+}
+
+/**
+ * List the IDs of all stored samples
+ * @returns {Promise<Array<string>>} Sample IDs
+ */
+async function listSampleIds() {
+  return runSampleRequest('readonly', store => store.getAllKeys());
+}
+
+/**
+ * Delete a stored sample
+ * @param {string} sampleId - Sample ID
+ * @returns {Promise<void>}
+ */
+async function deleteSample(sampleId) {
+  await runSampleRequest('readwrite', store => store.delete(sampleId));
+}
+
+// Export functions for use by other modules
+window.SampleStore = {
+  generateId: generateSampleId,
+  save: saveSample,
+  load: loadSample,
+  listIds: listSampleIds,
+  remove: deleteSample
+};
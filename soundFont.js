@@ -0,0 +1,389 @@
+/**
+ * soundFont.js - SoundFont 2 (.sf2) loading for NoteLab
+ *
+ * This module handles:
+ * - Parsing SF2 banks (RIFF 'sfbk': preset, instrument and sample headers, 16-bit sample data)
+ * - Listing a bank's presets
+ * - Turning a preset into a sampler patch: key/velocity ranges, root key and
+ *   tuning, loop points, attenuation, pan and the volume envelope generators
+ *
+ * Zones refer to their audio by region ID (bank ID plus the sample frames they
+ * use), so a song only stores the patch and the bank file is kept once in
+ * SampleStore.
+ */
+
+// ==================== CONFIGURATION ====================
+
+const SF2_CONFIG = {
+  // Generator numbers (SoundFont 2.04, section 8.1.2)
+  generators: {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    pan: 17,
+    attackVolEnv: 34,
+    decayVolEnv: 36,
+    sustainVolEnv: 37,
+    releaseVolEnv: 38,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    overridingRootKey: 58
+  },
+  
+  // Generators a preset zone adds to its instrument zones (the rest only select)
+  additiveGenerators: [17, 34, 36, 37, 38, 48, 51, 52],
+  
+  // Envelope timecents default (-12000 = 1 ms)
+  defaultTimecents: -12000,
+  
+  // Sample types (shdr sfSampleType): the halves of a stereo sample
+  rightSample: 2,
+  leftSample: 4,
+  
+  // Note the patch envelope is taken from. SF2 envelopes are per zone, but a
+  // sampler patch has one envelope, so every zone plays with this zone's.
+  envelopeKey: 60
+};
+
+// ==================== PARSING ====================
+
+/**
+ * Parse an SF2 bank
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {Object} { name, presets, instruments, samples, sampleData }
+ */
+function parseSoundFont(arrayBuffer) {
+  const data = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  
+  const readText = (offset, length) => {
+    const bytes = data.subarray(offset, offset + length);
+    const end = bytes.indexOf(0);
+    return String.fromCharCode(...(end === -1 ? bytes : bytes.subarray(0, end))).trim();
+  };
+  
+  if (data.length < 12 || readText(0, 4) !== 'RIFF' || readText(8, 4) !== 'sfbk') {
+    throw new Error('Not a SoundFont 2 file');
+  }
+  
+  // Collect the sub-chunks of the INFO, sdta and pdta lists
+  const chunks = {};
+  let offset = 12;
+  while (offset + 8 <= data.length) {
+    const chunkType = readText(offset, 4);
+    const chunkLength = view.getUint32(offset + 4, true);
+    const chunkStart = offset + 8;
+    const chunkEnd = Math.min(chunkStart + chunkLength, data.length);
+    
+    if (chunkType === 'LIST') {
+      let inner = chunkStart + 4;
+      while (inner + 8 <= chunkEnd) {
+        const type = readText(inner, 4);
+        const length = view.getUint32(inner + 4, true);
+        chunks[type] = { start: inner + 8, length: Math.min(length, chunkEnd - inner - 8) };
+        inner += 8 + length + (length % 2);
+      }
+    }
+    offset = chunkEnd + (chunkLength % 2);
+  }
+  
+  ['phdr', 'pbag', 'pgen', 'inst', 'ibag', 'igen', 'shdr', 'smpl'].forEach((type) => {
+    if (!chunks[type]) {
+      throw new Error(`SoundFont is missing its ${type} chunk`);
+    }
+  });
+  
+  // Fixed-size records, each list ending with a terminal record
+  const readRecords = (type, size, read) => {
+    const records = [];
+    for (let position = chunks[type].start; position + size <= chunks[type].start + chunks[type].length; position += size) {
+      records.push(read(position));
+    }
+    return records;
+  };
+  
+  const bags = type => readRecords(type, 4, position => view.getUint16(position, true));
+  const generators = type => readRecords(type, 4, position => ({
+    oper: view.getUint16(position, true),
+    amount: view.getInt16(position + 2, true),
+    low: data[position + 2],
+    high: data[position + 3]
+  }));
+  
+  const presetHeaders = readRecords('phdr', 38, position => ({
+    name: readText(position, 20),
+    program: view.getUint16(position + 20, true),
+    bank: view.getUint16(position + 22, true),
+    bagIndex: view.getUint16(position + 24, true)
+  }));
+  const instrumentHeaders = readRecords('inst', 22, position => ({
+    name: readText(position, 20),
+    bagIndex: view.getUint16(position + 20, true)
+  }));
+  const samples = readRecords('shdr', 46, position => ({
+    name: readText(position, 20),
+    start: view.getUint32(position + 20, true),
+    end: view.getUint32(position + 24, true),
+    startLoop: view.getUint32(position + 28, true),
+    endLoop: view.getUint32(position + 32, true),
+    sampleRate: view.getUint32(position + 36, true),
+    originalPitch: data[position + 40],
+    pitchCorrection: view.getInt8(position + 41),
+    sampleType: view.getUint16(position + 44, true)
+  }));
+  
+  const presetBags = bags('pbag');
+  const presetGenerators = generators('pgen');
+  const instrumentBags = bags('ibag');
+  const instrumentGenerators = generators('igen');
+  
+  const presets = presetHeaders.slice(0, -1).map((header, index) => ({
+    name: header.name || `Preset ${index + 1}`,
+    bank: header.bank,
+    program: header.program,
+    zones: readZones(presetBags, presetGenerators, header.bagIndex, presetHeaders[index + 1].bagIndex)
+  }));
+  const instruments = instrumentHeaders.slice(0, -1).map((header, index) => ({
+    name: header.name,
+    zones: readZones(instrumentBags, instrumentGenerators, header.bagIndex, instrumentHeaders[index + 1].bagIndex)
+  }));
+  
+  return {
+    name: chunks.INAM ? readText(chunks.INAM.start, chunks.INAM.length) : '',
+    presets,
+    instruments,
+    samples: samples.slice(0, -1),
+    sampleData: { view, start: chunks.smpl.start, frames: Math.floor(chunks.smpl.length / 2) }
+  };
+}
+
+/**
+ * Read the zones of a preset or instrument
+ * @param {Array<number>} bags - Generator index of each bag
+ * @param {Array<Object>} generators - All generators of the list
+ * @param {number} firstBag - First bag of the preset/instrument
+ * @param {number} endBag - First bag of the next one
+ * @returns {Array<Object>} Generator maps (oper -> generator)
+ */
+function readZones(bags, generators, firstBag, endBag) {
+  const zones = [];
+  for (let bag = firstBag; bag < endBag && bag + 1 < bags.length; bag++) {
+    const zone = {};
+    generators.slice(bags[bag], bags[bag + 1]).forEach((generator) => {
+      zone[generator.oper] = generator;
+    });
+    zones.push(zone);
+  }
+  return zones;
+}
+
+// ==================== PRESETS ====================
+
+/**
+ * List a bank's presets in bank/program order
+ * @param {Object} soundFont - Parsed bank
+ * @returns {Array<Object>} { index, name, bank, program }
+ */
+function getSoundFontPresets(soundFont) {
+  return soundFont.presets
+    .map((preset, index) => ({ index, name: preset.name, bank: preset.bank, program: preset.program }))
+    .sort((a, b) => a.bank - b.bank || a.program - b.program);
+}
+
+/**
+ * Turn a preset into a sampler patch
+ * The volume envelope of the zone playing middle C (SF2_CONFIG.envelopeKey)
+ * becomes the envelope of the whole patch.
+ * @param {Object} soundFont - Parsed bank
+ * @param {number} presetIndex - Index into soundFont.presets
+ * @param {Object} bank - { bankId (SampleStore ID of the file), fileName }
+ * @returns {Object} Sampler patch (see AudioEngine.setUserPatch)
+ */
+function buildSoundFontPatch(soundFont, presetIndex, bank) {
+  const preset = soundFont.presets[presetIndex];
+  if (!preset) {
+    throw new Error('Preset not found');
+  }
+  
+  const gen = SF2_CONFIG.generators;
+  const presetZones = preset.zones.filter(zone => zone[gen.instrument]);
+  const presetGlobal = preset.zones[0] && !preset.zones[0][gen.instrument] ? preset.zones[0] : {};
+  
+  const zones = [];
+  presetZones.forEach((presetZone) => {
+    const instrument = soundFont.instruments[presetZone[gen.instrument].amount & 0xFFFF];
+    if (!instrument) return;
+    
+    const instrumentGlobal = instrument.zones[0] && !instrument.zones[0][gen.sampleID] ? instrument.zones[0] : {};
+    const presetGenerators = { ...presetGlobal, ...presetZone };
+    
+    instrument.zones.filter(zone => zone[gen.sampleID]).forEach((instrumentZone) => {
+      const generators = { ...instrumentGlobal, ...instrumentZone };
+      const zone = buildZone(soundFont, generators, presetGenerators, bank.bankId);
+      if (zone) {
+        zones.push(zone);
+      }
+    });
+  });
+  
+  if (zones.length === 0) {
+    throw new Error(`Preset "${preset.name}" has no playable samples`);
+  }
+  
+  const envelopeZone = zones.find(zone => SF2_CONFIG.envelopeKey >= zone.lowKey &&
+    SF2_CONFIG.envelopeKey <= zone.highKey) || zones[0];
+  
+  return {
+    type: 'sampler',
+    name: preset.name,
+    basedOn: 'piano',
+    zones: zones.map(({ envelope, ...zone }) => zone),
+    envelope: envelopeZone.envelope,
+    soundFont: {
+      bankId: bank.bankId,
+      fileName: bank.fileName,
+      bank: preset.bank,
+      program: preset.program
+    }
+  };
+}
+
+/**
+ * Build one sampler zone from an instrument zone and the preset zone above it
+ * @param {Object} soundFont - Parsed bank
+ * @param {Object} generators - Instrument zone generators (global zone merged in)
+ * @param {Object} presetGenerators - Preset zone generators (global zone merged in)
+ * @param {string} bankId - SampleStore ID of the bank file
+ * @returns {Object|null} Zone with its envelope, or null if the ranges don't overlap
+ */
+function buildZone(soundFont, generators, presetGenerators, bankId) {
+  const gen = SF2_CONFIG.generators;
+  const sample = soundFont.samples[generators[gen.sampleID].amount & 0xFFFF];
+  if (!sample || sample.sampleType & 0x8000) return null;  // ROM samples aren't in the file
+  
+  // Instrument values plus the preset's offsets for the additive generators
+  const value = (oper, fallback = 0) => {
+    const own = generators[oper] ? generators[oper].amount : fallback;
+    const added = SF2_CONFIG.additiveGenerators.includes(oper) && presetGenerators[oper]
+      ? presetGenerators[oper].amount
+      : 0;
+    return own + added;
+  };
+  const range = (oper) => {
+    const own = generators[oper] || { low: 0, high: 127 };
+    const outer = presetGenerators[oper] || { low: 0, high: 127 };
+    return [Math.max(own.low, outer.low), Math.min(own.high, outer.high)];
+  };
+  
+  const keys = range(gen.keyRange);
+  const velocities = range(gen.velRange);
+  if (keys[0] > keys[1] || velocities[0] > velocities[1]) return null;
+  
+  const start = sample.start + value(gen.startAddrsOffset) + value(gen.startAddrsCoarseOffset) * 32768;
+  const end = sample.end + value(gen.endAddrsOffset) + value(gen.endAddrsCoarseOffset) * 32768;
+  const loopStart = sample.startLoop + value(gen.startloopAddrsOffset) + value(gen.startloopAddrsCoarseOffset) * 32768;
+  const loopEnd = sample.endLoop + value(gen.endloopAddrsOffset) + value(gen.endloopAddrsCoarseOffset) * 32768;
+  if (end <= start || start < 0 || end > soundFont.sampleData.frames) return null;
+  
+  const mode = value(gen.sampleModes) & 3;
+  const rootOverride = value(gen.overridingRootKey, -1);
+  const rootKey = rootOverride >= 0 ? rootOverride : (sample.originalPitch <= 127 ? sample.originalPitch : 60);
+  
+  // Stereo halves are layered as two zones, so they go hard left and right
+  let pan = Math.max(-1, Math.min(1, value(gen.pan) / 500));
+  if (sample.sampleType & SF2_CONFIG.leftSample) {
+    pan = -1;
+  } else if (sample.sampleType & SF2_CONFIG.rightSample) {
+    pan = 1;
+  }
+  
+  const seconds = timecents => Math.pow(2, timecents / 1200);
+  
+  return {
+    sampleId: getRegionSampleId(bankId, start, end, sample.sampleRate),
+    name: sample.name,
+    rootKey,
+    lowKey: keys[0],
+    highKey: keys[1],
+    lowVelocity: Math.max(1, velocities[0]),
+    highVelocity: Math.max(1, velocities[1]),
+    loop: mode === 1 || mode === 3,
+    loopStart: Math.max(0, (loopStart - start) / sample.sampleRate),
+    loopEnd: Math.max(0, (loopEnd - start) / sample.sampleRate),
+    tune: value(gen.coarseTune) * 100 + value(gen.fineTune) + sample.pitchCorrection,
+    gain: Math.pow(10, -Math.max(0, value(gen.initialAttenuation)) / 200),
+    pan,
+    envelope: {
+      attack: seconds(value(gen.attackVolEnv, SF2_CONFIG.defaultTimecents)),
+      decay: seconds(value(gen.decayVolEnv, SF2_CONFIG.defaultTimecents)),
+      sustain: Math.pow(10, -Math.max(0, value(gen.sustainVolEnv)) / 200),
+      release: seconds(value(gen.releaseVolEnv, SF2_CONFIG.defaultTimecents))
+    }
+  };
+}
+
+// ==================== SAMPLE REGIONS ====================
+
+/**
+ * Build the sample ID of a bank region
+ * @param {string} bankId - SampleStore ID of the bank file
+ * @param {number} start - First sample frame
+ * @param {number} end - Frame after the last one
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {string} Region ID ("<bankId>/<start>-<end>@<sampleRate>")
+ */
+function getRegionSampleId(bankId, start, end, sampleRate) {
+  return `${bankId}/${start}-${end}@${sampleRate}`;
+}
+
+/**
+ * Parse a region ID built by getRegionSampleId
+ * @param {string} sampleId - Sample ID
+ * @returns {Object|null} { bankId, start, end, sampleRate }, or null for ordinary samples
+ */
+function parseRegionSampleId(sampleId) {
+  const match = /^(.+)\/(\d+)-(\d+)@(\d+)$/.exec(sampleId);
+  if (!match) return null;
+  
+  return {
+    bankId: match[1],
+    start: parseInt(match[2], 10),
+    end: parseInt(match[3], 10),
+    sampleRate: parseInt(match[4], 10)
+  };
+}
+
+/**
+ * Read a region's 16-bit sample data as floats
+ * @param {Object} soundFont - Parsed bank
+ * @param {Object} region - { start, end } from parseRegionSampleId
+ * @returns {Float32Array} Samples (-1.0 to 1.0)
+ */
+function readSampleRegion(soundFont, region) {
+  const { view, start } = soundFont.sampleData;
+  const samples = new Float32Array(Math.max(0, region.end - region.start));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(start + (region.start + i) * 2, true) / 32768;
+  }
+  return samples;
+}
+
+// Export functions for use by other modules
+window.SoundFont = {
+  parse: parseSoundFont,
+  getPresets: getSoundFontPresets,
+  buildPatch: buildSoundFontPatch,
+  parseRegionId: parseRegionSampleId,
+  readRegion: readSampleRegion
+};
@@ -4,7 +4,9 @@
  * This module handles:
  * - Saving and loading songs to localStorage
  * - Song data serialization/deserialization
+ * - Migrating older song formats
  * - Managing multiple saved songs
+ * - User instrument presets
  */
 
 // ==================== STORAGE KEYS ====================
@@ -12,7 +14,8 @@
 const STORAGE_KEYS = {
   SONGS: 'notelab_songs',
   CURRENT_SONG: 'notelab_current_song',
-  SETTINGS: 'notelab_settings'
+  SETTINGS: 'notelab_settings',
+  PRESETS: 'notelab_presets'
 };
 
 // ==================== SONG DATA MODEL ====================
@@ -29,10 +32,16 @@ function createNewSong(name = 'Untitled') {
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     bpm: 120,
-    instrument: 'piano',
-    notes: [],
+    tempoMap: [],
+    swing: 50,
+    bars: 8,
+    timeSignature: { numerator: 4, denominator: 4 },
+    loopRegion: { start: 0, end: null },
+    tracks: [createTrackData({ name: 'Track 1' })],
+    activeTrackId: 'track_1',
     drumPattern: {},
     drumLaneStates: {},
+    patches: {},
     effects: {
       reverb: { enabled: false, mix: 0.3 },
       delay: { enabled: false, time: 0.3, feedback: 0.4, mix: 0.25 }
@@ -48,6 +57,94 @@ function generateSongId() {
   return `song_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
 }
 
+/**
+ * Create track data for a song
+ * @param {Object} options - Track fields to override
+ * @returns {Object} Track data
+ */
+function createTrackData(options = {}) {
+  return {
+    id: options.id || 'track_1',
+    name: options.name || 'Track 1',
+    instrument: options.instrument || 'piano',
+    notes: options.notes || [],
+    volume: typeof options.volume === 'number' ? options.volume : 0.8,
+    pan: typeof options.pan === 'number' ? options.pan : 0,
+    muted: !!options.muted,
+    solo: !!options.solo,
+    controllers: options.controllers || {}
+  };
+}
+
+/**
+ * Bring a song up to the current format
+ * Songs saved before multi-track support have a single `instrument` and a
+ * flat `notes` array; they become one track playing that instrument.
+ * @param {Object} song - Song object (modified in place)
+ * @returns {Object} The normalized song
+ */
+function normalizeSong(song) {
+  if (!song) return song;
+  
+  if (!Array.isArray(song.tracks) || song.tracks.length === 0) {
+    const instrument = song.instrument || 'piano';
+    const name = window.AudioEngine && window.AudioEngine.INSTRUMENTS[instrument]
+      ? window.AudioEngine.INSTRUMENTS[instrument].name
+      : 'Track 1';
+    song.tracks = [createTrackData({
+      name,
+      instrument,
+      notes: Array.isArray(song.notes) ? song.notes : []
+    })];
+    song.activeTrackId = song.tracks[0].id;
+  }
+  
+  delete song.instrument;
+  delete song.notes;
+  
+  // Songs from before configurable length are 8 bars of 4/4
+  if (!song.timeSignature || !song.timeSignature.numerator || !song.timeSignature.denominator) {
+    song.timeSignature = { numerator: 4, denominator: 4 };
+  }
+  if (!song.bars || song.bars < 1) {
+    song.bars = 8;
+  }
+  
+  // Songs from before the tempo map keep one tempo
+  if (!Array.isArray(song.tempoMap)) {
+    song.tempoMap = [];
+  }
+  
+  // Songs from before swing play straight
+  if (typeof song.swing !== 'number') {
+    song.swing = 50;
+  }
+  
+  // Loop the whole song unless a region was saved (end null = song end)
+  if (!song.loopRegion) {
+    song.loopRegion = { start: 0, end: null };
+  }
+  
+  // Copies of the user patches the tracks play (keyed by patch ID)
+  if (!song.patches || typeof song.patches !== 'object') {
+    song.patches = {};
+  }
+  
+  return song;
+}
+
+/**
+ * Count notes across all tracks of a song
+ * @param {Object} song - Song object (any format)
+ * @returns {number} Number of notes
+ */
+function countSongNotes(song) {
+  if (Array.isArray(song.tracks)) {
+    return song.tracks.reduce((sum, t) => sum + (t.notes ? t.notes.length : 0), 0);
+  }
+  return Array.isArray(song.notes) ? song.notes.length : 0;
+}
+
 // ==================== SONG MANAGEMENT ====================
 
 /**
@@ -151,7 +248,7 @@ function getCurrentSong() {
   const songId = getCurrentSongId();
   if (songId) {
     const song = getSongById(songId);
-    if (song) return song;
+    if (song) return normalizeSong(song);
   }
   
   // No current song, create a new one
@@ -162,7 +259,7 @@ function getCurrentSong() {
 
 /**
  * Serialize current project state to a song object
- * @param {Object} options - Options with name, bpm, instrument, notes, effects
+ * @param {Object} options - Options with name, bpm, tempoMap, swing, tracks, activeTrackId, effects
  * @returns {Object} Song object ready to save
  */
 function serializeCurrentProject(options) {
@@ -175,8 +272,24 @@ function serializeCurrentProject(options) {
     createdAt: existingSong ? existingSong.createdAt : new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     bpm: options.bpm || 120,
-    instrument: options.instrument || 'piano',
-    notes: options.notes || [],
+    tempoMap: options.tempoMap || [],
+    swing: options.swing || 50,
+    bars: options.bars || 8,
+    timeSignature: options.timeSignature || { numerator: 4, denominator: 4 },
+    loopRegion: options.loopRegion || { start: 0, end: null },
+    tracks: (options.tracks || [createTrackData()]).map(t => createTrackData({
+      ...t,
+      notes: (t.notes || []).map(n => ({
+        pitch: n.pitch,
+        start: n.start,
+        duration: n.duration,
+        velocity: n.velocity
+      }))
+    })),
+    activeTrackId: options.activeTrackId || null,
+    drumPattern: options.drumPattern || {},
+    drumLaneStates: options.drumLaneStates || {},
+    patches: options.patches || {},
     effects: options.effects || {
       reverb: { enabled: false, mix: 0.3 },
       delay: { enabled: false, time: 0.3, feedback: 0.4, mix: 0.25 }
@@ -194,7 +307,7 @@ function loadSong(songId) {
   if (!song) return null;
   
   setCurrentSongId(songId);
-  return song;
+  return normalizeSong(song);
 }
 
 // ==================== SETTINGS ====================
@@ -248,6 +361,53 @@ function getSetting(key, defaultValue = null) {
   return settings.hasOwnProperty(key) ? settings[key] : defaultValue;
 }
 
+// ==================== USER PRESETS ====================
+
+/**
+ * Get all saved instrument presets
+ * @returns {Object} Presets keyed by patch ID
+ */
+function getUserPresets() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.PRESETS);
+    if (!data) return {};
+    return JSON.parse(data);
+  } catch (e) {
+    console.error('Error loading presets:', e);
+    return {};
+  }
+}
+
+/**
+ * Save (add or replace) an instrument preset
+ * @param {string} patchId - Patch ID
+ * @param {Object} patch - Patch definition
+ */
+function saveUserPreset(patchId, patch) {
+  const presets = getUserPresets();
+  presets[patchId] = patch;
+  try {
+    localStorage.setItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+  } catch (e) {
+    console.error('Error saving preset:', e);
+  }
+}
+
+/**
+ * Delete an instrument preset
+ * Songs that use it keep their own copy, so they still sound the same.
+ * @param {string} patchId - Patch ID
+ */
+function deleteUserPreset(patchId) {
+  const presets = getUserPresets();
+  delete presets[patchId];
+  try {
+    localStorage.setItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+  } catch (e) {
+    console.error('Error deleting preset:', e);
+  }
+}
+
 // ==================== EXPORT/IMPORT ====================
 
 /**
@@ -271,10 +431,11 @@ function importSongFromJSON(jsonString) {
   try {
     const song = JSON.parse(jsonString);
     
-    // Validate required fields
-    if (!song.name || !Array.isArray(song.notes)) {
+    // Validate required fields (either multi-track or the older single-instrument format)
+    if (!song.name || (!Array.isArray(song.tracks) && !Array.isArray(song.notes))) {
       throw new Error('Invalid song format');
     }
+    normalizeSong(song);
     
     // Generate new ID to avoid conflicts
     song.id = generateSongId();
@@ -301,11 +462,16 @@ window.Storage = {
   setCurrentSongId,
   getCurrentSong,
   serializeCurrentProject,
+  normalizeSong,
+  countSongNotes,
   loadSong,
   getSettings,
   saveSettings,
   updateSetting,
   getSetting,
+  getUserPresets,
+  saveUserPreset,
+  deleteUserPreset,
   exportSongToJSON,
   importSongFromJSON
 };
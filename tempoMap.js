@@ -0,0 +1,199 @@
+/**
+ * tempoMap.js - Tempo map for NoteLab
+ *
+ * This module handles:
+ * - Tempo maps: the song tempo plus tempo change points
+ * - Linear tempo ramps between change points
+ * - Converting between song positions (16th notes) and seconds
+ *
+ * A tempo map is { bpm, points }. `bpm` is the tempo at the start of the song
+ * and each point is { position, bpm, ramp } with the position in 16th notes.
+ * A point without ramp changes the tempo at its position; with ramp the tempo
+ * glides linearly (per 16th note) from the previous point to this one.
+ * The transport, offline rendering and MIDI export all time the song through
+ * these functions, so they agree on where every position falls.
+ */
+
+// ==================== CONFIGURATION ====================
+
+const TEMPO_CONFIG = {
+  minBpm: 20,
+  maxBpm: 300,
+  defaultBpm: 120
+};
+
+// ==================== TEMPO MAPS ====================
+
+/**
+ * Clamp a tempo to the supported range
+ * @param {number} bpm - Beats per minute
+ * @returns {number} Clamped tempo
+ */
+function clampTempo(bpm) {
+  if (typeof bpm !== 'number' || isNaN(bpm)) return TEMPO_CONFIG.defaultBpm;
+  return Math.max(TEMPO_CONFIG.minBpm, Math.min(TEMPO_CONFIG.maxBpm, bpm));
+}
+
+/**
+ * Create a tempo map
+ * Points are copied, sorted and clamped; a point at the song start or several
+ * points at one position keep only the last one.
+ * @param {number} bpm - Tempo at the start of the song
+ * @param {Array} points - Tempo change points { position, bpm, ramp }
+ * @returns {Object} Tempo map { bpm, points, segments }
+ */
+function createTempoMap(bpm, points = []) {
+  const byPosition = new Map();
+  (points || []).forEach((point) => {
+    const position = Math.round(point.position * 1000) / 1000;
+    if (!(position > 0)) return;
+    byPosition.set(position, { position, bpm: clampTempo(point.bpm), ramp: !!point.ramp });
+  });
+  
+  const map = {
+    bpm: clampTempo(bpm),
+    points: Array.from(byPosition.values()).sort((a, b) => a.position - b.position)
+  };
+  map.segments = buildTempoSegments(map);
+  return map;
+}
+
+/**
+ * Turn a tempo (number) or a { bpm, points } object into a tempo map
+ * @param {number|Object} tempo - BPM, or a tempo map or its { bpm, points }
+ * @returns {Object} Tempo map
+ */
+function toTempoMap(tempo) {
+  if (typeof tempo === 'number') return createTempoMap(tempo);
+  if (tempo && tempo.segments) return tempo;
+  return createTempoMap(tempo ? tempo.bpm : TEMPO_CONFIG.defaultBpm, tempo ? tempo.points : []);
+}
+
+/**
+ * Split a tempo map into segments with a constant or linearly changing tempo
+ * @param {Object} map - { bpm, points }
+ * @returns {Array} Segments { start, end, startBpm, endBpm, seconds } where
+ *                  seconds is the time at the segment start
+ */
+function buildTempoSegments(map) {
+  const segments = [];
+  let start = 0;
+  let startBpm = map.bpm;
+  let seconds = 0;
+  
+  map.points.forEach((point) => {
+    const segment = { start, end: point.position, startBpm, endBpm: point.ramp ? point.bpm : startBpm, seconds };
+    segments.push(segment);
+    seconds += getSegmentSeconds(segment, point.position - start);
+    start = point.position;
+    startBpm = point.bpm;
+  });
+  
+  segments.push({ start, end: Infinity, startBpm, endBpm: startBpm, seconds });
+  return segments;
+}
+
+/**
+ * Get the tempo change per 16th note within a segment
+ * @param {Object} segment - Segment
+ * @returns {number} BPM per 16th note (0 for a constant tempo)
+ */
+function getSegmentSlope(segment) {
+  if (segment.end === Infinity || segment.startBpm === segment.endBpm) return 0;
+  return (segment.endBpm - segment.startBpm) / (segment.end - segment.start);
+}
+
+/**
+ * Get the time from a segment start to an offset into it
+ * A 16th note lasts 15 / bpm seconds; over a ramp that is integrated exactly.
+ * @param {Object} segment - Segment
+ * @param {number} offset - 16th notes from the segment start
+ * @returns {number} Seconds
+ */
+function getSegmentSeconds(segment, offset) {
+  const slope = getSegmentSlope(segment);
+  if (slope === 0) return offset * 15 / segment.startBpm;
+  return 15 / slope * Math.log((segment.startBpm + slope * offset) / segment.startBpm);
+}
+
+/**
+ * Find the segment a position or time falls in
+ * @param {Object} map - Tempo map
+ * @param {string} key - 'start' (position) or 'seconds' (time)
+ * @param {number} value - Position or time
+ * @returns {Object} Segment
+ */
+function findTempoSegment(map, key, value) {
+  const segments = map.segments;
+  let index = 0;
+  while (index < segments.length - 1 && segments[index + 1][key] <= value) {
+    index++;
+  }
+  return segments[index];
+}
+
+// ==================== CONVERSION ====================
+
+/**
+ * Get the tempo at a position
+ * @param {number|Object} tempo - BPM or tempo map
+ * @param {number} position - Position in 16th notes
+ * @returns {number} Beats per minute
+ */
+function getMapTempoAt(tempo, position) {
+  const map = toTempoMap(tempo);
+  const segment = findTempoSegment(map, 'start', position);
+  return segment.startBpm + getSegmentSlope(segment) * Math.max(0, position - segment.start);
+}
+
+/**
+ * Convert a position to the time since the song start
+ * @param {number|Object} tempo - BPM or tempo map
+ * @param {number} position - Position in 16th notes
+ * @returns {number} Time in seconds
+ */
+function mapPositionToSeconds(tempo, position) {
+  const map = toTempoMap(tempo);
+  const segment = findTempoSegment(map, 'start', position);
+  return segment.seconds + getSegmentSeconds(segment, position - segment.start);
+}
+
+/**
+ * Convert a time since the song start to a position
+ * @param {number|Object} tempo - BPM or tempo map
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Position in 16th notes
+ */
+function mapSecondsToPosition(tempo, seconds) {
+  const map = toTempoMap(tempo);
+  const segment = findTempoSegment(map, 'seconds', seconds);
+  const elapsed = seconds - segment.seconds;
+  const slope = getSegmentSlope(segment);
+  
+  if (slope === 0) return segment.start + elapsed * segment.startBpm / 15;
+  return segment.start + segment.startBpm * (Math.exp(slope * elapsed / 15) - 1) / slope;
+}
+
+/**
+ * Get the time between two positions
+ * @param {number|Object} tempo - BPM or tempo map
+ * @param {number} from - Start position in 16th notes
+ * @param {number} to - End position in 16th notes
+ * @returns {number} Duration in seconds
+ */
+function getMapDuration(tempo, from, to) {
+  const map = toTempoMap(tempo);
+  return mapPositionToSeconds(map, to) - mapPositionToSeconds(map, from);
+}
+
+// Export functions for use by other modules
+window.TempoMap = {
+  create: createTempoMap,
+  from: toTempoMap,
+  clampTempo,
+  getTempoAt: getMapTempoAt,
+  positionToSeconds: mapPositionToSeconds,
+  secondsToPosition: mapSecondsToPosition,
+  getDuration: getMapDuration,
+  TEMPO_CONFIG
+};
@@ -0,0 +1,171 @@
+/**
+ * quantize.test.js - Quantizing piano roll notes
+ *
+ * Quantizes random notes on every grid, straight and swung, start-only and
+ * start+end, and checks each start (and end) against grid lines counted from
+ * the bar line independently of the piano roll's own grid maths. Notes that
+ * quantizing or swing pushes past the end of the song must be cut off there.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Grid steps in 16th notes (the piano roll's SNAP_GRIDS without 'off')
+const GRIDS = {
+  '1/4': 4,
+  '1/8': 2,
+  '1/16': 1,
+  '1/32': 0.5,
+  '1/4T': 8 / 3,
+  '1/8T': 4 / 3,
+  '1/16T': 2 / 3,
+  '1/32T': 1 / 3
+};
+
+// Positions are stored to a thousandth of a 16th
+const TOLERANCE = 0.002;
+
+/**
+ * Load the piano roll into a fresh browser-like global (no canvas)
+ * @returns {Object} window.PianoRoll
+ */
+function loadPianoRoll() {
+  const sandbox = { console };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'pianoRoll.js'), 'utf8'), sandbox, { filename: 'pianoRoll.js' });
+  return sandbox.PianoRoll;
+}
+
+/**
+ * Create a repeatable random number generator
+ * @param {number} seed - Start value
+ * @returns {Function} Returns numbers from 0 (inclusive) to 1 (exclusive)
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+/**
+ * Check whether a position lies on a quantize grid line
+ * Lines count from each bar line; every second line is pushed later by the swing.
+ * @param {number} position - Position in 16th notes
+ * @param {number} step - Grid step in 16th notes
+ * @param {number} swing - Swing amount in percent (50-75)
+ * @param {number} barLength - Bar length in 16th notes
+ * @returns {boolean} Whether the position is on the grid
+ */
+function isOnGrid(position, step, swing, barLength) {
+  const offset = position - Math.round(position / barLength) * barLength;
+  if (Math.abs(offset) <= TOLERANCE) return true;
+  
+  const barOffset = position - Math.floor(position / barLength) * barLength;
+  const pair = 2 * step;
+  const onLine = value => Math.abs(value / pair - Math.round(value / pair)) * pair <= TOLERANCE;
+  return onLine(barOffset) || onLine(barOffset - step - (swing / 50 - 1) * step);
+}
+
+/**
+ * Make random notes
+ * @param {Function} random - Random number generator
+ * @param {number} count - Number of notes
+ * @param {number} from - Earliest start in 16th notes
+ * @param {number} to - Latest start in 16th notes
+ * @param {number} maxDuration - Longest duration in 16th notes
+ * @returns {Array} Notes
+ */
+function createRandomNotes(random, count, from, to, maxDuration) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `note_${i}`,
+    pitch: 60,
+    start: Math.round((from + random() * (to - from)) * 1000) / 1000,
+    duration: Math.round((0.05 + random() * maxDuration) * 1000) / 1000,
+    velocity: 0.8
+  }));
+}
+
+[[4, 4], [7, 8]].forEach(([numerator, denominator]) => {
+  test(`quantize at 100% lands every note on the grid in ${numerator}/${denominator}`, () => {
+    const PianoRoll = loadPianoRoll();
+    PianoRoll.setTimeSignature(numerator, denominator);
+    const barLength = PianoRoll.getSixteenthsPerBar();
+    const songEnd = PianoRoll.getTotalSixteenths();
+    const random = createRandom(numerator * 100 + denominator);
+    
+    Object.keys(GRIDS).forEach((grid) => {
+      [50, 62, 75].forEach((swing) => {
+        [false, true].forEach((ends) => {
+          const notes = createRandomNotes(random, 200, 0, songEnd - barLength, 6);
+          PianoRoll.quantizeNotes(notes, { grid, strength: 100, swing, ends }).forEach((note, i) => {
+            const end = note.start + note.duration;
+            const where = `${grid} swing ${swing}${ends ? ' with ends' : ''}: ${notes[i].start} -> ${note.start}`;
+            assert.ok(isOnGrid(note.start, GRIDS[grid], swing, barLength), `start off the grid (${where})`);
+            assert.ok(note.duration > 0, `empty note (${where})`);
+            if (ends) {
+              assert.ok(isOnGrid(end, GRIDS[grid], swing, barLength), `end ${end} off the grid (${where})`);
+            }
+          });
+        });
+      });
+    });
+  });
+});
+
+test('notes pushed past the song end are cut off there', () => {
+  const PianoRoll = loadPianoRoll();
+  const songEnd = PianoRoll.getTotalSixteenths();
+  const quantize = (note, options) => PianoRoll.quantizeNotes([{ id: 'n', pitch: 60, velocity: 0.8, ...note }],
+    { strength: 100, ...options })[0];
+  
+  // Moving the start later keeps the length, which would run past the end
+  const moved = quantize({ start: songEnd - 2.3, duration: 2.3 }, { grid: '1/16' });
+  assert.strictEqual(moved.start, songEnd - 2);
+  assert.strictEqual(moved.duration, 2);
+  
+  // Swing pushes the last off-beat later
+  const swung = quantize({ start: songEnd - 2, duration: 2 }, { grid: '1/8', swing: 75 });
+  assert.strictEqual(swung.start, songEnd - 1);
+  assert.strictEqual(swung.duration, 1);
+  
+  // An end quantized past the song end stops at the end
+  const ended = quantize({ start: songEnd - 8, duration: 11 }, { grid: '1/4', ends: true });
+  assert.strictEqual(ended.start + ended.duration, songEnd);
+  
+  // A start that would land on the song end stays where it was
+  const late = quantize({ start: songEnd - 0.2, duration: 1 }, { grid: '1/16' });
+  assert.strictEqual(late.start, songEnd - 0.2);
+  assert.ok(Math.abs(late.duration - 0.2) < TOLERANCE);
+});
+
+test('quantized notes never end past the song end', () => {
+  const PianoRoll = loadPianoRoll();
+  const songEnd = PianoRoll.getTotalSixteenths();
+  const barLength = PianoRoll.getSixteenthsPerBar();
+  const random = createRandom(2024);
+  
+  Object.keys(GRIDS).forEach((grid) => {
+    [50, 66, 75].forEach((swing) => {
+      [50, 100].forEach((strength) => {
+        [false, true].forEach((ends) => {
+          // Notes in the last bar, many of them running up to or past the end
+          const notes = createRandomNotes(random, 100, songEnd - barLength, songEnd - 0.01, 8);
+          PianoRoll.quantizeNotes(notes, { grid, strength, swing, ends }).forEach((note, i) => {
+            const where = `${grid} swing ${swing} strength ${strength}${ends ? ' with ends' : ''}: ` +
+              `${notes[i].start}+${notes[i].duration} -> ${note.start}+${note.duration}`;
+            assert.ok(note.start >= 0 && note.start < songEnd, `start outside the song (${where})`);
+            assert.ok(note.duration > 0, `empty note (${where})`);
+            assert.ok(note.start + note.duration <= songEnd + TOLERANCE, `note past the song end (${where})`);
+          });
+        });
+      });
+    });
+  });
+});
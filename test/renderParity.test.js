@@ -0,0 +1,239 @@
+/**
+ * renderParity.test.js - Offline render parity with live playback
+ *
+ * Plays a reference song through the real transport scheduler, playNote and
+ * the drum machine into an OfflineAudioContext standing in for the live
+ * AudioContext, then exports the same song with renderToBuffer and compares
+ * the two sample by sample.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { OfflineAudioContext } = require('web-audio-engine');
+
+const ROOT = path.join(__dirname, '..');
+const SAMPLE_RATE = 22050;
+const SONG_LENGTH = 32; // 16th notes (2 bars of 4/4)
+const TOLERANCE = 1e-4;
+
+// Reference song: a clean part, a distorted, panned part, an overlapping legato line
+// with pitch bend and mod wheel, an FM part with triplets, a legato wavetable line
+// with a position LFO and a plucked string part
+const TRACKS = [
+  {
+    id: 'ref_1', instrument: 'piano', volume: 0.8, pan: 0, muted: false, solo: false,
+    notes: [
+      { pitch: 60, start: 0, duration: 4, velocity: 0.8 },
+      { pitch: 64, start: 4, duration: 4, velocity: 0.6 },
+      { pitch: 67, start: 8, duration: 8, velocity: 1.0 }
+    ]
+  },
+  {
+    id: 'ref_2', instrument: 'distortedGuitar', volume: 0.6, pan: -0.5, muted: false, solo: false,
+    notes: [
+      { pitch: 40, start: 0, duration: 6, velocity: 0.9 },
+      { pitch: 43, start: 16, duration: 3, velocity: 0.7 }
+    ]
+  },
+  {
+    id: 'ref_3', instrument: 'saw', volume: 0.5, pan: 0.3, muted: false, solo: false,
+    notes: [
+      { pitch: 72, start: 0, duration: 6, velocity: 0.8 },
+      { pitch: 74, start: 4, duration: 6, velocity: 0.8 },
+      { pitch: 76, start: 12, duration: 2, velocity: 0.8 }
+    ],
+    controllers: {
+      pitchBend: [{ time: 2, value: 0.5 }, { time: 3.5, value: -0.25 }, { time: 11, value: 0 }],
+      modWheel: [{ time: 5, value: 0.8 }, { time: 13, value: 0.2 }]
+    }
+  },
+  {
+    id: 'ref_4', instrument: 'fmPiano', volume: 0.5, pan: 0, muted: false, solo: false,
+    notes: [
+      { pitch: 55, start: 2, duration: 4, velocity: 0.9 },
+      { pitch: 59, start: 8, duration: 6, velocity: 0.5 },
+      { pitch: 62, start: 20.667, duration: 1.333, velocity: 0.7 },
+      { pitch: 64, start: 22, duration: 1.333, velocity: 0.7 }
+    ]
+  },
+  {
+    id: 'ref_5', instrument: 'waveLead', volume: 0.4, pan: -0.2, muted: false, solo: false,
+    notes: [
+      { pitch: 67, start: 1, duration: 5, velocity: 0.8 },
+      { pitch: 69, start: 5, duration: 6, velocity: 0.7 },
+      { pitch: 71, start: 25.5, duration: 2.25, velocity: 0.6 }
+    ]
+  },
+  {
+    id: 'ref_6', instrument: 'cleanGuitar', volume: 0.6, pan: 0.4, muted: false, solo: false,
+    notes: [
+      { pitch: 52, start: 16, duration: 4, velocity: 0.8 },
+      { pitch: 56, start: 17, duration: 3, velocity: 0.6 },
+      { pitch: 59, start: 18.333, duration: 4, velocity: 0.7 }
+    ]
+  }
+];
+
+// Drums: a lane with its own swing, a quieter lane and a muted lane
+const DRUM_PATTERN = {
+  kick: [0, 8, 16, 24],
+  snare: [4, 12, 20, 28],
+  hihat: [1, 3, 5, 7, 9, 11, 13, 15, 17, 19, 21, 23, 25, 27, 29, 31],
+  clap: [14, 30]
+};
+const DRUM_LANE_STATES = {
+  kick: { muted: false, solo: false, volume: 0.8, swing: null },
+  snare: { muted: false, solo: false, volume: 0.6, swing: null },
+  hihat: { muted: false, solo: false, volume: 0.5, swing: 75 },
+  clap: { muted: true, solo: false, volume: 0.8, swing: null }
+};
+
+/**
+ * Load the audio engine, transport and drum machine into a fresh browser-like global
+ * The live AudioContext is an OfflineAudioContext whose clock the test moves
+ * (app.time), recording app.duration seconds; the scheduler interval is driven
+ * by hand with app.tick().
+ * @returns {Object} { window, time, duration, tick, live } - live() returns the live context
+ */
+function loadApp() {
+  let scheduler = null;
+  let liveContext = null;
+  const app = {
+    time: 0,
+    duration: 1,
+    tick: () => scheduler && scheduler(),
+    live: () => liveContext
+  };
+  
+  const sandbox = {
+    console: { log() {}, warn: console.warn, error: console.error },
+    performance,
+    OfflineAudioContext,
+    setInterval: (callback) => {
+      scheduler = callback;
+      return 1;
+    },
+    clearInterval: () => {
+      scheduler = null;
+    },
+    // Voice cleanup timers: everything is rendered after scheduling, so they never run
+    setTimeout: () => 0,
+    // No drum machine UI to update
+    document: { querySelector: () => null }
+  };
+  sandbox.window = sandbox;
+  sandbox.AudioContext = function () {
+    liveContext = new OfflineAudioContext(2, Math.ceil(SAMPLE_RATE * app.duration), SAMPLE_RATE);
+    Object.defineProperty(liveContext, 'currentTime', { get: () => app.time });
+    Object.defineProperty(liveContext, 'state', { value: 'running' });
+    return liveContext;
+  };
+  
+  // The piano roll only provides the song for the scheduler
+  sandbox.PianoRoll = {
+    getConfig: () => ({ bars: SONG_LENGTH / 16, beatsPerBar: 4, sixteenthsPerBeat: 4 }),
+    getTracks: () => TRACKS,
+    isTrackAudible: () => true,
+    setPlayheadPosition() {}
+  };
+  
+  vm.createContext(sandbox);
+  ['tempoMap.js', 'audioEngine.js', 'transport.js', 'drumMachine.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+  });
+  
+  app.window = sandbox;
+  return app;
+}
+
+/**
+ * Get the largest sample difference between two buffers
+ * @param {AudioBuffer} a - First buffer
+ * @param {AudioBuffer} b - Second buffer
+ * @returns {number} Largest difference
+ */
+function maxDifference(a, b) {
+  let max = 0;
+  for (let ch = 0; ch < a.numberOfChannels; ch++) {
+    const x = a.getChannelData(ch);
+    const y = b.getChannelData(ch);
+    for (let i = 0; i < x.length; i++) {
+      max = Math.max(max, Math.abs(x[i] - y[i]));
+    }
+  }
+  return max;
+}
+
+/**
+ * Play the reference song live, export it and compare
+ * @param {Object} options - { bpm, tempoPoints, swing, effects }
+ * @returns {Promise<Object>} { difference, peak }
+ */
+async function comparePlaybackWithExport(options) {
+  const app = loadApp();
+  const { AudioEngine, Transport, DrumMachine } = app.window;
+  
+  // Set up the song the way ui.js does, recording it with its release tails
+  Transport.setBPM(options.bpm);
+  Transport.setTempoPoints(options.tempoPoints || []);
+  app.duration = Transport.positionToSeconds(SONG_LENGTH) + 2;
+  AudioEngine.init();
+  AudioEngine.setMasterVolume(0.8);
+  TRACKS.forEach(track => AudioEngine.setTrackMix(track.id, { volume: track.volume, pan: track.pan }));
+  if (options.effects) {
+    AudioEngine.updateEffectSettings('reverb', { enabled: true });
+    AudioEngine.updateEffectSettings('delay', { enabled: true });
+  }
+  Transport.setSwing(options.swing);
+  Transport.setLoop(false);
+  Transport.setMetronome(false);
+  DrumMachine.setPattern(DRUM_PATTERN);
+  DrumMachine.setLaneStates(DRUM_LANE_STATES);
+  
+  // Play the song through the scheduler until it stops at the end
+  Transport.play();
+  while (Transport.isPlaying()) {
+    app.tick();
+    app.time += 0.1;
+  }
+  const live = await app.live().startRendering();
+  
+  const offline = await AudioEngine.renderToBuffer(TRACKS, Transport.getTempoMap(), app.duration, {
+    pattern: DrumMachine.getPattern(),
+    laneStates: DrumMachine.getLaneStates()
+  }, null, Transport.getSwing());
+  
+  let peak = 0;
+  live.getChannelData(0).forEach((value) => {
+    peak = Math.max(peak, Math.abs(value));
+  });
+  return { difference: maxDifference(live, offline), peak };
+}
+
+test('export matches playback at a steady tempo', async () => {
+  const result = await comparePlaybackWithExport({ bpm: 120, swing: 50 });
+  assert.ok(result.peak > 0.01, 'the reference song is audible');
+  assert.ok(result.difference <= TOLERANCE, `largest difference ${result.difference}`);
+});
+
+test('export matches playback with swing', async () => {
+  const result = await comparePlaybackWithExport({ bpm: 120, swing: 66 });
+  assert.ok(result.difference <= TOLERANCE, `largest difference ${result.difference}`);
+});
+
+test('export matches playback with tempo changes and a ramp', async () => {
+  const result = await comparePlaybackWithExport({
+    bpm: 120,
+    tempoPoints: [{ position: 8, bpm: 90 }, { position: 20, bpm: 150, ramp: true }],
+    swing: 58
+  });
+  assert.ok(result.difference <= TOLERANCE, `largest difference ${result.difference}`);
+});
+
+test('export matches playback with reverb and delay', async () => {
+  const result = await comparePlaybackWithExport({ bpm: 100, swing: 50, effects: true });
+  assert.ok(result.difference <= TOLERANCE, `largest difference ${result.difference}`);
+});
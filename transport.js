@@ -4,9 +4,12 @@
  * This module handles:
  * - Playback scheduling using AudioContext time
  * - Play/Pause/Stop controls
- * - Loop handling
+ * - Seeking (jump to any position, also during playback)
+ * - Loop handling (whole song or a loop region)
  * - Metronome
- * - BPM management
+ * - Recording live notes (with real durations and recording quantize)
+ * - Recording pitch bend and mod wheel moves as controller lanes
+ * - BPM, tempo map and swing management
  */
 
 // ==================== TRANSPORT STATE ====================
@@ -15,10 +18,24 @@ const transportState = {
   isPlaying: false,
   isPaused: false,
   position: 0,        // Current position in 16th notes
-  bpm: 120,
+  bpm: 120,           // Tempo at the song start
+  tempoPoints: [],    // Tempo changes after the start: { position, bpm, ramp } (see TempoMap)
+  swing: 50,          // Swing in percent (50 = straight, see AudioEngine.applySwing)
   loopEnabled: true,
+  loopStart: 0,       // Loop region start in 16th notes
+  loopEnd: null,      // Loop region end in 16th notes (null = end of song)
   metronomeEnabled: true, // Metronome ON by default
-  recordEnabled: false
+  recordEnabled: false,
+  recordQuantize: '1/16'  // Grid for recorded notes (see RECORD_QUANTIZE)
+};
+
+// Recording quantize grids in 16th notes (0 = off)
+const RECORD_QUANTIZE = {
+  'off': 0,
+  '1/16': 1,
+  '1/8': 2,
+  '1/16T': 2 / 3,
+  '1/8T': 4 / 3
 };
 
 // Scheduler variables
@@ -26,8 +43,13 @@ let schedulerTimer = null;
 let nextScheduleTime = 0;
 let lookahead = 0.1;       // How far ahead to schedule (seconds)
 let scheduleAheadTime = 0.1; // How often to call scheduler (seconds)
-let scheduledNotes = [];    // Notes scheduled for current playback
+let scheduledTracks = [];   // Tracks (with notes) scheduled for current playback
 let lastScheduledPosition = -1;
+let sounding = [];          // Scheduled voices, drum hits and clicks: { voice, endTime } (for cutting off on seek)
+let stepTimes = [];         // Recently scheduled steps: { time, position, duration } (for the audible position)
+let tempoMap = null;        // TempoMap built from bpm and tempoPoints (rebuilt after a change)
+let heldNotes = new Map();  // Notes being recorded: pitch -> { start, velocity }
+let controllerTake = {};    // Controller moves being recorded: name -> [{ time, value }]
 
 // Callbacks for UI updates
 let onPositionUpdate = null;
@@ -61,15 +83,16 @@ function setRecordCallback(callback) {
 // ==================== BPM & TIMING ====================
 
 /**
- * Set BPM (beats per minute)
+ * Set BPM (beats per minute) at the start of the song
  * @param {number} bpm - BPM value (20-300)
  */
 function setBPM(bpm) {
   transportState.bpm = Math.max(20, Math.min(300, bpm));
+  tempoMap = null;
 }
 
 /**
- * Get current BPM
+ * Get the BPM at the start of the song
  * @returns {number} Current BPM
  */
 function getBPM() {
@@ -77,33 +100,95 @@ function getBPM() {
 }
 
 /**
- * Convert 16th note position to seconds
+ * Set the tempo changes after the song start
+ * @param {Array} points - Tempo change points { position, bpm, ramp } (see TempoMap)
+ */
+function setTempoPoints(points) {
+  transportState.tempoPoints = window.TempoMap.create(transportState.bpm, points).points;
+  tempoMap = null;
+}
+
+/**
+ * Get the tempo changes after the song start
+ * @returns {Array} Copies of the tempo change points
+ */
+function getTempoPoints() {
+  return transportState.tempoPoints.map(point => ({ ...point }));
+}
+
+/**
+ * Get the song's tempo map (start tempo and tempo changes)
+ * @returns {Object} Tempo map for the TempoMap functions
+ */
+function getTempoMap() {
+  if (!tempoMap) {
+    tempoMap = window.TempoMap.create(transportState.bpm, transportState.tempoPoints);
+  }
+  return tempoMap;
+}
+
+/**
+ * Get the tempo at a position
+ * @param {number} position - Position in 16th notes (default: the current position)
+ * @returns {number} Beats per minute
+ */
+function getTempoAt(position = transportState.position) {
+  return window.TempoMap.getTempoAt(getTempoMap(), position);
+}
+
+/**
+ * Set the song swing
+ * @param {number} swing - Swing in percent (50 = straight, 75 = dotted 8ths)
+ */
+function setSwing(swing) {
+  transportState.swing = Math.max(50, Math.min(75, swing));
+}
+
+/**
+ * Get the song swing
+ * @returns {number} Swing in percent
+ */
+function getSwing() {
+  return transportState.swing;
+}
+
+/**
+ * Move a position to where it sounds with swing
+ * @param {number} position - Position in 16th notes
+ * @param {number} swing - Swing in percent
+ * @returns {number} Swung position in 16th notes
+ */
+function swingPosition(position, swing) {
+  return window.AudioEngine && window.AudioEngine.applySwing
+    ? window.AudioEngine.applySwing(position, swing)
+    : position;
+}
+
+/**
+ * Convert a song position to the time since the song start (follows the tempo map)
  * @param {number} position - Position in 16th notes
  * @returns {number} Time in seconds
  */
 function positionToSeconds(position) {
-  const secondsPerBeat = 60 / transportState.bpm;
-  const secondsPer16th = secondsPerBeat / 4;
-  return position * secondsPer16th;
+  return window.TempoMap.positionToSeconds(getTempoMap(), position);
 }
 
 /**
- * Convert seconds to 16th note position
+ * Convert a time since the song start to a song position (follows the tempo map)
  * @param {number} seconds - Time in seconds
  * @returns {number} Position in 16th notes
  */
 function secondsToPosition(seconds) {
-  const secondsPerBeat = 60 / transportState.bpm;
-  const secondsPer16th = secondsPerBeat / 4;
-  return seconds / secondsPer16th;
+  return window.TempoMap.secondsToPosition(getTempoMap(), seconds);
 }
 
 /**
- * Get duration of one 16th note in seconds
+ * Get the duration of the 16th note that starts at a position
+ * @param {number} position - Position in 16th notes (default: the current step)
  * @returns {number} Duration in seconds
  */
-function get16thDuration() {
-  return 60 / transportState.bpm / 4;
+function get16thDuration(position = Math.floor(transportState.position)) {
+  return window.TempoMap.getDuration(getTempoMap(), position, position + 1);
 }
 
 // ==================== PLAYBACK CONTROL ====================
@@ -123,17 +208,15 @@ function play() {
     // Resume from pause
     transportState.isPaused = false;
   } else {
-    // Start fresh
-    transportState.position = 0;
+    // Start from the current position (0 after stop, or wherever we seeked to)
     lastScheduledPosition = -1;
   }
+  stepTimes = [];
   
   transportState.isPlaying = true;
   
-  // Get notes for scheduling
-  if (window.PianoRoll) {
-    scheduledNotes = window.PianoRoll.getAllNotes();
-  }
+  // Get tracks for scheduling
+  refreshScheduledTracks();
   
   // Start scheduler
   const audioContext = window.AudioEngine ? window.AudioEngine.getAudioContext() : null;
@@ -154,6 +237,8 @@ function play() {
 function pause() {
   if (!transportState.isPlaying || transportState.isPaused) return;
   
+  finishHeldNotes();
+  finishControllerTake();
   transportState.isPaused = true;
   stopScheduler();
   
@@ -166,10 +251,13 @@ function pause() {
  * Stop playback and reset position
  */
 function stop() {
+  finishHeldNotes();
+  finishControllerTake();
   transportState.isPlaying = false;
   transportState.isPaused = false;
   transportState.position = 0;
   lastScheduledPosition = -1;
+  sounding = [];
   
   stopScheduler();
   
@@ -187,6 +275,44 @@ function stop() {
   }
 }
 
+/**
+ * Move the playback position
+ * While playing, notes, drum hits and metronome clicks that are still sounding
+ * or already queued are faded out and scheduling restarts from the new position
+ * right away.
+ * @param {number} position - Position in 16th notes (0 to song end)
+ */
+function seek(position) {
+  const target = Math.max(0, Math.min(getSongEnd(), Math.floor(position) || 0));
+  
+  finishHeldNotes();
+  finishControllerTake();
+  transportState.position = target;
+  lastScheduledPosition = -1;
+  stepTimes = [];
+  
+  if (isPlaying()) {
+    silenceSounding();
+    refreshScheduledTracks();
+    
+    const audioContext = window.AudioEngine ? window.AudioEngine.getAudioContext() : null;
+    if (audioContext) {
+      nextScheduleTime = audioContext.currentTime;
+    }
+  }
+  
+  updateVisualPosition(true);
+}
+
+/**
+ * Fade out every voice, drum hit and metronome click the scheduler queued that
+ * may still be sounding or is yet to start
+ */
+function silenceSounding() {
+  sounding.forEach(({ voice }) => voice.stop());
+  sounding = [];
+}
+
 /**
  * Toggle loop mode
  */
@@ -203,6 +329,43 @@ function setLoop(enabled) {
   transportState.loopEnabled = enabled;
 }
 
+/**
+ * Set the loop region
+ * @param {number} start - Start in 16th notes
+ * @param {number|null} end - End in 16th notes (null = end of song)
+ */
+function setLoopRegion(start, end) {
+  const loopStart = Math.max(0, Math.floor(start) || 0);
+  const loopEnd = end === null || end === undefined ? null : Math.floor(end);
+  
+  if (loopEnd !== null && loopEnd <= loopStart) return;
+  
+  transportState.loopStart = loopStart;
+  transportState.loopEnd = loopEnd;
+}
+
+/**
+ * Get the loop region, limited to the song length
+ * @returns {Object} { start, end } in 16th notes
+ */
+function getLoopRegion() {
+  const totalLength = getSongEnd();
+  const end = transportState.loopEnd === null ? totalLength : Math.min(transportState.loopEnd, totalLength);
+  
+  // A region that lies past the end of a shortened song falls back to the whole song
+  const start = transportState.loopStart < end ? transportState.loopStart : 0;
+  return { start, end };
+}
+
+/**
+ * Get the end of the song in 16th notes
+ * @returns {number} Song end position
+ */
+function getSongEnd() {
+  const config = window.PianoRoll ? window.PianoRoll.getConfig() : { bars: 8, beatsPerBar: 4, sixteenthsPerBeat: 4 };
+  return config.bars * config.beatsPerBar * config.sixteenthsPerBeat;
+}
+
 /**
  * Toggle metronome
  */
@@ -276,54 +439,92 @@ function scheduler() {
   
   const currentTime = audioContext.currentTime;
   const config = window.PianoRoll ? window.PianoRoll.getConfig() : { bars: 8, beatsPerBar: 4, sixteenthsPerBeat: 4 };
-  const totalLength = config.bars * config.beatsPerBar * config.sixteenthsPerBeat;
+  let totalLength = config.bars * config.beatsPerBar * config.sixteenthsPerBeat;
   
   // Schedule notes while we're within the lookahead window
   while (nextScheduleTime < currentTime + lookahead) {
     const currentPosition = Math.floor(transportState.position);
     
-    // Schedule metronome clicks
+    // Schedule metronome clicks on every beat, accenting the first beat of each bar
     if (transportState.metronomeEnabled && currentPosition !== lastScheduledPosition) {
-      if (currentPosition % 4 === 0) {
-        const isDownbeat = currentPosition % 16 === 0;
-        window.AudioEngine.playMetronomeClick(nextScheduleTime, isDownbeat);
+      if (currentPosition % config.sixteenthsPerBeat === 0) {
+        const isDownbeat = currentPosition % (config.beatsPerBar * config.sixteenthsPerBeat) === 0;
+        const click = window.AudioEngine.playMetronomeClick(nextScheduleTime, isDownbeat);
+        if (click) {
+          sounding.push({ voice: click, endTime: click.endTime });
+        }
       }
     }
     
-    // Schedule notes that start at this position
+    // Schedule notes that start at this position, each through its track's instrument
     if (currentPosition !== lastScheduledPosition) {
-      const notesToPlay = scheduledNotes.filter(n => n.start === currentPosition);
-      
-      notesToPlay.forEach((note) => {
-        const instrument = window.UI ? window.UI.getCurrentInstrument() : 'piano';
-        const duration = positionToSeconds(note.duration);
-        window.AudioEngine.playNote(instrument, note.pitch, nextScheduleTime, duration, note.velocity);
+      scheduledTracks.forEach((track) => {
+        // Mute/solo are checked live so toggling them takes effect immediately
+        if (window.PianoRoll && !window.PianoRoll.isTrackAudible(track.id)) return;
+        
+        // Triplets, unsnapped and unquantized notes start between 16ths: each one is
+        // scheduled at its exact offset from this step, in time order so mono and
+        // legato instruments follow the line. Swing moves starts and ends together.
+        const notesToPlay = track.notes
+          .filter(n => n.start >= currentPosition && n.start < currentPosition + 1)
+          .sort((a, b) => a.start - b.start);
+        
+        notesToPlay.forEach((note) => {
+          const swungStart = swingPosition(note.start, transportState.swing);
+          const swungEnd = swingPosition(note.start + note.duration, transportState.swing);
+          const startTime = nextScheduleTime + positionToSeconds(swungStart) - positionToSeconds(currentPosition);
+          const duration = positionToSeconds(swungEnd) - positionToSeconds(swungStart);
+          const voice = window.AudioEngine.playNote(track.instrument, note.pitch, startTime, duration, note.velocity, {
+            trackId: track.id,
+            controllers: track.controllers,
+            position: note.start
+          });
+          sounding.push({ voice, endTime: startTime + duration });
+        });
       });
       
-      // Schedule drum hits at this position
+      // Schedule drum hits at this position (lanes may override the song swing)
       if (window.DrumMachine && window.AudioEngine) {
         const drumHits = window.DrumMachine.getHitsAtStep(currentPosition);
         drumHits.forEach((hit) => {
-          window.AudioEngine.playDrum(hit.laneId, nextScheduleTime, hit.volume);
+          const swing = typeof hit.swing === 'number' ? hit.swing : transportState.swing;
+          const hitTime = nextScheduleTime + positionToSeconds(swingPosition(currentPosition, swing)) - positionToSeconds(currentPosition);
+          const sound = window.AudioEngine.playDrum(hit.laneId, hitTime, hit.volume);
+          if (sound) {
+            sounding.push({ voice: sound, endTime: sound.endTime });
+          }
         });
       }
       
       lastScheduledPosition = currentPosition;
+      stepTimes.push({ time: nextScheduleTime, position: currentPosition, duration: get16thDuration(currentPosition) });
     }
     
-    // Update position
-    const sixteenthDuration = get16thDuration();
+    // Update position (each 16th lasts as long as the tempo map says)
+    const sixteenthDuration = get16thDuration(currentPosition);
     transportState.position += 1;
     nextScheduleTime += sixteenthDuration;
     
     // Handle loop or stop
-    if (transportState.position >= totalLength) {
+    const loopRegion = getLoopRegion();
+    if (transportState.loopEnabled && transportState.position === loopRegion.end) {
+      // Wrap to the start of the loop region
+      transportState.position = loopRegion.start;
+      lastScheduledPosition = -1;
+      refreshScheduledTracks();
+    } else if (transportState.position >= totalLength) {
       if (transportState.loopEnabled) {
-        transportState.position = 0;
+        transportState.position = loopRegion.start;
         lastScheduledPosition = -1;
         // Refresh notes for new loop iteration
-        if (window.PianoRoll) {
-          scheduledNotes = window.PianoRoll.getAllNotes();
+        refreshScheduledTracks();
+      } else if (isRecording() && window.PianoRoll) {
+        // Keep recording past the end: the song grows by a bar
+        window.PianoRoll.ensureLength(totalLength + 1);
+        totalLength = window.PianoRoll.getTotalSixteenths();
+        if (transportState.position >= totalLength) {
+          stop();
+          return;
         }
       } else {
         stop();
@@ -332,17 +533,37 @@ function scheduler() {
     }
   }
   
+  // Forget sounds that have finished and steps that are no longer audible
+  sounding = sounding.filter(v => v.endTime > currentTime);
+  while (stepTimes.length > 1 && stepTimes[1].time <= currentTime) {
+    stepTimes.shift();
+  }
+  
   // Update visual position (debounced)
   updateVisualPosition();
 }
 
+/**
+ * Snapshot the tracks and their notes for scheduling
+ * Plucked-string notes are rendered here, before the scheduler needs them.
+ */
+function refreshScheduledTracks() {
+  if (window.PianoRoll) {
+    scheduledTracks = window.PianoRoll.getTracks();
+    if (window.AudioEngine) {
+      window.AudioEngine.prepareStringNotes(scheduledTracks);
+    }
+  }
+}
+
 /**
  * Update the visual playhead position
+ * @param {boolean} force - Update even if the last update was very recent
  */
 let lastVisualUpdate = 0;
-function updateVisualPosition() {
+function updateVisualPosition(force = false) {
   const now = performance.now();
-  if (now - lastVisualUpdate < 50) return; // Limit to ~20fps for performance
+  if (!force && now - lastVisualUpdate < 50) return; // Limit to ~20fps for performance
   lastVisualUpdate = now;
   
   if (window.PianoRoll) {
@@ -362,20 +583,125 @@ function updateVisualPosition() {
 // ==================== RECORDING ====================
 
 /**
- * Record a note at the current playback position
+ * Record a note of a known length at the current playback position (into the active track)
+ * Takes the same path as a note-on followed by its note-off (see recordNoteOn),
+ * so the note starts at the exact audible position and recording quantize applies.
  * @param {number} pitch - MIDI note number
  * @param {number} duration - Duration in 16th notes (default 4)
+ * @param {number} velocity - Velocity (0.0 to 1.0)
  */
-function recordNote(pitch, duration = 4) {
+function recordNote(pitch, duration = 4, velocity = 0.8) {
   if (!isRecording()) return;
   
-  const position = Math.floor(transportState.position);
+  const start = getPlaybackPosition();
+  commitHeldNote(pitch, { start, velocity }, start + duration);
+}
+
+/**
+ * Set the recording quantize grid
+ * @param {string} quantize - Key of RECORD_QUANTIZE ('off', '1/16', '1/8', '1/16T', '1/8T')
+ */
+function setRecordQuantize(quantize) {
+  if (quantize in RECORD_QUANTIZE) {
+    transportState.recordQuantize = quantize;
+  }
+}
+
+/**
+ * Get the position that is currently audible
+ * transportState.position runs ahead by the scheduler's lookahead, so the
+ * audible position is derived from the steps that were already scheduled.
+ * @returns {number} Position in 16th notes (fractional while playing)
+ */
+function getPlaybackPosition() {
+  const audioContext = window.AudioEngine ? window.AudioEngine.getAudioContext() : null;
+  if (!isPlaying() || !audioContext || stepTimes.length === 0) {
+    return transportState.position;
+  }
+  
+  const now = audioContext.currentTime;
+  let step = stepTimes[0];
+  for (const candidate of stepTimes) {
+    if (candidate.time > now) break;
+    step = candidate;
+  }
+  
+  const elapsed = Math.max(0, now - step.time);
+  return Math.min(step.position + 1, step.position + elapsed / step.duration);
+}
+
+/**
+ * Start recording a held note (note-on)
+ * @param {number} pitch - MIDI note number
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+function recordNoteOn(pitch, velocity = 0.8) {
+  if (!isRecording()) return;
+  
+  // Retriggering a held pitch ends the previous note first
+  if (heldNotes.has(pitch)) {
+    recordNoteOff(pitch);
+  }
+  
+  heldNotes.set(pitch, { start: getPlaybackPosition(), velocity });
+}
+
+/**
+ * Finish recording a held note (note-off) and add it to the active track
+ * @param {number} pitch - MIDI note number
+ */
+function recordNoteOff(pitch) {
+  const held = heldNotes.get(pitch);
+  if (!held) return;
+  
+  heldNotes.delete(pitch);
+  commitHeldNote(pitch, held, getPlaybackPosition());
+}
+
+/**
+ * Finish every held note at the current position (before stop, pause or seek)
+ */
+function finishHeldNotes() {
+  if (heldNotes.size === 0) return;
+  
+  const end = getPlaybackPosition();
+  heldNotes.forEach((held, pitch) => commitHeldNote(pitch, held, end));
+  heldNotes.clear();
+}
+
+/**
+ * Quantize a held note and add it to the piano roll
+ * @param {number} pitch - MIDI note number
+ * @param {Object} held - { start, velocity }
+ * @param {number} end - Position of the note-off in 16th notes
+ */
+function commitHeldNote(pitch, held, end) {
+  // Playback wrapped around while the key was held: end the note at the wrap point
+  if (end < held.start && transportState.loopEnabled) {
+    const region = getLoopRegion();
+    end = held.start < region.end ? region.end : getSongEnd();
+  }
+  
+  const grid = RECORD_QUANTIZE[transportState.recordQuantize];
+  let start = held.start;
+  let duration;
+  
+  if (grid) {
+    start = Math.round(start / grid) * grid;
+    duration = Math.max(grid, Math.round(end / grid) * grid - start);
+  } else {
+    duration = Math.max(0.25, end - start);
+  }
+  
+  // Keep grid values exact enough to compare (triplets are thirds of a 16th)
+  start = Math.round(start * 1000) / 1000;
+  duration = Math.round(duration * 1000) / 1000;
   
   if (window.PianoRoll) {
-    const note = window.PianoRoll.addNote(pitch, position, duration, 0.8);
+    const note = window.PianoRoll.addNote(pitch, start, duration, held.velocity);
     if (note) {
       // Refresh scheduled notes
-      scheduledNotes = window.PianoRoll.getAllNotes();
+      refreshScheduledTracks();
       
       if (onRecordNote) {
         onRecordNote(note);
@@ -384,6 +710,45 @@ function recordNote(pitch, duration = 4) {
   }
 }
 
+/**
+ * Record a pitch bend or mod wheel move at the current playback position
+ * @param {string} controller - 'pitchBend' or 'modWheel'
+ * @param {number} value - Controller value
+ */
+function recordController(controller, value) {
+  if (!isRecording()) return;
+  
+  const time = Math.round(getPlaybackPosition() * 1000) / 1000;
+  value = Math.round(value * 1000) / 1000;
+  let take = controllerTake[controller] || [];
+  
+  // Playback wrapped around: what was recorded so far is one take
+  if (take.length > 0 && time < take[take.length - 1].time) {
+    finishControllerTake();
+    take = [];
+  }
+  controllerTake[controller] = take;
+  
+  if (take.length > 0 && take[take.length - 1].time === time) {
+    take[take.length - 1].value = value;
+  } else {
+    take.push({ time, value });
+  }
+}
+
+/**
+ * Add the recorded controller moves to the active track (before stop, pause or seek)
+ */
+function finishControllerTake() {
+  const take = controllerTake;
+  controllerTake = {};
+  
+  if (!window.PianoRoll || Object.keys(take).length === 0) return;
+  
+  window.PianoRoll.recordControllerTake(take);
+  refreshScheduledTracks();
+}
+
 // ==================== STATE GETTERS ====================
 
 /**
@@ -415,8 +780,11 @@ window.Transport = {
   play,
   pause,
   stop,
+  seek,
   toggleLoop,
   setLoop,
+  setLoopRegion,
+  getLoopRegion,
   toggleMetronome,
   setMetronome,
   toggleRecord,
@@ -424,6 +792,12 @@ window.Transport = {
   isRecording,
   setBPM,
   getBPM,
+  setTempoPoints,
+  getTempoPoints,
+  getTempoMap,
+  getTempoAt,
+  setSwing,
+  getSwing,
   getState,
   getPosition,
   isPlaying,
@@ -431,6 +805,11 @@ window.Transport = {
   secondsToPosition,
   get16thDuration,
   recordNote,
+  recordNoteOn,
+  recordNoteOff,
+  recordController,
+  setRecordQuantize,
+  getPlaybackPosition,
   setPositionCallback,
   setPlayStateCallback,
   setRecordCallback
@@ -9,18 +9,22 @@
  * - Modal dialogs
  * - Drum machine panel
  * - Instrument rack
+ * - Track list (per-track instrument, volume, pan, mute, solo)
  * - JSON export/import
+ * - MIDI file export/import
  * - WAV export
  * - Glue between UI elements and engine functions
  */
 
 // ==================== STATE ====================
 
-let currentInstrument = 'piano';
 let currentSongId = null;
 let currentSongName = 'Untitled';
 let drumPanelCollapsed = false;
 
+// Ctrl/Cmd + these keys edit the piano roll selection (see editPianoRollSelection)
+const PIANO_ROLL_SHORTCUTS = ['a', 'c', 'x', 'v', 'd'];
+
 // Key mapping for computer keyboard input
 // Maps keyboard keys to MIDI notes (starting from C4 = 60)
 const KEY_NOTE_MAP = {
@@ -46,6 +50,21 @@ const KEY_NOTE_MAP = {
 // Track pressed keys to avoid repeated triggers
 const pressedKeys = new Set();
 
+// SoundFont banks parsed this session: bankId -> { fileName, size, soundFont }
+const loadedSoundFonts = new Map();
+
+// Bank waiting for a preset choice in the SoundFont modal: { bankId, fileName, data, soundFont }
+let pendingSoundFont = null;
+
+// Sampler samples being loaded for the current song (playback and export wait for it)
+let patchSamplesLoading = Promise.resolve();
+
+// Notes held from the keyboard, mini piano or MIDI input: source ('key:a', 'mouse:60', 'midi:60') -> { midi, voice }
+const liveNotes = new Map();
+
+// Pitch bend and mod wheel positions from the MIDI input (new live notes start with them)
+const liveControllers = { pitchBend: 0, modWheel: 0 };
+
 // ==================== INITIALIZATION ====================
 
 /**
@@ -67,13 +86,21 @@ function init() {
   initTransportControls();
   initInstrumentSelector();
   initInstrumentRack();
+  initInstrumentEditor();
+  initSoundFontLoading();
+  initTrackList();
   initBPMControl();
+  initSwingControl();
+  initSongLengthControls();
   initVolumeControl();
+  initVoiceMeter();
   initEffectControls();
   initMiniPiano();
   initKeyboardInput();
+  initMidiInput();
   initSongControls();
   initModals();
+  initNoteTools();
   initPianoKeysSidebar();
   initDrumPanelToggle();
   
@@ -86,6 +113,9 @@ function init() {
   // Load last song or create new
   loadLastSong();
   
+  // Drop stored samples nothing uses any more (before anything can be undone)
+  pruneUnusedSamples();
+  
   console.log('NoteLab DAW UI initialized');
 }
 
@@ -96,9 +126,42 @@ function initPianoRoll() {
   const canvas = document.getElementById('grid-canvas');
   const scrollContainer = document.getElementById('piano-roll-scroll');
   const timelineCanvas = document.getElementById('timeline-canvas');
+  const velocityCanvas = document.getElementById('velocity-canvas');
+  const tempoCanvas = document.getElementById('tempo-canvas');
+  const humanizeBtn = document.getElementById('humanize-velocity-btn');
+  const snapSelect = document.getElementById('snap-select');
   
   if (canvas && scrollContainer && timelineCanvas && window.PianoRoll) {
-    window.PianoRoll.initCanvas(canvas, scrollContainer, timelineCanvas);
+    window.PianoRoll.initCanvas(canvas, scrollContainer, timelineCanvas, velocityCanvas, tempoCanvas);
+    window.PianoRoll.setLengthChangeCallback(handleSongLengthChange);
+    window.PianoRoll.setLoopRegionCallback(handleLoopRegionChange);
+    window.PianoRoll.setSeekCallback(seekTo);
+    window.PianoRoll.setTempoMapCallback(handleTempoMapChange);
+  }
+  
+  if (humanizeBtn) {
+    humanizeBtn.addEventListener('click', humanizeSelectedVelocity);
+  }
+  
+  if (snapSelect) {
+    snapSelect.addEventListener('change', (e) => {
+      if (window.PianoRoll) {
+        window.PianoRoll.setSnap(e.target.value);
+      }
+      // Give focus back so the musical keys keep working
+      e.target.blur();
+    });
+  }
+}
+
+/**
+ * Randomize the velocity of the selected notes
+ */
+function humanizeSelectedVelocity() {
+  if (!window.PianoRoll) return;
+  
+  if (window.PianoRoll.humanizeVelocity() === 0) {
+    showNotification('Select notes to humanize first', 'warning');
   }
 }
 
@@ -167,6 +230,8 @@ function initTransportControls() {
   const recordBtn = document.getElementById('record-btn');
   const loopToggle = document.getElementById('loop-toggle');
   const metronomeToggle = document.getElementById('metronome-toggle');
+  const exportLoopToggle = document.getElementById('export-loop-toggle');
+  const recordQuantizeSelect = document.getElementById('record-quantize-select');
   
   if (playBtn) {
     playBtn.addEventListener('click', () => {
@@ -176,7 +241,7 @@ function initTransportControls() {
           if (state.isPlaying && !state.isPaused) {
             window.Transport.pause();
           } else {
-            window.Transport.play();
+            playWhenSamplesLoaded();
           }
         }
       });
@@ -201,17 +266,34 @@ function initTransportControls() {
     });
   }
   
+  if (recordQuantizeSelect) {
+    recordQuantizeSelect.addEventListener('change', (e) => {
+      if (window.Transport) {
+        window.Transport.setRecordQuantize(e.target.value);
+      }
+      // Give focus back so the musical keys keep working
+      e.target.blur();
+    });
+  }
+  
   if (loopToggle) {
     loopToggle.addEventListener('click', () => {
       if (window.Transport) {
         const isLooping = window.Transport.toggleLoop();
         loopToggle.classList.toggle('active', isLooping);
+        syncLoopRegion();
       }
     });
     // Set initial state
     loopToggle.classList.add('active');
   }
   
+  if (exportLoopToggle) {
+    exportLoopToggle.addEventListener('click', () => {
+      exportLoopToggle.classList.toggle('active');
+    });
+  }
+  
   if (metronomeToggle) {
     metronomeToggle.addEventListener('click', () => {
       resumeAudioAndDo(() => {
@@ -239,22 +321,80 @@ function handlePlayStateChange(state) {
       playBtn.classList.remove('playing');
     }
   }
+  
+  // Recorded controller moves are added to the track when playback stops
+  if (!state.isPlaying || state.isPaused) {
+    renderTrackList();
+  }
 }
 
 /**
  * Handle position updates from transport
+ * Shows bar.beat.16th and the song time at that position (through the tempo map).
  * @param {number} position - Position in 16th notes
  */
 function handlePositionUpdate(position) {
   const positionDisplay = document.getElementById('position-display');
   if (positionDisplay) {
-    const bar = Math.floor(position / 16) + 1;
-    const beat = Math.floor((position % 16) / 4) + 1;
-    const sixteenth = (position % 4) + 1;
-    positionDisplay.textContent = `${bar}.${beat}.${sixteenth}`;
+    const config = window.PianoRoll ? window.PianoRoll.getConfig() : { beatsPerBar: 4, sixteenthsPerBeat: 4 };
+    const sixteenthsPerBar = config.beatsPerBar * config.sixteenthsPerBeat;
+    const bar = Math.floor(position / sixteenthsPerBar) + 1;
+    const beat = Math.floor((position % sixteenthsPerBar) / config.sixteenthsPerBeat) + 1;
+    const sixteenth = (position % config.sixteenthsPerBeat) + 1;
+    const seconds = window.Transport ? window.Transport.positionToSeconds(position) : 0;
+    positionDisplay.textContent = `${bar}.${beat}.${sixteenth} · ${formatSongTime(seconds)}`;
+    if (window.Transport) {
+      positionDisplay.title = `${Math.round(window.Transport.getTempoAt(position) * 10) / 10} BPM`;
+    }
+  }
+}
+
+/**
+ * Format a song time as m:ss.t
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatSongTime(seconds) {
+  const tenths = Math.floor(seconds * 10);
+  const minutes = Math.floor(tenths / 600);
+  const rest = (tenths % 600) / 10;
+  return `${minutes}:${rest < 10 ? '0' : ''}${rest.toFixed(1)}`;
+}
+
+/**
+ * Move the playback position (timeline clicks, Home/End)
+ * @param {number} position - Position in 16th notes
+ */
+function seekTo(position) {
+  if (window.Transport) {
+    window.Transport.seek(position);
   }
 }
 
+/**
+ * Apply a loop region dragged on the timeline
+ * @param {Object} region - { start, end } in 16th notes
+ */
+function handleLoopRegionChange(region) {
+  if (!window.Transport || !window.PianoRoll) return;
+  
+  // A region that reaches the song end keeps following it when the song grows
+  const end = region.end >= window.PianoRoll.getTotalSixteenths() ? null : region.end;
+  window.Transport.setLoopRegion(region.start, end);
+}
+
+/**
+ * Show the transport's loop region on the timeline
+ */
+function syncLoopRegion() {
+  if (!window.Transport || !window.PianoRoll) return;
+  
+  window.PianoRoll.showLoopRegion({
+    ...window.Transport.getLoopRegion(),
+    enabled: window.Transport.getState().loopEnabled
+  });
+}
+
 /**
  * Update record indicator
  * @param {boolean} isRecording - Whether recording is active
@@ -280,11 +420,17 @@ function initInstrumentSelector() {
   if (!selector) return;
   
   selector.addEventListener('change', (e) => {
-    currentInstrument = e.target.value;
+    if (e.target.value === '__load_soundfont__') {
+      e.target.value = getCurrentInstrument();
+      document.getElementById('soundfont-file-input').click();
+      return;
+    }
+    
     if (window.PianoRoll) {
-      window.PianoRoll.setCurrentInstrument(currentInstrument);
+      window.PianoRoll.setCurrentInstrument(e.target.value);
     }
     updateInstrumentRack();
+    renderTrackList();
   });
 }
 
@@ -295,29 +441,8 @@ function initInstrumentRack() {
   const items = document.querySelectorAll('.instrument-item');
   items.forEach((item) => {
     item.addEventListener('click', () => {
-      const instrument = item.dataset.instrument;
-      if (instrument) {
-        currentInstrument = instrument;
-        
-        // Update select dropdown
-        const selector = document.getElementById('instrument-select');
-        if (selector) {
-          selector.value = instrument;
-        }
-        
-        // Update piano roll
-        if (window.PianoRoll) {
-          window.PianoRoll.setCurrentInstrument(instrument);
-        }
-        
-        // Play preview note
-        resumeAudioAndDo(() => {
-          if (window.AudioEngine) {
-            window.AudioEngine.playPreviewNote(instrument, 60);
-          }
-        });
-        
-        updateInstrumentRack();
+      if (item.dataset.instrument) {
+        selectInstrument(item.dataset.instrument);
       }
     });
   });
@@ -326,13 +451,41 @@ function initInstrumentRack() {
 }
 
 /**
- * Update instrument rack UI
+ * Give the active track an instrument from the rack and play a preview note
+ * @param {string} instrument - Instrument or user patch ID
+ */
+function selectInstrument(instrument) {
+  // Update select dropdown
+  const selector = document.getElementById('instrument-select');
+  if (selector) {
+    selector.value = instrument;
+  }
+  
+  // Update piano roll
+  if (window.PianoRoll) {
+    window.PianoRoll.setCurrentInstrument(instrument);
+  }
+  
+  // Play preview note
+  resumeAudioAndDo(() => {
+    if (window.AudioEngine) {
+      window.AudioEngine.playPreviewNote(instrument, 60, getPreviewOptions());
+    }
+  });
+  
+  updateInstrumentRack();
+  renderTrackList();
+}
+
+/**
+ * Update instrument rack UI (and the editor, which follows the active track)
  */
 function updateInstrumentRack() {
   const items = document.querySelectorAll('.instrument-item');
   items.forEach((item) => {
-    item.classList.toggle('active', item.dataset.instrument === currentInstrument);
+    item.classList.toggle('active', item.dataset.instrument === getCurrentInstrument());
   });
+  renderInstrumentEditor();
 }
 
 /**
@@ -343,10 +496,17 @@ function initBPMControl() {
   if (!bpmInput) return;
   
   bpmInput.addEventListener('change', (e) => {
-    const bpm = parseInt(e.target.value, 10);
+    // Hundredths are kept, like tempos imported from MIDI files
+    const bpm = Math.round(parseFloat(e.target.value) * 100) / 100;
     if (bpm >= 20 && bpm <= 300) {
       if (window.Transport) {
+        const previousBpm = window.Transport.getBPM();
         window.Transport.setBPM(bpm);
+        syncTempoLane();
+        
+        if (window.EditHistory && previousBpm !== bpm) {
+          window.EditHistory.record('Change Tempo', () => applyBPM(previousBpm), () => applyBPM(bpm));
+        }
       }
     } else {
       e.target.value = window.Transport ? window.Transport.getBPM() : 120;
@@ -355,180 +515,1784 @@ function initBPMControl() {
 }
 
 /**
- * Initialize volume control
+ * Set the tempo and show it in the BPM input
+ * @param {number} bpm - Beats per minute
  */
-function initVolumeControl() {
-  const volumeSlider = document.getElementById('master-volume');
-  if (!volumeSlider) return;
+function applyBPM(bpm) {
+  if (window.Transport) {
+    window.Transport.setBPM(bpm);
+  }
+  const bpmInput = document.getElementById('bpm-input');
+  if (bpmInput) {
+    bpmInput.value = bpm;
+  }
+  syncTempoLane();
+}
+
+/**
+ * Apply a tempo map edited on the tempo lane
+ * @param {Object} map - { bpm (at the song start), points (tempo changes) }
+ */
+function handleTempoMapChange(map) {
+  if (!window.Transport) return;
   
-  volumeSlider.addEventListener('input', (e) => {
-    const volume = parseFloat(e.target.value);
-    if (window.AudioEngine) {
-      window.AudioEngine.setMasterVolume(volume);
+  window.Transport.setBPM(map.bpm);
+  window.Transport.setTempoPoints(map.points);
+  
+  const bpmInput = document.getElementById('bpm-input');
+  if (bpmInput) {
+    bpmInput.value = map.bpm;
+  }
+}
+
+/**
+ * Show the transport's tempo map on the tempo lane
+ */
+function syncTempoLane() {
+  if (!window.Transport || !window.PianoRoll) return;
+  
+  window.PianoRoll.showTempoMap({
+    bpm: window.Transport.getBPM(),
+    points: window.Transport.getTempoPoints()
+  });
+}
+
+/**
+ * Initialize swing control
+ */
+function initSwingControl() {
+  const swingInput = document.getElementById('swing-input');
+  if (!swingInput) return;
+  
+  swingInput.addEventListener('change', (e) => {
+    const swing = parseInt(e.target.value, 10);
+    if (swing >= 50 && swing <= 75) {
+      if (window.Transport) {
+        const previousSwing = window.Transport.getSwing();
+        window.Transport.setSwing(swing);
+        
+        if (window.EditHistory && previousSwing !== swing) {
+          window.EditHistory.record('Change Swing', () => applySongSwing(previousSwing), () => applySongSwing(swing));
+        }
+      }
+    } else {
+      e.target.value = window.Transport ? window.Transport.getSwing() : 50;
     }
   });
 }
 
 /**
- * Get current instrument
- * @returns {string} Current instrument ID
+ * Set the song swing and show it in the swing input
+ * @param {number} swing - Swing in percent (50 = straight)
  */
-function getCurrentInstrument() {
-  return currentInstrument;
+function applySongSwing(swing) {
+  if (window.Transport) {
+    window.Transport.setSwing(swing);
+  }
+  const swingInput = document.getElementById('swing-input');
+  if (swingInput) {
+    swingInput.value = swing;
+  }
 }
 
-// ==================== EFFECT CONTROLS ====================
+// ==================== INSTRUMENT EDITOR ====================
+
+let patchGesture = null; // { patchId, before } while a control is being dragged
 
 /**
- * Initialize effect controls
+ * Initialize the instrument editor panel
  */
-function initEffectControls() {
-  // Reverb toggle
-  const reverbToggle = document.getElementById('reverb-toggle');
-  if (reverbToggle) {
-    reverbToggle.addEventListener('click', () => {
-      reverbToggle.classList.toggle('active');
-      if (window.AudioEngine) {
-        window.AudioEngine.updateEffectSettings('reverb', { 
-          enabled: reverbToggle.classList.contains('active') 
-        });
-      }
-    });
-  }
+function initInstrumentEditor() {
+  const editBtn = document.getElementById('edit-instrument-btn');
+  const newSamplerBtn = document.getElementById('new-sampler-btn');
+  const sampleFileInput = document.getElementById('sample-file-input');
+  const closeBtn = document.getElementById('instrument-editor-close');
+  const content = document.getElementById('instrument-editor-content');
   
-  // Reverb mix
-  const reverbMix = document.getElementById('reverb-mix');
-  if (reverbMix) {
-    reverbMix.addEventListener('input', (e) => {
-      if (window.AudioEngine) {
-        window.AudioEngine.updateEffectSettings('reverb', { 
-          mix: parseFloat(e.target.value) 
-        });
-      }
-    });
+  if (editBtn) {
+    editBtn.addEventListener('click', () => toggleInstrumentEditor());
   }
   
-  // Delay toggle
-  const delayToggle = document.getElementById('delay-toggle');
-  if (delayToggle) {
-    delayToggle.addEventListener('click', () => {
-      delayToggle.classList.toggle('active');
-      if (window.AudioEngine) {
-        window.AudioEngine.updateEffectSettings('delay', { 
-          enabled: delayToggle.classList.contains('active') 
-        });
-      }
-    });
+  if (newSamplerBtn) {
+    newSamplerBtn.addEventListener('click', createSamplerPreset);
   }
   
-  // Delay time
-  const delayTime = document.getElementById('delay-time');
-  if (delayTime) {
-    delayTime.addEventListener('input', (e) => {
-      if (window.AudioEngine) {
-        window.AudioEngine.updateEffectSettings('delay', { 
-          time: parseFloat(e.target.value) 
-        });
-      }
-    });
+  if (sampleFileInput) {
+    sampleFileInput.addEventListener('change', handleSampleFiles);
   }
   
-  // Delay feedback
-  const delayFeedback = document.getElementById('delay-feedback');
-  if (delayFeedback) {
-    delayFeedback.addEventListener('input', (e) => {
-      if (window.AudioEngine) {
-        window.AudioEngine.updateEffectSettings('delay', { 
-          feedback: parseFloat(e.target.value) 
-        });
-      }
-    });
+  if (closeBtn) {
+    closeBtn.addEventListener('click', () => toggleInstrumentEditor(false));
   }
   
-  // Delay mix
-  const delayMix = document.getElementById('delay-mix');
-  if (delayMix) {
-    delayMix.addEventListener('input', (e) => {
-      if (window.AudioEngine) {
-        window.AudioEngine.updateEffectSettings('delay', { 
-          mix: parseFloat(e.target.value) 
-        });
-      }
-    });
+  if (content) {
+    content.addEventListener('input', handlePatchInput);
+    content.addEventListener('change', handlePatchChange);
+    content.addEventListener('click', handlePatchAction);
   }
 }
 
-// ==================== MINI PIANO ====================
+/**
+ * Show or hide the instrument editor
+ * @param {boolean} visible - Whether to show it (toggles if omitted)
+ */
+function toggleInstrumentEditor(visible) {
+  const editor = document.getElementById('instrument-editor');
+  if (!editor) return;
+  
+  editor.classList.toggle('visible', visible);
+  renderInstrumentEditor();
+}
 
 /**
- * Initialize mini piano
+ * Load the user presets plus a song's own patch copies into the audio engine
+ * The song's copies win, so a song sounds like it did when it was saved.
+ * @param {Object} songPatches - Patches stored in the song, keyed by ID
  */
-function initMiniPiano() {
-  const container = document.getElementById('mini-piano');
-  if (!container) return;
+function loadPatchLibrary(songPatches = {}) {
+  if (!window.AudioEngine) return;
   
-  // Create keys from C3 to C5 (MIDI 48-72)
-  const keys = [];
-  for (let midi = 48; midi <= 72; midi++) {
-    const noteName = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][midi % 12];
-    const octave = Math.floor(midi / 12) - 1;
-    const isBlack = noteName.includes('#');
-    
-    const key = document.createElement('div');
-    key.className = `mini-piano-key ${isBlack ? 'black' : 'white'}`;
-    key.dataset.midi = midi;
-    
-    // Add label for C notes
-    if (noteName === 'C') {
-      const label = document.createElement('span');
-      label.className = 'key-label';
-      label.textContent = `C${octave}`;
-      key.appendChild(label);
-    }
-    
-    key.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      playMiniPianoKey(midi);
-      key.classList.add('pressed');
-    });
-    
-    key.addEventListener('mouseup', () => {
-      key.classList.remove('pressed');
-    });
-    
-    key.addEventListener('mouseleave', () => {
-      key.classList.remove('pressed');
+  const presets = window.Storage ? window.Storage.getUserPresets() : {};
+  window.AudioEngine.setUserPatches({ ...presets, ...songPatches });
+  renderUserPresetLists();
+  patchSamplesLoading = loadPatchSamples();
+}
+
+/**
+ * Load the samples used by sampler presets from IndexedDB (in the background)
+ * Sampler zones without a loaded sample are skipped, so playback and export
+ * wait for this (see waitForPatchSamples).
+ * @returns {Promise<void>}
+ */
+async function loadPatchSamples() {
+  if (!window.AudioEngine || !window.SampleStore) return;
+  
+  const patches = window.AudioEngine.getUserPatches();
+  const sampleIds = new Set();
+  Object.values(patches).forEach((patch) => {
+    (patch.zones || []).forEach((zone) => {
+      if (!window.AudioEngine.hasSample(zone.sampleId)) {
+        sampleIds.add(zone.sampleId);
+      }
     });
+  });
+  if (sampleIds.size === 0) return;
+  
+  let missing = 0;
+  for (const sampleId of sampleIds) {
+    const region = window.SoundFont ? window.SoundFont.parseRegionId(sampleId) : null;
+    if (region) {
+      // SoundFont regions are cut from their bank file
+      try {
+        const soundFont = await loadStoredSoundFont(region.bankId);
+        if (soundFont) {
+          window.AudioEngine.setSampleData(sampleId, window.SoundFont.readRegion(soundFont, region), region.sampleRate);
+        } else {
+          missing++;
+        }
+      } catch (error) {
+        console.error('SoundFont load error:', error);
+        missing++;
+      }
+      continue;
+    }
     
-    keys.push({ midi, isBlack, element: key });
+    try {
+      const sample = await window.SampleStore.load(sampleId);
+      if (sample) {
+        await window.AudioEngine.decodeSample(sampleId, sample.data);
+      } else {
+        missing++;
+      }
+    } catch (error) {
+      console.error('Sample load error:', error);
+      missing++;
+    }
   }
   
-  // Add keys in correct order (white keys first, then black keys overlaid)
-  container.innerHTML = '';
-  keys.filter(k => !k.isBlack).forEach(k => container.appendChild(k.element));
-  // Re-insert black keys in correct positions
-  keys.filter(k => k.isBlack).forEach(k => {
-    const whiteKeyIndex = keys.findIndex(wk => wk.midi === k.midi - 1 && !wk.isBlack);
-    if (whiteKeyIndex >= 0) {
-      container.appendChild(k.element);
+  if (missing > 0) {
+    showNotification(`${missing} sample${missing === 1 ? '' : 's'} could not be loaded`, 'warning');
+  }
+  renderInstrumentEditor();
+}
+
+/**
+ * Wait until the current song's sampler samples are loaded
+ * @returns {Promise<void>}
+ */
+async function waitForPatchSamples() {
+  try {
+    await patchSamplesLoading;
+  } catch (error) {
+    console.error('Sample load error:', error);
+  }
+}
+
+/**
+ * Warn that an export will be missing sampler notes
+ * @param {Array} tracks - Track objects being exported
+ */
+function warnMissingSamples(tracks) {
+  if (!window.AudioEngine) return;
+  
+  const missing = new Set();
+  tracks.filter(track => track.notes && track.notes.length > 0).forEach((track) => {
+    (window.AudioEngine.getInstrument(track.instrument).zones || []).forEach((zone) => {
+      if (!window.AudioEngine.hasSample(zone.sampleId)) {
+        missing.add(zone.sampleId);
+      }
+    });
+  });
+  if (missing.size > 0) {
+    showNotification(`${missing.size} sample${missing.size === 1 ? ' is' : 's are'} missing; those notes will be silent`,
+      'warning');
+  }
+}
+
+/**
+ * Start playback once the song's sampler samples are loaded
+ */
+function playWhenSamplesLoaded() {
+  waitForPatchSamples().then(() => {
+    if (window.Transport) {
+      window.Transport.play();
     }
   });
+}
+
+/**
+ * Delete stored samples and banks that no preset or saved song uses
+ * Deleted presets and replaced samples would otherwise stay in IndexedDB.
+ * Runs at startup, while no undo step can bring a deleted preset back.
+ * @returns {Promise<void>}
+ */
+async function pruneUnusedSamples() {
+  if (!window.SampleStore || !window.Storage || !window.AudioEngine) return;
+  
+  const used = new Set();
+  const addPatches = (patches) => {
+    Object.values(patches || {}).forEach((patch) => {
+      (patch.zones || []).forEach((zone) => {
+        const region = window.SoundFont ? window.SoundFont.parseRegionId(zone.sampleId) : null;
+        used.add(region ? region.bankId : zone.sampleId);
+      });
+    });
+  };
+  addPatches(window.Storage.getUserPresets());
+  window.Storage.getAllSongs().forEach(song => addPatches(song.patches));
+  addPatches(window.AudioEngine.getUserPatches());
   
-  // Rebuild mini piano with proper ordering
-  buildMiniPiano();
+  try {
+    const unused = (await window.SampleStore.listIds()).filter(id => !used.has(id));
+    for (const sampleId of unused) {
+      await window.SampleStore.remove(sampleId);
+    }
+  } catch (error) {
+    console.error('Sample cleanup error:', error);
+  }
 }
 
+// ==================== SOUNDFONTS ====================
+
 /**
- * Build mini piano with proper key arrangement
+ * Initialize SoundFont bank loading (file input and preset picker)
  */
-function buildMiniPiano() {
-  const container = document.getElementById('mini-piano');
-  if (!container) return;
+function initSoundFontLoading() {
+  const fileInput = document.getElementById('soundfont-file-input');
+  const confirmBtn = document.getElementById('soundfont-confirm-btn');
+  const presetSelect = document.getElementById('soundfont-preset-select');
   
-  container.innerHTML = '';
+  if (fileInput) {
+    fileInput.addEventListener('change', handleSoundFontFile);
+  }
   
-  // C3 (48) to C5 (72) = 25 notes
-  // White keys: C, D, E, F, G, A, B (7 per octave)
+  if (confirmBtn) {
+    confirmBtn.addEventListener('click', confirmSoundFontPreset);
+  }
+  
+  if (presetSelect) {
+    presetSelect.addEventListener('dblclick', confirmSoundFontPreset);
+  }
+}
+
+/**
+ * Read a picked .sf2 file and show its presets
+ * @param {Event} event - File input change event
+ * @returns {Promise<void>}
+ */
+async function handleSoundFontFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file || !window.SoundFont) return;
+  
+  try {
+    const data = await file.arrayBuffer();
+    const soundFont = window.SoundFont.parse(data);
+    if (soundFont.presets.length === 0) {
+      throw new Error('The bank has no presets');
+    }
+    
+    // The same file loaded again reuses its stored copy
+    let bankId = null;
+    loadedSoundFonts.forEach((bank, id) => {
+      if (bank.fileName === file.name && bank.size === data.byteLength) {
+        bankId = id;
+      }
+    });
+    
+    pendingSoundFont = {
+      bankId: bankId || window.SampleStore.generateId(),
+      stored: Boolean(bankId),
+      fileName: file.name,
+      data,
+      soundFont
+    };
+    showSoundFontModal();
+  } catch (error) {
+    console.error('SoundFont import error:', error);
+    showNotification('SoundFont could not be loaded: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Show the preset picker for the pending bank
+ */
+function showSoundFontModal() {
+  const modal = document.getElementById('soundfont-modal');
+  const presetSelect = document.getElementById('soundfont-preset-select');
+  const bankName = document.getElementById('soundfont-bank-name');
+  if (!modal || !presetSelect || !pendingSoundFont) return;
+  
+  const { soundFont, fileName } = pendingSoundFont;
+  if (bankName) {
+    bankName.textContent = `${soundFont.name || fileName}: ${soundFont.presets.length} preset${soundFont.presets.length === 1 ? '' : 's'}`;
+  }
+  
+  presetSelect.innerHTML = '';
+  window.SoundFont.getPresets(soundFont).forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.index;
+    option.textContent = `${String(preset.bank).padStart(3, '0')}:${String(preset.program).padStart(3, '0')} ${preset.name}`;
+    presetSelect.appendChild(option);
+  });
+  presetSelect.selectedIndex = 0;
+  
+  modal.classList.add('visible');
+  presetSelect.focus();
+}
+
+/**
+ * Turn the chosen preset into a user preset on the active track
+ * @returns {Promise<void>}
+ */
+async function confirmSoundFontPreset() {
+  const presetSelect = document.getElementById('soundfont-preset-select');
+  if (!pendingSoundFont || !presetSelect || presetSelect.value === '' || !window.AudioEngine) return;
+  
+  const bank = pendingSoundFont;
+  try {
+    const patch = window.SoundFont.buildPatch(bank.soundFont, parseInt(presetSelect.value, 10), {
+      bankId: bank.bankId,
+      fileName: bank.fileName
+    });
+    
+    if (!bank.stored && window.SampleStore) {
+      await window.SampleStore.save({ id: bank.bankId, name: bank.fileName, type: 'audio/x-soundfont', data: bank.data });
+      bank.stored = true;
+    }
+    loadedSoundFonts.set(bank.bankId, { fileName: bank.fileName, size: bank.data.byteLength, soundFont: bank.soundFont });
+    
+    // The patch is stored as normalized, which may drop zones past the limit
+    const patchId = generatePatchId();
+    window.AudioEngine.setUserPatch(patchId, patch);
+    const stored = window.AudioEngine.getUserPatch(patchId);
+    stored.zones.forEach((zone) => {
+      const region = window.SoundFont.parseRegionId(zone.sampleId);
+      if (!window.AudioEngine.hasSample(zone.sampleId)) {
+        window.AudioEngine.setSampleData(zone.sampleId, window.SoundFont.readRegion(bank.soundFont, region), region.sampleRate);
+      }
+    });
+    if (window.Storage) {
+      window.Storage.saveUserPreset(patchId, stored);
+    }
+    
+    pendingSoundFont = null;
+    closeAllModals();
+    renderUserPresetLists();
+    selectInstrument(patchId);
+    const zoneCount = stored.zones.length;
+    const dropped = patch.zones.length - zoneCount;
+    if (dropped > 0) {
+      showNotification(`Loaded "${stored.name}" with ${zoneCount} of ${patch.zones.length} zones ` +
+        `(${dropped} over the limit were left out)`, 'warning');
+    } else {
+      showNotification(`Loaded "${stored.name}" (${zoneCount} zone${zoneCount === 1 ? '' : 's'})`);
+    }
+  } catch (error) {
+    console.error('SoundFont preset error:', error);
+    showNotification('Preset could not be loaded: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Get a stored bank, parsing it once per session
+ * @param {string} bankId - SampleStore ID of the bank file
+ * @returns {Promise<Object|null>} Parsed bank, or null if it isn't stored
+ */
+async function loadStoredSoundFont(bankId) {
+  if (loadedSoundFonts.has(bankId)) {
+    return loadedSoundFonts.get(bankId).soundFont;
+  }
+  
+  const stored = await window.SampleStore.load(bankId);
+  if (!stored) return null;
+  
+  const soundFont = window.SoundFont.parse(stored.data);
+  loadedSoundFonts.set(bankId, { fileName: stored.name, size: stored.data.byteLength, soundFont });
+  return soundFont;
+}
+
+// ==================== SAMPLER PRESETS ====================
+
+/**
+ * Create an empty sampler preset on the active track and open the editor
+ */
+function createSamplerPreset() {
+  if (!window.AudioEngine || !window.PianoRoll) return;
+  
+  const patchId = generatePatchId();
+  window.AudioEngine.setUserPatch(patchId, {
+    type: 'sampler',
+    name: 'Sampler',
+    basedOn: 'piano',
+    zones: [],
+    envelope: { attack: 0.001, decay: 0.1, sustain: 1, release: 0.3 }
+  });
+  if (window.Storage) {
+    window.Storage.saveUserPreset(patchId, window.AudioEngine.getUserPatch(patchId));
+  }
+  window.PianoRoll.setCurrentInstrument(patchId);
+  toggleInstrumentEditor(true);
+  renderUserPresetLists();
+  renderTrackList();
+}
+
+/**
+ * Guess a sample's root key from its file name ("Piano C4.wav", "bass_F#2.ogg")
+ * @param {string} fileName - File name
+ * @returns {number|null} MIDI note, or null if the name has no note in it
+ */
+function guessRootKey(fileName) {
+  const match = fileName.replace(/\.[^.]+$/, '').match(/(?:^|[^A-Za-z])([A-G])(#|b)?(\d)(?!\d)/i);
+  if (!match) return null;
+  
+  const accidental = (match[2] || '').toLowerCase();
+  const midi = window.AudioEngine.noteNameToMidi(`${match[1].toUpperCase()}${accidental}${match[3]}`);
+  return midi >= 0 && midi <= 127 ? midi : null;
+}
+
+/**
+ * Add audio files as zones of the current sampler preset
+ * Files are stored in IndexedDB; several files with notes in their names are
+ * spread across the keyboard, each covering the keys nearest its root.
+ * @param {Event} event - File input change event
+ * @returns {Promise<void>}
+ */
+async function handleSampleFiles(event) {
+  const files = Array.from(event.target.files || []);
+  event.target.value = '';
+  
+  const patchId = getCurrentInstrument();
+  const patch = window.AudioEngine ? window.AudioEngine.getUserPatch(patchId) : null;
+  if (files.length === 0 || !patch || patch.type !== 'sampler' || !window.SampleStore) return;
+  
+  const before = window.AudioEngine.getUserPatch(patchId);
+  const zones = [];
+  for (const file of files) {
+    try {
+      const data = await file.arrayBuffer();
+      const sampleId = window.SampleStore.generateId();
+      await window.AudioEngine.decodeSample(sampleId, data);
+      await window.SampleStore.save({ id: sampleId, name: file.name, type: file.type, data });
+      
+      const rootKey = guessRootKey(file.name);
+      zones.push({ sampleId, name: file.name, rootKey: rootKey === null ? 60 : rootKey, guessed: rootKey !== null });
+    } catch (error) {
+      console.error('Sample import error:', error);
+      showNotification(`Could not load "${file.name}": ${error.message}`, 'error');
+    }
+  }
+  if (zones.length === 0) return;
+  
+  // Spread several named samples across the keyboard
+  const mapped = zones.filter(zone => zone.guessed).sort((a, b) => a.rootKey - b.rootKey);
+  if (mapped.length > 1) {
+    mapped.forEach((zone, index) => {
+      const previous = mapped[index - 1];
+      const next = mapped[index + 1];
+      zone.lowKey = previous ? Math.floor((previous.rootKey + zone.rootKey) / 2) + 1 : 0;
+      zone.highKey = next ? Math.floor((zone.rootKey + next.rootKey) / 2) : 127;
+    });
+  }
+  zones.forEach((zone) => {
+    delete zone.guessed;
+    patch.zones.push(zone);
+  });
+  
+  applyPatchSnapshot(patchId, patch);
+  if (window.EditHistory) {
+    const after = window.AudioEngine.getUserPatch(patchId);
+    window.EditHistory.record('Add Samples',
+      () => applyPatchSnapshot(patchId, before),
+      () => applyPatchSnapshot(patchId, after));
+  }
+  showNotification(`Added ${zones.length} sample${zones.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Collect copies of the user patches the tracks play (stored with the song)
+ * @param {Array<Object>} tracks - Tracks
+ * @returns {Object} Patches keyed by ID
+ */
+function getSongPatches(tracks) {
+  const patches = {};
+  if (!window.AudioEngine) return patches;
+  
+  tracks.forEach((track) => {
+    if (window.AudioEngine.isUserPatch(track.instrument)) {
+      patches[track.instrument] = window.AudioEngine.getUserPatch(track.instrument);
+    }
+  });
+  return patches;
+}
+
+/**
+ * Fill the instrument selector and the rack with the user patches
+ */
+function renderUserPresetLists() {
+  if (!window.AudioEngine) return;
+  
+  const patches = window.AudioEngine.getUserPatches();
+  const ids = Object.keys(patches).sort((a, b) => patches[a].name.localeCompare(patches[b].name));
+  
+  const optionGroup = document.getElementById('user-preset-options');
+  if (optionGroup) {
+    optionGroup.innerHTML = '';
+    ids.forEach((id) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = patches[id].name;
+      optionGroup.appendChild(option);
+    });
+  }
+  
+  const list = document.getElementById('user-preset-list');
+  if (list) {
+    list.innerHTML = ids.length === 0
+      ? '<div class="editor-hint">Edit an instrument to create a preset.</div>'
+      : '';
+    ids.forEach((id) => {
+      const item = document.createElement('div');
+      item.className = 'instrument-item';
+      item.dataset.instrument = id;
+      item.innerHTML = `
+        <span class="instrument-icon">${patches[id].type === 'sampler' ? '🎙' : '🎛'}</span>
+        <span class="instrument-name">${escapeHtml(patches[id].name)}</span>
+      `;
+      item.addEventListener('click', () => selectInstrument(id));
+      list.appendChild(item);
+    });
+  }
+  
+  const instrumentSelect = document.getElementById('instrument-select');
+  if (instrumentSelect) {
+    instrumentSelect.value = getCurrentInstrument();
+  }
+  updateInstrumentRack();
+}
+
+/**
+ * Render the editor for the active track's instrument
+ */
+function renderInstrumentEditor() {
+  const editor = document.getElementById('instrument-editor');
+  const content = document.getElementById('instrument-editor-content');
+  if (!editor || !content || !editor.classList.contains('visible') || !window.AudioEngine) return;
+  
+  const instrumentId = getCurrentInstrument();
+  const isUser = window.AudioEngine.isUserPatch(instrumentId);
+  const patch = isUser
+    ? window.AudioEngine.getUserPatch(instrumentId)
+    : window.AudioEngine.createPatchFrom(instrumentId);
+  const limits = window.AudioEngine.PATCH_LIMITS;
+  
+  const slider = (field, label, [min, max], step, value, index = null) => `
+    <div class="slider-control">
+      <div class="slider-label">
+        <span>${label}</span>
+        <span data-value-for="${field}${index === null ? '' : index}">${formatPatchValue(field, value)}</span>
+      </div>
+      <input type="range" data-field="${field}" ${index === null ? '' : `data-index="${index}"`}
+        min="${min}" max="${max}" step="${step}" value="${value}" />
+    </div>
+  `;
+  
+  const oscillatorRows = patch.oscillators.map((osc, index) => `
+    <div class="editor-oscillator">
+      <select data-field="oscType" data-index="${index}" title="Waveform">
+        ${limits.oscillatorTypes.map(type => `<option value="${type}" ${type === osc.type ? 'selected' : ''}>${type}</option>`).join('')}
+      </select>
+      <input type="number" data-field="oscDetune" data-index="${index}" title="Detune (cents)"
+        min="${limits.detune[0]}" max="${limits.detune[1]}" step="1" value="${osc.detune}" />
+      <input type="range" data-field="oscGain" data-index="${index}" title="Level"
+        min="0" max="1" step="0.01" value="${osc.gain}" />
+      <button class="track-btn" data-action="remove-oscillator" data-index="${index}" title="Remove Oscillator"
+        ${patch.oscillators.length <= 1 ? 'disabled' : ''}>×</button>
+    </div>
+  `).join('');
+  
+  const zoneRows = (patch.zones || []).map((zone, index) => {
+    const number = (field, range, step = 1) => `
+      <input type="number" data-field="${field}" data-index="${index}"
+        min="${range[0]}" max="${range[1]}" step="${step}" value="${zone[field]}" />
+    `;
+    const loaded = window.AudioEngine.hasSample(zone.sampleId);
+    return `
+      <div class="editor-zone">
+        <div class="editor-zone-header">
+          <span class="editor-zone-name ${loaded ? '' : 'missing'}" title="${escapeHtml(zone.name)}">
+            ${escapeHtml(zone.name)}${loaded ? '' : ' (missing)'}
+          </span>
+          <button class="track-btn" data-action="remove-zone" data-index="${index}" title="Remove Sample">×</button>
+        </div>
+        <div class="editor-zone-row">
+          <span title="Root key (plays the sample at its recorded pitch)">Root</span>
+          ${number('rootKey', limits.key)}
+          <span class="editor-zone-note">${window.AudioEngine.midiToNoteName(zone.rootKey)}</span>
+        </div>
+        <div class="editor-zone-row">
+          <span title="Key range">Keys</span>
+          ${number('lowKey', limits.key)}–${number('highKey', limits.key)}
+        </div>
+        <div class="editor-zone-row">
+          <span title="Velocity range">Vel</span>
+          ${number('lowVelocity', limits.velocity)}–${number('highVelocity', limits.velocity)}
+        </div>
+        <div class="editor-zone-row">
+          <label title="Loop between the loop points while the note is held">
+            <input type="checkbox" data-field="loop" data-index="${index}" ${zone.loop ? 'checked' : ''} /> Loop
+          </label>
+          ${number('loopStart', [0, 600], 0.001)}–${number('loopEnd', [0, 600], 0.001)}
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  const filter = patch.filter || { type: 'off', frequency: 3000, Q: 1 };
+  const filterEnvelope = patch.filterEnvelope;
+  const syncOptions = ['off'].concat(Object.keys(window.AudioEngine.LFO_SYNC_DIVISIONS));
+  
+  // Wavetable position is only a destination on wavetable instruments
+  const lfoTargets = limits.lfoTargets.filter(target => target !== 'position' || patch.type === 'wavetable');
+  const lfoRows = patch.lfos.map((lfo, index) => `
+    <div class="editor-lfo">
+      <div class="editor-lfo-header">
+        <span>LFO ${index + 1}</span>
+        <select data-field="lfoTarget" data-index="${index}" title="Destination">
+          ${lfoTargets.map(target => `<option value="${target}" ${target === lfo.target ? 'selected' : ''}>${target}</option>`).join('')}
+        </select>
+      </div>
+      ${lfo.target === 'off' ? '' : `
+        <div class="editor-lfo-header">
+          <select data-field="lfoWaveform" data-index="${index}" title="Waveform">
+            ${limits.oscillatorTypes.map(type => `<option value="${type}" ${type === lfo.waveform ? 'selected' : ''}>${type}</option>`).join('')}
+          </select>
+          <select data-field="lfoSync" data-index="${index}" title="Tempo sync">
+            ${syncOptions.map(sync => `<option value="${sync}" ${sync === lfo.sync ? 'selected' : ''}>${sync === 'off' ? 'free' : sync}</option>`).join('')}
+          </select>
+        </div>
+        ${lfo.sync === 'off' ? slider('lfoRate', 'Rate', limits.lfoRate, 0.05, lfo.rate, index) : ''}
+        ${slider('lfoDepth', 'Depth', limits.lfoDepth, 0.01, lfo.depth, index)}
+      `}
+    </div>
+  `).join('');
+  
+  const engineNames = { synth: 'Oscillators', fm: 'FM', wavetable: 'Wavetable', string: 'Plucked String' };
+  const engine = patch.type || 'synth';
+  
+  const algorithms = window.AudioEngine.FM_ALGORITHMS;
+  const fmOperatorRows = patch.fm ? patch.fm.operators.map((operator, index) => {
+    const isCarrier = algorithms[patch.fm.algorithm].carriers.includes(index);
+    return `
+      <div class="editor-operator">
+        <div class="editor-lfo-header">
+          <span>Op ${index + 1} ${isCarrier ? '(carrier)' : '(modulator)'}</span>
+          <label title="Frequency ratio to the note">×
+            <input type="number" data-field="opRatio" data-index="${index}"
+              min="${limits.ratio[0]}" max="${limits.ratio[1]}" step="0.01" value="${operator.ratio}" />
+          </label>
+        </div>
+        ${isCarrier
+          ? slider('opLevel', 'Level', limits.gain, 0.01, operator.level, index)
+          : slider('opIndex', 'Index', limits.fmIndex, 0.1, operator.index, index)}
+        ${slider('opAttack', 'Attack', limits.attack, 0.001, operator.envelope.attack, index)}
+        ${slider('opDecay', 'Decay', limits.decay, 0.01, operator.envelope.decay, index)}
+        ${slider('opSustain', 'Sustain', limits.sustain, 0.01, operator.envelope.sustain, index)}
+        ${slider('opRelease', 'Release', limits.release, 0.01, operator.envelope.release, index)}
+      </div>
+    `;
+  }).join('') : '';
+  
+  const tables = window.AudioEngine.WAVETABLE_CONFIG.tables;
+  const modTargetNames = { vibrato: 'Mod wheel: vibrato', cutoff: 'Mod wheel: filter cutoff' };
+  
+  content.innerHTML = `
+    <div class="editor-group">
+      <input type="text" class="editor-name-input" data-field="name" maxlength="40"
+        value="${escapeHtml(patch.name)}" ${isUser ? '' : 'disabled'} title="Preset name" />
+      ${isUser ? '' : '<div class="editor-hint">Built-in instrument: your first change saves an editable copy as a user preset.</div>'}
+    </div>
+    ${patch.type === 'sampler' ? '' : `
+      <div class="editor-group">
+        <div class="editor-group-title">Engine</div>
+        <select data-field="engine" title="Sound engine">
+          ${limits.engines.map(type => `<option value="${type}" ${type === engine ? 'selected' : ''}>${engineNames[type]}</option>`).join('')}
+        </select>
+      </div>
+    `}
+    ${patch.type === 'sampler' ? `
+      <div class="editor-group">
+        <div class="editor-group-title">Samples</div>
+        ${patch.soundFont ? `<div class="editor-hint">From ${escapeHtml(patch.soundFont.fileName)}, preset ${patch.soundFont.bank}:${patch.soundFont.program}.</div>` : ''}
+        ${zoneRows || '<div class="editor-hint">Add WAV or OGG files. Notes in file names (e.g. "Piano C4.wav") set the root key.</div>'}
+        <button class="btn btn-secondary track-add-btn" data-action="add-samples"
+          ${patch.zones.length >= limits.maxZones ? 'disabled' : ''}>+ Add Samples</button>
+      </div>
+    ` : patch.type === 'fm' ? `
+      <div class="editor-group">
+        <div class="editor-group-title">FM</div>
+        <select data-field="fmAlgorithm" title="Algorithm (which operators modulate which)">
+          ${limits.fmAlgorithms.map(name => `<option value="${name}" ${name === patch.fm.algorithm ? 'selected' : ''}>${algorithms[name].name}</option>`).join('')}
+        </select>
+        ${fmOperatorRows}
+      </div>
+    ` : patch.type === 'wavetable' ? `
+      <div class="editor-group">
+        <div class="editor-group-title">Wavetable</div>
+        <select data-field="wtTable" title="Table">
+          ${limits.wavetables.map(name => `<option value="${name}" ${name === patch.wavetable.table ? 'selected' : ''}>${tables[name].name}</option>`).join('')}
+        </select>
+        ${slider('wtPosition', 'Position', limits.position, 0.01, patch.wavetable.position)}
+        ${slider('wtEnvAmount', 'Sweep', limits.positionAmount, 0.01, patch.wavetable.envelopeAmount)}
+        ${slider('wtEnvDecay', 'Sweep Time', limits.decay, 0.01, patch.wavetable.envelopeDecay)}
+      </div>
+    ` : patch.type === 'string' ? `
+      <div class="editor-group">
+        <div class="editor-group-title">String</div>
+        ${slider('pluckPosition', 'Pluck Position', limits.pluckPosition, 0.01, patch.string.pluckPosition)}
+        ${slider('damping', 'Damping', limits.damping, 0.01, patch.string.damping)}
+        ${slider('brightness', 'Brightness', limits.brightness, 0.01, patch.string.brightness)}
+        ${slider('body', 'Body Resonance', limits.body, 0.01, patch.string.body)}
+      </div>
+    ` : `
+      <div class="editor-group">
+        <div class="editor-group-title">Oscillators</div>
+        ${oscillatorRows}
+        <button class="btn btn-secondary track-add-btn" data-action="add-oscillator"
+          ${patch.oscillators.length >= limits.maxOscillators ? 'disabled' : ''}>+ Oscillator</button>
+      </div>
+    `}
+    <div class="editor-group">
+      <div class="editor-group-title">Envelope</div>
+      ${slider('attack', 'Attack', limits.attack, 0.001, patch.envelope.attack)}
+      ${slider('decay', 'Decay', limits.decay, 0.01, patch.envelope.decay)}
+      ${slider('sustain', 'Sustain', limits.sustain, 0.01, patch.envelope.sustain)}
+      ${slider('release', 'Release', limits.release, 0.01, patch.envelope.release)}
+    </div>
+    <div class="editor-group">
+      <div class="editor-group-title">Filter</div>
+      <select data-field="filterType" title="Filter type">
+        ${['off'].concat(limits.filterTypes).map(type => `<option value="${type}" ${type === filter.type ? 'selected' : ''}>${type}</option>`).join('')}
+      </select>
+      ${patch.filter ? slider('frequency', 'Cutoff', limits.frequency, 10, filter.frequency) : ''}
+      ${patch.filter ? slider('Q', 'Resonance', limits.Q, 0.1, filter.Q) : ''}
+    </div>
+    ${filterEnvelope ? `
+      <div class="editor-group">
+        <div class="editor-group-title">Filter Envelope</div>
+        ${slider('fenvAmount', 'Amount', limits.filterEnvelopeAmount, 0.1, filterEnvelope.amount)}
+        ${slider('fenvAttack', 'Attack', limits.attack, 0.001, filterEnvelope.attack)}
+        ${slider('fenvDecay', 'Decay', limits.decay, 0.01, filterEnvelope.decay)}
+        ${slider('fenvSustain', 'Sustain', limits.sustain, 0.01, filterEnvelope.sustain)}
+        ${slider('fenvRelease', 'Release', limits.release, 0.01, filterEnvelope.release)}
+      </div>
+    ` : ''}
+    <div class="editor-group">
+      <div class="editor-group-title">LFOs</div>
+      ${lfoRows}
+    </div>
+    <div class="editor-group">
+      <div class="editor-group-title">Voices</div>
+      <select data-field="mode" title="Voice mode">
+        ${limits.voiceModes.map(mode => `<option value="${mode}" ${mode === patch.mode ? 'selected' : ''}>${mode}</option>`).join('')}
+      </select>
+      ${patch.mode === 'poly'
+        ? slider('polyphony', 'Polyphony', limits.polyphony, 1, patch.polyphony)
+        : slider('glide', 'Glide', limits.glide, 0.01, patch.glide)}
+    </div>
+    <div class="editor-group">
+      <div class="editor-group-title">Controllers</div>
+      ${slider('bendRange', 'Bend Range', limits.bendRange, 1, patch.bendRange)}
+      <select data-field="modTarget" title="What the mod wheel controls">
+        ${limits.modTargets.map(target => `<option value="${target}" ${target === patch.modTarget ? 'selected' : ''}>${modTargetNames[target]}</option>`).join('')}
+      </select>
+      ${patch.modTarget === 'cutoff' && !patch.filter ? '<div class="editor-hint">Turn on the filter for the mod wheel to open it.</div>' : ''}
+    </div>
+    <div class="editor-group">
+      <div class="editor-group-title">Drive</div>
+      ${slider('drive', 'Amount', limits.drive, 1, patch.drive)}
+    </div>
+    <div class="editor-actions">
+      <button class="btn btn-secondary" data-action="preview">▶ Preview</button>
+      ${isUser ? '<button class="btn btn-secondary" data-action="delete-preset">Delete Preset</button>' : ''}
+    </div>
+  `;
+}
+
+/**
+ * Format a patch value for its slider label
+ * @param {string} field - Field name
+ * @param {number} value - Value
+ * @returns {string} Display text
+ */
+function formatPatchValue(field, value) {
+  if (field === 'frequency') return `${Math.round(value)} Hz`;
+  if (field === 'lfoRate') return `${Number(value).toFixed(2)} Hz`;
+  if (field === 'fenvAmount') return `${value > 0 ? '+' : ''}${Number(value).toFixed(1)} oct`;
+  if (field === 'wtEnvAmount') return `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`;
+  if (field === 'opIndex') return Number(value).toFixed(1);
+  if (field === 'bendRange') return `±${Math.round(value)} st`;
+  if (field === 'sustain' || field === 'oscGain' || field === 'fenvSustain' || field === 'lfoDepth' ||
+    field === 'pluckPosition' || field === 'damping' || field === 'brightness' || field === 'body' ||
+    field === 'opLevel' || field === 'opSustain' || field === 'wtPosition') {
+    return `${Math.round(value * 100)}%`;
+  }
+  if (field === 'drive' || field === 'polyphony') return `${Math.round(value)}`;
+  if (field === 'Q') return Number(value).toFixed(1);
+  return `${Math.round(value * 1000)} ms`;
+}
+
+/**
+ * Generate a unique user patch ID
+ * @returns {string} Patch ID
+ */
+function generatePatchId() {
+  return `patch_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Get the user patch to edit, copying the built-in instrument on the first edit
+ * @returns {string|null} Patch ID
+ */
+function getEditablePatchId() {
+  if (!window.AudioEngine || !window.PianoRoll) return null;
+  
+  const instrumentId = getCurrentInstrument();
+  if (window.AudioEngine.isUserPatch(instrumentId)) return instrumentId;
+  
+  const patchId = generatePatchId();
+  const patch = window.AudioEngine.createPatchFrom(instrumentId);
+  patch.name = `${patch.name} (Custom)`;
+  
+  window.AudioEngine.setUserPatch(patchId, patch);
+  if (window.Storage) {
+    window.Storage.saveUserPreset(patchId, window.AudioEngine.getUserPatch(patchId));
+  }
+  window.PianoRoll.setCurrentInstrument(patchId);
+  return patchId;
+}
+
+/**
+ * Apply one editor control to a patch
+ * @param {Object} patch - Patch (modified in place)
+ * @param {string} field - Field name from the control's data-field
+ * @param {number|null} index - Oscillator, LFO or zone index for those fields
+ * @param {string|boolean} value - Control value (checked state for checkboxes)
+ */
+function setPatchField(patch, field, index, value) {
+  const number = parseFloat(value);
+  
+  switch (field) {
+    case 'name':
+      patch.name = value.trim() || patch.name;
+      break;
+    case 'oscType':
+      patch.oscillators[index].type = value;
+      break;
+    case 'oscDetune':
+      patch.oscillators[index].detune = number;
+      break;
+    case 'oscGain':
+      patch.oscillators[index].gain = number;
+      break;
+    case 'attack':
+    case 'decay':
+    case 'sustain':
+    case 'release':
+      patch.envelope[field] = number;
+      break;
+    case 'filterType':
+      if (value === 'off') {
+        delete patch.filter;
+      } else {
+        patch.filter = { frequency: 3000, Q: 1, ...patch.filter, type: value };
+      }
+      break;
+    case 'frequency':
+    case 'Q':
+      if (patch.filter) {
+        patch.filter[field] = number;
+      }
+      break;
+    case 'drive':
+    case 'polyphony':
+    case 'glide':
+    case 'bendRange':
+      patch[field] = number;
+      break;
+    case 'mode':
+    case 'modTarget':
+      patch[field] = value;
+      break;
+    case 'pluckPosition':
+    case 'damping':
+    case 'brightness':
+    case 'body':
+      patch.string[field] = number;
+      break;
+    case 'engine':
+      // The engine's own settings start from the engine's defaults (see normalizePatch)
+      if (value === 'synth') {
+        delete patch.type;
+      } else {
+        patch.type = value;
+      }
+      break;
+    case 'fmAlgorithm':
+      patch.fm.algorithm = value;
+      break;
+    case 'opRatio':
+    case 'opLevel':
+    case 'opIndex':
+      if (Number.isFinite(number)) {
+        const key = field.charAt(2).toLowerCase() + field.slice(3);
+        patch.fm.operators[index][key] = number;
+      }
+      break;
+    case 'opAttack':
+    case 'opDecay':
+    case 'opSustain':
+    case 'opRelease':
+      patch.fm.operators[index].envelope[field.charAt(2).toLowerCase() + field.slice(3)] = number;
+      break;
+    case 'wtTable':
+      patch.wavetable.table = value;
+      break;
+    case 'wtPosition':
+      patch.wavetable.position = number;
+      break;
+    case 'wtEnvAmount':
+      patch.wavetable.envelopeAmount = number;
+      break;
+    case 'wtEnvDecay':
+      patch.wavetable.envelopeDecay = number;
+      break;
+    case 'rootKey':
+    case 'lowKey':
+    case 'highKey':
+    case 'lowVelocity':
+    case 'highVelocity':
+    case 'loopStart':
+    case 'loopEnd':
+      if (Number.isFinite(number)) {
+        patch.zones[index][field] = number;
+      }
+      break;
+    case 'loop':
+      patch.zones[index].loop = Boolean(value);
+      break;
+    case 'fenvAmount':
+    case 'fenvAttack':
+    case 'fenvDecay':
+    case 'fenvSustain':
+    case 'fenvRelease':
+      if (patch.filterEnvelope) {
+        const key = field.charAt(4).toLowerCase() + field.slice(5);
+        patch.filterEnvelope[key] = number;
+      }
+      break;
+    case 'lfoTarget':
+      patch.lfos[index].target = value;
+      break;
+    case 'lfoWaveform':
+      patch.lfos[index].waveform = value;
+      break;
+    case 'lfoSync':
+      patch.lfos[index].sync = value;
+      break;
+    case 'lfoRate':
+      patch.lfos[index].rate = number;
+      break;
+    case 'lfoDepth':
+      patch.lfos[index].depth = number;
+      break;
+  }
+}
+
+/**
+ * Handle live edits (sliders move, fields are typed into)
+ * @param {Event} event - Input event
+ */
+function handlePatchInput(event) {
+  const field = event.target.dataset.field;
+  if (!field || !window.AudioEngine) return;
+  
+  // The first edit of a built-in instrument switches the track to a copy: the
+  // switch and the edit undo as one step (handlePatchChange closes the group)
+  const copying = !patchGesture && !window.AudioEngine.isUserPatch(getCurrentInstrument());
+  if (copying && window.EditHistory) {
+    window.EditHistory.beginGroup('Edit Instrument');
+  }
+  const patchId = getEditablePatchId();
+  if (!patchId) {
+    if (copying && window.EditHistory) {
+      window.EditHistory.endGroup();
+    }
+    return;
+  }
+  
+  const patch = window.AudioEngine.getUserPatch(patchId);
+  if (!patchGesture) {
+    patchGesture = { patchId, before: window.AudioEngine.getUserPatch(patchId), copied: copying };
+  }
+  
+  const index = event.target.dataset.index !== undefined ? parseInt(event.target.dataset.index, 10) : null;
+  const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+  setPatchField(patch, field, index, value);
+  window.AudioEngine.setUserPatch(patchId, patch);
+  
+  const label = document.querySelector(`[data-value-for="${field}${index === null ? '' : index}"]`);
+  if (label) {
+    label.textContent = formatPatchValue(field, parseFloat(event.target.value));
+  }
+}
+
+/**
+ * Finish an edit: save the preset and make it one undo step
+ * @param {Event} event - Change event
+ */
+function handlePatchChange(event) {
+  const field = event.target.dataset.field;
+  if (!field || !window.AudioEngine) return;
+  
+  // Selects and text fields may only fire "change"
+  if (!patchGesture) {
+    handlePatchInput(event);
+  }
+  
+  const { patchId, before, copied } = patchGesture;
+  patchGesture = null;
+  
+  const after = window.AudioEngine.getUserPatch(patchId);
+  if (after && window.Storage) {
+    window.Storage.saveUserPreset(patchId, after);
+  }
+  if (window.EditHistory) {
+    if (after && JSON.stringify(before) !== JSON.stringify(after)) {
+      window.EditHistory.record('Edit Instrument',
+        () => applyPatchSnapshot(patchId, before),
+        () => applyPatchSnapshot(patchId, after));
+    }
+    if (copied) {
+      window.EditHistory.endGroup();
+    }
+  }
+  if (!after) return;
+  
+  // Re-render only when the layout changes, so focus stays where the user is
+  if (copied || ['name', 'filterType', 'mode', 'lfoTarget', 'lfoSync', 'rootKey', 'engine', 'fmAlgorithm', 'modTarget'].includes(field)) {
+    renderUserPresetLists();
+    renderTrackList();
+  }
+}
+
+/**
+ * Handle editor buttons
+ * @param {Event} event - Click event
+ */
+function handlePatchAction(event) {
+  const button = event.target.closest('[data-action]');
+  if (!button || button.disabled || !window.AudioEngine) return;
+  
+  const action = button.dataset.action;
+  
+  if (action === 'preview') {
+    resumeAudioAndDo(() => {
+      window.AudioEngine.playNote(getCurrentInstrument(), 60, null, 0.5, 0.8, getPreviewOptions());
+    });
+    return;
+  }
+  
+  if (action === 'delete-preset') {
+    confirmDeletePreset(getCurrentInstrument());
+    return;
+  }
+  
+  if (action === 'add-samples') {
+    const fileInput = document.getElementById('sample-file-input');
+    if (fileInput) {
+      fileInput.click();
+    }
+    return;
+  }
+  
+  // Adding or removing an oscillator or sample zone (with the switch to a copy, as one step)
+  const instrumentBefore = getCurrentInstrument();
+  if (window.EditHistory) {
+    window.EditHistory.beginGroup('Edit Instrument');
+  }
+  const patchId = getEditablePatchId();
+  if (!patchId) {
+    if (window.EditHistory) {
+      window.EditHistory.endGroup();
+    }
+    return;
+  }
+  
+  const before = window.AudioEngine.getUserPatch(patchId);
+  const patch = window.AudioEngine.getUserPatch(patchId);
+  if (action === 'add-oscillator') {
+    patch.oscillators.push({ type: 'sine', detune: 0, gain: 0.3 });
+  } else if (action === 'remove-oscillator') {
+    patch.oscillators.splice(parseInt(button.dataset.index, 10), 1);
+  } else if (action === 'remove-zone') {
+    patch.zones.splice(parseInt(button.dataset.index, 10), 1);
+  }
+  
+  applyPatchSnapshot(patchId, patch);
+  if (window.EditHistory) {
+    const after = window.AudioEngine.getUserPatch(patchId);
+    window.EditHistory.record('Edit Instrument',
+      () => applyPatchSnapshot(patchId, before),
+      () => applyPatchSnapshot(patchId, after));
+    window.EditHistory.endGroup();
+  }
+  if (instrumentBefore !== patchId) {
+    renderTrackList();
+  }
+}
+
+/**
+ * Set a user patch, save it as a preset and refresh the UI (used by undo/redo too)
+ * @param {string} patchId - Patch ID
+ * @param {Object} patch - Patch definition
+ */
+function applyPatchSnapshot(patchId, patch) {
+  if (!window.AudioEngine) return;
+  
+  window.AudioEngine.setUserPatch(patchId, patch);
+  if (window.Storage) {
+    window.Storage.saveUserPreset(patchId, window.AudioEngine.getUserPatch(patchId));
+  }
+  renderUserPresetLists();
+}
+
+/**
+ * Delete a user preset (not while a track of this song plays it)
+ * @param {string} patchId - Patch ID
+ */
+function confirmDeletePreset(patchId) {
+  if (!window.AudioEngine || !window.AudioEngine.isUserPatch(patchId)) return;
+  
+  const tracks = window.PianoRoll ? window.PianoRoll.getTracks() : [];
+  const users = tracks.filter(t => t.instrument === patchId && t.id !== window.PianoRoll.getActiveTrackId());
+  if (users.length > 0) {
+    showNotification(`"${users[0].name}" also uses this preset`, 'warning');
+    return;
+  }
+  
+  const patch = window.AudioEngine.getUserPatch(patchId);
+  if (!confirm(`Delete preset "${patch.name}"? The track switches back to ${window.AudioEngine.getInstrument(patch.basedOn).name}.`)) return;
+  
+  // One undo step: the preset comes back and the track plays it again
+  const removePreset = () => {
+    window.AudioEngine.removeUserPatch(patchId);
+    if (window.Storage) {
+      window.Storage.deleteUserPreset(patchId);
+    }
+    renderUserPresetLists();
+  };
+  
+  if (window.EditHistory) {
+    window.EditHistory.beginGroup('Delete Preset');
+  }
+  if (window.PianoRoll) {
+    window.PianoRoll.setCurrentInstrument(patch.basedOn);
+  }
+  removePreset();
+  if (window.EditHistory) {
+    window.EditHistory.record('Delete Preset', () => applyPatchSnapshot(patchId, patch), removePreset);
+    window.EditHistory.endGroup();
+  }
+  renderTrackList();
+  showNotification('Preset deleted');
+}
+
+// ==================== SONG LENGTH & TIME SIGNATURE ====================
+
+/**
+ * Initialize bar count and time signature controls
+ */
+function initSongLengthControls() {
+  const barsInput = document.getElementById('bars-input');
+  if (barsInput) {
+    barsInput.addEventListener('change', (e) => {
+      if (!window.PianoRoll) return;
+      
+      const previous = getSongLength();
+      let bars = parseInt(e.target.value, 10);
+      if (!(bars >= 1)) {
+        syncSongLengthControls();
+        return;
+      }
+      
+      // The song cannot be shorter than its notes and drum hits
+      const minBars = getMinimumBars();
+      if (bars < minBars) {
+        bars = minBars;
+        showNotification(`The song needs at least ${minBars} bar(s) for its notes`, 'warning');
+      }
+      
+      window.PianoRoll.setSongLength(bars);
+      recordSongLengthChange(previous);
+    });
+  }
+  
+  const timeSignatureSelect = document.getElementById('time-signature-select');
+  if (timeSignatureSelect) {
+    timeSignatureSelect.addEventListener('change', (e) => {
+      if (!window.PianoRoll) return;
+      
+      const previous = getSongLength();
+      const [numerator, denominator] = e.target.value.split('/').map(n => parseInt(n, 10));
+      if (window.PianoRoll.setTimeSignature(numerator, denominator)) {
+        // Drum hits must stay inside the (possibly shorter) song too
+        window.PianoRoll.ensureLength(window.DrumMachine ? window.DrumMachine.getPatternLength() : 0);
+        recordSongLengthChange(previous);
+      } else {
+        syncSongLengthControls();
+      }
+    });
+  }
+}
+
+/**
+ * Get the current bar count and time signature
+ * @returns {Object} { bars, timeSignature: { numerator, denominator } }
+ */
+function getSongLength() {
+  if (!window.PianoRoll) {
+    return { bars: 8, timeSignature: { numerator: 4, denominator: 4 } };
+  }
+  return {
+    bars: window.PianoRoll.getConfig().bars,
+    timeSignature: window.PianoRoll.getTimeSignature()
+  };
+}
+
+/**
+ * Apply a bar count and time signature
+ * @param {number} bars - Bar count
+ * @param {Object} timeSignature - { numerator, denominator }
+ */
+function applySongLength(bars, timeSignature) {
+  if (!window.PianoRoll) return;
+  
+  window.PianoRoll.setTimeSignature(timeSignature.numerator, timeSignature.denominator);
+  window.PianoRoll.setSongLength(bars);
+}
+
+/**
+ * Grow the song if its notes or drum hits reach past the end
+ */
+function fitSongLengthToContent() {
+  if (!window.PianoRoll) return;
+  
+  const drumLength = window.DrumMachine ? window.DrumMachine.getPatternLength() : 0;
+  window.PianoRoll.ensureLength(Math.max(window.PianoRoll.getContentLength(), drumLength));
+}
+
+/**
+ * Get the smallest bar count that keeps every note and drum hit
+ * @returns {number} Minimum bars
+ */
+function getMinimumBars() {
+  const drumLength = window.DrumMachine ? window.DrumMachine.getPatternLength() : 0;
+  const contentLength = Math.max(window.PianoRoll.getContentLength(), drumLength);
+  return Math.max(1, Math.ceil(contentLength / window.PianoRoll.getSixteenthsPerBar()));
+}
+
+/**
+ * Record a song length / time signature change for undo
+ * @param {Object} previous - Length before the change (from getSongLength)
+ */
+function recordSongLengthChange(previous) {
+  const current = getSongLength();
+  const unchanged = previous.bars === current.bars &&
+    previous.timeSignature.numerator === current.timeSignature.numerator &&
+    previous.timeSignature.denominator === current.timeSignature.denominator;
+  
+  if (unchanged || !window.EditHistory) return;
+  
+  window.EditHistory.record('Change Song Length',
+    () => applySongLength(previous.bars, previous.timeSignature),
+    () => applySongLength(current.bars, current.timeSignature));
+}
+
+/**
+ * Keep the drum grid, controls and status bar in step with the piano roll
+ * @param {Object} config - Piano roll config
+ */
+function handleSongLengthChange(config) {
+  if (window.DrumMachine) {
+    window.DrumMachine.setLength({
+      bars: config.bars,
+      stepsPerBar: config.beatsPerBar * config.sixteenthsPerBeat,
+      stepsPerBeat: config.sixteenthsPerBeat
+    });
+  }
+  syncSongLengthControls();
+  syncLoopRegion();
+}
+
+/**
+ * Show the current bar count and time signature in the controls
+ */
+function syncSongLengthControls() {
+  const { bars, timeSignature } = getSongLength();
+  const signature = `${timeSignature.numerator}/${timeSignature.denominator}`;
+  
+  const barsInput = document.getElementById('bars-input');
+  if (barsInput) {
+    barsInput.value = bars;
+  }
+  
+  const timeSignatureSelect = document.getElementById('time-signature-select');
+  if (timeSignatureSelect) {
+    // Songs may use a signature that is not in the list
+    if (!Array.from(timeSignatureSelect.options).some(o => o.value === signature)) {
+      const option = document.createElement('option');
+      option.value = signature;
+      option.textContent = signature;
+      timeSignatureSelect.appendChild(option);
+    }
+    timeSignatureSelect.value = signature;
+  }
+  
+  const status = document.getElementById('song-length-status');
+  if (status) {
+    status.textContent = `${bars} bar${bars === 1 ? '' : 's'} • ${signature}`;
+  }
+}
+
+/**
+ * Initialize the voice meter (synth voices sounding, polled a few times a second)
+ */
+function initVoiceMeter() {
+  const voiceCount = document.getElementById('voice-count');
+  if (!voiceCount || !window.AudioEngine) return;
+  
+  setInterval(() => {
+    const count = window.AudioEngine.getActiveVoiceCount();
+    if (voiceCount.textContent !== String(count)) {
+      voiceCount.textContent = count;
+    }
+  }, 250);
+}
+
+/**
+ * Initialize volume control
+ */
+function initVolumeControl() {
+  const volumeSlider = document.getElementById('master-volume');
+  if (!volumeSlider) return;
+  
+  volumeSlider.addEventListener('input', (e) => {
+    const volume = parseFloat(e.target.value);
+    if (window.AudioEngine) {
+      window.AudioEngine.setMasterVolume(volume);
+    }
+  });
+}
+
+/**
+ * Get current instrument (the active track's instrument)
+ * @returns {string} Current instrument ID
+ */
+function getCurrentInstrument() {
+  return window.PianoRoll ? window.PianoRoll.getCurrentInstrument() : 'piano';
+}
+
+/**
+ * Options for live notes so they play through the active track's channel
+ * Tempo-synced LFOs follow the tempo at the playhead (see Transport.getPlaybackPosition).
+ * @returns {Object} playNote options
+ */
+function getPreviewOptions() {
+  const options = {};
+  const trackId = window.PianoRoll ? window.PianoRoll.getActiveTrackId() : null;
+  if (trackId) {
+    options.trackId = trackId;
+  }
+  if (window.Transport) {
+    options.position = window.Transport.getPlaybackPosition();
+  }
+  return options;
+}
+
+/**
+ * Sync the instrument selector and rack with the active track
+ */
+function syncInstrumentControls() {
+  const instrumentSelect = document.getElementById('instrument-select');
+  if (instrumentSelect) {
+    instrumentSelect.value = getCurrentInstrument();
+  }
+  updateInstrumentRack();
+}
+
+// ==================== TRACK LIST ====================
+
+/**
+ * Initialize the track list panel
+ */
+function initTrackList() {
+  const addBtn = document.getElementById('add-track-btn');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      if (!window.PianoRoll) return;
+      
+      const count = window.PianoRoll.getTracks().length;
+      const track = window.PianoRoll.addTrack({
+        name: `Track ${count + 1}`,
+        instrument: getCurrentInstrument()
+      });
+      if (window.AudioEngine) {
+        window.AudioEngine.setTrackMix(track.id, { volume: track.volume, pan: track.pan });
+      }
+      syncInstrumentControls();
+      renderTrackList();
+    });
+  }
+  
+  renderTrackList();
+}
+
+/**
+ * Render the track list from the piano roll's tracks
+ */
+function renderTrackList() {
+  const container = document.getElementById('track-list');
+  if (!container || !window.PianoRoll) return;
+  
+  const tracks = window.PianoRoll.getTracks();
+  const activeId = window.PianoRoll.getActiveTrackId();
+  
+  container.innerHTML = '';
+  
+  tracks.forEach((track) => {
+    const instrument = window.AudioEngine ? window.AudioEngine.getInstrument(track.instrument) : null;
+    const color = window.PianoRoll.getInstrumentColor(track.instrument);
+    const controllerNames = { pitchBend: 'bend', modWheel: 'mod' };
+    const recordedControllers = Object.keys(track.controllers).map(name => controllerNames[name] || name);
+    
+    const item = document.createElement('div');
+    item.className = 'track-item';
+    item.classList.toggle('active', track.id === activeId);
+    item.dataset.trackId = track.id;
+    
+    item.innerHTML = `
+      <div class="track-item-header" style="border-left: 4px solid ${color}">
+        <span class="track-name" title="Double-click to rename">${escapeHtml(track.name)}</span>
+        <button class="track-btn track-mute-btn ${track.muted ? 'active' : ''}" title="Mute">M</button>
+        <button class="track-btn track-solo-btn ${track.solo ? 'active' : ''}" title="Solo">S</button>
+        <button class="track-btn track-delete-btn" title="Delete Track">×</button>
+      </div>
+      <div class="track-item-instrument">
+        ${instrument ? escapeHtml(instrument.name) : escapeHtml(track.instrument)}
+        ${recordedControllers.length > 0 ? `
+          <span class="track-controllers" title="Recorded controller data">${recordedControllers.join(' + ')}
+            <button class="track-btn track-controllers-clear-btn" title="Clear Controller Data">×</button>
+          </span>
+        ` : ''}
+      </div>
+      <div class="track-item-controls">
+        <input type="range" class="track-volume" min="0" max="1" step="0.01" value="${track.volume}" title="Volume">
+        <input type="range" class="track-pan" min="-1" max="1" step="0.01" value="${track.pan}" title="Pan">
+      </div>
+    `;
+    
+    // Select track for editing
+    item.addEventListener('click', (e) => {
+      if (e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT') return;
+      window.PianoRoll.setActiveTrack(track.id);
+      syncInstrumentControls();
+      renderTrackList();
+    });
+    
+    item.querySelector('.track-name').addEventListener('dblclick', () => {
+      const name = prompt('Track name', track.name);
+      if (name && name.trim()) {
+        window.PianoRoll.updateTrack(track.id, { name: name.trim().slice(0, 30) });
+        renderTrackList();
+      }
+    });
+    
+    item.querySelector('.track-mute-btn').addEventListener('click', () => {
+      window.PianoRoll.updateTrack(track.id, { muted: !track.muted });
+      renderTrackList();
+    });
+    
+    item.querySelector('.track-solo-btn').addEventListener('click', () => {
+      window.PianoRoll.updateTrack(track.id, { solo: !track.solo });
+      renderTrackList();
+    });
+    
+    item.querySelector('.track-delete-btn').addEventListener('click', () => {
+      if (tracks.length <= 1) {
+        showNotification('A song needs at least one track', 'warning');
+        return;
+      }
+      if (track.notes.length > 0 && !confirm(`Delete "${track.name}" and its notes?`)) return;
+      
+      window.PianoRoll.removeTrack(track.id);
+      if (window.AudioEngine) {
+        window.AudioEngine.removeTrackChannel(track.id);
+      }
+      syncInstrumentControls();
+      renderTrackList();
+    });
+    
+    const clearControllersBtn = item.querySelector('.track-controllers-clear-btn');
+    if (clearControllersBtn) {
+      clearControllersBtn.addEventListener('click', () => {
+        window.PianoRoll.clearTrackControllers(track.id);
+        renderTrackList();
+      });
+    }
+    
+    item.querySelector('.track-volume').addEventListener('input', (e) => {
+      const volume = parseFloat(e.target.value);
+      window.PianoRoll.updateTrack(track.id, { volume });
+      if (window.AudioEngine) {
+        window.AudioEngine.setTrackMix(track.id, { volume });
+      }
+    });
+    
+    item.querySelector('.track-pan').addEventListener('input', (e) => {
+      const pan = parseFloat(e.target.value);
+      window.PianoRoll.updateTrack(track.id, { pan });
+      if (window.AudioEngine) {
+        window.AudioEngine.setTrackMix(track.id, { pan });
+      }
+    });
+    
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Push every track's volume and pan to the audio engine
+ */
+function syncTrackMixer() {
+  if (!window.PianoRoll || !window.AudioEngine) return;
+  
+  window.PianoRoll.getTracks().forEach((track) => {
+    window.AudioEngine.setTrackMix(track.id, { volume: track.volume, pan: track.pan });
+  });
+}
+
+// ==================== EFFECT CONTROLS ====================
+
+/**
+ * Initialize effect controls
+ */
+function initEffectControls() {
+  initEffectToggle('reverb-toggle', 'reverb');
+  initEffectSlider('reverb-mix', 'reverb', 'mix');
+  
+  initEffectToggle('delay-toggle', 'delay');
+  initEffectSlider('delay-time', 'delay', 'time');
+  initEffectSlider('delay-feedback', 'delay', 'feedback');
+  initEffectSlider('delay-mix', 'delay', 'mix');
+}
+
+/**
+ * Wire an effect on/off toggle
+ * @param {string} elementId - Toggle element ID
+ * @param {string} effect - 'reverb' or 'delay'
+ */
+function initEffectToggle(elementId, effect) {
+  const toggle = document.getElementById(elementId);
+  if (!toggle) return;
+  
+  toggle.addEventListener('click', () => {
+    toggle.classList.toggle('active');
+    const enabled = toggle.classList.contains('active');
+    if (window.AudioEngine) {
+      window.AudioEngine.updateEffectSettings(effect, { enabled });
+    }
+    recordEffectChange(effect, { enabled: !enabled }, { enabled });
+  });
+}
+
+/**
+ * Wire an effect parameter slider
+ * The whole slider gesture (input events until change) is one undo step.
+ * @param {string} elementId - Slider element ID
+ * @param {string} effect - 'reverb' or 'delay'
+ * @param {string} key - Setting name (mix, time, feedback)
+ */
+function initEffectSlider(elementId, effect, key) {
+  const slider = document.getElementById(elementId);
+  if (!slider) return;
+  
+  let valueBefore = null;
+  
+  slider.addEventListener('input', (e) => {
+    if (!window.AudioEngine) return;
+    if (valueBefore === null) {
+      valueBefore = window.AudioEngine.getEffectSettings()[effect][key];
+    }
+    window.AudioEngine.updateEffectSettings(effect, { [key]: parseFloat(e.target.value) });
+  });
+  
+  slider.addEventListener('change', (e) => {
+    const value = parseFloat(e.target.value);
+    if (valueBefore !== null && valueBefore !== value) {
+      recordEffectChange(effect, { [key]: valueBefore }, { [key]: value });
+    }
+    valueBefore = null;
+  });
+}
+
+/**
+ * Record an effect change for undo
+ * @param {string} effect - 'reverb' or 'delay'
+ * @param {Object} before - Settings before the change
+ * @param {Object} after - Settings after the change
+ */
+function recordEffectChange(effect, before, after) {
+  if (!window.EditHistory) return;
+  
+  const apply = (settings) => {
+    if (window.AudioEngine) {
+      window.AudioEngine.updateEffectSettings(effect, settings);
+    }
+    syncEffectControls();
+  };
+  window.EditHistory.record('Change Effect', () => apply(before), () => apply(after));
+}
+
+/**
+ * Sync effect toggles and sliders with the audio engine settings
+ */
+function syncEffectControls() {
+  if (!window.AudioEngine) return;
+  
+  const settings = window.AudioEngine.getEffectSettings();
+  const controls = [
+    ['reverb-mix', settings.reverb.mix],
+    ['delay-time', settings.delay.time],
+    ['delay-feedback', settings.delay.feedback],
+    ['delay-mix', settings.delay.mix]
+  ];
+  controls.forEach(([id, value]) => {
+    const slider = document.getElementById(id);
+    if (slider && typeof value === 'number') {
+      slider.value = value;
+    }
+  });
+  
+  const reverbToggle = document.getElementById('reverb-toggle');
+  if (reverbToggle) {
+    reverbToggle.classList.toggle('active', !!settings.reverb.enabled);
+  }
+  const delayToggle = document.getElementById('delay-toggle');
+  if (delayToggle) {
+    delayToggle.classList.toggle('active', !!settings.delay.enabled);
+  }
+}
+
+// ==================== MINI PIANO ====================
+
+/**
+ * Initialize mini piano
+ */
+function initMiniPiano() {
+  const container = document.getElementById('mini-piano');
+  if (!container) return;
+  
+  // Create keys from C3 to C5 (MIDI 48-72)
+  const keys = [];
+  for (let midi = 48; midi <= 72; midi++) {
+    const noteName = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][midi % 12];
+    const octave = Math.floor(midi / 12) - 1;
+    const isBlack = noteName.includes('#');
+    
+    const key = document.createElement('div');
+    key.className = `mini-piano-key ${isBlack ? 'black' : 'white'}`;
+    key.dataset.midi = midi;
+    
+    // Add label for C notes
+    if (noteName === 'C') {
+      const label = document.createElement('span');
+      label.className = 'key-label';
+      label.textContent = `C${octave}`;
+      key.appendChild(label);
+    }
+    
+    initMiniPianoKeyEvents(key, midi);
+    
+    keys.push({ midi, isBlack, element: key });
+  }
+  
+  // Add keys in correct order (white keys first, then black keys overlaid)
+  container.innerHTML = '';
+  keys.filter(k => !k.isBlack).forEach(k => container.appendChild(k.element));
+  // Re-insert black keys in correct positions
+  keys.filter(k => k.isBlack).forEach(k => {
+    const whiteKeyIndex = keys.findIndex(wk => wk.midi === k.midi - 1 && !wk.isBlack);
+    if (whiteKeyIndex >= 0) {
+      container.appendChild(k.element);
+    }
+  });
+  
+  // Rebuild mini piano with proper ordering
+  buildMiniPiano();
+}
+
+/**
+ * Build mini piano with proper key arrangement
+ */
+function buildMiniPiano() {
+  const container = document.getElementById('mini-piano');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  // C3 (48) to C5 (72) = 25 notes
+  // White keys: C, D, E, F, G, A, B (7 per octave)
   // Black keys: C#, D#, F#, G#, A# (5 per octave)
   
   for (let midi = 48; midi <= 72; midi++) {
@@ -549,14 +2313,7 @@ function buildMiniPiano() {
       key.appendChild(label);
     }
     
-    key.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      playMiniPianoKey(midi);
-      key.classList.add('pressed');
-    });
-    
-    key.addEventListener('mouseup', () => key.classList.remove('pressed'));
-    key.addEventListener('mouseleave', () => key.classList.remove('pressed'));
+    initMiniPianoKeyEvents(key, midi);
     
     container.appendChild(key);
   }
@@ -572,121 +2329,546 @@ function buildMiniPiano() {
     key.className = 'mini-piano-key black';
     key.dataset.midi = midi;
     
-    key.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      playMiniPianoKey(midi);
-      key.classList.add('pressed');
+    initMiniPianoKeyEvents(key, midi);
+    
+    container.appendChild(key);
+  }
+}
+
+/**
+ * Attach mouse handlers to a mini piano key
+ * The note sounds while the mouse button is held; clicking lower on the key plays louder.
+ * @param {HTMLElement} key - Key element
+ * @param {number} midi - MIDI note number
+ */
+function initMiniPianoKeyEvents(key, midi) {
+  key.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    const rect = key.getBoundingClientRect();
+    const depth = rect.height > 0 ? (e.clientY - rect.top) / rect.height : 0.7;
+    const velocity = Math.max(0.3, Math.min(1, 0.3 + depth * 0.7));
+    
+    startLiveNote(`mouse:${midi}`, midi, velocity);
+    key.classList.add('pressed');
+  });
+  
+  const release = () => {
+    if (!key.classList.contains('pressed')) return;
+    stopLiveNote(`mouse:${midi}`);
+    key.classList.remove('pressed');
+  };
+  key.addEventListener('mouseup', release);
+  key.addEventListener('mouseleave', release);
+}
+
+// ==================== LIVE NOTES ====================
+
+/**
+ * Start a held note (monitoring, and recording when record mode is active)
+ * @param {string} source - What holds the note (e.g. 'key:a', 'mouse:60' or 'midi:60')
+ * @param {number} midi - MIDI note number
+ * @param {number} velocity - Velocity (0.0 to 1.0)
+ */
+function startLiveNote(source, midi, velocity = 0.8) {
+  stopLiveNote(source);
+  
+  const liveNote = { midi, voice: null };
+  liveNotes.set(source, liveNote);
+  
+  // Record if in record mode, right away so a quick release always finds the note-on
+  if (window.Transport) {
+    window.Transport.recordNoteOn(midi, velocity);
+  }
+  
+  // Only the sound waits for the audio context
+  resumeAudioAndDo(() => {
+    // Released before the audio context was ready
+    if (liveNotes.get(source) !== liveNote) return;
+    
+    if (window.AudioEngine) {
+      liveNote.voice = window.AudioEngine.playLiveNote(getCurrentInstrument(), midi, velocity,
+        { ...getPreviewOptions(), controllers: { ...liveControllers } });
+    }
+  });
+}
+
+/**
+ * Release a held note
+ * @param {string} source - What holds the note (see startLiveNote)
+ */
+function stopLiveNote(source) {
+  const liveNote = liveNotes.get(source);
+  if (!liveNote) return;
+  
+  liveNotes.delete(source);
+  
+  if (liveNote.voice) {
+    liveNote.voice.release();
+  }
+  
+  if (window.Transport) {
+    window.Transport.recordNoteOff(liveNote.midi);
+  }
+}
+
+/**
+ * Release notes held from the computer keyboard and mouse (when the window loses focus and key-ups are lost)
+ * MIDI input keeps working without focus, so its notes are left alone.
+ */
+function stopAllLiveNotes() {
+  Array.from(liveNotes.keys()).filter(source => !source.startsWith('midi:')).forEach(stopLiveNote);
+  pressedKeys.clear();
+  document.querySelectorAll('.mini-piano-key.pressed').forEach(key => key.classList.remove('pressed'));
+}
+
+// ==================== KEYBOARD INPUT ====================
+
+/**
+ * Initialize keyboard input
+ */
+function initKeyboardInput() {
+  document.addEventListener('keydown', handleKeyDown);
+  document.addEventListener('keyup', handleKeyUp);
+  window.addEventListener('blur', stopAllLiveNotes);
+}
+
+/**
+ * Handle key down events
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleKeyDown(event) {
+  // Ignore if typing in an input
+  if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+    return;
+  }
+  
+  const key = event.key.toLowerCase();
+  
+  // Ctrl+Z / Ctrl+Shift+Z for undo/redo
+  if ((event.ctrlKey || event.metaKey) && key === 'z') {
+    event.preventDefault();
+    if (event.shiftKey) {
+      redoEdit();
+    } else {
+      undoEdit();
+    }
+    return;
+  }
+  
+  // Ctrl+A/C/X/V/D: select all, copy, cut, paste and duplicate piano roll notes
+  if ((event.ctrlKey || event.metaKey) && PIANO_ROLL_SHORTCUTS.includes(key)) {
+    event.preventDefault();
+    editPianoRollSelection(key);
+    return;
+  }
+  
+  // Spacebar for play/pause
+  if (event.code === 'Space') {
+    event.preventDefault();
+    resumeAudioAndDo(() => {
+      if (window.Transport) {
+        const state = window.Transport.getState();
+        if (state.isPlaying && !state.isPaused) {
+          window.Transport.pause();
+        } else {
+          playWhenSamplesLoaded();
+        }
+      }
     });
+    return;
+  }
+  
+  // Home/End jump to the start/end of the song
+  if (event.key === 'Home' || event.key === 'End') {
+    event.preventDefault();
+    const songEnd = window.PianoRoll ? window.PianoRoll.getTotalSixteenths() : 0;
+    seekTo(event.key === 'Home' ? 0 : songEnd);
+    return;
+  }
+  
+  // Delete key for removing selected notes
+  if (event.key === 'Delete' || event.key === 'Backspace') {
+    if (window.PianoRoll) {
+      window.PianoRoll.removeSelectedNotes();
+    }
+    return;
+  }
+  
+  // Musical keys
+  if (KEY_NOTE_MAP[key] && !pressedKeys.has(key)) {
+    pressedKeys.add(key);
+    const midi = KEY_NOTE_MAP[key];
     
-    key.addEventListener('mouseup', () => key.classList.remove('pressed'));
-    key.addEventListener('mouseleave', () => key.classList.remove('pressed'));
+    startLiveNote(`key:${key}`, midi);
     
-    container.appendChild(key);
+    // Visual feedback on mini piano
+    const miniKey = document.querySelector(`.mini-piano-key[data-midi="${midi}"]`);
+    if (miniKey) {
+      miniKey.classList.add('pressed');
+    }
+  }
+}
+
+/**
+ * Run a piano roll selection or clipboard shortcut
+ * @param {string} key - 'a' (select all), 'c' (copy), 'x' (cut), 'v' (paste) or 'd' (duplicate)
+ */
+function editPianoRollSelection(key) {
+  if (!window.PianoRoll) return;
+  
+  const pianoRoll = window.PianoRoll;
+  switch (key) {
+    case 'a':
+      pianoRoll.selectAllNotes();
+      break;
+    case 'c':
+      if (pianoRoll.copySelectedNotes() === 0) {
+        showNotification('Select notes to copy first', 'warning');
+      }
+      break;
+    case 'x':
+      if (pianoRoll.cutSelectedNotes() === 0) {
+        showNotification('Select notes to cut first', 'warning');
+      }
+      break;
+    case 'v':
+      if (pianoRoll.pasteNotes() === 0) {
+        showNotification('Nothing to paste - copy some notes first', 'warning');
+      }
+      break;
+    case 'd':
+      if (pianoRoll.duplicateSelectedNotes() === 0) {
+        showNotification('Select notes to duplicate first', 'warning');
+      }
+      break;
+  }
+}
+
+/**
+ * Handle key up events
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleKeyUp(event) {
+  const key = event.key.toLowerCase();
+  
+  if (KEY_NOTE_MAP[key]) {
+    pressedKeys.delete(key);
+    stopLiveNote(`key:${key}`);
+    
+    const midi = KEY_NOTE_MAP[key];
+    const miniKey = document.querySelector(`.mini-piano-key[data-midi="${midi}"]`);
+    if (miniKey) {
+      miniKey.classList.remove('pressed');
+    }
+  }
+}
+
+// ==================== MIDI INPUT ====================
+
+/**
+ * Initialize MIDI keyboard input and the settings modal
+ */
+function initMidiInput() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const inputSelect = document.getElementById('midi-input-select');
+  
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', showSettingsModal);
+  }
+  
+  if (inputSelect) {
+    inputSelect.addEventListener('change', (e) => {
+      selectMidiDevice(e.target.value || null);
+      e.target.blur();
+    });
+  }
+  
+  if (!window.MidiInput) return;
+  
+  window.MidiInput.setNoteCallbacks(startMidiKey, stopMidiKey);
+  window.MidiInput.setControllerCallback(moveMidiController);
+  window.MidiInput.setDevicesCallback(renderMidiInputOptions);
+  
+  // Reconnect the device from the last session
+  const savedInputId = window.Storage ? window.Storage.getSetting('midiInputId') : null;
+  if (savedInputId && window.MidiInput.isSupported()) {
+    window.MidiInput.selectInput(savedInputId);
+    window.MidiInput.requestAccess().catch((error) => {
+      console.warn('MIDI access failed:', error);
+    });
+  }
+}
+
+/**
+ * Show the settings modal (asks for MIDI access the first time)
+ */
+function showSettingsModal() {
+  const modal = document.getElementById('settings-modal');
+  if (!modal) return;
+  
+  modal.classList.add('visible');
+  renderMidiInputOptions();
+  
+  if (!window.MidiInput || !window.MidiInput.isSupported()) {
+    setMidiInputStatus('Web MIDI is not available in this browser. Try Chrome, Edge or the desktop app.');
+    return;
+  }
+  
+  window.MidiInput.requestAccess().then(() => {
+    renderMidiInputOptions();
+  }).catch((error) => {
+    setMidiInputStatus(`MIDI access was denied: ${error.message || error}`);
+  });
+}
+
+/**
+ * Fill the MIDI input selector with the available devices
+ */
+function renderMidiInputOptions() {
+  const select = document.getElementById('midi-input-select');
+  if (!select || !window.MidiInput) return;
+  
+  const inputs = window.MidiInput.getInputs();
+  const selectedId = window.MidiInput.getSelectedInputId();
+  
+  const options = [{ id: '', label: 'None' }].concat(inputs.map(input => ({
+    id: input.id,
+    label: input.connected ? input.name : `${input.name} (disconnected)`
+  })));
+  
+  // Keep an unplugged device selected so it is picked up again when it returns
+  if (selectedId && !inputs.some(input => input.id === selectedId)) {
+    options.push({ id: selectedId, label: 'Unavailable device' });
+  }
+  
+  select.innerHTML = '';
+  options.forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = selectedId || '';
+  
+  const selected = inputs.find(input => input.id === selectedId);
+  if (selected && selected.connected) {
+    setMidiInputStatus(`Listening to ${selected.name} on all channels.`);
+  } else if (selectedId) {
+    setMidiInputStatus('The selected device is not connected.');
+  } else {
+    setMidiInputStatus(inputs.length > 0
+      ? 'Select a device to play and record with velocity and sustain pedal.'
+      : 'No MIDI devices found. Connect a keyboard (or a virtual MIDI port) and it will appear here.');
+  }
+}
+
+/**
+ * Select a MIDI input device and remember it
+ * @param {string|null} inputId - Device ID, or null for none
+ */
+function selectMidiDevice(inputId) {
+  if (!window.MidiInput) return;
+  
+  window.MidiInput.selectInput(inputId);
+  if (window.Storage) {
+    window.Storage.updateSetting('midiInputId', inputId);
+  }
+  renderMidiInputOptions();
+}
+
+/**
+ * Show a status line under the MIDI input selector
+ * @param {string} message - Status text
+ */
+function setMidiInputStatus(message) {
+  const status = document.getElementById('midi-input-status');
+  if (status) {
+    status.textContent = message;
   }
 }
 
 /**
- * Play a mini piano key
+ * Start a note from the MIDI keyboard
  * @param {number} midi - MIDI note number
+ * @param {number} velocity - Velocity (0.0 to 1.0)
  */
-function playMiniPianoKey(midi) {
-  resumeAudioAndDo(() => {
-    if (window.AudioEngine) {
-      window.AudioEngine.playPreviewNote(currentInstrument, midi);
-    }
-    
-    // Record if in record mode
-    if (window.Transport && window.Transport.isRecording()) {
-      window.Transport.recordNote(midi, 4);
-    }
-  });
+function startMidiKey(midi, velocity) {
+  startLiveNote(`midi:${midi}`, midi, velocity);
+  
+  const miniKey = document.querySelector(`.mini-piano-key[data-midi="${midi}"]`);
+  if (miniKey) {
+    miniKey.classList.add('pressed');
+  }
 }
 
-// ==================== KEYBOARD INPUT ====================
+/**
+ * End a note from the MIDI keyboard (after the sustain pedal, if it was down)
+ * @param {number} midi - MIDI note number
+ */
+function stopMidiKey(midi) {
+  stopLiveNote(`midi:${midi}`);
+  
+  const miniKey = document.querySelector(`.mini-piano-key[data-midi="${midi}"]`);
+  if (miniKey) {
+    miniKey.classList.remove('pressed');
+  }
+}
 
 /**
- * Initialize keyboard input
+ * Apply a pitch bend or mod wheel move to the held notes (and record it in record mode)
+ * @param {string} controller - 'pitchBend' or 'modWheel'
+ * @param {number} value - Controller value
  */
-function initKeyboardInput() {
-  document.addEventListener('keydown', handleKeyDown);
-  document.addEventListener('keyup', handleKeyUp);
+function moveMidiController(controller, value) {
+  liveControllers[controller] = value;
+  
+  if (window.AudioEngine) {
+    window.AudioEngine.setLiveController(getCurrentInstrument(), controller, value, getPreviewOptions());
+  }
+  if (window.Transport) {
+    window.Transport.recordController(controller, value);
+  }
 }
 
+// ==================== UNDO / REDO ====================
+
 /**
- * Handle key down events
- * @param {KeyboardEvent} event - Keyboard event
+ * Undo the last edit
  */
-function handleKeyDown(event) {
-  // Ignore if typing in an input
-  if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
-    return;
+function undoEdit() {
+  if (!window.EditHistory) return;
+  
+  if (window.EditHistory.undo()) {
+    syncAfterHistoryChange();
   }
+}
+
+/**
+ * Redo the last undone edit
+ */
+function redoEdit() {
+  if (!window.EditHistory) return;
   
-  const key = event.key.toLowerCase();
+  if (window.EditHistory.redo()) {
+    syncAfterHistoryChange();
+  }
+}
+
+/**
+ * Bring controls that mirror engine state back in line after undo/redo
+ * (piano roll and drum grid redraw themselves)
+ */
+function syncAfterHistoryChange() {
+  syncInstrumentControls();
+  renderTrackList();
+  syncEffectControls();
   
-  // Spacebar for play/pause
-  if (event.code === 'Space') {
-    event.preventDefault();
-    resumeAudioAndDo(() => {
-      if (window.Transport) {
-        const state = window.Transport.getState();
-        if (state.isPlaying && !state.isPaused) {
-          window.Transport.pause();
-        } else {
-          window.Transport.play();
-        }
-      }
-    });
-    return;
+  const bpmInput = document.getElementById('bpm-input');
+  if (bpmInput && window.Transport) {
+    bpmInput.value = window.Transport.getBPM();
+  }
+  syncTempoLane();
+  const swingInput = document.getElementById('swing-input');
+  if (swingInput && window.Transport) {
+    swingInput.value = window.Transport.getSwing();
   }
+}
+
+// ==================== QUANTIZE & HUMANIZE ====================
+
+/**
+ * Initialize the quantize and humanize dialogs
+ */
+function initNoteTools() {
+  const quantizeBtn = document.getElementById('quantize-btn');
+  const humanizeBtn = document.getElementById('humanize-btn');
+  const quantizeConfirm = document.getElementById('quantize-confirm-btn');
+  const humanizeConfirm = document.getElementById('humanize-confirm-btn');
   
-  // Delete key for removing selected notes
-  if (event.key === 'Delete' || event.key === 'Backspace') {
-    if (window.PianoRoll) {
-      window.PianoRoll.removeSelectedNotes();
-    }
+  if (quantizeBtn) {
+    quantizeBtn.addEventListener('click', () => showNoteToolModal('quantize-modal', 'quantize'));
+  }
+  if (humanizeBtn) {
+    humanizeBtn.addEventListener('click', () => showNoteToolModal('humanize-modal', 'humanize'));
+  }
+  if (quantizeConfirm) {
+    quantizeConfirm.addEventListener('click', confirmQuantize);
+  }
+  if (humanizeConfirm) {
+    humanizeConfirm.addEventListener('click', confirmHumanize);
+  }
+  
+  bindSliderValue('quantize-strength', 'quantize-strength-value', value => `${value}%`);
+  bindSliderValue('quantize-swing', 'quantize-swing-value', value => `${value}%`);
+  bindSliderValue('humanize-timing', 'humanize-timing-value', value => `±${value}% of a 16th`);
+  bindSliderValue('humanize-velocity', 'humanize-velocity-value', value => `±${value}%`);
+}
+
+/**
+ * Show a slider's value in a label while it moves
+ * @param {string} sliderId - Slider element ID
+ * @param {string} valueId - Label element ID
+ * @param {Function} format - Turns the slider value into label text
+ */
+function bindSliderValue(sliderId, valueId, format) {
+  const slider = document.getElementById(sliderId);
+  const label = document.getElementById(valueId);
+  if (!slider || !label) return;
+  
+  slider.addEventListener('input', () => {
+    label.textContent = format(slider.value);
+  });
+}
+
+/**
+ * Open the quantize or humanize dialog when notes are selected
+ * @param {string} modalId - Modal element ID
+ * @param {string} action - 'quantize' or 'humanize' (for the warning)
+ */
+function showNoteToolModal(modalId, action) {
+  const modal = document.getElementById(modalId);
+  if (!modal || !window.PianoRoll) return;
+  
+  if (window.PianoRoll.getSelectedNotes().length === 0) {
+    showNotification(`Select notes to ${action} first`, 'warning');
     return;
   }
+  modal.classList.add('visible');
+}
+
+/**
+ * Quantize the selected notes with the dialog's settings
+ */
+function confirmQuantize() {
+  if (!window.PianoRoll) return;
+  
+  const count = window.PianoRoll.quantizeSelection({
+    grid: document.getElementById('quantize-grid-select').value,
+    strength: parseInt(document.getElementById('quantize-strength').value, 10),
+    swing: parseInt(document.getElementById('quantize-swing').value, 10),
+    ends: document.getElementById('quantize-mode-select').value === 'ends'
+  });
+  closeAllModals();
   
-  // Musical keys
-  if (KEY_NOTE_MAP[key] && !pressedKeys.has(key)) {
-    pressedKeys.add(key);
-    const midi = KEY_NOTE_MAP[key];
-    
-    resumeAudioAndDo(() => {
-      if (window.AudioEngine) {
-        window.AudioEngine.playPreviewNote(currentInstrument, midi);
-      }
-      
-      // Record if in record mode
-      if (window.Transport && window.Transport.isRecording()) {
-        window.Transport.recordNote(midi, 4);
-      }
-    });
-    
-    // Visual feedback on mini piano
-    const miniKey = document.querySelector(`.mini-piano-key[data-midi="${midi}"]`);
-    if (miniKey) {
-      miniKey.classList.add('pressed');
-    }
+  if (count === 0) {
+    showNotification('Select notes to quantize first', 'warning');
   }
 }
 
 /**
- * Handle key up events
- * @param {KeyboardEvent} event - Keyboard event
+ * Humanize the selected notes with the dialog's limits
  */
-function handleKeyUp(event) {
-  const key = event.key.toLowerCase();
+function confirmHumanize() {
+  if (!window.PianoRoll) return;
   
-  if (KEY_NOTE_MAP[key]) {
-    pressedKeys.delete(key);
-    
-    const midi = KEY_NOTE_MAP[key];
-    const miniKey = document.querySelector(`.mini-piano-key[data-midi="${midi}"]`);
-    if (miniKey) {
-      miniKey.classList.remove('pressed');
-    }
+  const count = window.PianoRoll.humanizeSelection({
+    timing: parseInt(document.getElementById('humanize-timing').value, 10) / 100,
+    velocity: parseInt(document.getElementById('humanize-velocity').value, 10) / 100
+  });
+  closeAllModals();
+  
+  if (count === 0) {
+    showNotification('Select notes to humanize first', 'warning');
   }
 }
 
@@ -731,9 +2913,17 @@ function createNewSong() {
     window.Transport.stop();
   }
   
+  // Start over with a single empty piano track, 8 bars of 4/4
+  loadPatchLibrary();
   if (window.PianoRoll) {
-    window.PianoRoll.clearAllNotes();
+    window.PianoRoll.setTracks([{ name: 'Track 1', instrument: 'piano' }]);
+  }
+  applySongLength(8, { numerator: 4, denominator: 4 });
+  if (window.Transport) {
+    window.Transport.setLoopRegion(0, null);
   }
+  syncLoopRegion();
+  syncTrackMixer();
   
   // Clear drum pattern
   if (window.DrumMachine) {
@@ -752,16 +2942,19 @@ function createNewSong() {
       window.Transport.setBPM(120);
     }
   }
+  if (window.Transport) {
+    window.Transport.setTempoPoints([]);
+  }
+  syncTempoLane();
+  applySongSwing(50);
   
-  // Reset instrument
-  const instrumentSelect = document.getElementById('instrument-select');
-  if (instrumentSelect) {
-    instrumentSelect.value = 'piano';
-    currentInstrument = 'piano';
-    if (window.PianoRoll) {
-      window.PianoRoll.setCurrentInstrument('piano');
-    }
-    updateInstrumentRack();
+  // Reset instrument controls and track list
+  syncInstrumentControls();
+  renderTrackList();
+  
+  // Nothing from the previous song can be undone
+  if (window.EditHistory) {
+    window.EditHistory.clear();
   }
 }
 
@@ -786,11 +2979,15 @@ function saveCurrentSong() {
  * @returns {Object} Song data
  */
 function collectSongData() {
-  const notes = window.PianoRoll ? window.PianoRoll.getAllNotes() : [];
+  const tracks = window.PianoRoll ? window.PianoRoll.getTracks() : [];
   const bpm = window.Transport ? window.Transport.getBPM() : 120;
+  const tempoMap = window.Transport ? window.Transport.getTempoPoints() : [];
+  const swing = window.Transport ? window.Transport.getSwing() : 50;
   const effects = window.AudioEngine ? window.AudioEngine.getEffectSettings() : {};
   const drumPattern = window.DrumMachine ? window.DrumMachine.getPattern() : {};
   const drumLaneStates = window.DrumMachine ? window.DrumMachine.getLaneStates() : {};
+  const songLength = getSongLength();
+  const transportState = window.Transport ? window.Transport.getState() : { loopStart: 0, loopEnd: null };
   
   return {
     id: currentSongId || `song_${Date.now()}`,
@@ -798,15 +2995,31 @@ function collectSongData() {
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     bpm,
-    instrument: currentInstrument,
-    notes: notes.map(n => ({
-      pitch: n.pitch,
-      start: n.start,
-      duration: n.duration,
-      velocity: n.velocity
+    tempoMap,
+    swing,
+    bars: songLength.bars,
+    timeSignature: songLength.timeSignature,
+    loopRegion: { start: transportState.loopStart, end: transportState.loopEnd },
+    tracks: tracks.map(t => ({
+      id: t.id,
+      name: t.name,
+      instrument: t.instrument,
+      volume: t.volume,
+      pan: t.pan,
+      muted: t.muted,
+      solo: t.solo,
+      controllers: t.controllers,
+      notes: t.notes.map(n => ({
+        pitch: n.pitch,
+        start: n.start,
+        duration: n.duration,
+        velocity: n.velocity
+      }))
     })),
+    activeTrackId: window.PianoRoll ? window.PianoRoll.getActiveTrackId() : null,
     drumPattern,
     drumLaneStates,
+    patches: getSongPatches(tracks),
     effects
   };
 }
@@ -835,6 +3048,11 @@ function loadLastSong() {
  * @param {Object} song - Song data
  */
 function applySongData(song) {
+  // Older songs have a single instrument and note list; turn them into one track
+  if (window.Storage) {
+    window.Storage.normalizeSong(song);
+  }
+  
   currentSongId = song.id;
   currentSongName = song.name;
   updateSongTitle();
@@ -847,22 +3065,25 @@ function applySongData(song) {
   if (bpmInput) {
     bpmInput.value = song.bpm || 120;
   }
-  
-  // Apply instrument
-  currentInstrument = song.instrument || 'piano';
-  const instrumentSelect = document.getElementById('instrument-select');
-  if (instrumentSelect) {
-    instrumentSelect.value = currentInstrument;
-  }
-  if (window.PianoRoll) {
-    window.PianoRoll.setCurrentInstrument(currentInstrument);
+  if (window.Transport) {
+    window.Transport.setTempoPoints(song.tempoMap || []);
   }
-  updateInstrumentRack();
+  syncTempoLane();
+  applySongSwing(song.swing || 50);
+  
+  // Apply song length before the notes so the grid is the right size
+  applySongLength(song.bars, song.timeSignature);
   
-  // Apply notes
-  if (window.PianoRoll && song.notes) {
-    window.PianoRoll.setAllNotes(song.notes);
+  // User patches first, so the tracks find their instruments
+  loadPatchLibrary(song.patches);
+  
+  // Apply tracks (notes, instruments and mixer settings)
+  if (window.PianoRoll) {
+    window.PianoRoll.setTracks(song.tracks || [], song.activeTrackId);
   }
+  syncTrackMixer();
+  syncInstrumentControls();
+  renderTrackList();
   
   // Apply drum pattern
   if (window.DrumMachine) {
@@ -873,23 +3094,31 @@ function applySongData(song) {
       window.DrumMachine.setLaneStates(song.drumLaneStates);
     }
   }
+  fitSongLengthToContent();
+  
+  // Apply loop region
+  if (window.Transport) {
+    window.Transport.setLoopRegion(0, null);
+    if (song.loopRegion) {
+      window.Transport.setLoopRegion(song.loopRegion.start, song.loopRegion.end);
+    }
+  }
+  syncLoopRegion();
   
   // Apply effects
   if (window.AudioEngine && song.effects) {
     if (song.effects.reverb) {
       window.AudioEngine.updateEffectSettings('reverb', song.effects.reverb);
-      const reverbToggle = document.getElementById('reverb-toggle');
-      if (reverbToggle) {
-        reverbToggle.classList.toggle('active', song.effects.reverb.enabled);
-      }
     }
     if (song.effects.delay) {
       window.AudioEngine.updateEffectSettings('delay', song.effects.delay);
-      const delayToggle = document.getElementById('delay-toggle');
-      if (delayToggle) {
-        delayToggle.classList.toggle('active', song.effects.delay.enabled);
-      }
     }
+    syncEffectControls();
+  }
+  
+  // Undo history belongs to the song that was open before
+  if (window.EditHistory) {
+    window.EditHistory.clear();
   }
 }
 
@@ -954,6 +3183,25 @@ function initModals() {
   if (fileInput) {
     fileInput.addEventListener('change', handleJSONImport);
   }
+  
+  // MIDI export button
+  const exportMidiBtn = document.getElementById('export-midi-btn');
+  if (exportMidiBtn) {
+    exportMidiBtn.addEventListener('click', exportProjectToMIDI);
+  }
+  
+  // MIDI import button
+  const importMidiBtn = document.getElementById('import-midi-btn');
+  if (importMidiBtn) {
+    importMidiBtn.addEventListener('click', () => {
+      document.getElementById('midi-file-input').click();
+    });
+  }
+  
+  const midiFileInput = document.getElementById('midi-file-input');
+  if (midiFileInput) {
+    midiFileInput.addEventListener('change', handleMIDIImport);
+  }
 }
 
 /**
@@ -1025,7 +3273,7 @@ function showLoadModal() {
       item.innerHTML = `
         <div class="song-info">
           <div class="song-name">${escapeHtml(song.name)}</div>
-          <div class="song-meta">${song.notes ? song.notes.length : 0} notes • ${song.bpm} BPM • ${dateStr}</div>
+          <div class="song-meta">${window.Storage.countSongNotes(song)} notes • ${song.tracks ? song.tracks.length : 1} tracks • ${song.bpm} BPM • ${dateStr}</div>
         </div>
         <div class="song-actions">
           <button class="btn btn-danger btn-icon delete-song-btn" data-song-id="${song.id}" title="Delete">🗑</button>
@@ -1111,6 +3359,19 @@ function closeAllModals() {
 
 // ==================== MP3 EXPORT ====================
 
+/**
+ * Get the part of the song to export: the loop region when "Export Loop" is on,
+ * otherwise the whole song
+ * @returns {Object} { start, end } in 16th notes
+ */
+function getExportRange() {
+  const exportLoopToggle = document.getElementById('export-loop-toggle');
+  if (exportLoopToggle && exportLoopToggle.classList.contains('active') && window.Transport) {
+    return window.Transport.getLoopRegion();
+  }
+  return { start: 0, end: window.PianoRoll.getTotalSixteenths() };
+}
+
 /**
  * Export current song to MP3
  */
@@ -1123,17 +3384,20 @@ async function exportToMP3() {
   showLoadingOverlay('Rendering audio...');
   
   try {
-    const notes = window.PianoRoll.getAllNotes();
-    const bpm = window.Transport.getBPM();
-    const config = window.PianoRoll.getConfig();
+    const tracks = window.PianoRoll.getTracks();
+    const tempoMap = window.Transport.getTempoMap();
+    const range = getExportRange();
     
-    // Calculate total duration (8 bars + release time)
-    const total16ths = config.bars * config.beatsPerBar * config.sixteenthsPerBeat;
-    const secondsPer16th = 60 / bpm / 4;
-    const duration = total16ths * secondsPer16th + 2; // Add 2 seconds for release
+    // Calculate total duration (exported range + release time)
+    const duration = window.TempoMap.getDuration(tempoMap, range.start, range.end) + 2; // Add 2 seconds for release
+    
+    // Sampler notes need their samples
+    await waitForPatchSamples();
+    warnMissingSamples(tracks);
     
     // Render to buffer
-    const buffer = await window.AudioEngine.renderToBuffer(notes, currentInstrument, bpm, duration);
+    const buffer = await window.AudioEngine.renderToBuffer(tracks, tempoMap, duration, getExportDrums(), range,
+      window.Transport.getSwing());
     
     // Convert to MP3
     showLoadingOverlay('Encoding MP3...');
@@ -1151,7 +3415,7 @@ async function exportToMP3() {
     
     hideLoadingOverlay();
     showNotification('MP3 exported successfully!');
-    
+  
   } catch (error) {
     console.error('Export error:', error);
     hideLoadingOverlay();
@@ -1159,6 +3423,19 @@ async function exportToMP3() {
   }
 }
 
+/**
+ * Get the drum machine data for offline rendering
+ * @returns {Object|null} { pattern, laneStates }
+ */
+function getExportDrums() {
+  if (!window.DrumMachine) return null;
+  
+  return {
+    pattern: window.DrumMachine.getPattern(),
+    laneStates: window.DrumMachine.getLaneStates()
+  };
+}
+
 /**
  * Encode AudioBuffer to MP3 using lamejs
  * @param {AudioBuffer} buffer - Audio buffer to encode
@@ -1238,19 +3515,20 @@ async function exportToWAV() {
   showLoadingOverlay('Rendering audio...');
   
   try {
-    const notes = window.PianoRoll.getAllNotes();
-    const bpm = window.Transport.getBPM();
-    const config = window.PianoRoll.getConfig();
+    const tracks = window.PianoRoll.getTracks();
+    const tempoMap = window.Transport.getTempoMap();
+    const range = getExportRange();
     
-    // Calculate total duration (8 bars + release time)
-    const total16ths = config.bars * config.beatsPerBar * config.sixteenthsPerBeat;
-    const secondsPer16th = 60 / bpm / 4;
-    const duration = total16ths * secondsPer16th + 2;
+    // Calculate total duration (exported range + release time)
+    const duration = window.TempoMap.getDuration(tempoMap, range.start, range.end) + 2;
     
-    // Render notes to buffer
-    // Note: Drum patterns are not yet included in offline rendering
-    // TODO: Add drum pattern rendering to audioEngine.renderToBuffer
-    const buffer = await window.AudioEngine.renderToBuffer(notes, currentInstrument, bpm, duration);
+    // Sampler notes need their samples
+    await waitForPatchSamples();
+    warnMissingSamples(tracks);
+    
+    // Render tracks and drums to buffer
+    const buffer = await window.AudioEngine.renderToBuffer(tracks, tempoMap, duration, getExportDrums(), range,
+      window.Transport.getSwing());
     
     // Convert to WAV
     showLoadingOverlay('Creating WAV file...');
@@ -1268,7 +3546,7 @@ async function exportToWAV() {
     
     hideLoadingOverlay();
     showNotification('WAV exported successfully!');
-    
+  
   } catch (error) {
     console.error('WAV export error:', error);
     hideLoadingOverlay();
@@ -1341,7 +3619,7 @@ function handleJSONImport(event) {
       
       closeAllModals();
       showNotification('Project imported successfully!');
-      
+    
     } catch (error) {
       console.error('JSON import error:', error);
       showNotification('Import failed: ' + error.message, 'error');
@@ -1354,6 +3632,147 @@ function handleJSONImport(event) {
   event.target.value = '';
 }
 
+// ==================== MIDI EXPORT/IMPORT ====================
+
+/**
+ * Export current project as a Standard MIDI File
+ */
+function exportProjectToMIDI() {
+  if (!window.MidiFile) return;
+  
+  const song = collectSongData();
+  const formatSelect = document.getElementById('midi-format-select');
+  const format = formatSelect ? parseInt(formatSelect.value, 10) : 1;
+  
+  // Only audible tracks and drum lanes end up in the file; user patches use their built-in's
+  // program, SoundFont presets their own program and bank
+  const tracks = song.tracks
+    .filter(t => !window.PianoRoll || window.PianoRoll.isTrackAudible(t.id))
+    .map((t) => {
+      const patch = song.patches[t.instrument];
+      if (!patch) return t;
+      if (patch.soundFont) {
+        return { ...t, instrument: patch.basedOn, program: patch.soundFont.program, bank: patch.soundFont.bank };
+      }
+      return { ...t, instrument: patch.basedOn };
+    });
+  const drums = getExportDrums();
+  const drumPattern = {};
+  if (drums && window.AudioEngine) {
+    window.AudioEngine.getAudibleDrumHits(drums.pattern, drums.laneStates).forEach((hit) => {
+      if (!drumPattern[hit.laneId]) drumPattern[hit.laneId] = [];
+      drumPattern[hit.laneId].push(hit.step);
+    });
+  }
+  
+  const bytes = window.MidiFile.exportSong({
+    name: song.name,
+    bpm: song.bpm,
+    tempoMap: song.tempoMap,
+    timeSignature: song.timeSignature,
+    tracks,
+    drumPattern,
+    drumLaneStates: song.drumLaneStates
+  }, { format });
+  
+  const blob = new Blob([bytes], { type: 'audio/midi' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${currentSongName.replace(/[<>:"/\\|?*]/g, '_')}.mid`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  
+  showNotification('Project exported as MIDI!');
+  closeAllModals();
+}
+
+/**
+ * Handle MIDI file import
+ * Creates a new song from the file and lists anything that could not be imported exactly.
+ * @param {Event} event - File input change event
+ */
+function handleMIDIImport(event) {
+  const file = event.target.files[0];
+  if (!file || !window.MidiFile) return;
+  
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const config = window.PianoRoll ? window.PianoRoll.getConfig() : { maxBars: 128, minNote: 12, maxNote: 108 };
+      const result = window.MidiFile.importSong(e.target.result, {
+        maxBars: config.maxBars,
+        minNote: config.minNote,
+        maxNote: config.maxNote,
+        isValidTimeSignature: window.PianoRoll ? window.PianoRoll.isValidTimeSignature : undefined
+      });
+      
+      const name = file.name.replace(/\.midi?$/i, '') || 'Untitled';
+      const song = window.Storage ? window.Storage.createNewSong(`${name} (imported)`) : { id: `song_${Date.now()}`, name };
+      song.bpm = result.bpm;
+      song.tempoMap = result.tempoMap;
+      song.bars = result.bars;
+      song.timeSignature = result.timeSignature;
+      song.drumPattern = result.drumPattern;
+      if (result.tracks.length > 0) {
+        song.tracks = result.tracks.map((track, index) => ({
+          ...track,
+          id: `track_${index + 1}`
+        }));
+        song.activeTrackId = song.tracks[0].id;
+      }
+      
+      if (window.Transport) {
+        window.Transport.stop();
+      }
+      
+      applySongData(song);
+      
+      if (window.Storage) {
+        window.Storage.saveSong(song);
+        window.Storage.setCurrentSongId(song.id);
+      }
+      
+      currentSongId = song.id;
+      currentSongName = song.name;
+      updateSongTitle();
+      
+      closeAllModals();
+      
+      if (result.report.length > 0) {
+        showMIDIImportReport(result.report);
+        showNotification('MIDI imported with changes', 'warning');
+      } else {
+        showNotification('MIDI imported successfully!');
+      }
+    
+    } catch (error) {
+      console.error('MIDI import error:', error);
+      showNotification('MIDI import failed: ' + error.message, 'error');
+    }
+  };
+  
+  reader.readAsArrayBuffer(file);
+  
+  // Reset file input
+  event.target.value = '';
+}
+
+/**
+ * Show what was lost or changed during a MIDI import
+ * @param {Array<string>} report - Report lines
+ */
+function showMIDIImportReport(report) {
+  const modal = document.getElementById('midi-report-modal');
+  const list = document.getElementById('midi-report-list');
+  if (!modal || !list) return;
+  
+  list.innerHTML = report.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+  modal.classList.add('visible');
+}
+
 // ==================== UTILITY FUNCTIONS ====================
 
 /**
@@ -1440,6 +3859,8 @@ document.addEventListener('DOMContentLoaded', init);
 // Export functions for use by other modules
 window.UI = {
   getCurrentInstrument,
+  undo: undoEdit,
+  redo: redoEdit,
   showNotification,
   showLoadingOverlay,
   hideLoadingOverlay